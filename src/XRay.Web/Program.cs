@@ -1,67 +1,269 @@
-using System;
-using System.Collections.Generic;
-using System.IO;
-using System.Linq;
-using System.Runtime.InteropServices.JavaScript;
-using System.Text;
-using System.Text.Json;
-using System.Text.Json.Serialization;
-using XRay;
-using XRay.Metadata;
-
-sealed partial class XRayFileReaderWrapper : IDisposable
-{
-    [JsonSerializable(typeof(Dictionary<MetadataFieldId, string>))]
-    private sealed partial class MetadataJsonContext : JsonSerializerContext
-    {
-        private static readonly JsonSerializerContext _metadataJsonContext = new MetadataJsonContext(
-            new JsonSerializerOptions
-            {
-                PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
-                DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull
-            });
-
-        public static JsonSerializerContext Custom => _metadataJsonContext;
-    }
-
-    private static XRayFileReader _reader = null;
-
-    static XRayFileReaderWrapper()
-    {
-        Encoding.RegisterProvider(CodePagesEncodingProvider.Instance);
-    }
-
-    public static void Main()
-    { 
-    }
-
-    [JSExport]
-    internal static void Open(byte[] file)
-    {
-        _reader?.Dispose();
-        var stream = new MemoryStream(file);
-        _reader = new XRayFileReader(stream, ownsStream: true);
-    }
-
-    [JSExport]
-    internal static string GetImageSrc()
-    {
-        ArgumentNullException.ThrowIfNull(_reader);
-
-        return $"data:image/png;base64,{Convert.ToBase64String(_reader.GetPngBuffer())}";
-    }
-
-    [JSExport]
-    internal static string GetMetadata()
-    {
-        ArgumentNullException.ThrowIfNull(_reader);
-
-        var metadata = _reader.ExtractMetadata();
-        var result = new Dictionary<MetadataFieldId, string>(
-            metadata.Select(x => new KeyValuePair<MetadataFieldId, string>(x.Id, x.FormattedValue)));
-        
-        return JsonSerializer.Serialize(result, typeof(Dictionary<MetadataFieldId, string>), MetadataJsonContext.Custom);
-    }
-
-    public void Dispose() => _reader?.Dispose();
-}
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+using System.Linq;
+using System.Runtime.InteropServices;
+using System.Runtime.InteropServices.JavaScript;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using XRay;
+using XRay.Metadata;
+using XRay.Validation;
+
+sealed partial class XRayFileReaderWrapper : IDisposable
+{
+    [JsonSerializable(typeof(Dictionary<string, string>))]
+    private sealed partial class MetadataJsonContext : JsonSerializerContext
+    {
+        private static readonly JsonSerializerContext _metadataJsonContext = new MetadataJsonContext(
+            new JsonSerializerOptions
+            {
+                PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+                DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull
+            });
+
+        public static JsonSerializerContext Custom => _metadataJsonContext;
+    }
+
+    [JsonSourceGenerationOptions(PropertyNamingPolicy = JsonKnownNamingPolicy.CamelCase, UseStringEnumConverter = true)]
+    [JsonSerializable(typeof(PlausibilityReport))]
+    private sealed partial class PlausibilityJsonContext : JsonSerializerContext
+    {
+    }
+
+    /// <summary>
+    /// Byte range of a header field; <see cref="Id"/> is a <see cref="MetadataFieldId"/> name or the name of a custom field,
+    /// <see cref="Encoding"/> a WHATWG label usable with the browser's TextDecoder.
+    /// </summary>
+    internal sealed record FieldLayout(string Id, int Offset, int Length, string Encoding, bool IsDate);
+
+    [JsonSourceGenerationOptions(PropertyNamingPolicy = JsonKnownNamingPolicy.CamelCase, UseStringEnumConverter = true)]
+    [JsonSerializable(typeof(FieldLayout[]))]
+    private sealed partial class FieldLayoutJsonContext : JsonSerializerContext
+    {
+    }
+
+    [JsonSourceGenerationOptions(PropertyNamingPolicy = JsonKnownNamingPolicy.CamelCase)]
+    [JsonSerializable(typeof(XRayDecodeOptions))]
+    private sealed partial class DecodeOptionsJsonContext : JsonSerializerContext
+    {
+    }
+
+    /// <summary>
+    /// Forwards decoding progress to the worker script (decoder-worker.js), which posts it to the page.
+    /// </summary>
+    private sealed class JSProgress : IProgress<XRayDecodeProgress>
+    {
+        public static readonly JSProgress Instance = new();
+
+        public void Report(XRayDecodeProgress value)
+        {
+            ReportProgress(JsonNamingPolicy.KebabCaseLower.ConvertName(value.Stage.ToString()), value.Fraction);
+        }
+    }
+
+    private static readonly Dictionary<int, XRayFileReader> _readers = [];
+    private static int _nextHandle = 1;
+
+    static XRayFileReaderWrapper()
+    {
+        Encoding.RegisterProvider(CodePagesEncodingProvider.Instance);
+    }
+
+    public static void Main()
+    { 
+    }
+
+    /// <summary>
+    /// Opens a file and returns a handle for the other exports. Several files can be open at once;
+    /// release each one with <see cref="Close"/>.
+    /// </summary>
+    [JSExport]
+    internal static int Open(byte[] file)
+    {
+        var stream = new MemoryStream(file);
+        var reader = new XRayFileReader(stream, ownsStream: true);
+
+        int handle = _nextHandle++;
+        _readers.Add(handle, reader);
+        return handle;
+    }
+
+    [JSExport]
+    internal static void Close(int handle)
+    {
+        if (_readers.Remove(handle, out var reader))
+            reader.Dispose();
+    }
+
+    /// <param name="optionsJson">Decode overrides as JSON in the shape of <see cref="XRayDecodeOptions"/>
+    /// (camelCase); an empty string decodes with the defaults. The same applies to the other decoding exports.</param>
+    [JSExport]
+    internal static int[] GetImageSize(int handle, string optionsJson)
+    {
+        (int width, int height) = GetReader(handle).GetImageSize(ParseDecodeOptions(optionsJson));
+        return [width, height];
+    }
+
+    /// <summary>
+    /// Returns the unrolled 16-bit pixels (little-endian, row-major) so the browser can apply its own window/level.
+    /// Stage progress is reported through <see cref="ReportProgress"/> while decoding.
+    /// </summary>
+    [JSExport]
+    internal static byte[] GetPixelData(int handle, string optionsJson)
+    {
+        var pixels = GetReader(handle).GetPixelData(ParseDecodeOptions(optionsJson), JSProgress.Instance).Pixels;
+        return MemoryMarshal.AsBytes(pixels.AsSpan()).ToArray();
+    }
+
+    /// <summary>
+    /// Returns the stored column the image is unrolled at when the seam is detected automatically.
+    /// </summary>
+    [JSExport]
+    internal static int DetectSeamColumn(int handle, string optionsJson)
+    {
+        return GetReader(handle).DetectSeamColumn(ParseDecodeOptions(optionsJson), JSProgress.Instance);
+    }
+
+    [JSImport("reportProgress", "decoder")]
+    private static partial void ReportProgress(string stage, double fraction);
+
+    /// <summary>
+    /// Returns the header fields for display. Dates are in the invariant format: the culture of the runtime
+    /// need not be the page's language, so the page formats them from <see cref="GetRawMetadata"/>.
+    /// </summary>
+    [JSExport]
+    internal static string GetMetadata(int handle)
+    {
+        return SerializeMetadata(GetReader(handle).ExtractMetadata(formatProvider: CultureInfo.InvariantCulture), x => x.FormattedValue);
+    }
+
+    /// <summary>
+    /// Returns the unformatted header strings, e.g. dates as "ddMMyyyy", for sorting and re-encoding.
+    /// </summary>
+    [JSExport]
+    internal static string GetRawMetadata(int handle)
+    {
+        return SerializeMetadata(GetReader(handle).ExtractMetadata(), x => x.RawValue);
+    }
+
+    /// <summary>
+    /// Returns the plausibility report as JSON: { findings: [{ check, score, isFatal, passed }], score, isDecodable, isPlausible }.
+    /// </summary>
+    [JSExport]
+    internal static string CheckPlausibility(int handle, string optionsJson)
+    {
+        var report = GetReader(handle).CheckPlausibility(ParseDecodeOptions(optionsJson));
+        return JsonSerializer.Serialize(report, PlausibilityJsonContext.Default.PlausibilityReport);
+    }
+
+    /// <summary>
+    /// Returns the raw header bytes, for inspecting files of unknown scanner variants.
+    /// </summary>
+    [JSExport]
+    internal static byte[] GetHeader(int handle)
+    {
+        return GetReader(handle).ReadHeader();
+    }
+
+    /// <summary>
+    /// Returns the header fields the file is read with as JSON: [{ id, offset, length, encoding, isDate }].
+    /// </summary>
+    [JSExport]
+    internal static string GetFieldLayout(int handle)
+    {
+        FieldLayout[] layout = [.. GetReader(handle).MetadataFields.Select(x =>
+            new FieldLayout(x.Name ?? x.Id.ToString(), x.Offset, x.MaxLength, x.Encoding.WebName, x is DateMetadataField))];
+
+        return JsonSerializer.Serialize(layout, FieldLayoutJsonContext.Default.FieldLayoutArray);
+    }
+
+    /// <summary>
+    /// Reads the header fields of the file with a user profile from now on, given as JSON in the format of
+    /// <see cref="GetFieldLayout"/>; an empty string restores the default layout.
+    /// </summary>
+    [JSExport]
+    internal static void SetFieldLayout(int handle, string layoutJson)
+    {
+        var reader = GetReader(handle);
+
+        if (string.IsNullOrEmpty(layoutJson))
+        {
+            reader.MetadataFields = XRayFileReader.DefaultMetadataFields;
+            return;
+        }
+
+        var layout = JsonSerializer.Deserialize(layoutJson, FieldLayoutJsonContext.Default.FieldLayoutArray)
+            ?? throw new ArgumentException("The field layout is empty.", nameof(layoutJson));
+
+        reader.MetadataFields = [.. layout.Select(ToMetadataField)];
+    }
+
+    /// <summary>
+    /// Returns a copy of the .stl file with the patient name, address and birth date blanked in the header.
+    /// </summary>
+    [JSExport]
+    internal static byte[] GetDeidentifiedCopy(int handle)
+    {
+        return GetReader(handle).GetDeidentifiedCopy();
+    }
+
+    /// <summary>
+    /// Returns a copy of the .stl file with corrected header fields. valuesJson maps field ids, as in
+    /// <see cref="GetFieldLayout"/>, to the new header strings, dates as "ddMMyyyy".
+    /// </summary>
+    [JSExport]
+    internal static byte[] GetEditedCopy(int handle, string valuesJson)
+    {
+        var values = JsonSerializer.Deserialize(valuesJson, MetadataJsonContext.Default.DictionaryStringString)
+            ?? throw new ArgumentException("No values are given.", nameof(valuesJson));
+
+        return GetReader(handle).GetEditedCopy(values);
+    }
+
+    private static XRayDecodeOptions ParseDecodeOptions(string optionsJson)
+    {
+        if (string.IsNullOrEmpty(optionsJson))
+            return XRayDecodeOptions.Default;
+
+        return JsonSerializer.Deserialize(optionsJson, DecodeOptionsJsonContext.Default.XRayDecodeOptions)
+            ?? XRayDecodeOptions.Default;
+    }
+
+    private static MetadataField ToMetadataField(FieldLayout layout)
+    {
+        // Fields with a library id keep it, so that de-identification and the plausibility check recognize them
+        bool isKnown = layout.Id != nameof(MetadataFieldId.Custom) && Enum.GetNames<MetadataFieldId>().Contains(layout.Id);
+        var id = isKnown ? Enum.Parse<MetadataFieldId>(layout.Id) : MetadataFieldId.Custom;
+        string? name = isKnown ? null : layout.Id;
+
+        return layout.IsDate
+            ? new DateMetadataField(id, layout.Offset, name)
+            : new MetadataField(id, layout.Offset, layout.Length, Encoding.GetEncoding(layout.Encoding), name);
+    }
+
+    private static XRayFileReader GetReader(int handle)
+    {
+        return _readers.TryGetValue(handle, out var reader)
+            ? reader
+            : throw new ArgumentException($"No open file with handle {handle}.", nameof(handle));
+    }
+
+    private static string SerializeMetadata(MetadataFieldValue[] metadata, Func<MetadataFieldValue, string> selectValue)
+    {
+        var result = new Dictionary<string, string>(
+            metadata.Select(x => new KeyValuePair<string, string>(x.Name ?? x.Id.ToString(), selectValue(x))));
+
+        return JsonSerializer.Serialize(result, typeof(Dictionary<string, string>), MetadataJsonContext.Custom);
+    }
+
+    public void Dispose()
+    {
+        foreach (var reader in _readers.Values)
+            reader.Dispose();
+
+        _readers.Clear();
+    }
+}
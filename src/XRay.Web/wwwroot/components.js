@@ -1,737 +1,5001 @@
-﻿class MetadataRow extends HTMLElement {
-    static get observedAttributes() {
-        return ['name'];
-    }
-
-    get name() {
-        return this.getAttribute('name') || '';
-    }
-
-    // value is the element's text content (children)
-    get value() {
-        return this.innerHTML.trim();
-    }
-
-    connectedCallback() {
-        // This component is purely declarative — rendering is done by metadata-table
-        this.style.display = 'none';
-    }
-}
-
-customElements.define('metadata-row', MetadataRow);
-
-class MetadataTable extends HTMLElement {
-    static get observedAttributes() {
-        return ['caption', 'field-label', 'value-label', 'no-data-label'];
-    }
-
-    connectedCallback() {
-        this._render();
-        // Re-render if children (metadata-row) are added/removed
-        this._observer = new MutationObserver(() => this._render());
-        this._observer.observe(this, { childList: true, attributes: true, subtree: true });
-    }
-
-    disconnectedCallback() {
-        this._observer?.disconnect();
-    }
-
-    attributeChangedCallback() {
-        this._render();
-    }
-
-    _render() {
-        const caption = this.getAttribute('caption') || '';
-        const fieldLabel = this.getAttribute('field-label') || 'Field';
-        const valueLabel = this.getAttribute('value-label') || 'Value';
-        const noDataLabel = this.getAttribute('no-data-label') || 'No Data';
-
-        const fields = [...this.querySelectorAll('metadata-row')];
-
-        const rows = fields.map((col, i) => `
-      <tr class="${i % 2 === 1 ? 'even' : ''}">
-        <td class="field-cell">${col.name}</td>
-        <td class="value-cell">${col.value}</td>
-      </tr>
-    `).join('');
-
-        const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' });
-
-        shadow.innerHTML = `
-      <style>
-        :host {
-          display: block;
-          font-family: 'IBM Plex Sans', 'Segoe UI', sans-serif;
-        }
-
-        .wrapper {
-          background: #16161e;
-          border: 1px solid #2a2a3a;
-          border-radius: 6px;
-          overflow: hidden;
-          box-shadow:
-            0 0 0 1px rgba(120, 120, 200, 0.05),
-            0 8px 32px rgba(0,0,0,0.5),
-            0 2px 8px rgba(0,0,0,0.4);
-          min-width: 360px;
-        }
-
-        caption-row {
-          display: block;
-          padding: 14px 20px 12px;
-          background: #1e1e2a;
-          border-bottom: 1px solid #2a2a3a;
-          font-size: 13pt;
-          font-weight: 600;
-          color: #c8c8e8;
-          letter-spacing: 0.03em;
-          font-family: 'IBM Plex Mono', monospace;
-          position: relative;
-        }
-
-        caption-row::before {
-          content: '';
-          position: absolute;
-          left: 0;
-          top: 0;
-          bottom: 0;
-          width: 3px;
-          background: linear-gradient(180deg, #7878d0 0%, #4a4a9a 100%);
-          border-radius: 0 2px 2px 0;
-        }
-
-        table {
-          width: 100%;
-          border-collapse: collapse;
-          font-size: 13pt;
-        }
-
-        thead tr {
-          background: #1a1a28;
-        }
-
-        th {
-          padding: 10px 20px;
-          text-align: left;
-          color: #7878a0;
-          font-weight: 600;
-          font-size: 9pt;
-          letter-spacing: 0.12em;
-          text-transform: uppercase;
-          font-family: 'IBM Plex Mono', monospace;
-          border-bottom: 1px solid #2a2a3a;
-        }
-
-        td {
-          padding: 9px 20px;
-          border-bottom: 1px solid #1e1e2a;
-          vertical-align: middle;
-          color: #d0d0e8;
-          line-height: 1.5;
-        }
-
-        tr.even td {
-          background: rgba(255,255,255,0.02);
-        }
-
-        tr:last-child td {
-          border-bottom: none;
-        }
-
-        .field-cell {
-          color: #8888b0;
-          font-family: 'IBM Plex Mono', monospace;
-          font-size: 11pt;
-          width: 45%;
-          white-space: nowrap;
-        }
-
-        .value-cell {
-          color: #e0e0f8;
-          font-weight: 400;
-        }
-
-        tbody tr {
-          transition: background 0.15s ease;
-        }
-
-        tbody tr:hover td {
-          background: rgba(100,100,180,0.08) !important;
-        }
-
-        .empty-state {
-          padding: 24px 20px;
-          text-align: center;
-          color: #4a4a6a;
-          font-family: 'IBM Plex Mono', monospace;
-          font-size: 11pt;
-        }
-      </style>
-
-      <div class="wrapper">
-        ${caption ? `<caption-row>${caption}</caption-row>` : ''}
-        <table>
-          <thead>
-            <tr>
-              <th>${fieldLabel}</th>
-              <th>${valueLabel}</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${rows || `<tr><td colspan="2"><div class="empty-state">— ${noDataLabel} —</div></td></tr>`}
-          </tbody>
-        </table>
-      </div>
-    `;
-    }
-}
-
-customElements.define('metadata-table', MetadataTable);
-
-class MetadataImage extends HTMLElement {
-    static get observedAttributes() {
-        return ['src', 'label'];
-    }
-
-    constructor() {
-        super();
-        this._rotation = 0;
-        this._flipped = false;
-    }
-
-    get src() { return this.getAttribute('src') || ''; }
-    set src(val) {
-        if (val) this.setAttribute('src', val);
-        else this.removeAttribute('src');
-    }
-
-    get label() { return this.getAttribute('label') || ''; }
-    set label(val) { this.setAttribute('label', val); }
-
-    connectedCallback() {
-        if (!this.shadowRoot) this._buildSkeleton();
-        this._applyState();
-    }
-
-    attributeChangedCallback(name) {
-        if (!this.shadowRoot) return;
-        if (name === 'src') this._applyState();
-        if (name === 'label') {
-            const el = this.shadowRoot.querySelector('.user-label');
-            if (el) el.textContent = this.label;
-        }
-    }
-
-    _buildSkeleton() {
-        const shadow = this.attachShadow({ mode: 'open' });
-
-        shadow.innerHTML = `
-      <style>
-        :host {
-          display: block;
-          position: relative;
-          box-sizing: border-box;
-          background: #16161e;
-          border: 1px solid #2a2a3a;
-          border-radius: 6px;
-          box-shadow:
-            0 0 0 1px rgba(120,120,200,0.05),
-            0 8px 32px rgba(0,0,0,0.5),
-            0 2px 8px rgba(0,0,0,0.4);
-          overflow: hidden;
-        }
-
-        .grid {
-          position: absolute;
-          inset: 0;
-          background-image:
-            linear-gradient(rgba(120,120,200,0.04) 1px, transparent 1px),
-            linear-gradient(90deg, rgba(120,120,200,0.04) 1px, transparent 1px);
-          background-size: 24px 24px;
-          transition: opacity 0.3s ease;
-        }
-
-        svg.crosshair {
-          position: absolute;
-          inset: 0;
-          width: 100%;
-          height: 100%;
-          overflow: visible;
-          transition: opacity 0.3s ease;
-        }
-
-        img {
-          display: block;
-          width: 100%;
-          height: 100%;
-          object-fit: contain;
-          opacity: 0;
-          transition: opacity 0.3s ease, transform 0.4s cubic-bezier(0.4, 0, 0.2, 1);
-          border-radius: 5px;
-          transform-origin: center center;
-        }
-
-        img.loaded { opacity: 1; }
-
-        :host(.has-src) .grid,
-        :host(.has-src) svg.crosshair { opacity: 0; pointer-events: none; }
-
-        .user-label {
-          position: absolute;
-          top: 10px;
-          left: 0; right: 0;
-          text-align: center;
-          font-family: 'IBM Plex Mono', monospace;
-          font-size: 9pt;
-          color: #6060a0;
-          letter-spacing: 0.12em;
-          text-transform: uppercase;
-          pointer-events: none;
-          user-select: none;
-          transition: color 0.3s ease, text-shadow 0.3s ease;
-        }
-
-        :host(.has-src.image-loaded) .user-label {
-          color: rgba(200,200,240,0.75);
-          text-shadow: 0 1px 4px rgba(0,0,0,0.8);
-        }
-
-        /* Toolbar */
-        .toolbar {
-          position: absolute;
-          bottom: 10px;
-          right: 10px;
-          display: flex;
-          gap: 6px;
-          opacity: 0;
-          pointer-events: none;
-          transition: opacity 0.25s ease;
-        }
-
-        :host(.image-loaded) .toolbar {
-          opacity: 1;
-          pointer-events: all;
-        }
-
-        .toolbar button {
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          width: 28px;
-          height: 28px;
-          padding: 0;
-          background: rgba(22, 22, 30, 0.75);
-          border: 1px solid rgba(120, 120, 200, 0.25);
-          border-radius: 4px;
-          color: rgba(180, 180, 230, 0.7);
-          cursor: pointer;
-          backdrop-filter: blur(6px);
-          -webkit-backdrop-filter: blur(6px);
-          transition:
-            background 0.15s ease,
-            border-color 0.15s ease,
-            color 0.15s ease,
-            transform 0.15s ease,
-            box-shadow 0.15s ease;
-        }
-
-        .toolbar button:hover {
-          background: rgba(120, 120, 200, 0.18);
-          border-color: rgba(120, 120, 200, 0.55);
-          color: rgba(220, 220, 255, 1);
-          box-shadow: 0 0 8px rgba(120, 120, 200, 0.25);
-        }
-
-        .toolbar button:active {
-          transform: scale(0.9);
-          background: rgba(120, 120, 200, 0.3);
-        }
-
-        .toolbar button.active {
-          background: rgba(120, 120, 200, 0.2);
-          border-color: rgba(120, 120, 200, 0.6);
-          color: rgba(200, 200, 255, 1);
-          box-shadow: 0 0 6px rgba(120, 120, 200, 0.3);
-        }
-
-        .toolbar button svg {
-          width: 14px;
-          height: 14px;
-          flex-shrink: 0;
-          /* override the absolute-inset rule for the crosshair svg */
-          position: static;
-          inset: unset;
-          overflow: visible;
-        }
-      </style>
-
-      <div class="grid"></div>
-
-      <svg class="crosshair" viewBox="0 0 100 100" preserveAspectRatio="xMidYMid meet" xmlns="http://www.w3.org/2000/svg">
-        <line x1="50" y1="46"  x2="50" y2="37"  stroke="#7878d0" stroke-width="0.8" stroke-linecap="round" opacity="0.7"/>
-        <line x1="50" y1="54"  x2="50" y2="63"  stroke="#7878d0" stroke-width="0.8" stroke-linecap="round" opacity="0.7"/>
-        <line x1="46" y1="50"  x2="37" y2="50"  stroke="#7878d0" stroke-width="0.8" stroke-linecap="round" opacity="0.7"/>
-        <line x1="54" y1="50"  x2="63" y2="50"  stroke="#7878d0" stroke-width="0.8" stroke-linecap="round" opacity="0.7"/>
-        <circle cx="50" cy="50" r="1.4" fill="#7878d0" opacity="0.9"/>
-        <line x1="46" y1="46" x2="42" y2="42" stroke="#3a3a60" stroke-width="0.6" opacity="0.5"/>
-        <line x1="54" y1="46" x2="58" y2="42" stroke="#3a3a60" stroke-width="0.6" opacity="0.5"/>
-        <line x1="46" y1="54" x2="42" y2="58" stroke="#3a3a60" stroke-width="0.6" opacity="0.5"/>
-        <line x1="54" y1="54" x2="58" y2="58" stroke="#3a3a60" stroke-width="0.6" opacity="0.5"/>
-        <path d="M8,14 L8,8 L14,8"   fill="none" stroke="#4a4a9a" stroke-width="0.8" stroke-linecap="round" stroke-linejoin="round" opacity="0.8"/>
-        <path d="M86,8  L92,8 L92,14" fill="none" stroke="#4a4a9a" stroke-width="0.8" stroke-linecap="round" stroke-linejoin="round" opacity="0.8"/>
-        <path d="M8,86  L8,92 L14,92" fill="none" stroke="#4a4a9a" stroke-width="0.8" stroke-linecap="round" stroke-linejoin="round" opacity="0.8"/>
-        <path d="M86,92 L92,92 L92,86" fill="none" stroke="#4a4a9a" stroke-width="0.8" stroke-linecap="round" stroke-linejoin="round" opacity="0.8"/>
-      </svg>
-
-      <img alt="" />
-      <div class="user-label"></div>
-
-      <div class="toolbar">
-        <button class="btn-rotate" title="Rotate 90°" aria-label="Rotate image 90 degrees">
-          <!-- rotate-cw icon -->
-          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
-            <path d="M13.5 2.5v4h-4"/>
-            <path d="M13.28 6.35A6 6 0 1 0 12 12"/>
-          </svg>
-        </button>
-        <button class="btn-flip" title="Flip horizontal" aria-label="Flip image horizontally">
-          <!-- flip-horizontal icon -->
-          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
-            <path d="M3 2L8 8L3 14"/>
-            <path d="M13 2L8 8L13 14"/>
-            <line x1="8" y1="1" x2="8" y2="15" stroke-dasharray="2 2"/>
-          </svg>
-        </button>
-        <button class="btn-open" title="Open in new tab" aria-label="Open image in new tab">
-          <!-- external-link icon -->
-          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
-            <path d="M7 3H3a1 1 0 0 0-1 1v9a1 1 0 0 0 1 1h9a1 1 0 0 0 1-1V9"/>
-            <path d="M10 2h4v4"/>
-            <line x1="14" y1="2" x2="7" y2="9"/>
-          </svg>
-        </button>
-        <button class="btn-print" title="Print image" aria-label="Print image">
-          <!-- printer icon -->
-          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
-            <rect x="4" y="1" width="8" height="5" rx="0.5"/>
-            <path d="M4 11H2.5A1.5 1.5 0 0 1 1 9.5v-3A1.5 1.5 0 0 1 2.5 5h11A1.5 1.5 0 0 1 15 6.5v3A1.5 1.5 0 0 1 13.5 11H12"/>
-            <rect x="4" y="9" width="8" height="6" rx="0.5"/>
-            <line x1="6" y1="12" x2="10" y2="12"/>
-            <line x1="6" y1="14" x2="10" y2="14"/>
-            <circle cx="12.5" cy="7.5" r="0.75" fill="currentColor" stroke="none"/>
-          </svg>
-        </button>
-      </div>
-    `;
-
-        shadow.querySelector('.user-label').textContent = this.label;
-
-        // Shared transform updater
-        const applyTransform = () => {
-            const img = shadow.querySelector('img');
-            img.style.transform = [
-                `rotate(${this._rotation}deg)`,
-                this._flipped ? 'scaleX(-1)' : '',
-            ].filter(Boolean).join(' ');
-        };
-
-        // Rotate button
-        shadow.querySelector('.btn-rotate').addEventListener('click', () => {
-            this._rotation = (this._rotation + 90) % 360;
-            applyTransform();
-        });
-
-        // Flip button
-        shadow.querySelector('.btn-flip').addEventListener('click', () => {
-            this._flipped = !this._flipped;
-            shadow.querySelector('.btn-flip').classList.toggle('active', this._flipped);
-            applyTransform();
-        });
-
-        // Print button
-        shadow.querySelector('.btn-print').addEventListener('click', () => {
-            const img = shadow.querySelector('img');
-            if (!img || !img.src) return;
-
-            const toBlobUrl = (src) => {
-                const [header, data] = src.split(',');
-                const mime = header.match(/:(.*?);/)[1];
-                const binary = atob(data);
-                const bytes = new Uint8Array(binary.length);
-                for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
-                return URL.createObjectURL(new Blob([bytes], { type: mime }));
-            };
-
-            const blobUrl = img.src.startsWith('data:') ? toBlobUrl(img.src) : img.src;
-            const win = window.open(blobUrl, '_blank');
-            if (!win) return;
-
-            win.onload = () => {
-                win.focus();
-                win.print();
-                win.onafterprint = () => {
-                    win.close();
-                    if (img.src.startsWith('data:')) URL.revokeObjectURL(blobUrl);
-                };
-            };
-        });
-        shadow.querySelector('.btn-open').addEventListener('click', () => {
-            const img = shadow.querySelector('img');
-            if (!img || !img.src) return;
-
-            // Convert base64 data URL → Blob URL, which browsers allow opening in a new tab
-            const src = img.src;
-            if (src.startsWith('data:')) {
-                const [header, data] = src.split(',');
-                const mime = header.match(/:(.*?);/)[1];
-                const binary = atob(data);
-                const bytes = new Uint8Array(binary.length);
-                for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
-                const blob = new Blob([bytes], { type: mime });
-                const blobUrl = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = blobUrl;
-                a.target = '_blank';
-                a.rel = 'noopener noreferrer';
-                a.click();
-                // Revoke after a short delay to allow the tab to load
-                setTimeout(() => URL.revokeObjectURL(blobUrl), 10000);
-            } else {
-                const a = document.createElement('a');
-                a.href = src;
-                a.target = '_blank';
-                a.rel = 'noopener noreferrer';
-                a.click();
-            }
-        });
-    }
-
-    _applyState() {
-        const shadow = this.shadowRoot;
-        const src = this.src;
-        const img = shadow.querySelector('img');
-
-        // Reset rotation and flip when a new src is set
-        this._rotation = 0;
-        this._flipped = false;
-        if (this.shadowRoot) {
-            this.shadowRoot.querySelector('.btn-flip')?.classList.remove('active');
-        }
-        img.style.transform = '';
-
-        if (src) {
-            this.classList.add('has-src');
-            this.classList.remove('image-loaded');
-            img.classList.remove('loaded');
-            img.alt = this.label;
-            img.src = src;
-
-            img.onload = () => {
-                img.classList.add('loaded');
-                this.classList.add('image-loaded');
-            };
-            img.onerror = () => {
-                this.classList.remove('has-src', 'image-loaded');
-                img.removeAttribute('src');
-            };
-        } else {
-            this.classList.remove('has-src', 'image-loaded');
-            img.classList.remove('loaded');
-            img.removeAttribute('src');
-        }
-    }
-}
-
-customElements.define('metadata-image', MetadataImage);
-
-class LoadingOverlay extends HTMLElement {
-  static get observedAttributes() {
-        return ['message', 'note', 'visible'];
-    }
-
-  get visible() { return this.getAttribute('visible') === 'true'; }
-  set visible(val) {
-        if (val) this.setAttribute('visible', 'true');
-        else this.removeAttribute('visible');
-    }
-
-  get message() { return this.getAttribute('message') || ''; }
-  set message(val) { this.setAttribute('message', val); }
-
-  get note() {
-        return this.getAttribute('note') || '';
-    }
-  set note(val) { this.setAttribute('note', val); }
-
-    connectedCallback() {
-        if (!this.shadowRoot) this._build();
-        this._syncVisibility();
-    }
-
-    attributeChangedCallback(name) {
-        if (!this.shadowRoot) return;
-        if (name === 'visible') this._syncVisibility();
-        if (name === 'message') {
-            const el = this.shadowRoot.querySelector('.message');
-            if (el) el.textContent = this.message;
-        }
-        if (name === 'note') {
-            const el = this.shadowRoot.querySelector('.note');
-            if (el) el.textContent = this.note;
-        }
-    }
-
-    _build() {
-        const shadow = this.attachShadow({ mode: 'open' });
-        shadow.innerHTML = `
-      <style>
-        :host {
-          /* honour the user's .overlay positioning rules */
-          position: absolute;
-          width: 100%;
-          height: 100%;
-          top: 0;
-          left: 0;
-          z-index: 9999;
-          /* visual treatment */
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          background: rgba(10, 10, 14, 0.82);
-          backdrop-filter: blur(6px);
-          -webkit-backdrop-filter: blur(6px);
-          transition: opacity 0.25s ease, visibility 0.25s ease;
-          opacity: 1;
-          visibility: visible;
-          box-sizing: border-box;
-        }
-
-        :host(:not([visible])) {
-          opacity: 0;
-          visibility: hidden;
-          pointer-events: none;
-        }
-
-        /* card */
-        .card {
-          display: flex;
-          flex-direction: column;
-          align-items: center;
-          gap: 20px;
-          padding: 32px 40px;
-          background: #16161e;
-          border: 1px solid #2a2a3a;
-          border-radius: 8px;
-          box-shadow:
-            0 0 0 1px rgba(120,120,200,0.06),
-            0 16px 48px rgba(0,0,0,0.7),
-            0 4px 12px rgba(0,0,0,0.5);
-          position: relative;
-          overflow: hidden;
-        }
-
-        /* top accent bar */
-        .card::before {
-          content: '';
-          position: absolute;
-          top: 0; left: 0; right: 0;
-          height: 2px;
-          background: linear-gradient(90deg, #4a4a9a 0%, #7878d0 50%, #4a4a9a 100%);
-          background-size: 200% 100%;
-          animation: shimmer 2.5s linear infinite;
-        }
-
-        @keyframes shimmer {
-          0%   { background-position: 200% 0; }
-          100% { background-position: -200% 0; }
-        }
-
-        /* spinner */
-        .spinner-wrap {
-          position: relative;
-          width: 52px;
-          height: 52px;
-        }
-
-        .ring {
-          position: absolute;
-          inset: 0;
-          border-radius: 50%;
-          border: 1.5px solid transparent;
-        }
-
-        .ring-outer {
-          border-top-color: #7878d0;
-          border-right-color: rgba(120,120,208,0.25);
-          border-bottom-color: transparent;
-          border-left-color: rgba(120,120,208,0.25);
-          animation: spin 1.1s cubic-bezier(0.4, 0, 0.2, 1) infinite;
-        }
-
-        .ring-inner {
-          inset: 9px;
-          border-top-color: transparent;
-          border-right-color: transparent;
-          border-bottom-color: #4a4a9a;
-          border-left-color: rgba(74,74,154,0.3);
-          animation: spin 0.75s cubic-bezier(0.4, 0, 0.2, 1) infinite reverse;
-        }
-
-        .ring-dot {
-          inset: 22px;
-          border-radius: 50%;
-          background: #7878d0;
-          border: none;
-          opacity: 0.9;
-          animation: pulse 1.1s ease-in-out infinite;
-        }
-
-        @keyframes spin {
-          to { transform: rotate(360deg); }
-        }
-
-        @keyframes pulse {
-          0%, 100% { opacity: 0.9; transform: scale(1); }
-          50%       { opacity: 0.4; transform: scale(0.6); }
-        }
-
-        /* text */
-        .message {
-          font-family: 'IBM Plex Mono', monospace;
-          font-size: 12pt;
-          font-weight: 600;
-          color: #c8c8e8;
-          letter-spacing: 0.06em;
-          text-align: center;
-        }
-
-        .note {
-          font-family: 'IBM Plex Sans', sans-serif;
-          font-size: 9pt;
-          color: #5a5a7a;
-          letter-spacing: 0.03em;
-          text-align: center;
-          max-width: 260px;
-          line-height: 1.6;
-        }
-      </style>
-
-      <div class="card">
-        <div class="spinner-wrap">
-          <div class="ring ring-outer"></div>
-          <div class="ring ring-inner"></div>
-          <div class="ring ring-dot"></div>
-        </div>
-        <div class="message">${this.message}</div>
-        <div class="note">${this.note}</div>
-      </div>
-    `;
-    }
-
-    _syncVisibility() {
-        // visibility is driven purely by the [visible] attribute via CSS :host selector
-        // nothing extra needed — kept for potential future hooks
-    }
-}
-
-customElements.define('loading-overlay', LoadingOverlay);
+﻿import { annotationStyle, arrowGeometry, computeHistogram, createWindowLut, cropCanvas, distance, drawAnnotations, histogramPercentile, orientCanvas, presetRange, renderThumbnail, selectionFrame, WINDOW_PRESETS } from './imaging.js'
+import { formatDate, i18n, t, translateElements } from './i18n.js'
+import { parseRawDate } from './normalization.js'
+import { dateLength, encodedLength, fieldEncodings, fieldTypes, findProfileProblems, findValueProblem, metadataStart, normalizeProfile } from './profiles.js'
+
+class MetadataRow extends HTMLElement {
+    static get observedAttributes() {
+        return ['name'];
+    }
+
+    get name() {
+        return this.getAttribute('name') || '';
+    }
+
+    // value is the element's text content (children), shown as text
+    get value() {
+        return this.textContent.trim();
+    }
+
+    // value of the same field in the compared file (plain text), or null when not comparing
+    get compareValue() {
+        return this.getAttribute('compare-value');
+    }
+
+    // hover text of the value, e.g. the value as stored when it is shown normalized
+    get hint() {
+        return this.getAttribute('hint') || '';
+    }
+
+    // marks a value that cannot be right
+    get flagged() {
+        return this.hasAttribute('flagged');
+    }
+
+    connectedCallback() {
+        // This component is purely declarative — rendering is done by metadata-table
+        this.style.display = 'none';
+    }
+}
+
+customElements.define('metadata-row', MetadataRow);
+
+class MetadataTable extends HTMLElement {
+    static get observedAttributes() {
+        return ['caption', 'field-label', 'value-label', 'compare-label', 'no-data-label'];
+    }
+
+    connectedCallback() {
+        this._render();
+        // Re-render if children (metadata-row) are added/removed
+        this._observer = new MutationObserver(() => this._render());
+        this._observer.observe(this, { childList: true, attributes: true, subtree: true });
+    }
+
+    disconnectedCallback() {
+        this._observer?.disconnect();
+    }
+
+    attributeChangedCallback() {
+        this._render();
+    }
+
+    _render() {
+        const caption = this.getAttribute('caption') || '';
+        const fieldLabel = this.getAttribute('field-label') || t('generic-table.heading.field-name');
+        const valueLabel = this.getAttribute('value-label') || t('generic-table.heading.field-value');
+        const noDataLabel = this.getAttribute('no-data-label') || t('generic-table.content.no-data');
+        // A compare label adds a column with the values of a second file; differing rows are highlighted
+        const compareLabel = this.getAttribute('compare-label');
+        const comparing = compareLabel !== null;
+
+        const fields = [...this.querySelectorAll('metadata-row')];
+        const copyLabel = escapeXml(t('generic-table.copy'));
+        const flagLabel = escapeXml(t('generic-table.flagged'));
+
+        const rows = fields.map((col, i) => {
+            const compareValue = col.compareValue ?? '';
+            const differs = comparing && col.value !== compareValue.trim();
+            // Rows without a value are only there when empty fields are shown
+            const copyFieldLabel = escapeXml(t('generic-table.copy-field').replace('{name}', col.name));
+            const value = col.value
+                ? `${escapeXml(col.value)} <button type="button" class="copy" data-index="${i}" title="${copyLabel}" aria-label="${copyFieldLabel}">⧉</button>`
+                : '<span class="empty">—</span>';
+            return `
+      <tr class="${i % 2 === 1 ? 'even' : ''}${differs ? ' differs' : ''}${col.flagged ? ' flagged' : ''}">
+        <th scope="row" class="field-cell">${escapeXml(col.name)}</th>
+        <td class="value-cell"${col.hint ? ` title="${escapeXml(col.hint)}"` : ''}>${col.flagged ? `<span class="flag" role="img" aria-label="${flagLabel}">⚠</span> ` : ''}${value}</td>
+        ${comparing ? `<td class="value-cell">${escapeXml(compareValue)}</td>` : ''}
+      </tr>
+    `;
+        }).join('');
+
+        let shadow = this.shadowRoot;
+        if (!shadow) {
+            shadow = this.attachShadow({ mode: 'open' });
+            // The page copies the value, so that it can tell whether that worked
+            shadow.addEventListener('click', (event) => {
+                const button = event.target.closest('button.copy');
+                const row = button && this.querySelectorAll('metadata-row')[button.dataset.index];
+                if (row) this.dispatchEvent(new CustomEvent('copy-value', { detail: { name: row.name, value: row.value }, bubbles: true }));
+            });
+        }
+
+        shadow.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          font-family: 'IBM Plex Sans', 'Segoe UI', sans-serif;
+        }
+
+        .wrapper {
+          background: #16161e;
+          border: 1px solid #2a2a3a;
+          border-radius: 6px;
+          overflow: hidden;
+          box-shadow:
+            0 0 0 1px rgba(120, 120, 200, 0.05),
+            0 8px 32px rgba(0,0,0,0.5),
+            0 2px 8px rgba(0,0,0,0.4);
+          min-width: 360px;
+        }
+
+        caption-row {
+          display: block;
+          padding: 14px 20px 12px;
+          background: #1e1e2a;
+          border-bottom: 1px solid #2a2a3a;
+          font-size: 13pt;
+          font-weight: 600;
+          color: #c8c8e8;
+          letter-spacing: 0.03em;
+          font-family: 'IBM Plex Mono', monospace;
+          position: relative;
+        }
+
+        caption-row::before {
+          content: '';
+          position: absolute;
+          left: 0;
+          top: 0;
+          bottom: 0;
+          width: 3px;
+          background: linear-gradient(180deg, #7878d0 0%, #4a4a9a 100%);
+          border-radius: 0 2px 2px 0;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 13pt;
+        }
+
+        thead tr {
+          background: #1a1a28;
+        }
+
+        thead th {
+          padding: 10px 20px;
+          text-align: left;
+          color: #7878a0;
+          font-weight: 600;
+          font-size: 9pt;
+          letter-spacing: 0.12em;
+          text-transform: uppercase;
+          font-family: 'IBM Plex Mono', monospace;
+          border-bottom: 1px solid #2a2a3a;
+        }
+
+        /* field names are row headers */
+        tbody :is(td, th) {
+          padding: 9px 20px;
+          border-bottom: 1px solid #1e1e2a;
+          vertical-align: middle;
+          color: #d0d0e8;
+          line-height: 1.5;
+        }
+
+        tr.even :is(td, th) {
+          background: rgba(255,255,255,0.02);
+        }
+
+        tbody tr:last-child :is(td, th) {
+          border-bottom: none;
+        }
+
+        .field-cell {
+          text-align: left;
+          font-weight: 400;
+          color: #8888b0;
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 11pt;
+          width: 45%;
+          white-space: nowrap;
+        }
+
+        .value-cell {
+          color: #e0e0f8;
+          font-weight: 400;
+        }
+
+        .comparing .field-cell {
+          width: 30%;
+        }
+
+        tr.differs :is(td, th) {
+          background: rgba(208, 168, 72, 0.1);
+        }
+
+        tr.differs .field-cell {
+          box-shadow: inset 3px 0 0 #d0a848;
+        }
+
+        tr.differs .value-cell {
+          color: #f0d898;
+        }
+
+        tr.flagged .value-cell,
+        .flag {
+          color: #e08080;
+        }
+
+        .value-cell[title] {
+          cursor: help;
+        }
+
+        .empty {
+          color: #4a4a6a;
+        }
+
+        .copy {
+          margin-left: 6px;
+          padding: 0 4px;
+          border: 1px solid transparent;
+          border-radius: 3px;
+          background: none;
+          color: #7878a0;
+          font: inherit;
+          font-size: 10pt;
+          cursor: pointer;
+          opacity: 0;
+        }
+
+        tr:hover .copy,
+        .copy:focus-visible {
+          opacity: 1;
+        }
+
+        .copy:hover {
+          border-color: #3a3a5a;
+          color: #c8c8e8;
+        }
+
+        tbody tr {
+          transition: background 0.15s ease;
+        }
+
+        tbody tr:hover :is(td, th) {
+          background: rgba(100,100,180,0.08) !important;
+        }
+
+        .empty-state {
+          padding: 24px 20px;
+          text-align: center;
+          color: #4a4a6a;
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 11pt;
+        }
+      </style>
+
+      <div class="wrapper">
+        ${caption ? `<caption-row id="caption">${escapeXml(caption)}</caption-row>` : ''}
+        <table class="${comparing ? 'comparing' : ''}"${caption ? ' aria-labelledby="caption"' : ''}>
+          <thead>
+            <tr>
+              <th scope="col">${escapeXml(fieldLabel)}</th>
+              <th scope="col">${escapeXml(valueLabel)}</th>
+              ${comparing ? `<th scope="col">${escapeXml(compareLabel)}</th>` : ''}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows || `<tr><td colspan="${comparing ? 3 : 2}"><div class="empty-state">— ${escapeXml(noDataLabel)} —</div></td></tr>`}
+          </tbody>
+        </table>
+      </div>
+    `;
+    }
+}
+
+customElements.define('metadata-table', MetadataTable);
+
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 32;
+
+// Steps of the magnifier button; shift+wheel over the lens adjusts it within the same range
+const MAGNIFICATIONS = [2, 4, 8];
+const LENS_SIZE = 180;
+
+// Number of points each measurement tool collects. Pair tools draw independent lines,
+// the others a connected polyline (e.g. angle: arm end, vertex, arm end).
+const MEASUREMENT_TOOLS = {
+    'line': { points: 2 },
+    'angle': { points: 3 },
+    'cobb': { points: 4, pairs: true },
+    'rect': { points: 2 },
+    'ellipse': { points: 2 },
+    'calibrate': { points: 2 }
+};
+
+// Angle at `vertex` between the arms to `a` and `b`, 0-180 degrees
+function vertexAngle(a, vertex, b) {
+    const angle = Math.abs(Math.atan2(a.y - vertex.y, a.x - vertex.x) - Math.atan2(b.y - vertex.y, b.x - vertex.x)) * 180 / Math.PI;
+    return angle > 180 ? 360 - angle : angle;
+}
+
+// Acute angle between the lines a1-a2 and b1-b2, 0-90 degrees
+function lineAngle(a1, a2, b1, b2) {
+    const angle = Math.abs(Math.atan2(a2.y - a1.y, a2.x - a1.x) - Math.atan2(b2.y - b1.y, b2.x - b1.x)) * 180 / Math.PI % 180;
+    return angle > 90 ? 180 - angle : angle;
+}
+
+// Calls visit(value) for the raw values whose pixel centers fall inside a rect/ellipse ROI
+function forEachRoiValue(pixels, width, height, roi, visit) {
+    const [a, b] = roi.points;
+    const minX = Math.min(a.x, b.x), maxX = Math.max(a.x, b.x);
+    const minY = Math.min(a.y, b.y), maxY = Math.max(a.y, b.y);
+    const cx = (minX + maxX) / 2, cy = (minY + maxY) / 2;
+    const rx = (maxX - minX) / 2, ry = (maxY - minY) / 2;
+
+    for (let y = Math.max(0, Math.floor(minY)); y < Math.min(height, Math.ceil(maxY)); y++) {
+        for (let x = Math.max(0, Math.floor(minX)); x < Math.min(width, Math.ceil(maxX)); x++) {
+            const px = x + 0.5, py = y + 0.5;
+            if (px < minX || px > maxX || py < minY || py > maxY) continue;
+            if (roi.type === 'ellipse' && ((px - cx) / rx) ** 2 + ((py - cy) / ry) ** 2 > 1) continue;
+
+            visit(pixels[y * width + x]);
+        }
+    }
+}
+
+// Mean and standard deviation of the raw values inside a rect/ellipse ROI
+function roiStatistics(pixels, width, height, roi) {
+    let count = 0, sum = 0, sumSquares = 0;
+    forEachRoiValue(pixels, width, height, roi, (value) => {
+        count++;
+        sum += value;
+        sumSquares += value * value;
+    });
+
+    if (!count) return null;
+    const mean = sum / count;
+    return { count, mean, sd: Math.sqrt(Math.max(0, sumSquares / count - mean * mean)) };
+}
+
+const ANNOTATION_TOOLS = ['select', 'arrow', 'text', 'circle', 'freehand'];
+
+function distanceToSegment(p, a, b) {
+    const lengthSquared = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+    const t = lengthSquared ? Math.max(0, Math.min(1, ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / lengthSquared)) : 0;
+    return distance(p, { x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) });
+}
+
+// Text stays upright on screen: it is counter-rotated (and un-flipped) around its anchor point.
+// Returns `point` in the text's local frame, where the text box spans (0, 0)-(width, fontSize).
+function toTextFrame(point, anchor, { rotation, flipped }) {
+    let x = point.x - anchor.x, y = point.y - anchor.y;
+    if (flipped) x = -x;
+    const angle = rotation * Math.PI / 180;
+    return { x: x * Math.cos(angle) - y * Math.sin(angle), y: x * Math.sin(angle) + y * Math.cos(angle) };
+}
+
+function textWidth(annotation, fontSize) {
+    return annotation.text.length * fontSize * 0.6;
+}
+
+function hitTestAnnotation(annotation, point, tolerance, { fontSize, rotation, flipped }) {
+    const p = annotation.points;
+    switch (annotation.type) {
+        case 'arrow':
+            return distanceToSegment(point, p[0], p[1]) <= tolerance;
+        case 'circle':
+            return distance(point, p[0]) <= distance(p[0], p[1]) + tolerance;
+        case 'freehand':
+            return p.some((a, i) => i > 0 && distanceToSegment(point, p[i - 1], a) <= tolerance);
+        case 'text': {
+            const local = toTextFrame(point, p[0], { rotation, flipped });
+            return local.x >= -tolerance && local.x <= textWidth(annotation, fontSize) + tolerance
+                && local.y >= -tolerance && local.y <= fontSize * 1.2 + tolerance;
+        }
+        default:
+            return false;
+    }
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Converts a base64 data URL → Blob URL, which browsers allow opening in a new tab
+function dataUrlToBlobUrl(src) {
+    const [header, data] = src.split(',');
+    const mime = header.match(/:(.*?);/)[1];
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return URL.createObjectURL(new Blob([bytes], { type: mime }));
+}
+
+class MetadataImage extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'label', 'pixel-spacing', 'compare-mode', 'compare-opacity'];
+    }
+
+    constructor() {
+        super();
+        this._rotation = 0;
+        this._flipped = false;
+
+        // Zoom factor (screen px per image px) and offset of the image center from the viewport center.
+        // _fitMode ('fit', 'fit-width', 'actual' or null after manual zoom) is re-applied on resize and rotation.
+        this._zoom = 1;
+        this._panX = 0;
+        this._panY = 0;
+        this._fitMode = 'fit';
+        this._onLanguageChange = () => this._translate();
+
+        // Raw 16-bit pixel data (row-major), set through setPixelData()
+        this._pixels = null;
+        this._width = 0;
+        this._height = 0;
+        this._histogram = null;
+        this._range = { min: 0, max: 65535 };
+        this._window = { center: 32768, width: 65536 };
+        this._renderPending = false;
+
+        // Second exposure blended into this one in 'overlay' / 'difference' compare mode:
+        // { pixels, width, height, range } where range is its auto window [lo, hi]
+        this._compare = null;
+        // Set while setView() applies a linked view, so that it does not echo a view-change
+        this._applyingView = false;
+
+        // Measurements in image pixel coordinates: { type, points: [{ x, y }], stats? }
+        this._tool = null;
+        this._measurements = [];
+        this._draft = null;
+
+        // Annotations in image pixel coordinates: { id, type, points: [{ x, y }], color, text? }.
+        // Every change replaces the array, so the undo/redo stacks simply keep previous arrays.
+        this._annotations = [];
+        this._undoStack = [];
+        this._redoStack = [];
+        this._selectedAnnotationId = null;
+        this._annotationGesture = null;
+
+        // Lens magnification (0 when off) and the last cursor position over the viewport, for the probe
+        this._magnification = 0;
+        this._probeClient = null;
+    }
+
+    get src() { return this.getAttribute('src') || ''; }
+    set src(val) {
+        if (val) this.setAttribute('src', val);
+        else this.removeAttribute('src');
+    }
+
+    get label() { return this.getAttribute('label') || ''; }
+    set label(val) { this.setAttribute('label', val); }
+
+    /**
+     * Displays raw 16-bit grayscale pixels (row-major, width x height) instead of `src`,
+     * enabling window/level adjustment. Pass null to clear.
+     */
+    setPixelData(pixels, width, height) {
+        this._pixels = pixels || null;
+        this._width = pixels ? width : 0;
+        this._height = pixels ? height : 0;
+        this._histogram = pixels ? computeHistogram(pixels) : null;
+
+        if (this._histogram) {
+            this._range = {
+                min: histogramPercentile(this._histogram, pixels.length, 0),
+                max: histogramPercentile(this._histogram, pixels.length, 1)
+            };
+        }
+
+        // Removing src re-applies the state through attributeChangedCallback
+        if (this.hasAttribute('src')) this.removeAttribute('src');
+        else if (this.shadowRoot) this._applyState();
+    }
+
+    /**
+     * Sets a second exposure to compare against in 'overlay' or 'difference' compare mode.
+     * It is stretched to this image's size; pass null to clear.
+     */
+    setComparePixelData(pixels, width, height) {
+        this._compare = pixels ? {
+            pixels,
+            width,
+            height,
+            range: presetRange(computeHistogram(pixels), pixels.length, 'auto')
+        } : null;
+        this._scheduleRender();
+    }
+
+    /** 'overlay' blends the compared exposure over this one, 'difference' shows where they differ; null shows only this one. */
+    get compareMode() {
+        const mode = this.getAttribute('compare-mode');
+        return mode === 'overlay' || mode === 'difference' ? mode : null;
+    }
+    set compareMode(val) {
+        if (val) this.setAttribute('compare-mode', val);
+        else this.removeAttribute('compare-mode');
+    }
+
+    /** Opacity (0–1) of the compared exposure in overlay mode. */
+    get compareOpacity() {
+        const opacity = Number(this.getAttribute('compare-opacity') ?? 0.5);
+        return Number.isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : 0.5;
+    }
+    set compareOpacity(val) { this.setAttribute('compare-opacity', val); }
+
+    /** Current window as { center, width } in raw pixel units. */
+    get window() { return { ...this._window }; }
+
+    setWindow(center, width) {
+        this._window = { center: Math.round(center), width: Math.max(1, Math.round(width)) };
+        this._syncWindowInputs();
+        this._scheduleRender();
+        this.dispatchEvent(new CustomEvent('window-change', { detail: this.window, bubbles: true, composed: true }));
+    }
+
+    applyWindowPreset(name) {
+        if (!this._pixels || !WINDOW_PRESETS[name]) return;
+
+        const [lo, hi] = presetRange(this._histogram, this._pixels.length, name);
+        this.setWindow((lo + hi) / 2, hi - lo);
+    }
+
+    /** Magnification of the lens that follows the cursor, between 2 and 8, or 0 when it is off. */
+    get magnification() { return this._magnification; }
+    set magnification(val) {
+        const factor = Number(val) || 0;
+        this._magnification = factor > 0
+            ? Math.min(MAGNIFICATIONS[MAGNIFICATIONS.length - 1], Math.max(MAGNIFICATIONS[0], factor))
+            : 0;
+
+        this._syncMagnifierButton();
+        this._renderProbe();
+    }
+
+    /** Calibrated size of one image pixel in millimetres, or 0 when lengths are shown in pixels. */
+    get pixelSpacing() { return Number(this.getAttribute('pixel-spacing')) || 0; }
+    set pixelSpacing(val) {
+        if (val > 0) this.setAttribute('pixel-spacing', val);
+        else this.removeAttribute('pixel-spacing');
+    }
+
+    /** Active measurement (MEASUREMENT_TOOLS) or annotation (ANNOTATION_TOOLS) tool, or null for pan/zoom. */
+    get tool() { return this._tool; }
+    set tool(val) {
+        this._tool = MEASUREMENT_TOOLS[val] || ANNOTATION_TOOLS.includes(val) ? val : null;
+        this._draft = null;
+        this._annotationGesture = null;
+        this._hideCalibrationForm();
+        this._hideTextInput();
+        if (this._tool !== 'select') this._selectedAnnotationId = null;
+
+        const shadow = this.shadowRoot;
+        if (!shadow) return;
+        shadow.querySelectorAll('.tools [data-tool]').forEach((button) => {
+            button.classList.toggle('active', button.dataset.tool === this._tool);
+            button.setAttribute('aria-pressed', button.dataset.tool === this._tool);
+        });
+        shadow.querySelector('.viewport').classList.toggle('measuring', !!this._tool && this._tool !== 'select');
+        shadow.querySelector('.viewport').classList.toggle('selecting', this._tool === 'select');
+        this._renderOverlay();
+        this._renderAnnotations();
+    }
+
+    /** Annotations in image coordinates. Setting them (e.g. from a sidecar file) clears the undo history. */
+    get annotations() { return structuredClone(this._annotations); }
+    // Selecting and moving find annotations by id, so loaded ones without a unique id get a new one
+    set annotations(val) {
+        const ids = new Set();
+        this._annotations = (Array.isArray(val) ? structuredClone(val) : []).map((annotation) => {
+            const id = typeof annotation.id === 'string' && !ids.has(annotation.id) ? annotation.id : crypto.randomUUID();
+            ids.add(id);
+            return { ...annotation, id };
+        });
+        this._undoStack = [];
+        this._redoStack = [];
+        this._selectedAnnotationId = null;
+        this._renderAnnotations();
+    }
+
+    undo() {
+        if (!this._undoStack.length) return;
+
+        this._redoStack.push(this._annotations);
+        this._annotations = this._undoStack.pop();
+        this._annotationsChanged();
+    }
+
+    redo() {
+        if (!this._redoStack.length) return;
+
+        this._undoStack.push(this._annotations);
+        this._annotations = this._redoStack.pop();
+        this._annotationsChanged();
+    }
+
+    deleteSelectedAnnotation() {
+        if (!this._selectedAnnotationId) return;
+
+        this._changeAnnotations(this._annotations.filter((a) => a.id !== this._selectedAnnotationId));
+        this._selectedAnnotationId = null;
+        this._renderAnnotations();
+    }
+
+    get measurements() { return this._measurements.map((m) => ({ ...m, points: m.points.map((p) => ({ ...p })) })); }
+
+    clearMeasurements() {
+        this._measurements = [];
+        this._draft = null;
+        this._hideCalibrationForm();
+        this._measurementsChanged();
+    }
+
+    /**
+     * The displayed image (current window, annotations burned in) at natural size and orientation,
+     * encoded as `type`. Resolves with null when no image is loaded.
+     * @returns {Promise<Blob | null>}
+     */
+    toBlob(type = 'image/png') {
+        if (!this.classList.contains('image-loaded')) return Promise.resolve(null);
+
+        return new Promise((resolve) => this._renderComposite().toBlob(resolve, type));
+    }
+
+    /**
+     * The image as it is displayed (current window, rotation and flip, annotations burned in)
+     * at natural resolution, e.g. for the printable report, optionally cropped to a region
+     * of the image (see visibleRegion). Returns null when no image is loaded.
+     * @returns {HTMLCanvasElement | null}
+     */
+    renderView({ region = null } = {}) {
+        if (!this.classList.contains('image-loaded')) return null;
+
+        const orientation = { rotation: this._rotation, flipped: this._flipped };
+        const composite = this._renderComposite(orientation);
+        return orientCanvas(region ? cropCanvas(composite, region) : composite, orientation);
+    }
+
+    /**
+     * The part of the image inside the viewport as { x, y, width, height } in image pixels (natural orientation),
+     * e.g. to crop an export to the view. Returns null when no image is loaded or none of it is in view.
+     */
+    visibleRegion() {
+        if (!this.classList.contains('image-loaded')) return null;
+
+        const canvas = this.shadowRoot.querySelector('canvas.image');
+        const rect = this.shadowRoot.querySelector('.viewport').getBoundingClientRect();
+        const corners = [[rect.left, rect.top], [rect.right, rect.top], [rect.right, rect.bottom], [rect.left, rect.bottom]]
+            .map(([x, y]) => this._toImagePoint(x, y));
+
+        const x = Math.max(0, Math.floor(Math.min(...corners.map((p) => p.x))));
+        const y = Math.max(0, Math.floor(Math.min(...corners.map((p) => p.y))));
+        const right = Math.min(canvas.width, Math.ceil(Math.max(...corners.map((p) => p.x))));
+        const bottom = Math.min(canvas.height, Math.ceil(Math.max(...corners.map((p) => p.y))));
+        return right > x && bottom > y ? { x, y, width: right - x, height: bottom - y } : null;
+    }
+
+    /** Current zoom factor in screen pixels per image pixel. */
+    get zoom() { return this._zoom; }
+
+    /** Turns the image by 90° clockwise. */
+    rotate() {
+        if (!this.classList.contains('image-loaded')) return;
+
+        this._rotation = (this._rotation + 90) % 360;
+        this.shadowRoot.querySelector('.stage').classList.add('animate');
+        // Annotation text is kept upright, so it depends on rotation and flip
+        this._renderAnnotations();
+        if (this._fitMode) this.fit(this._fitMode);
+        else this._applyTransform();
+    }
+
+    /** Mirrors the image horizontally, or back. */
+    flip() {
+        if (!this.classList.contains('image-loaded')) return;
+
+        this._flipped = !this._flipped;
+        this._syncFlipButton();
+        this.shadowRoot.querySelector('.stage').classList.add('animate');
+        this._renderAnnotations();
+        this._applyTransform();
+    }
+
+    /** Zooms about the center of the viewport. */
+    zoomBy(factor) {
+        if (!this.classList.contains('image-loaded')) return;
+
+        const rect = this.shadowRoot.querySelector('.viewport').getBoundingClientRect();
+
+        this.shadowRoot.querySelector('.stage').classList.add('animate');
+        this.zoomAt(factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    }
+
+    /** Undoes rotation and flip and fits the whole image into the viewport. */
+    resetView() {
+        if (!this.classList.contains('image-loaded')) return;
+
+        this._rotation = 0;
+        this._flipped = false;
+        this._syncFlipButton();
+        this.shadowRoot.querySelector('.stage').classList.add('animate');
+        this._renderAnnotations();
+        this.fit('fit');
+    }
+
+    /** Prints the image as displayed, unless the page takes over by cancelling print-request. */
+    print() {
+        if (!this.classList.contains('image-loaded')) return;
+        if (!this.dispatchEvent(new CustomEvent('print-request', { bubbles: true, composed: true, cancelable: true }))) return;
+
+        const blobUrl = this._toBlobUrl();
+        if (!blobUrl) return;
+
+        const win = window.open(blobUrl, '_blank');
+        if (!win) return;
+
+        win.onload = () => {
+            win.focus();
+            win.print();
+            win.onafterprint = () => {
+                win.close();
+                URL.revokeObjectURL(blobUrl);
+            };
+        };
+    }
+
+    /**
+     * Fits the image into the viewport: 'fit' shows the whole image, 'fit-width' fills the width
+     * (aligned to the top), 'actual' shows one image pixel per device pixel.
+     */
+    fit(mode = 'fit') {
+        const viewport = this.shadowRoot?.querySelector('.viewport');
+        const [boundsWidth, boundsHeight] = this._rotatedSize();
+        if (!viewport || !boundsWidth || !boundsHeight) return;
+
+        const { clientWidth, clientHeight } = viewport;
+        this._fitMode = mode;
+        // Not laid out yet: the resize observer fits once the viewport gets a size
+        if (!clientWidth || !clientHeight) return;
+
+        this._panX = 0;
+        this._panY = 0;
+
+        if (mode === 'fit-width') {
+            this._zoom = clientWidth / boundsWidth;
+            this._panY = Math.max(0, (boundsHeight * this._zoom - clientHeight) / 2);
+        } else if (mode === 'actual') {
+            this._zoom = 1 / (window.devicePixelRatio || 1);
+        } else {
+            this._zoom = Math.min(clientWidth / boundsWidth, clientHeight / boundsHeight);
+        }
+
+        this._applyTransform();
+    }
+
+    /** Zoom, pan, rotation and flip as a plain object that can be passed to setView() of another image. */
+    get view() {
+        return {
+            zoom: this._zoom,
+            panX: this._panX,
+            panY: this._panY,
+            rotation: this._rotation,
+            flipped: this._flipped,
+            fitMode: this._fitMode
+        };
+    }
+
+    /** Applies a view from another image without firing view-change. A fit mode is re-fitted to this image. */
+    setView(view) {
+        if (!this.shadowRoot || !this.classList.contains('image-loaded')) return;
+
+        this._rotation = view.rotation ?? this._rotation;
+        this._flipped = view.flipped ?? this._flipped;
+        this._syncFlipButton();
+        this._renderAnnotations();
+
+        this._applyingView = true;
+        try {
+            if (view.fitMode) {
+                this.fit(view.fitMode);
+            } else {
+                this._zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom ?? this._zoom));
+                this._panX = view.panX ?? this._panX;
+                this._panY = view.panY ?? this._panY;
+                this._fitMode = null;
+                this._applyTransform();
+            }
+        } finally {
+            this._applyingView = false;
+        }
+    }
+
+    /** Multiplies the zoom by `factor`, keeping the image point under the given client position in place. */
+    zoomAt(factor, clientX, clientY) {
+        const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this._zoom * factor));
+        const [x, y] = this._toViewportCenter(clientX, clientY);
+
+        this._panX = x - (x - this._panX) * zoom / this._zoom;
+        this._panY = y - (y - this._panY) * zoom / this._zoom;
+        this._zoom = zoom;
+        this._fitMode = null;
+        this._applyTransform();
+    }
+
+    connectedCallback() {
+        if (!this.shadowRoot) this._buildSkeleton();
+        this._applyState();
+        this._translate();
+        i18n.addEventListener('languagechange', this._onLanguageChange);
+
+        this._resizeObserver = new ResizeObserver(() => {
+            if (this._fitMode) this.fit(this._fitMode);
+            else this._applyTransform();
+        });
+        this._resizeObserver.observe(this.shadowRoot.querySelector('.viewport'));
+    }
+
+    disconnectedCallback() {
+        this._resizeObserver?.disconnect();
+        i18n.removeEventListener('languagechange', this._onLanguageChange);
+    }
+
+    // Tooltips and accessible names in the current language
+    _translate() {
+        translateElements(this.shadowRoot);
+        this.shadowRoot.querySelector('canvas.image').setAttribute('aria-label', this.label || t('image.canvas'));
+        this._syncMagnifierButton();
+        this._renderProbe();
+    }
+
+    _syncFlipButton() {
+        const button = this.shadowRoot?.querySelector('.btn-flip');
+        button?.classList.toggle('active', this._flipped);
+        button?.setAttribute('aria-pressed', this._flipped);
+    }
+
+    _syncMagnifierButton() {
+        const button = this.shadowRoot?.querySelector('.btn-magnifier');
+        if (!button) return;
+
+        button.classList.toggle('active', this._magnification > 0);
+        button.setAttribute('aria-pressed', this._magnification > 0);
+        button.title = this._magnification
+            ? t('image.magnifier.active').replace('{factor}', this._magnification)
+            : t('image.magnifier.title');
+    }
+
+    attributeChangedCallback(name) {
+        if (!this.shadowRoot) return;
+        if (name === 'src') {
+            if (this.src) this._pixels = null;
+            this._applyState();
+        }
+        if (name === 'label') {
+            const el = this.shadowRoot.querySelector('.user-label');
+            if (el) el.textContent = this.label;
+        }
+        if (name === 'pixel-spacing') this._renderOverlay();
+        if (name === 'compare-mode' || name === 'compare-opacity') this._scheduleRender();
+    }
+
+    _buildSkeleton() {
+        const shadow = this.attachShadow({ mode: 'open' });
+
+        shadow.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          position: relative;
+          box-sizing: border-box;
+          background: #16161e;
+          border: 1px solid #2a2a3a;
+          border-radius: 6px;
+          box-shadow:
+            0 0 0 1px rgba(120,120,200,0.05),
+            0 8px 32px rgba(0,0,0,0.5),
+            0 2px 8px rgba(0,0,0,0.4);
+          overflow: hidden;
+        }
+
+        .grid {
+          position: absolute;
+          inset: 0;
+          background-image:
+            linear-gradient(rgba(120,120,200,0.04) 1px, transparent 1px),
+            linear-gradient(90deg, rgba(120,120,200,0.04) 1px, transparent 1px);
+          background-size: 24px 24px;
+          transition: opacity 0.3s ease;
+        }
+
+        .viewport {
+          position: absolute;
+          inset: 0;
+          overflow: hidden;
+          touch-action: none;
+          cursor: grab;
+        }
+
+        .viewport.panning { cursor: grabbing; }
+        .viewport:focus { outline: none; }
+        .viewport:focus-visible { outline: 1px solid rgba(120, 120, 200, 0.55); outline-offset: -1px; }
+
+        /* The stage has the natural image size; its top-left corner sits at the viewport center
+           and _applyTransform() moves the image center there, then zooms, rotates and flips. */
+        .stage {
+          position: absolute;
+          left: 50%;
+          top: 50%;
+          transform-origin: 0 0;
+        }
+
+        .stage.animate {
+          transition: transform 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+        }
+
+        .stage.pixelated canvas {
+          image-rendering: pixelated;
+        }
+
+        .viewport.measuring { cursor: crosshair; }
+        .viewport.selecting { cursor: default; }
+
+        /* Overlays share the stage's image coordinate system, so they follow zoom, rotation and flip */
+        svg.overlay {
+          position: absolute;
+          left: 0;
+          top: 0;
+          overflow: visible;
+          pointer-events: none;
+        }
+
+        /* Annotations are sized in image units (see annotationStyle), like marks on the film */
+        .annotation {
+          fill: none;
+          stroke-linecap: round;
+          stroke-linejoin: round;
+        }
+
+        .annotation-text {
+          font-family: 'IBM Plex Sans', 'Segoe UI', sans-serif;
+          font-weight: 600;
+          dominant-baseline: text-before-edge;
+          paint-order: stroke;
+          stroke: rgba(0, 0, 0, 0.8);
+          stroke-linejoin: round;
+        }
+
+        .annotation-text-input {
+          position: absolute;
+          display: none;
+          min-width: 12ch;
+          padding: 2px 4px;
+          background: rgba(22, 22, 30, 0.9);
+          border: 1px solid rgba(120, 120, 200, 0.55);
+          border-radius: 3px;
+          color: #e0e0f8;
+          font-family: 'IBM Plex Sans', 'Segoe UI', sans-serif;
+          font-size: 11pt;
+        }
+
+        .annotation-text-input.visible { display: block; }
+
+        .measurement {
+          fill: none;
+          stroke: #f0c040;
+          stroke-width: 1.5;
+          vector-effect: non-scaling-stroke;
+        }
+
+        .measurement.draft { stroke-dasharray: 4 3; }
+        .measurement.calibrate { stroke: #60d0f0; }
+
+        .measurement-guide {
+          fill: none;
+          stroke: #f0c040;
+          stroke-width: 1;
+          stroke-dasharray: 2 3;
+          vector-effect: non-scaling-stroke;
+          opacity: 0.7;
+        }
+
+        .measurement-handle { fill: #f0c040; }
+
+        .measurement-label {
+          fill: #fff4d0;
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 12px;
+          paint-order: stroke;
+          stroke: rgba(0, 0, 0, 0.85);
+          stroke-width: 3px;
+          stroke-linejoin: round;
+        }
+
+        svg.crosshair {
+          position: absolute;
+          inset: 0;
+          width: 100%;
+          height: 100%;
+          overflow: visible;
+          transition: opacity 0.3s ease;
+        }
+
+        canvas.image {
+          display: block;
+          opacity: 0;
+          transition: opacity 0.3s ease;
+        }
+
+        canvas.image.loaded { opacity: 1; }
+
+        :host(.has-src) .grid,
+        :host(.has-src) svg.crosshair { opacity: 0; pointer-events: none; }
+
+        .user-label {
+          position: absolute;
+          top: 10px;
+          left: 0; right: 0;
+          text-align: center;
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 9pt;
+          color: #6060a0;
+          letter-spacing: 0.12em;
+          text-transform: uppercase;
+          pointer-events: none;
+          user-select: none;
+          transition: color 0.3s ease, text-shadow 0.3s ease;
+        }
+
+        :host(.has-src.image-loaded) .user-label {
+          color: rgba(200,200,240,0.75);
+          text-shadow: 0 1px 4px rgba(0,0,0,0.8);
+        }
+
+        /* Toolbar */
+        .toolbar {
+          position: absolute;
+          bottom: 10px;
+          right: 10px;
+          display: flex;
+          gap: 6px;
+          opacity: 0;
+          /* out of the tab order too until there is an image */
+          visibility: hidden;
+          pointer-events: none;
+          transition: opacity 0.25s ease, visibility 0.25s;
+        }
+
+        :host(.image-loaded) .toolbar {
+          opacity: 1;
+          visibility: visible;
+          pointer-events: all;
+        }
+
+        .toolbar.tools {
+          top: 10px;
+          left: 10px;
+          bottom: auto;
+          right: auto;
+          flex-direction: column;
+        }
+
+        .toolbar.tools.annotation-tools { left: 44px; }
+
+        .toolbar button:disabled {
+          opacity: 0.35;
+          pointer-events: none;
+        }
+
+        .toolbar input[type="color"] {
+          width: 28px;
+          height: 28px;
+          padding: 2px;
+          background: rgba(22, 22, 30, 0.75);
+          border: 1px solid rgba(120, 120, 200, 0.25);
+          border-radius: 4px;
+          cursor: pointer;
+        }
+
+        .calibration-form {
+          position: absolute;
+          top: 10px;
+          left: 48px;
+          display: none;
+          align-items: center;
+          gap: 6px;
+          padding: 4px 8px;
+          background: rgba(22, 22, 30, 0.9);
+          border: 1px solid rgba(96, 208, 240, 0.45);
+          border-radius: 4px;
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 8pt;
+          color: rgba(180, 180, 230, 0.85);
+        }
+
+        .calibration-form.visible { display: flex; }
+
+        .calibration-form input {
+          width: 7ch;
+          background: transparent;
+          border: none;
+          border-bottom: 1px solid rgba(96, 208, 240, 0.45);
+          color: #e0e0f8;
+          font: inherit;
+        }
+
+        .calibration-form button {
+          background: none;
+          border: 1px solid rgba(120, 120, 200, 0.3);
+          border-radius: 3px;
+          color: inherit;
+          font: inherit;
+          cursor: pointer;
+        }
+
+        .toolbar button {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          width: 28px;
+          height: 28px;
+          padding: 0;
+          background: rgba(22, 22, 30, 0.75);
+          border: 1px solid rgba(120, 120, 200, 0.25);
+          border-radius: 4px;
+          color: rgba(180, 180, 230, 0.7);
+          cursor: pointer;
+          backdrop-filter: blur(6px);
+          -webkit-backdrop-filter: blur(6px);
+          transition:
+            background 0.15s ease,
+            border-color 0.15s ease,
+            color 0.15s ease,
+            transform 0.15s ease,
+            box-shadow 0.15s ease;
+        }
+
+        .toolbar button:hover {
+          background: rgba(120, 120, 200, 0.18);
+          border-color: rgba(120, 120, 200, 0.55);
+          color: rgba(220, 220, 255, 1);
+          box-shadow: 0 0 8px rgba(120, 120, 200, 0.25);
+        }
+
+        .toolbar button:focus-visible,
+        .window-panel button:focus-visible {
+          outline: 2px solid rgba(150, 150, 230, 0.9);
+          outline-offset: 1px;
+        }
+
+        .toolbar button:active {
+          transform: scale(0.9);
+          background: rgba(120, 120, 200, 0.3);
+        }
+
+        .toolbar button.active {
+          background: rgba(120, 120, 200, 0.2);
+          border-color: rgba(120, 120, 200, 0.6);
+          color: rgba(200, 200, 255, 1);
+          box-shadow: 0 0 6px rgba(120, 120, 200, 0.3);
+        }
+
+        /* Window / level */
+        .window-panel {
+          position: absolute;
+          bottom: 10px;
+          left: 10px;
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 0 6px;
+          height: 28px;
+          background: rgba(22, 22, 30, 0.75);
+          border: 1px solid rgba(120, 120, 200, 0.25);
+          border-radius: 4px;
+          backdrop-filter: blur(6px);
+          -webkit-backdrop-filter: blur(6px);
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 8pt;
+          color: rgba(180, 180, 230, 0.7);
+          opacity: 0;
+          pointer-events: none;
+          transition: opacity 0.25s ease;
+        }
+
+        :host(.has-pixels.image-loaded) .window-panel {
+          opacity: 1;
+          pointer-events: all;
+        }
+
+        .window-panel input {
+          width: 6ch;
+          background: transparent;
+          border: none;
+          border-bottom: 1px solid rgba(120, 120, 200, 0.35);
+          color: #e0e0f8;
+          font: inherit;
+          -moz-appearance: textfield;
+        }
+
+        .window-panel input::-webkit-inner-spin-button { display: none; }
+
+        .window-panel button {
+          background: none;
+          border: none;
+          padding: 2px 4px;
+          border-radius: 3px;
+          color: inherit;
+          font: inherit;
+          letter-spacing: 0.08em;
+          text-transform: uppercase;
+          cursor: pointer;
+        }
+
+        .window-panel button:hover {
+          background: rgba(120, 120, 200, 0.18);
+          color: rgba(220, 220, 255, 1);
+        }
+
+        /* Pixel probe: image coordinate and values under the cursor */
+        .probe {
+          position: absolute;
+          bottom: 46px;
+          left: 10px;
+          display: none;
+          padding: 4px 8px;
+          background: rgba(22, 22, 30, 0.75);
+          border: 1px solid rgba(120, 120, 200, 0.25);
+          border-radius: 4px;
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 8pt;
+          color: rgba(180, 180, 230, 0.85);
+          white-space: pre;
+          pointer-events: none;
+        }
+
+        .probe.visible { display: block; }
+
+        canvas.lens {
+          position: absolute;
+          display: none;
+          width: ${LENS_SIZE}px;
+          height: ${LENS_SIZE}px;
+          border-radius: 50%;
+          box-shadow: 0 0 0 1px rgba(120, 120, 200, 0.55), 0 4px 16px rgba(0, 0, 0, 0.6);
+          pointer-events: none;
+        }
+
+        canvas.lens.visible { display: block; }
+
+        .toolbar .zoom-level {
+          display: flex;
+          align-items: center;
+          min-width: 5ch;
+          justify-content: flex-end;
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 8pt;
+          color: rgba(180, 180, 230, 0.7);
+          pointer-events: none;
+        }
+
+        .toolbar button svg {
+          width: 14px;
+          height: 14px;
+          flex-shrink: 0;
+          /* override the absolute-inset rule for the crosshair svg */
+          position: static;
+          inset: unset;
+          overflow: visible;
+        }
+      </style>
+
+      <div class="grid"></div>
+
+      <svg class="crosshair" viewBox="0 0 100 100" preserveAspectRatio="xMidYMid meet" xmlns="http://www.w3.org/2000/svg">
+        <line x1="50" y1="46"  x2="50" y2="37"  stroke="#7878d0" stroke-width="0.8" stroke-linecap="round" opacity="0.7"/>
+        <line x1="50" y1="54"  x2="50" y2="63"  stroke="#7878d0" stroke-width="0.8" stroke-linecap="round" opacity="0.7"/>
+        <line x1="46" y1="50"  x2="37" y2="50"  stroke="#7878d0" stroke-width="0.8" stroke-linecap="round" opacity="0.7"/>
+        <line x1="54" y1="50"  x2="63" y2="50"  stroke="#7878d0" stroke-width="0.8" stroke-linecap="round" opacity="0.7"/>
+        <circle cx="50" cy="50" r="1.4" fill="#7878d0" opacity="0.9"/>
+        <line x1="46" y1="46" x2="42" y2="42" stroke="#3a3a60" stroke-width="0.6" opacity="0.5"/>
+        <line x1="54" y1="46" x2="58" y2="42" stroke="#3a3a60" stroke-width="0.6" opacity="0.5"/>
+        <line x1="46" y1="54" x2="42" y2="58" stroke="#3a3a60" stroke-width="0.6" opacity="0.5"/>
+        <line x1="54" y1="54" x2="58" y2="58" stroke="#3a3a60" stroke-width="0.6" opacity="0.5"/>
+        <path d="M8,14 L8,8 L14,8"   fill="none" stroke="#4a4a9a" stroke-width="0.8" stroke-linecap="round" stroke-linejoin="round" opacity="0.8"/>
+        <path d="M86,8  L92,8 L92,14" fill="none" stroke="#4a4a9a" stroke-width="0.8" stroke-linecap="round" stroke-linejoin="round" opacity="0.8"/>
+        <path d="M8,86  L8,92 L14,92" fill="none" stroke="#4a4a9a" stroke-width="0.8" stroke-linecap="round" stroke-linejoin="round" opacity="0.8"/>
+        <path d="M86,92 L92,92 L92,86" fill="none" stroke="#4a4a9a" stroke-width="0.8" stroke-linecap="round" stroke-linejoin="round" opacity="0.8"/>
+      </svg>
+
+      <div class="viewport" tabindex="0">
+        <div class="stage">
+          <canvas class="image" role="img"></canvas>
+          <svg class="overlay annotations" xmlns="http://www.w3.org/2000/svg"></svg>
+          <svg class="overlay measurements" xmlns="http://www.w3.org/2000/svg"></svg>
+        </div>
+      </div>
+      <input class="annotation-text-input" type="text" data-i18n-label="image.annotation-text" />
+      <div class="user-label"></div>
+      <div class="probe" aria-hidden="true"></div>
+      <canvas class="lens" width="${LENS_SIZE}" height="${LENS_SIZE}"></canvas>
+
+      <div class="toolbar tools" role="toolbar" aria-orientation="vertical" data-i18n-label="image.toolbar.measure">
+        <button type="button" data-tool="line" data-i18n-title="image.line.title" data-i18n-label="image.line.label">
+          <!-- ruler icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <rect x="1" y="5" width="14" height="6" rx="0.5" transform="rotate(-45 8 8)"/>
+            <line x1="5.5" y1="7.5" x2="6.8" y2="8.8"/>
+            <line x1="7.6" y1="5.4" x2="8.9" y2="6.7"/>
+            <line x1="9.7" y1="3.3" x2="11" y2="4.6"/>
+          </svg>
+        </button>
+        <button type="button" data-tool="angle" data-i18n-title="image.angle.title" data-i18n-label="image.angle.label">
+          <!-- angle icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M14 3L2 13h12"/>
+            <path d="M7 13a5 5 0 0 0-1.5-3.6"/>
+          </svg>
+        </button>
+        <button type="button" data-tool="cobb" data-i18n-title="image.cobb.title" data-i18n-label="image.cobb.label">
+          <!-- two-lines icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <line x1="2" y1="3" x2="14" y2="6"/>
+            <line x1="2" y1="13" x2="14" y2="9"/>
+            <line x1="8" y1="5" x2="8" y2="11" stroke-dasharray="1.5 1.5"/>
+          </svg>
+        </button>
+        <button type="button" data-tool="rect" data-i18n-title="image.rect.title" data-i18n-label="image.rect.label">
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <rect x="2" y="3.5" width="12" height="9" rx="0.5" stroke-dasharray="2 1.5"/>
+          </svg>
+        </button>
+        <button type="button" data-tool="ellipse" data-i18n-title="image.ellipse.title" data-i18n-label="image.ellipse.label">
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <ellipse cx="8" cy="8" rx="6.5" ry="4.5" stroke-dasharray="2 1.5"/>
+          </svg>
+        </button>
+        <button type="button" data-tool="calibrate" data-i18n-title="image.calibrate.title" data-i18n-label="image.calibrate.label">
+          <!-- calibration icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <line x1="2" y1="8" x2="14" y2="8"/>
+            <line x1="2" y1="5" x2="2" y2="11"/>
+            <line x1="14" y1="5" x2="14" y2="11"/>
+            <path d="M6 5.5L8 3.5l2 2"/>
+          </svg>
+        </button>
+        <button type="button" class="btn-clear-measurements" data-i18n-title="image.clear-measurements.title" data-i18n-label="image.clear-measurements.label">
+          <!-- trash icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M2.5 4h11"/>
+            <path d="M6 4V2.5h4V4"/>
+            <path d="M4 4l.8 9.5h6.4L12 4"/>
+          </svg>
+        </button>
+      </div>
+
+      <div class="toolbar tools annotation-tools" role="toolbar" aria-orientation="vertical" data-i18n-label="image.toolbar.annotate">
+        <button type="button" data-tool="select" data-i18n-title="image.select.title" data-i18n-label="image.select.label">
+          <!-- pointer icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M3 2l9.5 6.5-4.5 1 2.5 4.5-1.8 1-2.5-4.5L3 13.5z"/>
+          </svg>
+        </button>
+        <button type="button" data-tool="arrow" data-i18n-title="image.arrow.title" data-i18n-label="image.arrow.label">
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <line x1="2.5" y1="13.5" x2="13" y2="3"/>
+            <path d="M7.5 3H13v5.5"/>
+          </svg>
+        </button>
+        <button type="button" data-tool="text" data-i18n-title="image.text.title" data-i18n-label="image.text.label">
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M3 4V2.5h10V4"/>
+            <line x1="8" y1="2.5" x2="8" y2="13.5"/>
+            <line x1="6" y1="13.5" x2="10" y2="13.5"/>
+          </svg>
+        </button>
+        <button type="button" data-tool="circle" data-i18n-title="image.circle.title" data-i18n-label="image.circle.label">
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <circle cx="8" cy="8" r="6"/>
+          </svg>
+        </button>
+        <button type="button" data-tool="freehand" data-i18n-title="image.freehand.title" data-i18n-label="image.freehand.label">
+          <!-- pen icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M11 2.5l2.5 2.5-8 8H3v-2.5z"/>
+            <line x1="9.5" y1="4" x2="12" y2="6.5"/>
+          </svg>
+        </button>
+        <input class="annotation-color" type="color" value="#ff5a5a" data-i18n-title="image.annotation-color" data-i18n-label="image.annotation-color" />
+        <button type="button" class="btn-undo" data-i18n-title="image.undo.title" data-i18n-label="image.undo.label" disabled>
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M5 3L2 6l3 3"/>
+            <path d="M2 6h7.5a4 4 0 0 1 0 8H6"/>
+          </svg>
+        </button>
+        <button type="button" class="btn-redo" data-i18n-title="image.redo.title" data-i18n-label="image.redo.label" disabled>
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M11 3l3 3-3 3"/>
+            <path d="M14 6H6.5a4 4 0 0 0 0 8H10"/>
+          </svg>
+        </button>
+      </div>
+
+      <form class="calibration-form">
+        <label><span data-i18n="image.calibration-length"></span> <input class="calibration-length" type="number" min="0" step="any" required /></label>
+        <button type="submit" data-i18n="image.calibration-apply"></button>
+        <button type="button" class="btn-cancel-calibration" data-i18n="image.calibration-cancel"></button>
+      </form>
+
+      <div class="window-panel" data-i18n-title="image.window-panel">
+        <label>W <input class="window-width" type="number" min="1" step="1" data-i18n-label="image.window-width" /></label>
+        <label>C <input class="window-center" type="number" step="1" data-i18n-label="image.window-center" /></label>
+        <button type="button" data-preset="auto" data-i18n="image.preset.auto" data-i18n-title="image.preset.auto.title"></button>
+        <button type="button" data-preset="bone" data-i18n="image.preset.bone" data-i18n-title="image.preset.bone.title"></button>
+        <button type="button" data-preset="soft-tissue" data-i18n="image.preset.soft-tissue" data-i18n-title="image.preset.soft-tissue.title"></button>
+      </div>
+
+      <div class="toolbar" role="toolbar" data-i18n-label="image.toolbar.view">
+        <span class="zoom-level"></span>
+        <button type="button" class="btn-fit" aria-keyshortcuts="0" data-fit="fit" data-i18n-title="image.fit.title" data-i18n-label="image.fit.label">
+          <!-- maximize icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M2 6V2h4"/>
+            <path d="M14 6V2h-4"/>
+            <path d="M2 10v4h4"/>
+            <path d="M14 10v4h-4"/>
+          </svg>
+        </button>
+        <button type="button" class="btn-fit-width" data-fit="fit-width" data-i18n-title="image.fit-width.title" data-i18n-label="image.fit-width.label">
+          <!-- arrows-horizontal icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <line x1="1.5" y1="8" x2="14.5" y2="8"/>
+            <path d="M4.5 5L1.5 8l3 3"/>
+            <path d="M11.5 5l3 3-3 3"/>
+            <line x1="1.5" y1="2" x2="1.5" y2="14" stroke-dasharray="2 2"/>
+            <line x1="14.5" y1="2" x2="14.5" y2="14" stroke-dasharray="2 2"/>
+          </svg>
+        </button>
+        <button type="button" class="btn-actual-size" data-fit="actual" data-i18n-title="image.actual-size.title" data-i18n-label="image.actual-size.label">
+          <!-- 1:1 icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M3 5l2-1.5V12"/>
+            <path d="M11 5l2-1.5V12"/>
+            <circle cx="8" cy="6.5" r="0.5" fill="currentColor"/>
+            <circle cx="8" cy="10" r="0.5" fill="currentColor"/>
+          </svg>
+        </button>
+        <button type="button" class="btn-rotate" aria-keyshortcuts="R" data-i18n-title="image.rotate.title" data-i18n-label="image.rotate.label">
+          <!-- rotate-cw icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M13.5 2.5v4h-4"/>
+            <path d="M13.28 6.35A6 6 0 1 0 12 12"/>
+          </svg>
+        </button>
+        <button type="button" class="btn-flip" aria-keyshortcuts="F" data-i18n-title="image.flip.title" data-i18n-label="image.flip.label">
+          <!-- flip-horizontal icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M3 2L8 8L3 14"/>
+            <path d="M13 2L8 8L13 14"/>
+            <line x1="8" y1="1" x2="8" y2="15" stroke-dasharray="2 2"/>
+          </svg>
+        </button>
+        <button type="button" class="btn-magnifier" data-i18n-label="image.magnifier.label">
+          <!-- magnifier icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <circle cx="6.5" cy="6.5" r="4.5"/>
+            <line x1="10" y1="10" x2="14.5" y2="14.5"/>
+            <line x1="4.5" y1="6.5" x2="8.5" y2="6.5"/>
+            <line x1="6.5" y1="4.5" x2="6.5" y2="8.5"/>
+          </svg>
+        </button>
+        <button type="button" class="btn-open" data-i18n-title="image.open.title" data-i18n-label="image.open.label">
+          <!-- external-link icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M7 3H3a1 1 0 0 0-1 1v9a1 1 0 0 0 1 1h9a1 1 0 0 0 1-1V9"/>
+            <path d="M10 2h4v4"/>
+            <line x1="14" y1="2" x2="7" y2="9"/>
+          </svg>
+        </button>
+        <button type="button" class="btn-download" data-i18n-title="image.download" data-i18n-label="image.download">
+          <!-- download icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <line x1="8" y1="2" x2="8" y2="10"/>
+            <path d="M4.5 6.5L8 10l3.5-3.5"/>
+            <path d="M2 11v2a1 1 0 0 0 1 1h10a1 1 0 0 0 1-1v-2"/>
+          </svg>
+        </button>
+        <button type="button" class="btn-print" aria-keyshortcuts="P" data-i18n-title="image.print" data-i18n-label="image.print">
+          <!-- printer icon -->
+          <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+            <rect x="4" y="1" width="8" height="5" rx="0.5"/>
+            <path d="M4 11H2.5A1.5 1.5 0 0 1 1 9.5v-3A1.5 1.5 0 0 1 2.5 5h11A1.5 1.5 0 0 1 15 6.5v3A1.5 1.5 0 0 1 13.5 11H12"/>
+            <rect x="4" y="9" width="8" height="6" rx="0.5"/>
+            <line x1="6" y1="12" x2="10" y2="12"/>
+            <line x1="6" y1="14" x2="10" y2="14"/>
+            <circle cx="12.5" cy="7.5" r="0.75" fill="currentColor" stroke="none"/>
+          </svg>
+        </button>
+      </div>
+    `;
+
+        shadow.querySelector('.user-label').textContent = this.label;
+
+        const stage = shadow.querySelector('.stage');
+        const animate = () => stage.classList.add('animate');
+
+        shadow.querySelector('.btn-rotate').addEventListener('click', () => this.rotate());
+        shadow.querySelector('.btn-flip').addEventListener('click', () => this.flip());
+
+        // Fit to window / fit width / 1:1 buttons
+        shadow.querySelectorAll('.toolbar [data-fit]').forEach((button) => {
+            button.addEventListener('click', () => {
+                animate();
+                this.fit(button.dataset.fit);
+            });
+        });
+
+        // Magnifier button: off, then each of MAGNIFICATIONS in turn
+        shadow.querySelector('.btn-magnifier').addEventListener('click', () => {
+            const next = MAGNIFICATIONS.find((factor) => factor > this._magnification);
+            this.magnification = next ?? 0;
+        });
+
+        // Print button: the page may take over (e.g. with a report layout) by cancelling print-request
+        shadow.querySelector('.btn-print').addEventListener('click', () => this.print());
+        // Download button: PNG as displayed, unless the page offers its own export by cancelling download-request
+        shadow.querySelector('.btn-download').addEventListener('click', () => {
+            if (!this.classList.contains('image-loaded')) return;
+            if (!this.dispatchEvent(new CustomEvent('download-request', { bubbles: true, composed: true, cancelable: true }))) return;
+
+            this.toBlob().then((blob) => {
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = 'x-ray.png';
+                a.click();
+                setTimeout(() => URL.revokeObjectURL(url), 10000);
+            });
+        });
+        shadow.querySelector('.btn-open').addEventListener('click', () => {
+            const blobUrl = this._toBlobUrl();
+            if (!blobUrl) return;
+
+            const a = document.createElement('a');
+            a.href = blobUrl;
+            a.target = '_blank';
+            a.rel = 'noopener noreferrer';
+            a.click();
+            // Revoke after a short delay to allow the tab to load
+            setTimeout(() => URL.revokeObjectURL(blobUrl), 10000);
+        });
+
+        // Window / level: numeric inputs, presets and right-drag
+        const widthInput = shadow.querySelector('.window-width');
+        const centerInput = shadow.querySelector('.window-center');
+        const onWindowInput = () => {
+            const width = Number(widthInput.value);
+            const center = Number(centerInput.value);
+            if (widthInput.value !== '' && centerInput.value !== '' && width >= 1) this.setWindow(center, width);
+        };
+        widthInput.addEventListener('change', onWindowInput);
+        centerInput.addEventListener('change', onWindowInput);
+
+        shadow.querySelectorAll('.window-panel [data-preset]').forEach((button) => {
+            button.addEventListener('click', () => this.applyWindowPreset(button.dataset.preset));
+        });
+
+        // Measurement tools
+        shadow.querySelectorAll('.tools [data-tool]').forEach((button) => {
+            button.addEventListener('click', () => {
+                this.tool = this._tool === button.dataset.tool ? null : button.dataset.tool;
+            });
+        });
+        shadow.querySelector('.btn-clear-measurements').addEventListener('click', () => this.clearMeasurements());
+
+        // Annotations
+        shadow.querySelector('.btn-undo').addEventListener('click', () => this.undo());
+        shadow.querySelector('.btn-redo').addEventListener('click', () => this.redo());
+
+        const textInput = shadow.querySelector('.annotation-text-input');
+        textInput.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.key === 'Enter') textInput.blur();
+            if (event.key === 'Escape') this._hideTextInput();
+        });
+        textInput.addEventListener('blur', () => {
+            const anchor = this._textAnchor;
+            const text = textInput.value.trim();
+            this._hideTextInput();
+            if (anchor && text) this._addAnnotation({ type: 'text', points: [anchor], text });
+        });
+
+        const calibrationForm = shadow.querySelector('.calibration-form');
+        calibrationForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this._applyCalibration(Number(shadow.querySelector('.calibration-length').value));
+        });
+        shadow.querySelector('.btn-cancel-calibration').addEventListener('click', () => {
+            this._hideCalibrationForm();
+            this._renderOverlay();
+        });
+
+        const viewport = shadow.querySelector('.viewport');
+
+        viewport.addEventListener('keydown', (event) => {
+            const key = event.key.toLowerCase();
+
+            if ((event.ctrlKey || event.metaKey) && key === 'z') {
+                event.preventDefault();
+                if (event.shiftKey) this.redo();
+                else this.undo();
+            } else if ((event.ctrlKey || event.metaKey) && key === 'y') {
+                event.preventDefault();
+                this.redo();
+            } else if (event.key === 'Escape' && this._draft) {
+                this._draft = null;
+                this._renderOverlay();
+            } else if ((event.key === 'Delete' || event.key === 'Backspace') && this._selectedAnnotationId) {
+                this.deleteSelectedAnnotation();
+            } else if ((event.key === 'Delete' || event.key === 'Backspace') && this._measurements.length) {
+                this._measurements.pop();
+                this._measurementsChanged();
+            }
+        });
+
+        viewport.addEventListener('contextmenu', (event) => {
+            if (this._pixels) event.preventDefault();
+        });
+
+        // Mouse wheel (and trackpad pinch, reported as ctrl+wheel) zooms around the cursor
+        viewport.addEventListener('wheel', (event) => {
+            if (!this.classList.contains('image-loaded')) return;
+
+            event.preventDefault();
+            if (event.shiftKey && this._magnification) {
+                this.magnification = this._magnification + (event.deltaY < 0 ? 1 : -1);
+                return;
+            }
+
+            stage.classList.remove('animate');
+            const delta = event.deltaMode === WheelEvent.DOM_DELTA_LINE ? event.deltaY * 16 : event.deltaY;
+            this.zoomAt(Math.exp(-delta * 0.0015), event.clientX, event.clientY);
+        }, { passive: false });
+
+        // Dragging with one pointer pans, two touch pointers pinch-zoom and pan together;
+        // the right mouse button adjusts window / level instead.
+        const pointers = new Map();
+        let gesture = null;
+
+        const startGesture = () => {
+            const points = [...pointers.values()];
+            gesture = points.length ? {
+                ...gesturePose(points),
+                zoom: this._zoom,
+                panX: this._panX,
+                panY: this._panY
+            } : null;
+            viewport.classList.toggle('panning', points.length > 0);
+        };
+
+        const gesturePose = (points) => {
+            const x = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+            const y = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+            const distance = points.length > 1 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) : 0;
+            return { x, y, distance };
+        };
+
+        const endPointer = (event) => {
+            if (!pointers.delete(event.pointerId)) return;
+            startGesture();
+        };
+
+        viewport.addEventListener('pointerdown', (event) => {
+            if (!this.classList.contains('image-loaded')) return;
+
+            if (event.button === 2 && event.pointerType === 'mouse') {
+                this._startWindowDrag(event, viewport);
+                return;
+            }
+            if (event.button !== 0 || pointers.size >= 2) return;
+
+            viewport.focus({ preventScroll: true });
+            stage.classList.remove('animate');
+
+            // With a measurement or annotation tool, a single pointer draws; a second touch still pinches
+            if (this._tool && pointers.size === 0) {
+                viewport.setPointerCapture(event.pointerId);
+                if (MEASUREMENT_TOOLS[this._tool]) this._measurePointerDown(event);
+                else this._annotatePointerDown(event);
+                return;
+            }
+            if (this._draft?.pressed) return;
+
+            viewport.setPointerCapture(event.pointerId);
+            pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            startGesture();
+        });
+
+        viewport.addEventListener('pointermove', (event) => {
+            if (this._draft && !pointers.size) {
+                this._measurePointerMove(event);
+                return;
+            }
+            if (this._annotationGesture) {
+                this._annotatePointerMove(event);
+                return;
+            }
+            if (!gesture || !pointers.has(event.pointerId)) return;
+
+            pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            const pose = gesturePose([...pointers.values()]);
+            const zoom = gesture.distance && pose.distance
+                ? Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, gesture.zoom * pose.distance / gesture.distance))
+                : gesture.zoom;
+
+            // Keep the image point that was under the gesture start under the current gesture center
+            const [startX, startY] = this._toViewportCenter(gesture.x, gesture.y);
+            const [x, y] = this._toViewportCenter(pose.x, pose.y);
+            this._panX = x - (startX - gesture.panX) * zoom / gesture.zoom;
+            this._panY = y - (startY - gesture.panY) * zoom / gesture.zoom;
+            this._zoom = zoom;
+            this._fitMode = null;
+            this._applyTransform();
+        });
+
+        // The probe and the lens follow a mouse or pen; under a finger they would be covered
+        viewport.addEventListener('pointermove', (event) => {
+            if (event.pointerType === 'touch') return;
+
+            this._probeClient = { x: event.clientX, y: event.clientY };
+            this._renderProbe();
+        });
+        viewport.addEventListener('pointerleave', () => {
+            this._probeClient = null;
+            this._renderProbe();
+        });
+
+        viewport.addEventListener('pointerup', (event) => {
+            if (this._draft?.pressed) this._measurePointerUp(event);
+            else if (this._annotationGesture) this._annotatePointerUp();
+            else endPointer(event);
+        });
+        viewport.addEventListener('pointercancel', (event) => {
+            if (this._draft?.pressed) this._draft = null;
+            if (this._annotationGesture) {
+                if (this._annotationGesture.before) this._annotations = this._annotationGesture.before;
+                this._annotationGesture = null;
+                this._renderAnnotations();
+            }
+            endPointer(event);
+            this._renderOverlay();
+        });
+    }
+
+    _annotationStyleContext() {
+        const canvas = this.shadowRoot.querySelector('canvas.image');
+        return { ...annotationStyle(canvas.width, canvas.height), rotation: this._rotation, flipped: this._flipped };
+    }
+
+    _annotatePointerDown(event) {
+        const point = this._toImagePoint(event.clientX, event.clientY);
+        const color = this.shadowRoot.querySelector('.annotation-color').value;
+
+        switch (this._tool) {
+            case 'select': {
+                const context = this._annotationStyleContext();
+                const hit = [...this._annotations].reverse()
+                    .find((a) => hitTestAnnotation(a, point, 6 / this._zoom, context));
+                this._selectedAnnotationId = hit?.id || null;
+                if (hit) this._annotationGesture = { type: 'move', start: point, before: this._annotations, moved: false };
+                break;
+            }
+            case 'text':
+                this._showTextInput(point, event);
+                break;
+            case 'freehand':
+                this._annotationGesture = { type: 'draw', annotation: { type: 'freehand', points: [point], color } };
+                break;
+            default:
+                this._annotationGesture = { type: 'draw', annotation: { type: this._tool, points: [point, { ...point }], color } };
+        }
+
+        this._renderAnnotations();
+    }
+
+    _annotatePointerMove(event) {
+        const gesture = this._annotationGesture;
+        const point = this._toImagePoint(event.clientX, event.clientY);
+
+        if (gesture.type === 'move') {
+            const dx = point.x - gesture.start.x, dy = point.y - gesture.start.y;
+            gesture.moved = true;
+            this._annotations = gesture.before.map((a) => a.id !== this._selectedAnnotationId ? a : {
+                ...a,
+                points: a.points.map((p) => ({ x: p.x + dx, y: p.y + dy }))
+            });
+        } else if (gesture.annotation.type === 'freehand') {
+            const points = gesture.annotation.points;
+            if (distance(points[points.length - 1], point) * this._zoom >= 2) points.push(point);
+        } else {
+            gesture.annotation.points[1] = point;
+        }
+
+        this._renderAnnotations();
+    }
+
+    _annotatePointerUp() {
+        const gesture = this._annotationGesture;
+        this._annotationGesture = null;
+
+        if (gesture.type === 'move') {
+            if (gesture.moved) {
+                const moved = this._annotations;
+                this._annotations = gesture.before;
+                this._changeAnnotations(moved);
+            }
+            return;
+        }
+
+        const { points } = gesture.annotation;
+        const length = points.length > 1 ? distance(points[0], points[points.length - 1]) * this._zoom : 0;
+        if (length >= 4 || (gesture.annotation.type === 'freehand' && points.length > 2)) {
+            this._addAnnotation(gesture.annotation);
+        } else {
+            this._renderAnnotations();
+        }
+    }
+
+    _addAnnotation(annotation) {
+        const color = annotation.color || this.shadowRoot.querySelector('.annotation-color').value;
+        this._changeAnnotations([...this._annotations, { id: crypto.randomUUID(), ...annotation, color }]);
+    }
+
+    _changeAnnotations(annotations) {
+        this._undoStack.push(this._annotations);
+        this._redoStack = [];
+        this._annotations = annotations;
+        this._annotationsChanged();
+    }
+
+    _annotationsChanged() {
+        if (!this._annotations.some((a) => a.id === this._selectedAnnotationId)) this._selectedAnnotationId = null;
+
+        this._renderAnnotations();
+        this.dispatchEvent(new CustomEvent('annotations-change', {
+            detail: { annotations: this.annotations },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    _showTextInput(point, event) {
+        const input = this.shadowRoot.querySelector('.annotation-text-input');
+        const rect = this.getBoundingClientRect();
+
+        this._textAnchor = point;
+        input.value = '';
+        input.style.left = `${event.clientX - rect.left}px`;
+        input.style.top = `${event.clientY - rect.top}px`;
+        input.classList.add('visible');
+        // Focus after the pointer sequence, otherwise the viewport takes the focus back
+        setTimeout(() => input.focus());
+    }
+
+    _hideTextInput() {
+        this._textAnchor = null;
+        this.shadowRoot?.querySelector('.annotation-text-input')?.classList.remove('visible');
+    }
+
+    _renderAnnotations() {
+        const shadow = this.shadowRoot;
+        if (!shadow) return;
+
+        const style = this._annotationStyleContext();
+        const selectedId = this._tool === 'select' ? this._selectedAnnotationId : null;
+        shadow.querySelector('svg.annotations').innerHTML = this._drawnAnnotations()
+            .map((annotation) => this._annotationMarkup(annotation, style, annotation.id === selectedId))
+            .join('');
+
+        shadow.querySelector('.btn-undo').disabled = !this._undoStack.length;
+        shadow.querySelector('.btn-redo').disabled = !this._redoStack.length;
+    }
+
+    // Stored annotations, and the one being drawn
+    _drawnAnnotations() {
+        return this._annotationGesture?.type === 'draw'
+            ? [...this._annotations, this._annotationGesture.annotation]
+            : this._annotations;
+    }
+
+    /** SVG markup of an annotation, matching what drawAnnotations() burns into exports. */
+    _annotationMarkup(annotation, { lineWidth, fontSize, rotation, flipped }, selected) {
+        const p = annotation.points;
+        const color = escapeXml(annotation.color);
+        const stroke = `stroke="${color}" stroke-width="${lineWidth}"`;
+        const frame = (x, y, width, height) => `<rect class="annotation" x="${x}" y="${y}" width="${width}" height="${height}" `
+            + `stroke="${color}" stroke-width="${lineWidth / 2}" stroke-dasharray="${lineWidth * 2} ${lineWidth * 2}"/>`;
+
+        let markup;
+        switch (annotation.type) {
+            case 'arrow': {
+                const { shaftEnd, head } = arrowGeometry(p[0], p[1], lineWidth);
+                markup = `<line class="annotation" x1="${p[0].x}" y1="${p[0].y}" x2="${shaftEnd.x}" y2="${shaftEnd.y}" ${stroke}/>`
+                    + `<polygon points="${head.map((point) => `${point.x},${point.y}`).join(' ')}" fill="${color}"/>`;
+                break;
+            }
+            case 'circle':
+                markup = `<circle class="annotation" cx="${p[0].x}" cy="${p[0].y}" r="${distance(p[0], p[1])}" ${stroke}/>`;
+                break;
+            case 'freehand':
+                markup = `<polyline class="annotation" points="${p.map((point) => `${point.x},${point.y}`).join(' ')}" ${stroke}/>`;
+                break;
+            case 'text': {
+                // Kept upright on screen, like the labels of measurements
+                const transform = [`translate(${p[0].x} ${p[0].y})`, flipped ? 'scale(-1 1)' : '', `rotate(${-rotation})`]
+                    .filter(Boolean).join(' ');
+                const selection = selected
+                    ? frame(-lineWidth, -lineWidth, textWidth(annotation, fontSize) + lineWidth * 2, fontSize * 1.2 + lineWidth * 2)
+                    : '';
+                return `<g transform="${transform}"><text class="annotation-text" font-size="${fontSize}" fill="${color}" `
+                    + `stroke-width="${fontSize / 6}">${escapeXml(annotation.text)}</text>${selection}</g>`;
+            }
+            default:
+                return '';
+        }
+
+        if (!selected) return markup;
+        const { x, y, width, height } = selectionFrame(annotation, lineWidth);
+        return markup + frame(x, y, width, height);
+    }
+
+    _measurePointerDown(event) {
+        const point = this._toImagePoint(event.clientX, event.clientY);
+        const tool = MEASUREMENT_TOOLS[this._tool];
+        const draft = this._draft;
+
+        if (!draft) {
+            this._draft = { type: this._tool, points: [point, { ...point }], floating: false };
+        } else if (tool.pairs && draft.points.length % 2 === 0 && !draft.floating) {
+            draft.points.push(point, { ...point });
+        } else {
+            draft.points[draft.points.length - 1] = point;
+        }
+
+        this._draft.pressed = true;
+        this._draft.downAt = { x: event.clientX, y: event.clientY };
+        this._renderOverlay();
+    }
+
+    _measurePointerMove(event) {
+        const draft = this._draft;
+        if (!draft.pressed && !draft.floating) return;
+
+        draft.points[draft.points.length - 1] = this._toImagePoint(event.clientX, event.clientY);
+        this._renderOverlay();
+    }
+
+    _measurePointerUp(event) {
+        const draft = this._draft;
+        const tool = MEASUREMENT_TOOLS[draft.type];
+        const points = draft.points;
+        points[points.length - 1] = this._toImagePoint(event.clientX, event.clientY);
+        draft.pressed = false;
+
+        // A click (rather than a drag) that would produce a zero-length segment keeps the point
+        // following the pointer until the next click.
+        const isClick = Math.hypot(event.clientX - draft.downAt.x, event.clientY - draft.downAt.y) < 4;
+        if (isClick && distance(points[points.length - 2], points[points.length - 1]) * this._zoom < 4) {
+            draft.floating = true;
+        } else if (points.length >= tool.points) {
+            this._draft = null;
+            this._commitMeasurement({ type: draft.type, points });
+        } else if (!tool.pairs) {
+            points.push({ ...points[points.length - 1] });
+            draft.floating = true;
+        } else {
+            draft.floating = false;
+        }
+
+        this._renderOverlay();
+    }
+
+    _commitMeasurement(measurement) {
+        if (measurement.type === 'calibrate') {
+            this._calibration = measurement;
+            const form = this.shadowRoot.querySelector('.calibration-form');
+            form.classList.add('visible');
+            form.querySelector('input').focus();
+            return;
+        }
+
+        if ((measurement.type === 'rect' || measurement.type === 'ellipse') && this._pixels) {
+            measurement.stats = roiStatistics(this._pixels, this._width, this._height, measurement);
+        }
+        this._measurements.push(measurement);
+        this._measurementsChanged();
+    }
+
+    _measurementsChanged() {
+        this._renderOverlay();
+        this.dispatchEvent(new CustomEvent('measurements-change', {
+            detail: { measurements: this.measurements },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    _applyCalibration(lengthMm) {
+        const calibration = this._calibration;
+        const lengthPx = calibration ? distance(calibration.points[0], calibration.points[1]) : 0;
+        if (!(lengthMm > 0) || !lengthPx) return;
+
+        this._hideCalibrationForm();
+        this.tool = null;
+        this.pixelSpacing = lengthMm / lengthPx;
+        this.dispatchEvent(new CustomEvent('calibrate', {
+            detail: { pixelSpacing: this.pixelSpacing },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    _hideCalibrationForm() {
+        this._calibration = null;
+        const form = this.shadowRoot?.querySelector('.calibration-form');
+        if (!form) return;
+
+        form.classList.remove('visible');
+        form.reset();
+    }
+
+    _formatLength(pixels) {
+        const spacing = this.pixelSpacing;
+        return spacing ? `${(pixels * spacing).toFixed(1)} mm` : `${pixels.toFixed(1)} px`;
+    }
+
+    _formatArea(pixels) {
+        const spacing = this.pixelSpacing;
+        return spacing ? `${(pixels * spacing * spacing).toFixed(1)} mm²` : `${Math.round(pixels)} px²`;
+    }
+
+    /** Converts client coordinates to image pixel coordinates, undoing pan, zoom, rotation and flip. */
+    _toImagePoint(clientX, clientY) {
+        const canvas = this.shadowRoot.querySelector('canvas.image');
+        let [x, y] = this._toViewportCenter(clientX, clientY);
+        x = (x - this._panX) / this._zoom;
+        y = (y - this._panY) / this._zoom;
+
+        const angle = -this._rotation * Math.PI / 180;
+        [x, y] = [x * Math.cos(angle) - y * Math.sin(angle), x * Math.sin(angle) + y * Math.cos(angle)];
+        if (this._flipped) x = -x;
+
+        return { x: x + canvas.width / 2, y: y + canvas.height / 2 };
+    }
+
+    /** SVG markup for a label at an image point that stays upright and unscaled on screen. */
+    _overlayLabel(point, lines, dy = 0) {
+        const transform = [
+            `translate(${point.x} ${point.y})`,
+            this._flipped ? 'scale(-1 1)' : '',
+            `rotate(${-this._rotation})`,
+            `scale(${1 / this._zoom})`
+        ].filter(Boolean).join(' ');
+
+        const text = lines.map((line, i) => `<tspan x="8" dy="${i ? 14 : dy}">${escapeXml(line)}</tspan>`).join('');
+        return `<g transform="${transform}"><text class="measurement-label">${text}</text></g>`;
+    }
+
+    _measurementMarkup(measurement, draft) {
+        const p = measurement.points;
+        const cls = ['measurement', measurement.type === 'calibrate' && 'calibrate', draft && 'draft'].filter(Boolean).join(' ');
+        const handleRadius = 3 / this._zoom;
+        const handles = p.map((point) => `<circle class="measurement-handle" cx="${point.x}" cy="${point.y}" r="${handleRadius}"/>`).join('');
+        const line = (a, b, c = cls) => `<line class="${c}" x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}"/>`;
+
+        switch (measurement.type) {
+            case 'line':
+            case 'calibrate': {
+                const middle = { x: (p[0].x + p[1].x) / 2, y: (p[0].y + p[1].y) / 2 };
+                return line(p[0], p[1]) + handles + this._overlayLabel(middle, [this._formatLength(distance(p[0], p[1]))]);
+            }
+            case 'angle': {
+                const path = `<polyline class="${cls}" points="${p.map((point) => `${point.x},${point.y}`).join(' ')}"/>`;
+                const label = p.length === 3 ? this._overlayLabel(p[1], [`${vertexAngle(p[0], p[1], p[2]).toFixed(1)}°`]) : '';
+                return path + handles + label;
+            }
+            case 'cobb': {
+                let markup = line(p[0], p[1]) + (p.length === 4 ? line(p[2], p[3]) : '') + handles;
+                if (p.length === 4) {
+                    const m1 = { x: (p[0].x + p[1].x) / 2, y: (p[0].y + p[1].y) / 2 };
+                    const m2 = { x: (p[2].x + p[3].x) / 2, y: (p[2].y + p[3].y) / 2 };
+                    const middle = { x: (m1.x + m2.x) / 2, y: (m1.y + m2.y) / 2 };
+                    markup += line(m1, m2, 'measurement-guide');
+                    markup += this._overlayLabel(middle, [`Cobb ${lineAngle(p[0], p[1], p[2], p[3]).toFixed(1)}°`]);
+                }
+                return markup;
+            }
+            case 'rect':
+            case 'ellipse': {
+                const x = Math.min(p[0].x, p[1].x), y = Math.min(p[0].y, p[1].y);
+                const w = Math.abs(p[1].x - p[0].x), h = Math.abs(p[1].y - p[0].y);
+                const shape = measurement.type === 'rect'
+                    ? `<rect class="${cls}" x="${x}" y="${y}" width="${w}" height="${h}"/>`
+                    : `<ellipse class="${cls}" cx="${x + w / 2}" cy="${y + h / 2}" rx="${w / 2}" ry="${h / 2}"/>`;
+                const area = measurement.type === 'rect' ? w * h : Math.PI * w * h / 4;
+                const lines = [this._formatArea(area)];
+                if (measurement.stats) lines.unshift(`μ ${measurement.stats.mean.toFixed(1)} σ ${measurement.stats.sd.toFixed(1)}`);
+                return shape + (draft ? '' : this._overlayLabel({ x: x + w, y: y + h }, lines));
+            }
+            default:
+                return '';
+        }
+    }
+
+    _renderOverlay() {
+        const shadow = this.shadowRoot;
+        if (!shadow) return;
+
+        const svg = shadow.querySelector('svg.measurements');
+        const items = [...this._measurements.map((m) => this._measurementMarkup(m, false))];
+        if (this._draft) items.push(this._measurementMarkup(this._draft, true));
+        if (this._calibration) items.push(this._measurementMarkup(this._calibration, true));
+        svg.innerHTML = items.join('');
+    }
+
+    _startWindowDrag(event, target) {
+        if (!this._pixels) return;
+
+        // Horizontal drag changes the width (contrast), vertical drag the center (brightness)
+        const start = { x: event.clientX, y: event.clientY, ...this._window };
+        const sensitivity = Math.max(1, this._range.max - this._range.min) / 512;
+
+        const onMove = (moveEvent) => {
+            this.setWindow(
+                start.center + (moveEvent.clientY - start.y) * sensitivity,
+                start.width + (moveEvent.clientX - start.x) * sensitivity);
+        };
+        const onUp = () => {
+            target.removeEventListener('pointermove', onMove);
+            target.removeEventListener('pointerup', onUp);
+            target.removeEventListener('pointercancel', onUp);
+        };
+
+        target.setPointerCapture(event.pointerId);
+        target.addEventListener('pointermove', onMove);
+        target.addEventListener('pointerup', onUp);
+        target.addEventListener('pointercancel', onUp);
+    }
+
+    /** Image size after rotation, i.e. the size of its bounding box at zoom 1. */
+    _rotatedSize() {
+        const canvas = this.shadowRoot?.querySelector('canvas.image');
+        if (!canvas) return [0, 0];
+
+        return this._rotation % 180 === 0 ? [canvas.width, canvas.height] : [canvas.height, canvas.width];
+    }
+
+    /** Converts client coordinates to coordinates relative to the viewport center. */
+    _toViewportCenter(clientX, clientY) {
+        const rect = this.shadowRoot.querySelector('.viewport').getBoundingClientRect();
+        return [clientX - rect.left - rect.width / 2, clientY - rect.top - rect.height / 2];
+    }
+
+    _applyTransform() {
+        const shadow = this.shadowRoot;
+        const stage = shadow.querySelector('.stage');
+        const canvas = shadow.querySelector('canvas.image');
+
+        stage.style.transform = [
+            `translate(${this._panX}px, ${this._panY}px)`,
+            `scale(${this._zoom})`,
+            `rotate(${this._rotation}deg)`,
+            this._flipped ? 'scaleX(-1)' : '',
+            `translate(${-canvas.width / 2}px, ${-canvas.height / 2}px)`
+        ].filter(Boolean).join(' ');
+
+        stage.classList.toggle('pixelated', this._zoom * (window.devicePixelRatio || 1) >= 3);
+        shadow.querySelector('.zoom-level').textContent = `${Math.round(this._zoom * 100)}%`;
+
+        // Labels and handles are counter-scaled, so they depend on the view
+        this._renderOverlay();
+        this._renderProbe();
+
+        if (!this._applyingView) {
+            this.dispatchEvent(new CustomEvent('view-change', { detail: this.view, bubbles: true, composed: true }));
+        }
+    }
+
+    _toBlobUrl() {
+        if (!this.classList.contains('image-loaded')) return null;
+
+        return dataUrlToBlobUrl(this._renderComposite().toDataURL('image/png'));
+    }
+
+    /**
+     * The displayed image with annotations burned in, at natural size and orientation.
+     * Text annotations are kept upright for the given rotation and flip (none by default).
+     */
+    _renderComposite(orientation = {}) {
+        const source = this.shadowRoot.querySelector('canvas.image');
+        if (!this._annotations.length) return source;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0);
+        drawAnnotations(ctx, this._annotations, { width: canvas.width, height: canvas.height, ...orientation });
+        return canvas;
+    }
+
+    _syncWindowInputs() {
+        const shadow = this.shadowRoot;
+        if (!shadow) return;
+
+        for (const [selector, value] of [['.window-width', this._window.width], ['.window-center', this._window.center]]) {
+            const input = shadow.querySelector(selector);
+            if (shadow.activeElement !== input) input.value = value;
+        }
+    }
+
+    _scheduleRender() {
+        if (this._renderPending) return;
+
+        this._renderPending = true;
+        requestAnimationFrame(() => {
+            this._renderPending = false;
+            this._renderPixels();
+        });
+    }
+
+    _renderPixels() {
+        if (!this._pixels || !this._imageData) return;
+
+        const lut = createWindowLut(this._window.center, this._window.width);
+        const out = new Uint32Array(this._imageData.data.buffer);
+        const pixels = this._pixels;
+        if (this._compare && this.compareMode) this._renderComparison(out, lut);
+        else for (let i = 0; i < pixels.length; i++) out[i] = lut[pixels[i]];
+
+        this.shadowRoot.querySelector('canvas.image').getContext('2d').putImageData(this._imageData, 0, 0);
+        this._renderProbe();
+    }
+
+    // Shows the image coordinate, raw value and displayed 8-bit value under the cursor, and the lens around it
+    _renderProbe() {
+        const shadow = this.shadowRoot;
+        if (!shadow) return;
+
+        const probe = shadow.querySelector('.probe');
+        const lens = shadow.querySelector('canvas.lens');
+        probe.classList.remove('visible');
+        lens.classList.remove('visible');
+
+        const client = this._probeClient;
+        if (!client || !this.classList.contains('image-loaded')) return;
+
+        const point = this._toImagePoint(client.x, client.y);
+        const x = Math.floor(point.x), y = Math.floor(point.y);
+        if (this._pixels && this._imageData && x >= 0 && y >= 0 && x < this._width && y < this._height) {
+            const index = y * this._width + x;
+            // The rendered pixel, so that compare modes show what is actually on screen
+            probe.textContent = t('image.probe')
+                .replace('{x}', x).replace('{y}', y)
+                .replace('{raw}', this._pixels[index]).replace('{display}', this._imageData.data[index * 4]);
+            probe.classList.add('visible');
+        }
+
+        if (this._magnification) this._renderLens(lens, point, client);
+    }
+
+    // Draws the image and annotations around an image point, magnified on top of the current zoom
+    _renderLens(lens, point, client) {
+        const ctx = lens.getContext('2d');
+        if (!ctx) return;
+
+        const rect = this.getBoundingClientRect();
+        const radius = LENS_SIZE / 2;
+        lens.style.left = `${client.x - rect.left - radius}px`;
+        lens.style.top = `${client.y - rect.top - radius}px`;
+
+        ctx.clearRect(0, 0, LENS_SIZE, LENS_SIZE);
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(radius, radius, radius, 0, Math.PI * 2);
+        ctx.clip();
+        ctx.fillStyle = '#0a0a10';
+        ctx.fillRect(0, 0, LENS_SIZE, LENS_SIZE);
+
+        // Same transform as the stage (see _applyTransform), centered on the point
+        ctx.translate(radius, radius);
+        ctx.scale(this._zoom * this._magnification, this._zoom * this._magnification);
+        ctx.rotate(this._rotation * Math.PI / 180);
+        if (this._flipped) ctx.scale(-1, 1);
+        ctx.translate(-point.x, -point.y);
+        ctx.imageSmoothingEnabled = false;
+        const canvas = this.shadowRoot.querySelector('canvas.image');
+        ctx.drawImage(canvas, 0, 0);
+        drawAnnotations(ctx, this._drawnAnnotations(), {
+            width: canvas.width,
+            height: canvas.height,
+            rotation: this._rotation,
+            flipped: this._flipped
+        });
+        ctx.restore();
+
+        ctx.strokeStyle = 'rgba(240, 192, 64, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(radius - 8, radius + 0.5);
+        ctx.lineTo(radius + 8, radius + 0.5);
+        ctx.moveTo(radius + 0.5, radius - 8);
+        ctx.lineTo(radius + 0.5, radius + 8);
+        ctx.stroke();
+
+        ctx.font = "8pt 'IBM Plex Mono', monospace";
+        ctx.textAlign = 'center';
+        ctx.fillStyle = 'rgba(200, 200, 240, 0.85)';
+        ctx.fillText(`${this._magnification}×`, radius, LENS_SIZE - 12);
+
+        lens.classList.add('visible');
+    }
+
+    _renderComparison(out, lut) {
+        const { pixels: comparePixels, width: compareWidth, height: compareHeight, range } = this._compare;
+
+        // Window the compared exposure at the same position relative to its own auto range,
+        // so that differences in overall exposure do not dominate the comparison
+        const [lo, hi] = presetRange(this._histogram, this._pixels.length, 'auto');
+        const scale = (range[1] - range[0]) / Math.max(1, hi - lo);
+        const compareLut = createWindowLut(range[0] + (this._window.center - lo) * scale, Math.max(1, this._window.width * scale));
+
+        const columns = new Uint32Array(this._width);
+        for (let x = 0; x < this._width; x++) columns[x] = Math.min(compareWidth - 1, Math.floor(x * compareWidth / this._width));
+
+        const opacity = this.compareOpacity;
+        const difference = this.compareMode === 'difference';
+        for (let y = 0; y < this._height; y++) {
+            const row = y * this._width;
+            const compareRow = Math.min(compareHeight - 1, Math.floor(y * compareHeight / this._height)) * compareWidth;
+            for (let x = 0; x < this._width; x++) {
+                const a = lut[this._pixels[row + x]] & 0xFF;
+                const b = compareLut[comparePixels[compareRow + columns[x]]] & 0xFF;
+                // Difference: identical pixels are mid-gray, brighter where this image is brighter
+                const gray = difference
+                    ? Math.min(255, Math.max(0, 128 + ((a - b) >> 1)))
+                    : Math.round(a + (b - a) * opacity);
+                out[row + x] = 0xFF000000 | (gray << 16) | (gray << 8) | gray;
+            }
+        }
+    }
+
+    _applyState() {
+        const shadow = this.shadowRoot;
+        const src = this.src;
+        const canvas = shadow.querySelector('canvas.image');
+
+        // Reset rotation, flip and zoom when a new image is set
+        this._rotation = 0;
+        this._flipped = false;
+        this._fitMode = 'fit';
+        this._syncFlipButton();
+        shadow.querySelector('.stage').classList.remove('animate');
+
+        this.classList.remove('image-loaded', 'has-pixels');
+        canvas.classList.remove('loaded');
+        canvas.setAttribute('aria-label', this.label || t('image.canvas'));
+        this._imageData = null;
+        this._pendingImage = null;
+        this.tool = null;
+        this.clearMeasurements();
+        this.annotations = [];
+
+        if (this._pixels) {
+            this.classList.add('has-src', 'has-pixels');
+            canvas.width = this._width;
+            canvas.height = this._height;
+            this._imageData = new ImageData(this._width, this._height);
+
+            this.applyWindowPreset('auto');
+            this._renderPixels();
+            this._imageReady();
+        } else if (src) {
+            this.classList.add('has-src');
+
+            const image = new Image();
+            this._pendingImage = image;
+
+            image.onload = () => {
+                if (this._pendingImage !== image) return;
+
+                canvas.width = image.naturalWidth;
+                canvas.height = image.naturalHeight;
+                canvas.getContext('2d').drawImage(image, 0, 0);
+                this._imageReady();
+            };
+            image.onerror = () => {
+                if (this._pendingImage !== image) return;
+
+                this.classList.remove('has-src', 'image-loaded');
+            };
+            image.src = src;
+        } else {
+            this.classList.remove('has-src');
+            canvas.width = 0;
+            canvas.height = 0;
+        }
+    }
+
+    _imageReady() {
+        const shadow = this.shadowRoot;
+        const canvas = shadow.querySelector('canvas.image');
+
+        for (const overlay of shadow.querySelectorAll('svg.overlay')) {
+            overlay.setAttribute('width', canvas.width);
+            overlay.setAttribute('height', canvas.height);
+            overlay.setAttribute('viewBox', `0 0 ${canvas.width} ${canvas.height}`);
+        }
+        this._renderAnnotations();
+
+        this.fit();
+        canvas.classList.add('loaded');
+        this.classList.add('image-loaded');
+    }
+}
+
+customElements.define('metadata-image', MetadataImage);
+
+class ThumbnailStrip extends HTMLElement {
+    static get observedAttributes() {
+        return ['selected'];
+    }
+
+    constructor() {
+        super();
+        this._groups = [];
+    }
+
+    get selected() { return this.getAttribute('selected') || ''; }
+    set selected(val) {
+        if (val) this.setAttribute('selected', val);
+        else this.removeAttribute('selected');
+    }
+
+    /**
+     * Sets the thumbnails, grouped under captions:
+     * [{ caption, items: [{ id, label, detail, title, pixels, width, height }] }]
+     */
+    setGroups(groups) {
+        this._groups = groups || [];
+        if (this.shadowRoot) this._render();
+    }
+
+    connectedCallback() {
+        if (!this.shadowRoot) this._render();
+    }
+
+    attributeChangedCallback(name) {
+        if (name === 'selected') this._syncSelection();
+    }
+
+    _render() {
+        const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' });
+
+        shadow.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          overflow-y: auto;
+          box-sizing: border-box;
+          background: #16161e;
+          border: 1px solid #2a2a3a;
+          border-radius: 6px;
+          box-shadow:
+            0 0 0 1px rgba(120,120,200,0.05),
+            0 8px 32px rgba(0,0,0,0.5),
+            0 2px 8px rgba(0,0,0,0.4);
+          font-family: 'IBM Plex Sans', 'Segoe UI', sans-serif;
+        }
+
+        .list {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+          padding: 8px;
+        }
+
+        .caption {
+          flex-basis: 100%;
+          padding: 4px 2px 0;
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 8pt;
+          font-weight: 600;
+          letter-spacing: 0.08em;
+          text-transform: uppercase;
+          color: #8888b0;
+        }
+
+        .item {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 4px;
+          width: 128px;
+          padding: 6px;
+          background: #1a1a28;
+          border: 1px solid #2a2a3a;
+          border-radius: 4px;
+          color: #d0d0e8;
+          font: inherit;
+          cursor: pointer;
+          transition: border-color 0.15s ease, box-shadow 0.15s ease;
+        }
+
+        .item:hover {
+          border-color: rgba(120, 120, 200, 0.55);
+        }
+
+        .item.selected {
+          border-color: #7878d0;
+          box-shadow: 0 0 8px rgba(120, 120, 200, 0.35);
+        }
+
+        canvas {
+          display: block;
+          max-width: 100%;
+          border-radius: 2px;
+        }
+
+        .label {
+          font-size: 8pt;
+          text-align: center;
+        }
+
+        .detail {
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 7pt;
+          color: #7878a0;
+        }
+      </style>
+
+      <div class="list" role="listbox"></div>
+    `;
+
+        const list = shadow.querySelector('.list');
+
+        for (const group of this._groups) {
+            if (group.caption) {
+                const caption = document.createElement('div');
+                caption.className = 'caption';
+                caption.textContent = group.caption;
+                list.appendChild(caption);
+            }
+
+            for (const item of group.items) {
+                const button = document.createElement('button');
+                button.className = 'item';
+                button.type = 'button';
+                button.dataset.id = item.id;
+                button.title = item.title || '';
+                button.setAttribute('role', 'option');
+                button.innerHTML = `<canvas></canvas><span class="label"></span><span class="detail"></span>`;
+                button.querySelector('.label').textContent = item.label || '';
+                button.querySelector('.detail').textContent = item.detail || '';
+                renderThumbnail(button.querySelector('canvas'), item.pixels, item.width, item.height, 116);
+
+                button.addEventListener('click', () => {
+                    this.selected = item.id;
+                    this.dispatchEvent(new CustomEvent('select', { detail: { id: item.id }, bubbles: true, composed: true }));
+                });
+                list.appendChild(button);
+            }
+        }
+
+        this._syncSelection();
+    }
+
+    _syncSelection() {
+        if (!this.shadowRoot) return;
+
+        for (const button of this.shadowRoot.querySelectorAll('.item')) {
+            const selected = button.dataset.id === this.selected;
+            button.classList.toggle('selected', selected);
+            button.setAttribute('aria-selected', selected);
+            if (selected) button.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+}
+
+customElements.define('thumbnail-strip', ThumbnailStrip);
+
+class LoadingOverlay extends HTMLElement {
+  static get observedAttributes() {
+        return ['message', 'note', 'visible', 'progress', 'cancel-label'];
+    }
+
+  get visible() { return this.getAttribute('visible') === 'true'; }
+  set visible(val) {
+        if (val) this.setAttribute('visible', 'true');
+        else this.removeAttribute('visible');
+    }
+
+  get message() { return this.getAttribute('message') || ''; }
+  set message(val) { this.setAttribute('message', val); }
+
+  get note() {
+        return this.getAttribute('note') || '';
+    }
+  set note(val) { this.setAttribute('note', val); }
+
+    /** Completed fraction (0–1) shown as a progress bar; null hides the bar. */
+    get progress() {
+        const value = parseFloat(this.getAttribute('progress'));
+        return Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : null;
+    }
+    set progress(val) {
+        if (val == null) this.removeAttribute('progress');
+        else this.setAttribute('progress', String(val));
+    }
+
+    /** Has screen readers read out a message, e.g. that loading finished, whether or not the overlay is visible. */
+    announce(message) {
+        if (!this.shadowRoot) this._build();
+
+        const region = this.shadowRoot.querySelector('.announcement');
+        // Emptied first, so that the same message twice in a row is read out again
+        region.textContent = '';
+        clearTimeout(this._announceTimer);
+        this._announceTimer = setTimeout(() => { region.textContent = message; }, 100);
+    }
+
+    connectedCallback() {
+        if (!this.shadowRoot) this._build();
+        this._syncVisibility();
+        this._syncProgress();
+        this._syncCancel();
+    }
+
+    attributeChangedCallback(name) {
+        if (!this.shadowRoot) return;
+        if (name === 'visible') this._syncVisibility();
+        if (name === 'message') {
+            const el = this.shadowRoot.querySelector('.message');
+            if (el) el.textContent = this.message;
+        }
+        if (name === 'note') {
+            const el = this.shadowRoot.querySelector('.note');
+            if (el) el.textContent = this.note;
+        }
+        if (name === 'progress') this._syncProgress();
+        if (name === 'cancel-label') this._syncCancel();
+    }
+
+    _build() {
+        const shadow = this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+      <style>
+        :host {
+          /* honour the user's .overlay positioning rules */
+          position: absolute;
+          width: 100%;
+          height: 100%;
+          top: 0;
+          left: 0;
+          z-index: 9999;
+          /* visual treatment */
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: rgba(10, 10, 14, 0.82);
+          backdrop-filter: blur(6px);
+          -webkit-backdrop-filter: blur(6px);
+          transition: opacity 0.25s ease, visibility 0.25s ease;
+          opacity: 1;
+          visibility: visible;
+          box-sizing: border-box;
+        }
+
+        :host(:not([visible])) {
+          opacity: 0;
+          visibility: hidden;
+          pointer-events: none;
+        }
+
+        /* non-modal: the page underneath stays usable (zoom, scroll) */
+        :host([floating]) {
+          align-items: flex-end;
+          padding-bottom: 32px;
+          background: none;
+          backdrop-filter: none;
+          -webkit-backdrop-filter: none;
+          pointer-events: none;
+        }
+
+        :host([floating]) .card {
+          pointer-events: auto;
+        }
+
+        /* card */
+        .card {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 20px;
+          padding: 32px 40px;
+          background: #16161e;
+          border: 1px solid #2a2a3a;
+          border-radius: 8px;
+          box-shadow:
+            0 0 0 1px rgba(120,120,200,0.06),
+            0 16px 48px rgba(0,0,0,0.7),
+            0 4px 12px rgba(0,0,0,0.5);
+          position: relative;
+          overflow: hidden;
+        }
+
+        /* top accent bar */
+        .card::before {
+          content: '';
+          position: absolute;
+          top: 0; left: 0; right: 0;
+          height: 2px;
+          background: linear-gradient(90deg, #4a4a9a 0%, #7878d0 50%, #4a4a9a 100%);
+          background-size: 200% 100%;
+          animation: shimmer 2.5s linear infinite;
+        }
+
+        @keyframes shimmer {
+          0%   { background-position: 200% 0; }
+          100% { background-position: -200% 0; }
+        }
+
+        /* spinner */
+        .spinner-wrap {
+          position: relative;
+          width: 52px;
+          height: 52px;
+        }
+
+        .ring {
+          position: absolute;
+          inset: 0;
+          border-radius: 50%;
+          border: 1.5px solid transparent;
+        }
+
+        .ring-outer {
+          border-top-color: #7878d0;
+          border-right-color: rgba(120,120,208,0.25);
+          border-bottom-color: transparent;
+          border-left-color: rgba(120,120,208,0.25);
+          animation: spin 1.1s cubic-bezier(0.4, 0, 0.2, 1) infinite;
+        }
+
+        .ring-inner {
+          inset: 9px;
+          border-top-color: transparent;
+          border-right-color: transparent;
+          border-bottom-color: #4a4a9a;
+          border-left-color: rgba(74,74,154,0.3);
+          animation: spin 0.75s cubic-bezier(0.4, 0, 0.2, 1) infinite reverse;
+        }
+
+        .ring-dot {
+          inset: 22px;
+          border-radius: 50%;
+          background: #7878d0;
+          border: none;
+          opacity: 0.9;
+          animation: pulse 1.1s ease-in-out infinite;
+        }
+
+        @keyframes spin {
+          to { transform: rotate(360deg); }
+        }
+
+        @keyframes pulse {
+          0%, 100% { opacity: 0.9; transform: scale(1); }
+          50%       { opacity: 0.4; transform: scale(0.6); }
+        }
+
+        /* text */
+        .message {
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 12pt;
+          font-weight: 600;
+          color: #c8c8e8;
+          letter-spacing: 0.06em;
+          text-align: center;
+        }
+
+        .note {
+          font-family: 'IBM Plex Sans', sans-serif;
+          font-size: 9pt;
+          color: #5a5a7a;
+          letter-spacing: 0.03em;
+          text-align: center;
+          max-width: 260px;
+          line-height: 1.6;
+        }
+
+        .progress {
+          width: 220px;
+          height: 4px;
+          background: #2a2a3a;
+          border-radius: 2px;
+          overflow: hidden;
+        }
+
+        .progress-fill {
+          height: 100%;
+          width: 0;
+          background: #7878d0;
+          transition: width 0.15s linear;
+        }
+
+        .btn-cancel {
+          padding: 4px 16px;
+          background: #1e1e2c;
+          border: 1px solid #2a2a3a;
+          border-radius: 4px;
+          color: #c8c8e8;
+          font-family: 'IBM Plex Sans', sans-serif;
+          font-size: 9pt;
+          cursor: pointer;
+        }
+
+        .btn-cancel:hover {
+          border-color: #7878d0;
+          color: #e0e0f8;
+        }
+
+        [hidden] { display: none; }
+
+        /* read out, not shown; stays in the accessibility tree while the host is hidden */
+        .announcement {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          overflow: hidden;
+          clip-path: inset(50%);
+          white-space: nowrap;
+          visibility: visible;
+        }
+      </style>
+
+      <div class="announcement" role="status" aria-live="polite"></div>
+      <div class="card">
+        <div class="spinner-wrap">
+          <div class="ring ring-outer"></div>
+          <div class="ring ring-inner"></div>
+          <div class="ring ring-dot"></div>
+        </div>
+        <div class="message" role="status">${this.message}</div>
+        <div class="note">${this.note}</div>
+        <div class="progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" hidden>
+          <div class="progress-fill"></div>
+        </div>
+        <button class="btn-cancel" type="button" hidden></button>
+      </div>
+    `;
+
+        shadow.querySelector('.btn-cancel').addEventListener('click', () => {
+            this.dispatchEvent(new CustomEvent('cancel', { bubbles: true }));
+        });
+    }
+
+    _syncProgress() {
+        const bar = this.shadowRoot.querySelector('.progress');
+        const progress = this.progress;
+        bar.hidden = progress === null;
+        if (progress === null) return;
+
+        const percent = Math.round(progress * 100);
+        bar.setAttribute('aria-valuenow', String(percent));
+        bar.querySelector('.progress-fill').style.width = `${percent}%`;
+    }
+
+    _syncCancel() {
+        const button = this.shadowRoot.querySelector('.btn-cancel');
+        const label = this.getAttribute('cancel-label');
+        button.hidden = !label;
+        button.textContent = label || '';
+    }
+
+    _syncVisibility() {
+        // visibility is driven purely by the [visible] attribute via CSS :host selector
+        // nothing extra needed — kept for potential future hooks
+    }
+}
+
+customElements.define('loading-overlay', LoadingOverlay);
+
+const NOTIFICATION_ICONS = {
+    info: '<circle cx="8" cy="8" r="6.5"/><line x1="8" y1="7" x2="8" y2="11.5"/><circle cx="8" cy="4.8" r="0.4"/>',
+    warning: '<path d="M8 1.8L15 14H1z"/><line x1="8" y1="6" x2="8" y2="9.8"/><circle cx="8" cy="11.8" r="0.4"/>',
+    error: '<circle cx="8" cy="8" r="6.5"/><line x1="5.5" y1="5.5" x2="10.5" y2="10.5"/><line x1="10.5" y1="5.5" x2="5.5" y2="10.5"/>'
+};
+
+// In-page replacement for alert() / confirm(): a stack of dismissible messages
+class AppNotification extends HTMLElement {
+    connectedCallback() {
+        if (!this.shadowRoot) this._build();
+    }
+
+    /**
+     * Shows a message and resolves with the value of the clicked action,
+     * or null when it is dismissed or times out (timeout 0 keeps it open).
+     * @param {string} message
+     * @param {{ type?: 'info' | 'warning' | 'error', timeout?: number, actions?: { label: string, value: string }[] }} [options]
+     * @returns {Promise<string | null>}
+     */
+    show(message, { type = 'info', timeout = 6000, actions = [] } = {}) {
+        if (!this.shadowRoot) this._build();
+
+        const item = document.createElement('div');
+        item.className = `item ${type}`;
+        item.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        item.innerHTML = `
+        <svg class="icon" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round">
+          ${NOTIFICATION_ICONS[type] || NOTIFICATION_ICONS.info}
+        </svg>
+        <div class="message"></div>
+        <div class="actions"></div>
+        <button class="btn-close" type="button" data-i18n-title="notification.dismiss.title" data-i18n-label="notification.dismiss.label">
+          <svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round">
+            <line x1="4" y1="4" x2="12" y2="12"/><line x1="12" y1="4" x2="4" y2="12"/>
+          </svg>
+        </button>
+      `;
+        item.querySelector('.message').textContent = message;
+        translateElements(item);
+
+        return new Promise((resolve) => {
+            let timer = 0;
+            const close = (value) => {
+                clearTimeout(timer);
+                item.remove();
+                resolve(value);
+            };
+
+            const actionsContainer = item.querySelector('.actions');
+            for (const action of actions) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = action.label;
+                button.addEventListener('click', () => close(action.value));
+                actionsContainer.appendChild(button);
+            }
+
+            item.querySelector('.btn-close').addEventListener('click', () => close(null));
+            if (timeout > 0) timer = setTimeout(() => close(null), timeout);
+
+            this.shadowRoot.querySelector('.stack').appendChild(item);
+            (actionsContainer.querySelector('button') || item.querySelector('.btn-close')).focus?.();
+        });
+    }
+
+    /**
+     * Asks a yes/no question; stays open until answered.
+     * @returns {Promise<boolean>}
+     */
+    confirm(message, { confirmLabel = t('notification.ok'), cancelLabel = t('notification.cancel'), type = 'warning' } = {}) {
+        return this.show(message, {
+            type,
+            timeout: 0,
+            actions: [{ label: confirmLabel, value: 'confirm' }, { label: cancelLabel, value: 'cancel' }]
+        }).then((value) => value === 'confirm');
+    }
+
+    _build() {
+        const shadow = this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+      <style>
+        :host {
+          position: fixed;
+          top: 12px;
+          right: 12px;
+          z-index: 10000;
+          pointer-events: none;
+        }
+
+        .stack {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          width: min(380px, calc(100vw - 24px));
+        }
+
+        .item {
+          display: grid;
+          grid-template-columns: auto 1fr auto;
+          grid-template-areas:
+            "icon message close"
+            ".    actions close";
+          align-items: start;
+          gap: 6px 10px;
+          padding: 12px 12px 12px 14px;
+          background: #16161e;
+          border: 1px solid #2a2a3a;
+          border-left: 3px solid #7878d0;
+          border-radius: 6px;
+          box-shadow:
+            0 0 0 1px rgba(120,120,200,0.06),
+            0 16px 48px rgba(0,0,0,0.7),
+            0 4px 12px rgba(0,0,0,0.5);
+          color: #c8c8e8;
+          font-family: 'IBM Plex Sans', 'Segoe UI', sans-serif;
+          font-size: 10pt;
+          line-height: 1.5;
+          pointer-events: auto;
+          animation: slide-in 0.2s ease;
+        }
+
+        .item.warning { border-left-color: #d0a848; }
+        .item.error   { border-left-color: #d05a5a; }
+
+        @keyframes slide-in {
+          from { opacity: 0; transform: translateY(-6px); }
+          to   { opacity: 1; transform: none; }
+        }
+
+        .icon {
+          grid-area: icon;
+          width: 16px;
+          height: 16px;
+          margin-top: 2px;
+          color: #7878d0;
+        }
+
+        .warning .icon { color: #d0a848; }
+        .error .icon   { color: #d05a5a; }
+
+        .message {
+          grid-area: message;
+          overflow-wrap: anywhere;
+        }
+
+        .actions {
+          grid-area: actions;
+          display: flex;
+          gap: 6px;
+        }
+
+        .actions:empty {
+          display: none;
+        }
+
+        .actions button {
+          padding: 4px 12px;
+          background: #1e1e2c;
+          border: 1px solid #2a2a3a;
+          border-radius: 4px;
+          color: #c8c8e8;
+          font: inherit;
+          font-size: 9pt;
+          cursor: pointer;
+        }
+
+        .actions button:first-child {
+          border-color: #4a4a9a;
+          background: rgba(120, 120, 200, 0.18);
+        }
+
+        .actions button:hover,
+        .btn-close:hover {
+          border-color: #7878d0;
+          color: #e0e0f8;
+        }
+
+        .btn-close {
+          grid-area: close;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          width: 22px;
+          height: 22px;
+          padding: 0;
+          background: transparent;
+          border: 1px solid transparent;
+          border-radius: 4px;
+          color: #5a5a7a;
+          cursor: pointer;
+        }
+
+        .btn-close svg {
+          width: 12px;
+          height: 12px;
+        }
+      </style>
+
+      <div class="stack" aria-live="polite"></div>
+    `;
+    }
+}
+
+customElements.define('app-notification', AppNotification);
+
+// Persistent list of problems with the opened files; stays until closed or replaced
+class ErrorPanel extends HTMLElement {
+    connectedCallback() {
+        if (!this.shadowRoot) this._build();
+    }
+
+    /**
+     * Replaces the panel content and shows it.
+     * @param {string} heading
+     * @param {{ title: string, message: string, detail?: string }[]} items - detail is shown collapsed, e.g. a technical error message
+     */
+    show(heading, items) {
+        if (!this.shadowRoot) this._build();
+
+        translateElements(this.shadowRoot);
+        this.shadowRoot.querySelector('.heading').textContent = heading;
+        const list = this.shadowRoot.querySelector('.items');
+        list.replaceChildren(...items.map(({ title, message, detail }) => {
+            const item = document.createElement('li');
+            item.innerHTML = `<span class="title"></span> <span class="message"></span>`;
+            item.querySelector('.title').textContent = title;
+            item.querySelector('.message').textContent = message;
+
+            if (detail) {
+                const details = document.createElement('details');
+                details.innerHTML = '<summary>…</summary><code></code>';
+                details.querySelector('code').textContent = detail;
+                item.appendChild(details);
+            }
+            return item;
+        }));
+
+        this.hidden = false;
+    }
+
+    close() {
+        this.hidden = true;
+        this.shadowRoot?.querySelector('.items').replaceChildren();
+    }
+
+    _build() {
+        const shadow = this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          margin: 8px 0;
+          padding: 10px 12px 10px 14px;
+          background: #16161e;
+          border: 1px solid #2a2a3a;
+          border-left: 3px solid #d05a5a;
+          border-radius: 6px;
+          color: #c8c8e8;
+          font-family: 'IBM Plex Sans', 'Segoe UI', sans-serif;
+          font-size: 10pt;
+          line-height: 1.5;
+        }
+
+        :host([hidden]) {
+          display: none;
+        }
+
+        .header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 10px;
+        }
+
+        .heading {
+          font-weight: 600;
+          color: #e0a0a0;
+        }
+
+        .items {
+          margin: 6px 0 0;
+          padding-left: 18px;
+        }
+
+        .title {
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 9pt;
+          overflow-wrap: anywhere;
+        }
+
+        details {
+          color: #5a5a7a;
+          font-size: 9pt;
+        }
+
+        summary {
+          cursor: pointer;
+        }
+
+        code {
+          white-space: pre-wrap;
+          overflow-wrap: anywhere;
+        }
+
+        .btn-close {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          width: 22px;
+          height: 22px;
+          padding: 0;
+          background: transparent;
+          border: 1px solid transparent;
+          border-radius: 4px;
+          color: #5a5a7a;
+          cursor: pointer;
+        }
+
+        .btn-close:hover {
+          border-color: #7878d0;
+          color: #e0e0f8;
+        }
+
+        .btn-close svg {
+          width: 12px;
+          height: 12px;
+        }
+      </style>
+
+      <div class="header">
+        <span class="heading"></span>
+        <button class="btn-close" type="button" data-i18n-title="error-panel.close.title" data-i18n-label="error-panel.close.label">
+          <svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round">
+            <line x1="4" y1="4" x2="12" y2="12"/><line x1="12" y1="4" x2="4" y2="12"/>
+          </svg>
+        </button>
+      </div>
+      <ul class="items" role="alert"></ul>
+    `;
+
+        shadow.querySelector('.btn-close').addEventListener('click', () => this.close());
+    }
+}
+
+customElements.define('error-panel', ErrorPanel);
+
+const HISTOGRAM_BINS = 256;
+const HISTOGRAM_HEIGHT = 120;
+
+// Distribution of the raw 16-bit values of an image, or of a measured region of it, with draggable markers
+// for the window (the values stretched to black and white) and dashed ticks where the 'auto' percentiles fall
+class PixelHistogram extends HTMLElement {
+    static get observedAttributes() {
+        return ['scale-label', 'roi-label'];
+    }
+
+    constructor() {
+        super();
+        this._pixels = null;
+        this._width = 0;
+        this._height = 0;
+        this._roi = null;
+        // Counts per raw value of the shown pixels, and their value range [min, max]
+        this._histogram = null;
+        this._count = 0;
+        this._range = [0, 1];
+        // Window as [lo, hi] raw values, set through setClip() or by dragging a marker
+        this._clip = null;
+    }
+
+    connectedCallback() {
+        if (!this.shadowRoot) this._build();
+    }
+
+    attributeChangedCallback() {
+        if (!this.shadowRoot) return;
+        this.shadowRoot.querySelector('.scale-label').textContent = this.getAttribute('scale-label') || 'Log scale';
+        this.shadowRoot.querySelector('.roi-label').textContent = this.getAttribute('roi-label') || 'Region only';
+    }
+
+    /** Raw 16-bit pixels (row-major) to show the distribution of; pass null to clear. */
+    setPixelData(pixels, width, height) {
+        this._pixels = pixels || null;
+        this._width = pixels ? width : 0;
+        this._height = pixels ? height : 0;
+        this._update();
+    }
+
+    /** Rect or ellipse measurement ({ type, points } in image coordinates) that can be shown alone, or null. */
+    get roi() { return this._roi; }
+    set roi(val) {
+        this._roi = val?.type === 'rect' || val?.type === 'ellipse' ? val : null;
+        this._update();
+    }
+
+    /** Moves the markers to the raw values stretched to black (lo) and white (hi), without firing clip-change. */
+    setClip(lo, hi) {
+        this._clip = [lo, hi];
+        this._render();
+    }
+
+    _update() {
+        if (!this.shadowRoot) this._build();
+
+        const roiInput = this.shadowRoot.querySelector('.roi-only');
+        roiInput.disabled = !this._roi;
+        if (roiInput.disabled) roiInput.checked = false;
+
+        if (!this._pixels) {
+            this._histogram = null;
+            this._count = 0;
+        } else if (roiInput.checked) {
+            const histogram = new Uint32Array(65536);
+            forEachRoiValue(this._pixels, this._width, this._height, this._roi, (value) => histogram[value]++);
+            this._histogram = histogram;
+            this._count = histogram.reduce((sum, count) => sum + count, 0);
+        } else {
+            this._histogram = computeHistogram(this._pixels);
+            this._count = this._pixels.length;
+        }
+
+        if (this._count) {
+            const min = histogramPercentile(this._histogram, this._count, 0);
+            const max = histogramPercentile(this._histogram, this._count, 1);
+            this._range = [min, Math.max(max, min + 1)];
+        }
+        this._render();
+    }
+
+    _valueToX(value, width) {
+        const [min, max] = this._range;
+        return Math.min(width, Math.max(0, (value - min) / (max - min) * width));
+    }
+
+    _xToValue(x, width) {
+        const [min, max] = this._range;
+        return Math.round(min + Math.min(1, Math.max(0, x / width)) * (max - min));
+    }
+
+    // Share of the shown pixels with a value below `value`
+    _fractionBelow(value) {
+        let below = 0;
+        for (let v = 0; v < Math.min(value, 65536); v++) below += this._histogram[v];
+        return below / this._count;
+    }
+
+    _render() {
+        const shadow = this.shadowRoot;
+        if (!shadow) return;
+
+        const canvas = shadow.querySelector('canvas');
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx?.clearRect(0, 0, width, height);
+
+        const hasData = this._count > 0;
+        shadow.querySelector('.clip-lo').textContent = '';
+        shadow.querySelector('.clip-hi').textContent = '';
+        if (!hasData || !ctx) return;
+
+        const [min, max] = this._range;
+        const bins = new Float64Array(HISTOGRAM_BINS);
+        const binSize = (max - min + 1) / HISTOGRAM_BINS;
+        for (let value = min; value <= max; value++) bins[Math.min(HISTOGRAM_BINS - 1, Math.floor((value - min) / binSize))] += this._histogram[value];
+
+        const log = shadow.querySelector('.log-scale').checked;
+        const scaled = log ? bins.map(Math.log1p) : bins;
+        const peak = Math.max(...scaled) || 1;
+        const [lo, hi] = this._clip ?? [min, max];
+        const barWidth = width / HISTOGRAM_BINS;
+
+        for (let i = 0; i < HISTOGRAM_BINS; i++) {
+            const value = min + (i + 0.5) * binSize;
+            const barHeight = scaled[i] / peak * (height - 12);
+            ctx.fillStyle = value < lo || value > hi ? '#3a3a5a' : '#7878d0';
+            ctx.fillRect(i * barWidth, height - barHeight, Math.max(1, barWidth - 0.5), barHeight);
+        }
+
+        // Where the fixed 0.5-99.5 percentile stretch of the PNG export would clip
+        ctx.save();
+        ctx.strokeStyle = '#8888a8';
+        ctx.setLineDash([3, 3]);
+        for (const value of presetRange(this._histogram, this._count, 'auto')) {
+            const x = Math.round(this._valueToX(value, width)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        ctx.fillStyle = ctx.strokeStyle = '#e0e0f8';
+        for (const value of [lo, hi]) {
+            const x = Math.round(this._valueToX(value, width)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.moveTo(x - 5, 0);
+            ctx.lineTo(x + 5, 0);
+            ctx.lineTo(x, 8);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        const percent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+        shadow.querySelector('.clip-lo').textContent = `${Math.round(lo)} (${percent(this._fractionBelow(Math.round(lo)))})`;
+        shadow.querySelector('.clip-hi').textContent = `${Math.round(hi)} (${percent(this._fractionBelow(Math.round(hi) + 1))})`;
+    }
+
+    _startDrag(event) {
+        if (!this._count || event.button !== 0) return;
+
+        const canvas = event.currentTarget;
+        const toCanvasX = (clientX) => {
+            const rect = canvas.getBoundingClientRect();
+            return (clientX - rect.left) / (rect.width || 1) * canvas.width;
+        };
+
+        // The marker nearer to the pointer follows it
+        const [min, max] = this._range;
+        const [lo, hi] = this._clip ?? [min, max];
+        const x = toCanvasX(event.clientX);
+        const marker = Math.abs(x - this._valueToX(lo, canvas.width)) <= Math.abs(x - this._valueToX(hi, canvas.width)) ? 0 : 1;
+
+        const onMove = (moveEvent) => {
+            const clip = [...(this._clip ?? [min, max])];
+            const value = this._xToValue(toCanvasX(moveEvent.clientX), canvas.width);
+            clip[marker] = marker === 0 ? Math.min(value, clip[1] - 1) : Math.max(value, clip[0] + 1);
+
+            this.setClip(clip[0], clip[1]);
+            this.dispatchEvent(new CustomEvent('clip-change', { detail: { lo: clip[0], hi: clip[1] } }));
+        };
+        const onUp = () => {
+            canvas.removeEventListener('pointermove', onMove);
+            canvas.removeEventListener('pointerup', onUp);
+            canvas.removeEventListener('pointercancel', onUp);
+        };
+
+        canvas.setPointerCapture?.(event.pointerId);
+        canvas.addEventListener('pointermove', onMove);
+        canvas.addEventListener('pointerup', onUp);
+        canvas.addEventListener('pointercancel', onUp);
+        onMove(event);
+    }
+
+    _build() {
+        const shadow = this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          padding: 8px 10px;
+          background: #16161e;
+          border: 1px solid #2a2a3a;
+          border-radius: 6px;
+          color: #c8c8e8;
+          font-family: 'IBM Plex Sans', 'Segoe UI', sans-serif;
+          font-size: 9pt;
+        }
+
+        :host([hidden]) {
+          display: none;
+        }
+
+        canvas {
+          display: block;
+          width: 100%;
+          height: ${HISTOGRAM_HEIGHT}px;
+          cursor: ew-resize;
+          touch-action: none;
+        }
+
+        .clip {
+          display: flex;
+          justify-content: space-between;
+          margin: 4px 0 6px;
+          font-family: 'IBM Plex Mono', Consolas, monospace;
+          color: #8888a8;
+        }
+
+        label {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        input {
+          accent-color: #7878d0;
+        }
+      </style>
+      <canvas width="${HISTOGRAM_BINS * 2}" height="${HISTOGRAM_HEIGHT}"></canvas>
+      <div class="clip"><span class="clip-lo"></span><span class="clip-hi"></span></div>
+      <label><input class="log-scale" type="checkbox" /> <span class="scale-label"></span></label>
+      <label><input class="roi-only" type="checkbox" disabled /> <span class="roi-label"></span></label>`;
+
+        this.attributeChangedCallback();
+        shadow.querySelector('canvas').addEventListener('pointerdown', (event) => this._startDrag(event));
+        shadow.querySelector('.log-scale').addEventListener('change', () => this._render());
+        shadow.querySelector('.roi-only').addEventListener('change', () => this._update());
+    }
+}
+
+customElements.define('pixel-histogram', PixelHistogram);
+
+const INSPECTOR_BYTES_PER_ROW = 16;
+
+// Bytes 0-3 are not metadata fields, but the image size the decoder relies on (uint16 LE each)
+const HEADER_DIMENSION_REGIONS = [
+    { id: 'LogicalWidth', offset: 0, length: 2 },
+    { id: 'Height', offset: 2, length: 2 }
+];
+
+// Single-byte CP1251 characters for the text column; control characters are shown as dots
+const CP1251_CHARS = [...new TextDecoder('windows-1251').decode(Uint8Array.from({ length: 256 }, (_, i) => i))]
+    .map((char) => (/[\x00-\x1F\x7F-\x9F]/.test(char) ? '.' : char));
+
+function formatRawDate(bytes) {
+    const date = parseRawDate(String.fromCharCode(...bytes));
+    return date ? formatDate(date) : '—';
+}
+
+// Hex + CP1251 view of file headers with the known field regions highlighted; hovering a byte decodes it
+// in several ways, and with two or more headers the bytes that differ between them can be marked
+class HeaderInspector extends HTMLElement {
+    static get observedAttributes() {
+        return ['compare-label', 'changes-only-label'];
+    }
+
+    constructor() {
+        super();
+        this._headers = [];
+        this._regions = [];
+        this._changed = new Uint8Array(0);
+        this._offset = 0;
+        this._pinned = false;
+        this._decoders = new Map();
+    }
+
+    connectedCallback() {
+        if (!this.shadowRoot) this._build();
+    }
+
+    attributeChangedCallback() {
+        if (!this.shadowRoot) return;
+        this.shadowRoot.querySelector('.compare-label').textContent = this.getAttribute('compare-label') || 'Mark differences';
+        this.shadowRoot.querySelector('.changes-only-label').textContent = this.getAttribute('changes-only-label') || 'Changed rows only';
+    }
+
+    /**
+     * @param {{ label: string, bytes: Uint8Array }[]} headers - the first one is shown, the others are compared with it
+     * @param {{ id: string, offset: number, length: number, encoding: string, isDate: boolean }[]} layout
+     */
+    setHeaders(headers, layout) {
+        if (!this.shadowRoot) this._build();
+
+        this._headers = headers;
+        this._regions = [...HEADER_DIMENSION_REGIONS, ...layout];
+
+        const size = headers[0]?.bytes.length || 0;
+        this._changed = new Uint8Array(size);
+        for (let i = 0; i < size; i++) {
+            this._changed[i] = headers.some((header) => header.bytes[i] !== headers[0].bytes[i]) ? 1 : 0;
+        }
+
+        this._offset = Math.min(this._offset, Math.max(0, size - 1));
+        const compareInput = this.shadowRoot.querySelector('.compare');
+        compareInput.disabled = headers.length < 2;
+        if (compareInput.disabled) compareInput.checked = false;
+
+        this._render();
+    }
+
+    _regionAt(offset) {
+        return this._regions.findIndex((region) => offset >= region.offset && offset < region.offset + region.length);
+    }
+
+    _textDecoder(encoding) {
+        if (!this._decoders.has(encoding)) this._decoders.set(encoding, new TextDecoder(encoding));
+        return this._decoders.get(encoding);
+    }
+
+    _render() {
+        const shadow = this.shadowRoot;
+        const compare = shadow.querySelector('.compare').checked;
+        const changesOnly = compare && shadow.querySelector('.changes-only').checked;
+        shadow.querySelector('.changes-only').disabled = !compare;
+
+        shadow.querySelector('.legend').innerHTML = this._regions.map((region, index) => `
+          <button type="button" class="region" data-offset="${region.offset}" style="--region-color: ${this._regionColor(index)}">
+            <span class="swatch"></span>${region.id} <span class="range">${region.offset}–${region.offset + region.length - 1}</span>
+          </button>`).join('');
+
+        const bytes = this._headers[0]?.bytes || new Uint8Array(0);
+        const rows = [];
+        for (let start = 0; start < bytes.length; start += INSPECTOR_BYTES_PER_ROW) {
+            const end = Math.min(start + INSPECTOR_BYTES_PER_ROW, bytes.length);
+            if (changesOnly && !this._changed.subarray(start, end).includes(1)) continue;
+
+            let hex = '';
+            let text = '';
+            for (let i = start; i < end; i++) {
+                const regionIndex = this._regionAt(i);
+                const region = this._regions[regionIndex];
+                const classes = [
+                    region ? 'field' : '',
+                    compare && this._changed[i] ? 'changed' : ''
+                ].filter(Boolean).join(' ');
+                const attributes = `data-offset="${i}" class="${classes}"`
+                    + (region ? ` style="--region-color: ${this._regionColor(regionIndex)}" title="${region.id}"` : '');
+                const char = CP1251_CHARS[bytes[i]];
+
+                hex += `<span ${attributes}>${bytes[i].toString(16).padStart(2, '0')}</span>`;
+                text += `<span ${attributes}>${escapeXml(char)}</span>`;
+            }
+            rows.push(`<div class="row"><span class="offset">${start.toString(16).padStart(4, '0')}</span>`
+                + `<span class="hex">${hex}</span><span class="text">${text}</span></div>`);
+        }
+        shadow.querySelector('.grid').innerHTML = rows.join('');
+
+        this._renderDecoded();
+    }
+
+    _regionColor(index) {
+        return `hsl(${(index * 47 + 220) % 360} 55% 55%)`;
+    }
+
+    _setOffset(offset) {
+        if (offset === this._offset) return;
+        this._offset = offset;
+        this._renderDecoded();
+    }
+
+    _renderDecoded() {
+        const shadow = this.shadowRoot;
+        const offset = this._offset;
+        const compare = shadow.querySelector('.compare').checked;
+        const headers = compare ? this._headers : this._headers.slice(0, 1);
+
+        shadow.querySelectorAll('.grid .current').forEach((cell) => cell.classList.remove('current'));
+        shadow.querySelectorAll(`.grid [data-offset="${offset}"]`).forEach((cell) => cell.classList.add('current'));
+
+        const regionIndex = this._regionAt(offset);
+        const region = this._regions[regionIndex];
+        const encoding = region?.encoding || 'windows-1251';
+
+        const rows = [
+            [t('inspector.offset'), () => `${offset} (0x${offset.toString(16).padStart(4, '0')})`, true],
+            [t('inspector.field'), () => (region ? `${region.id} +${offset - region.offset}` : '—'), true],
+            ['uint8', (view) => view.getUint8(offset)],
+            ['uint16 LE', (view) => (offset + 2 <= view.byteLength ? view.getUint16(offset, true) : '—')],
+            ['int16 LE', (view) => (offset + 2 <= view.byteLength ? view.getInt16(offset, true) : '—')],
+            ['uint32 LE', (view) => (offset + 4 <= view.byteLength ? view.getUint32(offset, true) : '—')],
+            ['int32 LE', (view) => (offset + 4 <= view.byteLength ? view.getInt32(offset, true) : '—')],
+            ['float32 LE', (view) => (offset + 4 <= view.byteLength ? Number(view.getFloat32(offset, true).toPrecision(7)) : '—')],
+            ['ddMMyyyy', (view, bytes) => formatRawDate(bytes.subarray(offset, offset + 8))],
+            [encoding, (view, bytes) => {
+                let end = offset;
+                while (end < bytes.length && end < offset + 64 && bytes[end] !== 0) end++;
+                return this._textDecoder(encoding).decode(bytes.subarray(offset, end)) || '—';
+            }]
+        ];
+
+        const table = shadow.querySelector('.decoded');
+        table.replaceChildren();
+        if (!headers.length) return;
+
+        const head = table.insertRow();
+        head.appendChild(document.createElement('th'));
+        for (const header of headers) {
+            const th = document.createElement('th');
+            th.textContent = header.label;
+            head.appendChild(th);
+        }
+
+        for (const [name, decode, shared] of rows) {
+            const row = table.insertRow();
+            const th = document.createElement('th');
+            th.textContent = name;
+            row.appendChild(th);
+
+            const values = headers.map(({ bytes }) => String(decode(new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), bytes)));
+            if (shared) {
+                const cell = row.insertCell();
+                cell.colSpan = headers.length;
+                cell.textContent = values[0];
+                continue;
+            }
+
+            for (const value of values) {
+                const cell = row.insertCell();
+                cell.textContent = value;
+                cell.classList.toggle('differs', value !== values[0]);
+            }
+        }
+    }
+
+    _build() {
+        const shadow = this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          margin: 8px 0;
+          padding: 10px 12px;
+          background: #16161e;
+          border: 1px solid #2a2a3a;
+          border-radius: 6px;
+          color: #c8c8e8;
+          font-family: 'IBM Plex Sans', 'Segoe UI', sans-serif;
+          font-size: 10pt;
+        }
+
+        :host([hidden]) {
+          display: none;
+        }
+
+        .toolbar {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px 16px;
+          margin-bottom: 8px;
+        }
+
+        .legend {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 4px;
+          margin-bottom: 8px;
+        }
+
+        .region {
+          display: inline-flex;
+          align-items: center;
+          gap: 5px;
+          padding: 2px 8px;
+          background: #1e1e2c;
+          border: 1px solid #2a2a3a;
+          border-radius: 4px;
+          color: #c8c8e8;
+          font: inherit;
+          font-size: 9pt;
+          cursor: pointer;
+        }
+
+        .region:hover {
+          border-color: var(--region-color);
+        }
+
+        .swatch {
+          width: 10px;
+          height: 10px;
+          border-radius: 2px;
+          background: var(--region-color);
+        }
+
+        .range {
+          color: #5a5a7a;
+        }
+
+        .body {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: flex-start;
+          gap: 16px;
+        }
+
+        .grid {
+          max-height: 420px;
+          overflow-y: auto;
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 9pt;
+          line-height: 1.6;
+          cursor: default;
+        }
+
+        .row {
+          display: flex;
+          gap: 12px;
+          white-space: pre;
+        }
+
+        .offset {
+          color: #5a5a7a;
+        }
+
+        .hex span {
+          display: inline-block;
+          width: 2.6ch;
+          text-align: center;
+        }
+
+        .text span {
+          display: inline-block;
+          width: 1.2ch;
+          text-align: center;
+        }
+
+        .field {
+          background: color-mix(in srgb, var(--region-color) 22%, transparent);
+        }
+
+        .changed {
+          color: #ffd27a;
+          font-weight: 700;
+          box-shadow: inset 0 -2px 0 #d0a848;
+        }
+
+        .current {
+          outline: 1px solid #e0e0f8;
+        }
+
+        .decoded {
+          border-collapse: collapse;
+          font-size: 9pt;
+        }
+
+        .decoded th,
+        .decoded td {
+          padding: 2px 8px;
+          border-bottom: 1px solid #2a2a3a;
+          text-align: left;
+          white-space: nowrap;
+        }
+
+        .decoded th {
+          color: #5a5a7a;
+          font-weight: 500;
+        }
+
+        .decoded td {
+          font-family: 'IBM Plex Mono', monospace;
+        }
+
+        .decoded td.differs {
+          color: #ffd27a;
+        }
+      </style>
+
+      <div class="toolbar">
+        <label><input class="compare" type="checkbox" /> <span class="compare-label"></span></label>
+        <label><input class="changes-only" type="checkbox" disabled /> <span class="changes-only-label"></span></label>
+      </div>
+      <div class="legend"></div>
+      <div class="body">
+        <div class="grid"></div>
+        <table class="decoded"></table>
+      </div>
+    `;
+
+        this.attributeChangedCallback();
+
+        shadow.querySelector('.compare').addEventListener('change', () => this._render());
+        shadow.querySelector('.changes-only').addEventListener('change', () => this._render());
+
+        // Hovering decodes the byte under the pointer; a click pins it until the next click
+        const grid = shadow.querySelector('.grid');
+        grid.addEventListener('mouseover', (event) => {
+            const cell = event.target.closest('[data-offset]');
+            if (cell && !this._pinned) this._setOffset(Number(cell.dataset.offset));
+        });
+        grid.addEventListener('click', (event) => {
+            const cell = event.target.closest('[data-offset]');
+            if (!cell) return;
+            this._pinned = !this._pinned;
+            this._setOffset(Number(cell.dataset.offset));
+        });
+
+        shadow.querySelector('.legend').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-offset]');
+            if (!button) return;
+
+            this._pinned = true;
+            this._setOffset(Number(button.dataset.offset));
+            grid.querySelector('.current')?.scrollIntoView({ block: 'nearest' });
+        });
+    }
+}
+
+customElements.define('header-inspector', HeaderInspector);
+
+// Columns of the profile editor, named as in the exported JSON
+const PROFILE_COLUMNS = ['id', 'label', 'table', 'offset', 'length', 'encoding', 'type'];
+
+// Form for one header profile (see profiles.js); dispatches 'save' with { profile } once it is valid, or 'cancel'
+class ProfileEditor extends HTMLElement {
+    static get observedAttributes() {
+        return ['name-label', 'add-label', 'save-label', 'cancel-label'];
+    }
+
+    constructor() {
+        super();
+        this._profile = { name: '', fields: [] };
+    }
+
+    connectedCallback() {
+        if (!this.shadowRoot) this._build();
+    }
+
+    attributeChangedCallback() {
+        if (!this.shadowRoot) return;
+        const shadow = this.shadowRoot;
+        shadow.querySelector('.name-label').textContent = this.getAttribute('name-label') || 'Name';
+        shadow.querySelector('.btn-add').textContent = this.getAttribute('add-label') || 'Add field';
+        shadow.querySelector('.btn-save').textContent = this.getAttribute('save-label') || 'Save';
+        shadow.querySelector('.btn-cancel').textContent = this.getAttribute('cancel-label') || 'Cancel';
+    }
+
+    /** Shows the form for a copy of the profile. */
+    edit(profile) {
+        if (!this.shadowRoot) this._build();
+
+        this._profile = structuredClone(profile);
+        this.shadowRoot.querySelector('.name').value = this._profile.name;
+        this._renderFields();
+        this.hidden = false;
+        this.shadowRoot.querySelector('.name').focus();
+    }
+
+    _renderFields() {
+        const body = this.shadowRoot.querySelector('tbody');
+        body.replaceChildren(...this._profile.fields.map((field, index) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+          <td><input data-property="id" spellcheck="false" /></td>
+          <td><input data-property="label" /></td>
+          <td><input data-property="table" list="profile-tables" /></td>
+          <td><input data-property="offset" type="number" min="${metadataStart}" step="1" /></td>
+          <td><input data-property="length" type="number" min="1" step="1" /></td>
+          <td><select data-property="encoding">${fieldEncodings.map((x) => `<option>${x}</option>`).join('')}</select></td>
+          <td><select data-property="type">${fieldTypes.map((x) => `<option>${x}</option>`).join('')}</select></td>
+          <td><button class="btn-remove" type="button" data-i18n-title="profiles.editor.remove-field" data-i18n-label="profiles.editor.remove-field">×</button></td>
+        `;
+            row.dataset.index = index;
+            for (const input of row.querySelectorAll('[data-property]')) input.value = field[input.dataset.property];
+            this._syncDateRow(row);
+            translateElements(row);
+            return row;
+        }));
+    }
+
+    // Dates are always 8 ASCII characters
+    _syncDateRow(row) {
+        const isDate = row.querySelector('[data-property="type"]').value === 'date';
+        const length = row.querySelector('[data-property="length"]');
+        length.disabled = isDate;
+        row.querySelector('[data-property="encoding"]').disabled = isDate;
+        if (isDate) length.value = dateLength;
+    }
+
+    _readForm() {
+        const shadow = this.shadowRoot;
+        return normalizeProfile({
+            name: shadow.querySelector('.name').value,
+            fields: [...shadow.querySelectorAll('tbody tr')].map((row) => Object.fromEntries(
+                [...row.querySelectorAll('[data-property]')].map((input) => [input.dataset.property, input.value])))
+        });
+    }
+
+    _save() {
+        const shadow = this.shadowRoot;
+        const profile = this._readForm();
+        const problems = findProfileProblems(profile);
+
+        shadow.querySelectorAll('[aria-invalid]').forEach((input) => input.removeAttribute('aria-invalid'));
+        for (const { field, property } of problems) {
+            const input = field === null
+                ? shadow.querySelector(property === 'name' ? '.name' : '.btn-add')
+                : shadow.querySelectorAll('tbody tr')[field].querySelector(`[data-property="${property}"]`);
+            input.setAttribute('aria-invalid', 'true');
+        }
+
+        if (problems.length) {
+            shadow.querySelector('[aria-invalid]').focus();
+            return;
+        }
+
+        this.hidden = true;
+        this.dispatchEvent(new CustomEvent('save', { detail: { profile } }));
+    }
+
+    _build() {
+        const shadow = this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          margin: 8px 0;
+          padding: 10px 12px;
+          background: #16161e;
+          border: 1px solid #2a2a3a;
+          border-radius: 6px;
+          color: #c8c8e8;
+          font-family: 'IBM Plex Sans', 'Segoe UI', sans-serif;
+          font-size: 10pt;
+        }
+
+        :host([hidden]) {
+          display: none;
+        }
+
+        label {
+          display: inline-flex;
+          align-items: center;
+          gap: 8px;
+          margin-bottom: 8px;
+        }
+
+        table {
+          border-collapse: collapse;
+          margin-bottom: 8px;
+        }
+
+        th {
+          padding: 2px 4px;
+          color: #5a5a7a;
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 9pt;
+          font-weight: 500;
+          text-align: left;
+        }
+
+        td {
+          padding: 2px 4px;
+        }
+
+        input,
+        select {
+          box-sizing: border-box;
+          padding: 3px 6px;
+          background: #1e1e2c;
+          border: 1px solid #2a2a3a;
+          border-radius: 4px;
+          color: #c8c8e8;
+          font: inherit;
+          font-size: 9pt;
+        }
+
+        input[type="number"] {
+          width: 7ch;
+        }
+
+        input:disabled,
+        select:disabled {
+          opacity: 0.5;
+        }
+
+        [aria-invalid="true"] {
+          border-color: #d05a5a;
+        }
+
+        button {
+          padding: 4px 12px;
+          background: #1e1e2c;
+          border: 1px solid #2a2a3a;
+          border-radius: 4px;
+          color: #c8c8e8;
+          font: inherit;
+          font-size: 9pt;
+          cursor: pointer;
+        }
+
+        button:hover {
+          border-color: #7878d0;
+          color: #e0e0f8;
+        }
+
+        .btn-save {
+          border-color: #4a4a9a;
+          background: rgba(120, 120, 200, 0.18);
+        }
+
+        .btn-remove {
+          padding: 2px 8px;
+        }
+
+        .buttons {
+          display: flex;
+          gap: 6px;
+        }
+      </style>
+
+      <label><span class="name-label"></span> <input class="name" /></label>
+      <table>
+        <thead><tr>${PROFILE_COLUMNS.map((column) => `<th>${column}</th>`).join('')}<th></th></tr></thead>
+        <tbody></tbody>
+      </table>
+      <datalist id="profile-tables"><option>visit</option><option>patient</option><option>equipment</option></datalist>
+      <div class="buttons">
+        <button class="btn-add" type="button"></button>
+        <button class="btn-save" type="button"></button>
+        <button class="btn-cancel" type="button"></button>
+      </div>
+    `;
+
+        this.attributeChangedCallback();
+
+        const body = shadow.querySelector('tbody');
+        body.addEventListener('change', (event) => {
+            if (event.target.dataset.property === 'type') this._syncDateRow(event.target.closest('tr'));
+        });
+        body.addEventListener('click', (event) => {
+            if (!event.target.closest('.btn-remove')) return;
+            this._profile = this._readForm();
+            this._profile.fields.splice(Number(event.target.closest('tr').dataset.index), 1);
+            this._renderFields();
+        });
+
+        shadow.querySelector('.btn-add').addEventListener('click', () => {
+            this._profile = this._readForm();
+            this._profile.fields.push({ id: '', label: '', table: '', offset: metadataStart, length: 1, encoding: fieldEncodings[0], type: 'text' });
+            this._renderFields();
+            body.lastElementChild.querySelector('input').focus();
+        });
+        shadow.querySelector('.btn-save').addEventListener('click', () => this._save());
+        shadow.querySelector('.btn-cancel').addEventListener('click', () => {
+            this.hidden = true;
+            this.dispatchEvent(new CustomEvent('cancel'));
+        });
+    }
+}
+
+customElements.define('profile-editor', ProfileEditor);
+
+// Correction of the header fields of a file. The stored strings are edited (dates as ddMMyyyy) and checked against
+// the length and encoding of their field; the changed fields are then listed, before and after, for review.
+// 'save' carries { values } with the changed fields only, by field id.
+class HeaderEditor extends HTMLElement {
+    constructor() {
+        super();
+        // { id, name, value, length, encoding, isDate } as given to edit()
+        this._fields = [];
+        this._onLanguageChange = () => this._translate();
+    }
+
+    connectedCallback() {
+        if (!this.shadowRoot) this._build();
+        i18n.addEventListener('languagechange', this._onLanguageChange);
+    }
+
+    disconnectedCallback() {
+        i18n.removeEventListener('languagechange', this._onLanguageChange);
+    }
+
+    /**
+     * Shows the form for the fields of a file.
+     * @param {{ id: string, name: string, value: string, length: number, encoding: string, isDate: boolean }[]} fields
+     *        - value is the string as stored, length the size of the field in bytes
+     */
+    edit(fields) {
+        if (!this.shadowRoot) this._build();
+
+        this._fields = fields;
+        const body = this.shadowRoot.querySelector('.form tbody');
+        body.replaceChildren(...fields.map((field, index) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+          <td class="name"></td>
+          <td><input spellcheck="false" /></td>
+          <td class="usage"></td>
+          <td class="problem"></td>
+        `;
+            row.dataset.index = index;
+            row.querySelector('.name').textContent = field.name;
+            const input = row.querySelector('input');
+            input.value = field.value;
+            input.setAttribute('aria-label', field.name);
+            if (field.isDate) input.placeholder = 'ddMMyyyy';
+            this._check(row);
+            return row;
+        }));
+
+        this._showStep('form');
+        this.hidden = false;
+        body.querySelector('input')?.focus();
+    }
+
+    // Updates the byte count and the problem of a row; returns the problem, if any
+    _check(row) {
+        const field = this._fields[row.dataset.index];
+        const input = row.querySelector('input');
+        const problem = findValueProblem(field, input.value);
+        const length = encodedLength(input.value, field.isDate ? 'us-ascii' : field.encoding);
+
+        row.classList.toggle('changed', input.value !== field.value);
+        row.querySelector('.usage').textContent = `${length ?? '—'} / ${field.length}`;
+        row.querySelector('.problem').textContent = problem ? t(`edit.problem.${problem}`) : '';
+        if (problem) input.setAttribute('aria-invalid', 'true');
+        else input.removeAttribute('aria-invalid');
+        return problem;
+    }
+
+    _changes() {
+        return [...this.shadowRoot.querySelectorAll('.form tbody tr')]
+            .map((row) => ({ field: this._fields[row.dataset.index], value: row.querySelector('input').value }))
+            .filter(({ field, value }) => value !== field.value);
+    }
+
+    _review() {
+        const shadow = this.shadowRoot;
+        const status = shadow.querySelector('.status');
+        const rows = [...shadow.querySelectorAll('.form tbody tr')];
+
+        if (rows.filter((row) => this._check(row)).length) {
+            status.textContent = '';
+            shadow.querySelector('[aria-invalid]').focus();
+            return;
+        }
+
+        const changes = this._changes();
+        status.textContent = changes.length ? '' : t('edit.no-changes');
+        if (!changes.length) return;
+
+        shadow.querySelector('.review tbody').replaceChildren(...changes.map(({ field, value }) => {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td class="name"></td><td class="before"></td><td class="after"></td>';
+            row.querySelector('.name').textContent = field.name;
+            for (const [selector, text] of [['.before', field.value], ['.after', value]]) {
+                const cell = row.querySelector(selector);
+                cell.textContent = text || t('edit.empty');
+                cell.classList.toggle('empty', !text);
+            }
+            return row;
+        }));
+        this._showStep('review');
+        shadow.querySelector('.btn-save').focus();
+    }
+
+    _showStep(step) {
+        const shadow = this.shadowRoot;
+        shadow.querySelector('.form').hidden = step !== 'form';
+        shadow.querySelector('.review').hidden = step !== 'review';
+        if (step === 'form') shadow.querySelector('.status').textContent = '';
+    }
+
+    _translate() {
+        translateElements(this.shadowRoot);
+        for (const row of this.shadowRoot.querySelectorAll('.form tbody tr')) this._check(row);
+        for (const cell of this.shadowRoot.querySelectorAll('.review td.empty')) cell.textContent = t('edit.empty');
+    }
+
+    _build() {
+        const shadow = this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          padding: 10px 12px;
+          background: #16161e;
+          border: 1px solid #2a2a3a;
+          border-radius: 6px;
+          color: #c8c8e8;
+          font-family: 'IBM Plex Sans', 'Segoe UI', sans-serif;
+          font-size: 10pt;
+        }
+
+        :host([hidden]),
+        [hidden] {
+          display: none;
+        }
+
+        table {
+          border-collapse: collapse;
+          margin-bottom: 8px;
+        }
+
+        th {
+          padding: 2px 6px;
+          color: #5a5a7a;
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 9pt;
+          font-weight: 500;
+          text-align: left;
+        }
+
+        td {
+          padding: 2px 6px;
+        }
+
+        .name {
+          color: #8888b0;
+          font-family: 'IBM Plex Mono', monospace;
+          white-space: nowrap;
+        }
+
+        .usage {
+          color: #5a5a7a;
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 9pt;
+          white-space: nowrap;
+        }
+
+        .problem {
+          color: #e08080;
+        }
+
+        tr.changed .name {
+          color: #f0d898;
+        }
+
+        .before {
+          color: #a0a0c0;
+          text-decoration: line-through;
+        }
+
+        .after {
+          color: #f0d898;
+        }
+
+        .empty {
+          color: #4a4a6a;
+          font-style: italic;
+          text-decoration: none;
+        }
+
+        input {
+          box-sizing: border-box;
+          width: 32ch;
+          padding: 3px 6px;
+          background: #1e1e2c;
+          border: 1px solid #2a2a3a;
+          border-radius: 4px;
+          color: #c8c8e8;
+          font: inherit;
+          font-size: 9pt;
+        }
+
+        [aria-invalid="true"] {
+          border-color: #d05a5a;
+        }
+
+        button {
+          padding: 4px 12px;
+          background: #1e1e2c;
+          border: 1px solid #2a2a3a;
+          border-radius: 4px;
+          color: #c8c8e8;
+          font: inherit;
+          font-size: 9pt;
+          cursor: pointer;
+        }
+
+        button:hover {
+          border-color: #7878d0;
+          color: #e0e0f8;
+        }
+
+        .btn-review,
+        .btn-save {
+          border-color: #4a4a9a;
+          background: rgba(120, 120, 200, 0.18);
+        }
+
+        .buttons {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .status {
+          color: #8888b0;
+        }
+      </style>
+
+      <div class="form">
+        <table>
+          <thead><tr>
+            <th data-i18n="generic-table.heading.field-name"></th>
+            <th data-i18n="edit.heading.stored"></th>
+            <th data-i18n="edit.heading.bytes"></th>
+            <th></th>
+          </tr></thead>
+          <tbody></tbody>
+        </table>
+        <div class="buttons">
+          <button class="btn-review" type="button" data-i18n="edit.review"></button>
+          <button class="btn-cancel" type="button" data-i18n="notification.cancel"></button>
+          <span class="status" role="status"></span>
+        </div>
+      </div>
+      <div class="review">
+        <table>
+          <thead><tr>
+            <th data-i18n="generic-table.heading.field-name"></th>
+            <th data-i18n="edit.heading.before"></th>
+            <th data-i18n="edit.heading.after"></th>
+          </tr></thead>
+          <tbody></tbody>
+        </table>
+        <div class="buttons">
+          <button class="btn-save" type="button" data-i18n="edit.save"></button>
+          <button class="btn-back" type="button" data-i18n="edit.back"></button>
+          <button class="btn-cancel" type="button" data-i18n="notification.cancel"></button>
+        </div>
+      </div>
+    `;
+
+        translateElements(shadow);
+
+        shadow.querySelector('.form tbody').addEventListener('input', (event) => this._check(event.target.closest('tr')));
+        shadow.querySelector('.form').addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && event.target.matches('input')) this._review();
+        });
+        shadow.querySelector('.btn-review').addEventListener('click', () => this._review());
+        shadow.querySelector('.btn-back').addEventListener('click', () => {
+            this._showStep('form');
+            shadow.querySelector('.form tbody input')?.focus();
+        });
+        shadow.querySelector('.btn-save').addEventListener('click', () => {
+            const values = Object.fromEntries(this._changes().map(({ field, value }) => [field.id, value]));
+            this.hidden = true;
+            this.dispatchEvent(new CustomEvent('save', { detail: { values } }));
+        });
+        for (const button of shadow.querySelectorAll('.btn-cancel')) {
+            button.addEventListener('click', () => {
+                this.hidden = true;
+                this.dispatchEvent(new CustomEvent('cancel'));
+            });
+        }
+    }
+}
+
+customElements.define('header-editor', HeaderEditor);
+
+// Names of keys as KeyboardEvent.key gives them, as they are shown
+const KEY_GLYPHS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc'
+};
+
+// List of the keyboard shortcuts of the page, as a modal overlay that Escape or the close button dismisses
+class ShortcutHelp extends HTMLElement {
+    constructor() {
+        super();
+        this._shortcuts = [];
+        // Focused element when the overlay was shown, focused again once it is hidden
+        this._returnFocus = null;
+        this._onLanguageChange = () => this._translate();
+    }
+
+    connectedCallback() {
+        if (!this.shadowRoot) this._build();
+        i18n.addEventListener('languagechange', this._onLanguageChange);
+    }
+
+    disconnectedCallback() {
+        i18n.removeEventListener('languagechange', this._onLanguageChange);
+    }
+
+    /**
+     * Sets the listed shortcuts.
+     * @param {{ keys: string[], label: string }[]} shortcuts - keys as KeyboardEvent.key gives them,
+     *        label a catalog key naming the action
+     */
+    setShortcuts(shortcuts) {
+        this._shortcuts = shortcuts;
+        if (this.shadowRoot) this._render();
+    }
+
+    show() {
+        if (!this.shadowRoot) this._build();
+
+        this._returnFocus = document.activeElement;
+        this.hidden = false;
+        this.shadowRoot.querySelector('.btn-close').focus();
+    }
+
+    hide() {
+        if (this.hidden) return;
+
+        this.hidden = true;
+        this._returnFocus?.focus?.();
+        this._returnFocus = null;
+    }
+
+    _render() {
+        this.shadowRoot.querySelector('tbody').replaceChildren(...this._shortcuts.map((shortcut) => {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td class="keys"></td><td></td>';
+            for (const key of shortcut.keys) {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = KEY_GLYPHS[key] ?? (key.length === 1 ? key.toUpperCase() : key);
+                row.firstElementChild.append(kbd);
+            }
+            row.lastElementChild.textContent = t(shortcut.label);
+            return row;
+        }));
+    }
+
+    _translate() {
+        translateElements(this.shadowRoot);
+        this._render();
+    }
+
+    _build() {
+        const shadow = this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+      <style>
+        :host {
+          position: fixed;
+          inset: 0;
+          z-index: 10000;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: rgba(10, 10, 14, 0.7);
+          font-family: 'IBM Plex Sans', 'Segoe UI', sans-serif;
+        }
+
+        :host([hidden]) {
+          display: none;
+        }
+
+        .dialog {
+          min-width: 320px;
+          max-height: 80vh;
+          overflow: auto;
+          padding: 20px 24px;
+          background: #16161e;
+          border: 1px solid #2a2a3a;
+          border-radius: 8px;
+          box-shadow: 0 16px 48px rgba(0,0,0,0.7);
+          color: #d0d0e8;
+        }
+
+        .header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 16px;
+          margin-bottom: 12px;
+        }
+
+        h2 {
+          margin: 0;
+          font-size: 13pt;
+          font-weight: 600;
+          color: #c8c8e8;
+        }
+
+        .btn-close {
+          padding: 4px 12px;
+          background: #1e1e2c;
+          border: 1px solid #2a2a3a;
+          border-radius: 4px;
+          color: #c8c8e8;
+          font: inherit;
+          font-size: 9pt;
+          cursor: pointer;
+        }
+
+        .btn-close:hover,
+        .btn-close:focus-visible {
+          border-color: #7878d0;
+          color: #e0e0f8;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 11pt;
+        }
+
+        td {
+          padding: 5px 0;
+        }
+
+        .keys {
+          padding-right: 20px;
+          white-space: nowrap;
+        }
+
+        kbd {
+          display: inline-block;
+          min-width: 1.4em;
+          margin-right: 4px;
+          padding: 1px 6px;
+          border: 1px solid #3a3a5a;
+          border-bottom-width: 2px;
+          border-radius: 4px;
+          background: #1e1e2a;
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 10pt;
+          text-align: center;
+        }
+      </style>
+
+      <div class="dialog" role="dialog" aria-modal="true" aria-labelledby="title">
+        <div class="header">
+          <h2 id="title" data-i18n="shortcuts.title"></h2>
+          <button class="btn-close" type="button" data-i18n="shortcuts.close"></button>
+        </div>
+        <table>
+          <tbody></tbody>
+        </table>
+      </div>
+    `;
+
+        translateElements(shadow);
+        this._render();
+
+        shadow.querySelector('.btn-close').addEventListener('click', () => this.hide());
+        // A click beside the list closes it too
+        this.addEventListener('click', (event) => {
+            if (event.composedPath()[0] === this) this.hide();
+        });
+        this.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                this.hide();
+            } else if (event.key === 'Tab') {
+                // The close button is the only control, so focus stays on it
+                event.preventDefault();
+            }
+        });
+    }
+}
+
+customElements.define('shortcut-help', ShortcutHelp);
+
+// Sortable columns of the study library, with the item property holding their sort key
+const LIBRARY_COLUMNS = [
+    { id: 'PatientName', property: 'patientName', label: 'patient-name-label', fallback: 'Patient' },
+    { id: 'ExposureDate', property: 'exposureDateKey', label: 'exposure-date-label', fallback: 'Date' },
+    { id: 'Institution', property: 'institution', label: 'institution-label', fallback: 'Institution' },
+    { id: 'Projection', property: 'projection', label: 'projection-label', fallback: 'Projection' }
+];
+
+// Files kept in the local library (see library.js), searchable, sortable by column and optionally grouped by patient.
+// Dispatches 'open' and 'delete' with { ids }, and 'clear' for the whole library.
+class StudyLibrary extends HTMLElement {
+    static get observedAttributes() {
+        return [
+            'search-label', 'group-label', 'clear-label', 'open-label', 'open-all-label', 'delete-label',
+            'metadata-only-label', 'empty-label', 'no-matches-label', ...LIBRARY_COLUMNS.map((column) => column.label)
+        ];
+    }
+
+    constructor() {
+        super();
+        this._items = [];
+        this._query = '';
+        this._sort = { column: 'ExposureDate', descending: true };
+        this._grouped = true;
+        // Item id → object URL of its thumbnail
+        this._thumbnailUrls = new Map();
+    }
+
+    /**
+     * Sets the listed files:
+     * [{ id, patientName, patientKey, exposureDate, exposureDateKey, institution, projection, fileName, thumbnail, hasFile }]
+     * where patientKey tells patients apart (also when their names are hidden), exposureDateKey sorts chronologically, thumbnail is an image blob or null,
+     * and files without hasFile can only be deleted.
+     */
+    setItems(items) {
+        for (const url of this._thumbnailUrls.values()) URL.revokeObjectURL(url);
+        this._thumbnailUrls.clear();
+
+        this._items = items || [];
+        for (const item of this._items) {
+            if (item.thumbnail) this._thumbnailUrls.set(item.id, URL.createObjectURL(item.thumbnail));
+        }
+        if (this.shadowRoot) this._render();
+    }
+
+    connectedCallback() {
+        if (!this.shadowRoot) this._build();
+    }
+
+    disconnectedCallback() {
+        for (const url of this._thumbnailUrls.values()) URL.revokeObjectURL(url);
+        this._thumbnailUrls.clear();
+    }
+
+    attributeChangedCallback() {
+        if (!this.shadowRoot) return;
+        const shadow = this.shadowRoot;
+        const search = shadow.querySelector('.search');
+        search.placeholder = this.getAttribute('search-label') || 'Search';
+        search.setAttribute('aria-label', search.placeholder);
+        shadow.querySelector('.group-label').textContent = this.getAttribute('group-label') || 'Group by patient';
+        shadow.querySelector('.btn-clear').textContent = this.getAttribute('clear-label') || 'Clear library';
+        this._render();
+    }
+
+    _label(name, fallback) {
+        return this.getAttribute(name) || fallback;
+    }
+
+    // Items matching the search, in the chosen order
+    _visibleItems() {
+        const words = this._query.toLocaleLowerCase().split(/\s+/).filter(Boolean);
+        const column = LIBRARY_COLUMNS.find((x) => x.id === this._sort.column);
+        const direction = this._sort.descending ? -1 : 1;
+
+        return this._items
+            .filter((item) => {
+                const text = [item.patientName, item.exposureDate, item.institution, item.projection, item.fileName]
+                    .join(' ').toLocaleLowerCase();
+                return words.every((word) => text.includes(word));
+            })
+            .sort((a, b) => direction * (a[column.property] || '').localeCompare(b[column.property] || '')
+                || (a.fileName || '').localeCompare(b.fileName || ''));
+    }
+
+    _render() {
+        const shadow = this.shadowRoot;
+
+        shadow.querySelector('thead tr').replaceChildren(document.createElement('th'), ...LIBRARY_COLUMNS.map((column) => {
+            const header = document.createElement('th');
+            const sorted = this._sort.column === column.id;
+            header.setAttribute('aria-sort', sorted ? (this._sort.descending ? 'descending' : 'ascending') : 'none');
+            header.innerHTML = `<button type="button" class="btn-sort"></button>`;
+            const button = header.querySelector('button');
+            button.dataset.column = column.id;
+            button.textContent = this._label(column.label, column.fallback) + (sorted ? (this._sort.descending ? ' ▾' : ' ▴') : '');
+            return header;
+        }), document.createElement('th'));
+
+        const items = this._visibleItems();
+        const body = shadow.querySelector('tbody');
+        const rows = [];
+
+        if (!items.length) {
+            const row = document.createElement('tr');
+            row.innerHTML = `<td class="empty" colspan="${LIBRARY_COLUMNS.length + 2}"></td>`;
+            row.firstElementChild.textContent = this._items.length
+                ? this._label('no-matches-label', 'No matching files')
+                : this._label('empty-label', 'The library is empty');
+            rows.push(row);
+        } else if (this._grouped) {
+            // One group per patient, in name order; the chosen order applies within each group
+            const groups = new Map();
+            for (const item of items) {
+                const key = item.patientKey ?? item.patientName ?? '';
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(item);
+            }
+
+            const groupName = (key) => groups.get(key)[0].patientName || '';
+            const keys = [...groups.keys()].sort((a, b) => groupName(a).localeCompare(groupName(b)) || a.localeCompare(b));
+            for (const key of keys) {
+                const group = groups.get(key);
+                const name = groupName(key);
+                const row = document.createElement('tr');
+                row.className = 'group';
+                row.innerHTML = `<th colspan="${LIBRARY_COLUMNS.length + 1}" scope="rowgroup"></th>`
+                    + `<td class="actions"><button type="button" class="btn-open-all"></button></td>`;
+                row.querySelector('th').textContent = `${name || '—'} (${group.length})`;
+                const openAll = row.querySelector('.btn-open-all');
+                openAll.textContent = this._label('open-all-label', 'Open all');
+                openAll.dataset.ids = group.filter((item) => item.hasFile).map((item) => item.id).join(' ');
+                openAll.disabled = !openAll.dataset.ids;
+                rows.push(row, ...group.map((item) => this._renderItem(item)));
+            }
+        } else {
+            rows.push(...items.map((item) => this._renderItem(item)));
+        }
+
+        body.replaceChildren(...rows);
+        shadow.querySelector('.btn-clear').disabled = !this._items.length;
+    }
+
+    _renderItem(item) {
+        const row = document.createElement('tr');
+        row.dataset.id = item.id;
+        row.title = item.fileName || '';
+        row.innerHTML = `
+          <td class="thumbnail"></td>
+          <td class="patient-name"></td>
+          <td class="exposure-date"></td>
+          <td class="institution"></td>
+          <td class="projection"></td>
+          <td class="actions">
+            <button type="button" class="btn-open"></button>
+            <button type="button" class="btn-delete"></button>
+          </td>
+        `;
+
+        const url = this._thumbnailUrls.get(item.id);
+        if (url) {
+            const image = document.createElement('img');
+            image.src = url;
+            image.alt = '';
+            row.querySelector('.thumbnail').appendChild(image);
+        }
+        row.querySelector('.patient-name').textContent = item.patientName || '';
+        row.querySelector('.exposure-date').textContent = item.exposureDate || '';
+        row.querySelector('.institution').textContent = item.institution || '';
+        row.querySelector('.projection').textContent = item.projection || '';
+
+        const open = row.querySelector('.btn-open');
+        open.textContent = this._label('open-label', 'Open');
+        open.disabled = !item.hasFile;
+        if (!item.hasFile) open.title = this._label('metadata-only-label', 'Only the header data is kept');
+        row.querySelector('.btn-delete').textContent = this._label('delete-label', 'Delete');
+        return row;
+    }
+
+    _build() {
+        const shadow = this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          margin: 8px 0;
+          padding: 10px 12px;
+          background: #16161e;
+          border: 1px solid #2a2a3a;
+          border-radius: 6px;
+          color: #c8c8e8;
+          font-family: 'IBM Plex Sans', 'Segoe UI', sans-serif;
+          font-size: 10pt;
+        }
+
+        :host([hidden]) {
+          display: none;
+        }
+
+        .toolbar {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 10px;
+          margin-bottom: 8px;
+        }
+
+        label {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .search {
+          box-sizing: border-box;
+          width: 24ch;
+          padding: 3px 6px;
+          background: #1e1e2c;
+          border: 1px solid #2a2a3a;
+          border-radius: 4px;
+          color: #c8c8e8;
+          font: inherit;
+          font-size: 9pt;
+        }
+
+        .list {
+          max-height: 50vh;
+          overflow-y: auto;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        th {
+          padding: 2px 4px;
+          color: #5a5a7a;
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 9pt;
+          font-weight: 500;
+          text-align: left;
+        }
+
+        .group th {
+          padding-top: 8px;
+          color: #8888b0;
+          font-weight: 600;
+          letter-spacing: 0.08em;
+          text-transform: uppercase;
+        }
+
+        td {
+          padding: 2px 4px;
+          vertical-align: middle;
+        }
+
+        .thumbnail {
+          width: 48px;
+        }
+
+        img {
+          display: block;
+          max-width: 48px;
+          max-height: 48px;
+          border-radius: 2px;
+        }
+
+        .exposure-date {
+          font-family: 'IBM Plex Mono', monospace;
+          font-size: 9pt;
+        }
+
+        .actions {
+          text-align: right;
+          white-space: nowrap;
+        }
+
+        .empty {
+          padding: 8px 4px;
+          color: #5a5a7a;
+        }
+
+        button {
+          padding: 4px 12px;
+          background: #1e1e2c;
+          border: 1px solid #2a2a3a;
+          border-radius: 4px;
+          color: #c8c8e8;
+          font: inherit;
+          font-size: 9pt;
+          cursor: pointer;
+        }
+
+        button:hover:not(:disabled) {
+          border-color: #7878d0;
+          color: #e0e0f8;
+        }
+
+        button:disabled {
+          opacity: 0.5;
+          cursor: default;
+        }
+
+        .btn-sort {
+          padding: 0;
+          background: transparent;
+          border: none;
+          color: inherit;
+          font-family: inherit;
+          font-weight: inherit;
+        }
+
+        .btn-clear {
+          margin-left: auto;
+        }
+      </style>
+
+      <div class="toolbar">
+        <input class="search" type="search" />
+        <label><input class="group" type="checkbox" /> <span class="group-label"></span></label>
+        <button class="btn-clear" type="button"></button>
+      </div>
+      <div class="list">
+        <table>
+          <thead><tr></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `;
+
+        shadow.querySelector('.group').checked = this._grouped;
+        this.attributeChangedCallback();
+
+        shadow.querySelector('.search').addEventListener('input', (event) => {
+            this._query = event.target.value;
+            this._render();
+        });
+        shadow.querySelector('.group').addEventListener('change', (event) => {
+            this._grouped = event.target.checked;
+            this._render();
+        });
+        shadow.querySelector('.btn-clear').addEventListener('click', () => this.dispatchEvent(new CustomEvent('clear')));
+
+        // Clicking the sorted column again reverses the order
+        shadow.querySelector('thead').addEventListener('click', (event) => {
+            const column = event.target.closest('.btn-sort')?.dataset.column;
+            if (!column) return;
+            this._sort = { column, descending: this._sort.column === column ? !this._sort.descending : false };
+            this._render();
+        });
+
+        shadow.querySelector('tbody').addEventListener('click', (event) => {
+            const button = event.target.closest('button');
+            if (!button) return;
+
+            if (button.classList.contains('btn-open-all')) {
+                this.dispatchEvent(new CustomEvent('open', { detail: { ids: button.dataset.ids.split(' ') } }));
+                return;
+            }
+
+            const id = button.closest('tr').dataset.id;
+            if (button.classList.contains('btn-open')) this.dispatchEvent(new CustomEvent('open', { detail: { ids: [id] } }));
+            else if (button.classList.contains('btn-delete')) this.dispatchEvent(new CustomEvent('delete', { detail: { ids: [id] } }));
+        });
+    }
+}
+
+customElements.define('study-library', StudyLibrary);
@@ -0,0 +1,50 @@
+// Dedicated worker hosting the .NET runtime, so that decoding never blocks the page (see decoder.js).
+//
+// Messages from the page:  { type: 'init', dotnetUrl }, then calls { id, method, args } to XRayFileReaderWrapper,
+//                          or { id, type: 'resources' } for the URLs of the files the runtime loaded.
+// Messages to the page:    { id, result } or { id, error } per call, and { type: 'progress', stage, fraction }
+//                          while a call decodes.
+
+let ready = null;
+
+async function start(dotnetUrl) {
+    // Workers have no import map, so the page passes the fingerprinted URL of dotnet.js
+    const { dotnet } = await import(dotnetUrl);
+    const { setModuleImports, getAssemblyExports, getConfig, runMain } = await dotnet.create();
+
+    setModuleImports('decoder', {
+        reportProgress: (stage, fraction) => self.postMessage({ type: 'progress', stage, fraction })
+    });
+
+    const exports = await getAssemblyExports(getConfig().mainAssemblyName);
+    await runMain();
+    return exports;
+}
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+
+    if (message.type === 'init') {
+        ready = start(message.dotnetUrl);
+        return;
+    }
+
+    if (message.type === 'resources') {
+        ready
+            .then(() => self.postMessage({
+                id: message.id,
+                result: [self.location.href, ...performance.getEntriesByType('resource').map((entry) => entry.name)]
+            }))
+            .catch((error) => self.postMessage({ id: message.id, error: error?.message || String(error) }));
+        return;
+    }
+
+    const { id, method, args } = message;
+    ready
+        .then((exports) => {
+            const result = exports.XRayFileReaderWrapper[method](...args);
+            // Typed arrays returned by [JSExport] are copies, so their buffers can be handed over
+            self.postMessage({ id, result }, ArrayBuffer.isView(result) ? [result.buffer] : []);
+        })
+        .catch((error) => self.postMessage({ id, error: error?.message || String(error) }));
+});
@@ -0,0 +1,167 @@
+// Page-side client of decoder-worker.js: calls XRayFileReaderWrapper exports in a dedicated worker
+// and reports their progress as 'progress' events ({ stage, fraction }).
+//
+// cancel() terminates the worker, aborting whatever it is decoding. Files opened before stay usable:
+// the client keeps their bytes and field layout, and re-opens them in the next worker the first time
+// they are used again.
+
+const workerUrl = import.meta.resolve('./decoder-worker.js');
+const dotnetUrl = import.meta.resolve('./_framework/dotnet.js');
+
+export class DecoderClient extends EventTarget {
+    constructor() {
+        super();
+        this._worker = null;
+        // Incremented by cancel(); worker handles from an older generation are gone
+        this._generation = 0;
+        this._nextCallId = 1;
+        this._pending = new Map();
+
+        // Client handle → { bytes, fieldLayout, generation, workerHandle: Promise<number> }
+        this._files = new Map();
+        this._nextHandle = 1;
+    }
+
+    /** Starts the worker and the .NET runtime ahead of the first call. */
+    start() {
+        this._ensureWorker();
+    }
+
+    /**
+     * Opens an .stl file and returns a handle for call().
+     * @param {Uint8Array} bytes
+     * @returns {Promise<number>}
+     */
+    async open(bytes) {
+        const handle = this._nextHandle++;
+        this._files.set(handle, { bytes, fieldLayout: '', generation: -1, workerHandle: null });
+
+        try {
+            await this._ensureOpen(handle);
+        } catch (error) {
+            this._files.delete(handle);
+            throw error;
+        }
+        return handle;
+    }
+
+    close(handle) {
+        const file = this._files.get(handle);
+        if (!file) return;
+
+        this._files.delete(handle);
+        if (file.generation === this._generation) {
+            file.workerHandle
+                .then((workerHandle) => this._post('Close', [workerHandle]))
+                .catch(() => { });
+        }
+    }
+
+    /**
+     * Calls XRayFileReaderWrapper.<method>(workerHandle, ...args) for an open file.
+     * Rejects with an AbortError when cancel() is called meanwhile.
+     */
+    async call(method, handle, ...args) {
+        const workerHandle = await this._ensureOpen(handle);
+        return this._post(method, [workerHandle, ...args]);
+    }
+
+    /**
+     * Reads the header fields of a file with the given layout from now on (see XRayFileReaderWrapper.SetFieldLayout).
+     * @param {string} layoutJson - an empty string restores the default layout
+     */
+    async setFieldLayout(handle, layoutJson) {
+        await this.call('SetFieldLayout', handle, layoutJson);
+
+        const file = this._files.get(handle);
+        if (file) file.fieldLayout = layoutJson;
+    }
+
+    /**
+     * URLs of the files the worker loaded (itself, the .NET runtime and assemblies), once the runtime has started,
+     * e.g. to keep them for offline use.
+     * @returns {Promise<string[]>}
+     */
+    resourceUrls() {
+        return this._request({ type: 'resources' });
+    }
+
+    /** Aborts all running and queued calls. */
+    cancel() {
+        if (!this._worker) return;
+
+        this._worker.terminate();
+        this._worker = null;
+        this._generation++;
+
+        for (const { reject } of this._pending.values()) {
+            reject(new DOMException('Decoding was cancelled.', 'AbortError'));
+        }
+        this._pending.clear();
+    }
+
+    _ensureOpen(handle) {
+        const file = this._files.get(handle);
+        if (!file) return Promise.reject(new Error(`No open file with handle ${handle}.`));
+
+        if (file.generation !== this._generation) {
+            file.generation = this._generation;
+            file.workerHandle = this._post('Open', [file.bytes]).then(async (workerHandle) => {
+                if (file.fieldLayout) await this._post('SetFieldLayout', [workerHandle, file.fieldLayout]);
+                return workerHandle;
+            });
+            // Try again with the next call if opening failed or was cancelled
+            file.workerHandle.catch(() => { file.generation = -1; });
+        }
+        return file.workerHandle;
+    }
+
+    _ensureWorker() {
+        if (this._worker) return this._worker;
+
+        const worker = new Worker(workerUrl, { type: 'module' });
+        worker.addEventListener('message', (event) => this._onMessage(event.data));
+        worker.addEventListener('error', (event) => {
+            // A worker that fails to load cannot answer; fail everything that waits for it
+            event.preventDefault();
+            if (this._worker !== worker) return;
+
+            for (const { reject } of this._pending.values()) reject(new Error(event.message || 'Decoder worker failed.'));
+            this._pending.clear();
+            this._worker = null;
+            this._generation++;
+        });
+        worker.postMessage({ type: 'init', dotnetUrl });
+
+        this._worker = worker;
+        return worker;
+    }
+
+    _post(method, args) {
+        return this._request({ method, args });
+    }
+
+    _request(message) {
+        const worker = this._ensureWorker();
+        const id = this._nextCallId++;
+
+        return new Promise((resolve, reject) => {
+            this._pending.set(id, { resolve, reject });
+            worker.postMessage({ id, ...message });
+        });
+    }
+
+    _onMessage(message) {
+        if (message.type === 'progress') {
+            this.dispatchEvent(new CustomEvent('progress', { detail: { stage: message.stage, fraction: message.fraction } }));
+            return;
+        }
+
+        const pending = this._pending.get(message.id);
+        if (!pending) return;
+
+        this._pending.delete(message.id);
+        if ('error' in message) pending.reject(new Error(message.error));
+        else pending.resolve(message.result);
+    }
+}
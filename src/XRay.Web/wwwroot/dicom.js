@@ -0,0 +1,222 @@
+// Writes DICOM Secondary Capture Image Storage files (explicit VR little endian, 16-bit MONOCHROME2)
+// from decoded pixel data, entirely in the browser.
+
+import { parseSex, sortableDate } from './normalization.js'
+
+const SECONDARY_CAPTURE_IMAGE_STORAGE = '1.2.840.10008.5.1.4.1.1.7';
+const EXPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2.1';
+const IMPLEMENTATION_CLASS_UID = '2.25.216914290748573862127418530163270513397';
+const IMPLEMENTATION_VERSION_NAME = 'XRAYVIEWER';
+
+// VRs whose length is a 4-byte field preceded by 2 reserved bytes in explicit VR encoding
+const LONG_LENGTH_VRS = new Set(['OB', 'OW', 'OF', 'SQ', 'UT', 'UN', 'UC', 'UR']);
+
+// Maximum value lengths in characters; longer header strings are truncated
+const MAX_LENGTHS = { AS: 4, CS: 16, SH: 16, LO: 64, PN: 64, DA: 8, DS: 16, IS: 12, TM: 14, UI: 64 };
+
+/**
+ * Encodes text as ISO 8859-5 (DICOM "ISO_IR 144"), or returns null when a character has no mapping.
+ * @param {string} text
+ * @returns {Uint8Array | null}
+ */
+function encodeIso8859_5(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        if (code < 0x80 || code === 0xA0 || code === 0xAD) bytes[i] = code;
+        else if (code === 0x2116) bytes[i] = 0xF0; // №
+        else if (code === 0xA7) bytes[i] = 0xFD; // §
+        // Ё..џ, except the code points taken by the soft hyphen, № and §
+        else if (code >= 0x0401 && code <= 0x045F && code !== 0x040D && code !== 0x0450 && code !== 0x045D) bytes[i] = code - 0x0360;
+        else return null;
+    }
+    return bytes;
+}
+
+/**
+ * Picks the Specific Character Set for the given texts: plain ASCII, Cyrillic (ISO 8859-5),
+ * or UTF-8 when some text is not representable in ISO 8859-5 (e.g. Ukrainian "ґ").
+ * @param {string[]} texts
+ * @returns {{ specificCharacterSet: string, encode: (text: string) => Uint8Array }}
+ */
+function chooseCharacterSet(texts) {
+    if (texts.every((text) => /^[\x00-\x7F]*$/.test(text))) {
+        return { specificCharacterSet: '', encode: (text) => new TextEncoder().encode(text) };
+    }
+    if (texts.every((text) => encodeIso8859_5(text))) {
+        return { specificCharacterSet: 'ISO_IR 144', encode: encodeIso8859_5 };
+    }
+    return { specificCharacterSet: 'ISO_IR 192', encode: (text) => new TextEncoder().encode(text) };
+}
+
+/**
+ * Builds one data element. Values are padded to an even length: UIDs and binary values with NUL,
+ * text with a space.
+ */
+function createElement(group, element, vr, value) {
+    const padding = value.length % 2;
+    const longLength = LONG_LENGTH_VRS.has(vr);
+    const headerLength = longLength ? 12 : 8;
+    const bytes = new Uint8Array(headerLength + value.length + padding);
+    const view = new DataView(bytes.buffer);
+
+    view.setUint16(0, group, true);
+    view.setUint16(2, element, true);
+    bytes[4] = vr.charCodeAt(0);
+    bytes[5] = vr.charCodeAt(1);
+    if (longLength) view.setUint32(8, value.length + padding, true);
+    else view.setUint16(6, value.length + padding, true);
+
+    bytes.set(value, headerLength);
+    if (padding) bytes[headerLength + value.length] = vr === 'UI' || vr === 'OB' ? 0x00 : 0x20;
+    return bytes;
+}
+
+function uint16Value(value) {
+    const bytes = new Uint8Array(2);
+    new DataView(bytes.buffer).setUint16(0, value, true);
+    return bytes;
+}
+
+function uint32Value(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value, true);
+    return bytes;
+}
+
+/**
+ * Derives a UID under the "2.25" root (ISO/IEC 9834-8) from a SHA-256 hash of the given parts,
+ * so exporting the same file again yields the same UIDs instead of a duplicate in the PACS.
+ * De-identified exports add a random salt, so the UIDs cannot be linked back to the patient.
+ * @param {(string | Uint8Array)[]} parts
+ * @returns {Promise<string>}
+ */
+async function deriveUid(...parts) {
+    const buffers = parts.map((part) => typeof part === 'string' ? new TextEncoder().encode(part + '\0') : part);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', concat(buffers)));
+
+    // Shape the first 128 bits as a version 8 (custom) UUID
+    const uuid = digest.slice(0, 16);
+    uuid[6] = (uuid[6] & 0x0F) | 0x80;
+    uuid[8] = (uuid[8] & 0x3F) | 0x80;
+
+    const value = uuid.reduce((result, byte) => (result << 8n) | BigInt(byte), 0n);
+    return `2.25.${value}`;
+}
+
+function concat(buffers) {
+    const result = new Uint8Array(buffers.reduce((sum, buffer) => sum + buffer.length, 0));
+    let offset = 0;
+    for (const buffer of buffers) {
+        result.set(buffer, offset);
+        offset += buffer.length;
+    }
+    return result;
+}
+
+/** "ИВАНОВ ИВАН ИВАНОВИЧ" → "ИВАНОВ^ИВАН^ИВАНОВИЧ" (family^given^middle). */
+function toPersonName(text) {
+    const [family = '', given = '', ...middle] = (text || '').trim().split(/\s+/);
+    return [family, given, middle.join(' ')].join('^').replace(/\^+$/, '');
+}
+
+/** "муж" / "жен" → "M" / "F". */
+function toPatientSex(text) {
+    return { male: 'M', female: 'F' }[parseSex(text)] ?? '';
+}
+
+/**
+ * Creates a DICOM Secondary Capture file from decoded 16-bit pixels and the .stl header fields.
+ * @param {object} image
+ * @param {Uint16Array} image.pixels row-major 16-bit pixels
+ * @param {number} image.width
+ * @param {number} image.height
+ * @param {Record<string, string>} image.metadata formatted header fields (GetMetadata)
+ * @param {Record<string, string>} image.rawMetadata raw header fields (GetRawMetadata), used for dates
+ * @param {{ center: number, width: number }} [image.window] default window stored in the file
+ * @param {boolean} [image.deidentified] marks the file as de-identified (Patient Identity Removed);
+ *     the caller passes metadata with the identifying fields already removed
+ * @param {number} [image.patientAge] age in years at exposure, written instead of the birth date
+ * @returns {Promise<Blob>}
+ */
+export async function createSecondaryCapture({ pixels, width, height, metadata, rawMetadata, window, deidentified = false, patientAge }) {
+    const patientName = toPersonName(metadata.PatientName);
+    const radiologist = toPersonName(metadata.Radiologist);
+    const institution = (metadata.Institution || '').trim();
+    const projection = (metadata.Projection || '').trim();
+    const fileId = (metadata.FileID || '').trim();
+    const exposureDate = sortableDate(rawMetadata.ExposureDate);
+    const birthDate = sortableDate(rawMetadata.BirthDate);
+
+    const pixelBytes = new Uint8Array(pixels.buffer, pixels.byteOffset, pixels.byteLength);
+    const salt = deidentified ? crypto.randomUUID() : '';
+    const studyUid = await deriveUid('study', salt, patientName, birthDate, exposureDate);
+    const seriesUid = await deriveUid('series', studyUid, fileId, projection);
+    const instanceUid = await deriveUid('instance', seriesUid, pixelBytes);
+
+    const charset = chooseCharacterSet([patientName, radiologist, institution, projection, fileId]);
+
+    const text = (vr, value) => charset.encode(value.slice(0, MAX_LENGTHS[vr]));
+    const ascii = (vr, value) => new TextEncoder().encode(String(value).slice(0, MAX_LENGTHS[vr]));
+
+    const meta = [
+        createElement(0x0002, 0x0001, 'OB', new Uint8Array([0x00, 0x01])),
+        createElement(0x0002, 0x0002, 'UI', ascii('UI', SECONDARY_CAPTURE_IMAGE_STORAGE)),
+        createElement(0x0002, 0x0003, 'UI', ascii('UI', instanceUid)),
+        createElement(0x0002, 0x0010, 'UI', ascii('UI', EXPLICIT_VR_LITTLE_ENDIAN)),
+        createElement(0x0002, 0x0012, 'UI', ascii('UI', IMPLEMENTATION_CLASS_UID)),
+        createElement(0x0002, 0x0013, 'SH', ascii('SH', IMPLEMENTATION_VERSION_NAME))
+    ];
+    const metaLength = meta.reduce((sum, element) => sum + element.length, 0);
+
+    // Elements in ascending tag order; empty values are type 2 (required, may be empty)
+    const dataset = [
+        charset.specificCharacterSet && createElement(0x0008, 0x0005, 'CS', ascii('CS', charset.specificCharacterSet)),
+        createElement(0x0008, 0x0008, 'CS', ascii('CS', 'DERIVED\\SECONDARY')),
+        createElement(0x0008, 0x0016, 'UI', ascii('UI', SECONDARY_CAPTURE_IMAGE_STORAGE)),
+        createElement(0x0008, 0x0018, 'UI', ascii('UI', instanceUid)),
+        createElement(0x0008, 0x0020, 'DA', ascii('DA', exposureDate)),
+        createElement(0x0008, 0x0023, 'DA', ascii('DA', exposureDate)),
+        createElement(0x0008, 0x0030, 'TM', ascii('TM', '')),
+        createElement(0x0008, 0x0050, 'SH', text('SH', fileId)),
+        createElement(0x0008, 0x0060, 'CS', ascii('CS', 'OT')),
+        createElement(0x0008, 0x0064, 'CS', ascii('CS', 'WSD')),
+        createElement(0x0008, 0x0070, 'LO', ascii('LO', '')),
+        institution && createElement(0x0008, 0x0080, 'LO', text('LO', institution)),
+        createElement(0x0008, 0x0090, 'PN', ascii('PN', '')),
+        projection && createElement(0x0008, 0x103E, 'LO', text('LO', projection)),
+        radiologist && createElement(0x0008, 0x1060, 'PN', text('PN', radiologist)),
+        createElement(0x0010, 0x0010, 'PN', text('PN', patientName)),
+        createElement(0x0010, 0x0020, 'LO', ascii('LO', '')),
+        createElement(0x0010, 0x0030, 'DA', ascii('DA', birthDate)),
+        createElement(0x0010, 0x0040, 'CS', ascii('CS', toPatientSex(metadata.Sex))),
+        Number.isInteger(patientAge) && createElement(0x0010, 0x1010, 'AS', ascii('AS', `${String(Math.min(999, patientAge)).padStart(3, '0')}Y`)),
+        deidentified && createElement(0x0012, 0x0062, 'CS', ascii('CS', 'YES')),
+        deidentified && createElement(0x0012, 0x0063, 'LO', ascii('LO', 'Patient name, address and birth date removed')),
+        createElement(0x0020, 0x000D, 'UI', ascii('UI', studyUid)),
+        createElement(0x0020, 0x000E, 'UI', ascii('UI', seriesUid)),
+        createElement(0x0020, 0x0010, 'SH', ascii('SH', '')),
+        createElement(0x0020, 0x0011, 'IS', ascii('IS', '1')),
+        createElement(0x0020, 0x0013, 'IS', ascii('IS', '1')),
+        createElement(0x0020, 0x0020, 'CS', ascii('CS', '')),
+        createElement(0x0028, 0x0002, 'US', uint16Value(1)),
+        createElement(0x0028, 0x0004, 'CS', ascii('CS', 'MONOCHROME2')),
+        createElement(0x0028, 0x0010, 'US', uint16Value(height)),
+        createElement(0x0028, 0x0011, 'US', uint16Value(width)),
+        createElement(0x0028, 0x0100, 'US', uint16Value(16)),
+        createElement(0x0028, 0x0101, 'US', uint16Value(16)),
+        createElement(0x0028, 0x0102, 'US', uint16Value(15)),
+        createElement(0x0028, 0x0103, 'US', uint16Value(0)),
+        window && createElement(0x0028, 0x1050, 'DS', ascii('DS', Math.round(window.center))),
+        window && createElement(0x0028, 0x1051, 'DS', ascii('DS', Math.max(1, Math.round(window.width)))),
+        createElement(0x7FE0, 0x0010, 'OW', pixelBytes)
+    ].filter(Boolean);
+
+    return new Blob([
+        new Uint8Array(128),
+        new TextEncoder().encode('DICM'),
+        createElement(0x0002, 0x0000, 'UL', uint32Value(metaLength)),
+        ...meta,
+        ...dataset
+    ], { type: 'application/dicom' });
+}
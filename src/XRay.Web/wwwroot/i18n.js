@@ -0,0 +1,109 @@
+// Texts of the viewer in several languages. Each language has a catalog, i18n/<language>.json, that maps keys to
+// texts; keys missing from it fall back to the English catalog. Plural forms are keys with an Intl.PluralRules
+// category appended, e.g. "normalization.age.few".
+//
+// setLanguage() dispatches 'languagechange' on `i18n`, for everything that shows text to render it again.
+// Shadow DOM marked up with data-i18n attributes is translated by translateElements().
+
+/** Languages with a catalog, each with its own name for it. */
+export const languages = {
+    en: 'English',
+    ru: 'Русский',
+    be: 'Беларуская',
+    uk: 'Українська'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+export const i18n = new EventTarget();
+
+let currentLanguage = DEFAULT_LANGUAGE;
+let catalog = {};
+let defaultCatalog = {};
+// Language → Promise of its catalog
+const catalogs = new Map();
+
+function loadCatalog(language) {
+    if (!catalogs.has(language)) {
+        // Catalogs keep their file name from one version to the next, so a cached copy is checked for changes
+        // (the service worker, too, fetches them from the network first)
+        const loaded = fetch(new URL(`./i18n/${language}.json`, import.meta.url), { cache: 'no-cache' })
+            .then((response) => {
+                if (!response.ok) throw new Error(`The ${language} catalog could not be loaded (${response.status}).`);
+                return response.json();
+            });
+        catalogs.set(language, loaded);
+        // Try again with the next call, e.g. once back online
+        loaded.catch(() => catalogs.delete(language));
+    }
+    return catalogs.get(language);
+}
+
+/** Code of the current language, a key of `languages`. */
+export function language() {
+    return currentLanguage;
+}
+
+/** The first of the browser's preferred languages that has a catalog, or English. */
+export function preferredLanguage() {
+    for (const tag of navigator.languages || [navigator.language]) {
+        const code = tag.toLowerCase().split('-')[0];
+        if (Object.hasOwn(languages, code)) return code;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Loads the catalog of a language and makes it the current one.
+ * Rejects, keeping the current language, when the catalog cannot be loaded.
+ * @param {string} language - a key of `languages`
+ */
+export async function setLanguage(language) {
+    const [defaults, texts] = await Promise.all([loadCatalog(DEFAULT_LANGUAGE), loadCatalog(language)]);
+
+    currentLanguage = language;
+    defaultCatalog = defaults;
+    catalog = texts;
+    document.documentElement.lang = language;
+    i18n.dispatchEvent(new Event('languagechange'));
+}
+
+/** Text of a key in the current language, or the key itself when no catalog has it. */
+export function t(key) {
+    return catalog[key] ?? defaultCatalog[key] ?? key;
+}
+
+/** Text of a key with plural forms (e.g. "normalization.age.one" and "normalization.age.other") that fits a count. */
+export function tPlural(key, count) {
+    const form = new Intl.PluralRules(currentLanguage).select(count);
+    return catalog[`${key}.${form}`] ?? t(`${key}.other`);
+}
+
+// The browser's own variant of the current language, if it prefers one (e.g. en-GB), for its date format
+function dateLocale() {
+    const tags = navigator.languages || [navigator.language];
+    return tags.find((tag) => tag.toLowerCase().split('-')[0] === currentLanguage) ?? currentLanguage;
+}
+
+/**
+ * Header date as parsed by parseRawDate() (normalization.js), in the short format of the current language.
+ * @param {{ day: number, month: number, year: number }} value
+ */
+export function formatDate({ day, month, year }) {
+    const date = new Date(0);
+    date.setUTCFullYear(year, month - 1, day);
+    return new Intl.DateTimeFormat(dateLocale(), { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: 'UTC' })
+        .format(date);
+}
+
+/**
+ * Sets the texts of the elements below root that name a key in data-i18n (text content),
+ * data-i18n-title (tooltip) or data-i18n-label (accessible name).
+ */
+export function translateElements(root) {
+    for (const element of root.querySelectorAll('[data-i18n]')) element.textContent = t(element.dataset.i18n);
+    for (const element of root.querySelectorAll('[data-i18n-title]')) element.title = t(element.dataset.i18nTitle);
+    for (const element of root.querySelectorAll('[data-i18n-label]')) {
+        element.setAttribute('aria-label', t(element.dataset.i18nLabel));
+    }
+}
@@ -0,0 +1,268 @@
+// Image files for sharing outside the viewer, with the header data embedded as text:
+//   png    the image as displayed (window, annotations), metadata in tEXt/iTXt chunks
+//   png16  16-bit grayscale PNG with the raw values, i.e. the full dynamic range
+//   tiff   16-bit grayscale baseline TIFF with the raw values, metadata in ImageDescription
+//   jpeg   the image as displayed, metadata in a comment segment
+// Metadata is passed as [keyword, value] pairs, and pixel spacing (mm per pixel) as the resolution when known.
+
+export const imageFormats = ['png', 'png16', 'tiff', 'jpeg'];
+export const imageExtensions = { 'png': 'png', 'png16': 'png', 'tiff': 'tif', 'jpeg': 'jpg' };
+
+const SOFTWARE = 'X-ray Viewer';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+// Signature and IHDR chunk (length, type, 13 data bytes, CRC): other chunks may follow right after
+const PNG_IHDR_END = 8 + 4 + 4 + 13 + 4;
+
+const CRC_TABLE = Uint32Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let c = 0xFFFFFFFF;
+    for (const byte of bytes) c = CRC_TABLE[(c ^ byte) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function concatBytes(parts) {
+    const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+}
+
+function canvasBytes(canvas, type, quality) {
+    return new Promise((resolve) => canvas.toBlob(resolve, type, quality))
+        .then((blob) => blob.arrayBuffer())
+        .then((buffer) => new Uint8Array(buffer));
+}
+
+function pngChunk(type, data) {
+    const typeAndData = concatBytes([new TextEncoder().encode(type), data]);
+    const chunk = new Uint8Array(typeAndData.length + 8);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(typeAndData, 4);
+    view.setUint32(chunk.length - 4, crc32(typeAndData));
+    return chunk;
+}
+
+// tEXt holds Latin-1 only; anything else (e.g. Cyrillic names) goes into an uncompressed iTXt chunk as UTF-8
+function pngTextChunk(keyword, value) {
+    const key = new TextEncoder().encode(keyword.slice(0, 79));
+    if (/^[\n\x20-\x7E\xA0-\xFF]*$/.test(value)) {
+        return pngChunk('tEXt', concatBytes([key, [0], Uint8Array.from(value, (c) => c.charCodeAt(0))]));
+    }
+    // Null separator, compression flag and method, empty language tag and translated keyword
+    return pngChunk('iTXt', concatBytes([key, [0, 0, 0, 0, 0], new TextEncoder().encode(value)]));
+}
+
+function pngMetadataChunks({ text = [], pixelSpacing = 0 }) {
+    const chunks = [];
+    if (pixelSpacing > 0) {
+        // Pixels per meter on both axes
+        const data = new Uint8Array(9);
+        const view = new DataView(data.buffer);
+        view.setUint32(0, Math.round(1000 / pixelSpacing));
+        view.setUint32(4, Math.round(1000 / pixelSpacing));
+        data[8] = 1;
+        chunks.push(pngChunk('pHYs', data));
+    }
+    for (const [keyword, value] of [['Software', SOFTWARE], ...text]) chunks.push(pngTextChunk(keyword, value));
+    return chunks;
+}
+
+function describe(text) {
+    return text.map(([keyword, value]) => `${keyword}: ${value}`).join('\n');
+}
+
+/**
+ * Raw pixels cropped to a region { x, y, width, height } and turned the way orientCanvas (imaging.js) turns
+ * a canvas: mirrored first when flipped, then rotated clockwise by a multiple of 90 degrees.
+ * @returns {{ pixels: Uint16Array, width: number, height: number }}
+ */
+export function orientPixels(pixels, width, height, { region = null, rotation = 0, flipped = false }) {
+    const { x: left, y: top, width: w, height: h } = region || { x: 0, y: 0, width, height };
+    const quarterTurn = rotation % 180 !== 0;
+    const outWidth = quarterTurn ? h : w;
+    const out = new Uint16Array(w * h);
+
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            const fx = flipped ? w - 1 - x : x;
+            let ox = fx, oy = y;
+            if (rotation === 90) [ox, oy] = [h - 1 - y, fx];
+            else if (rotation === 180) [ox, oy] = [w - 1 - fx, h - 1 - y];
+            else if (rotation === 270) [ox, oy] = [y, w - 1 - fx];
+            out[oy * outWidth + ox] = pixels[(top + y) * width + left + x];
+        }
+    }
+    return { pixels: out, width: outWidth, height: quarterTurn ? w : h };
+}
+
+/**
+ * PNG of a canvas with metadata chunks.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ text?: [string, string][], pixelSpacing?: number }} [metadata]
+ * @returns {Promise<Blob>}
+ */
+export async function encodePng(canvas, metadata = {}) {
+    const png = await canvasBytes(canvas, 'image/png');
+    const bytes = concatBytes([png.subarray(0, PNG_IHDR_END), ...pngMetadataChunks(metadata), png.subarray(PNG_IHDR_END)]);
+    return new Blob([bytes], { type: 'image/png' });
+}
+
+/**
+ * 16-bit grayscale PNG of raw pixel values, with metadata chunks.
+ * @param {{ pixels: Uint16Array, width: number, height: number }} image
+ * @param {{ text?: [string, string][], pixelSpacing?: number }} [metadata]
+ * @returns {Promise<Blob>}
+ */
+export async function encodeGray16Png({ pixels, width, height }, metadata = {}) {
+    // Big-endian samples, each row "Up"-filtered (difference to the row above), which suits smooth images
+    const rowLength = 1 + width * 2;
+    const raw = new Uint8Array(rowLength * height);
+    const previous = new Uint8Array(width * 2);
+    const current = new Uint8Array(width * 2);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = pixels[y * width + x];
+            current[x * 2] = value >> 8;
+            current[x * 2 + 1] = value & 0xFF;
+        }
+        raw[y * rowLength] = 2;
+        for (let i = 0; i < current.length; i++) raw[y * rowLength + 1 + i] = current[i] - previous[i];
+        previous.set(current);
+    }
+
+    // CompressionStream 'deflate' is the zlib format that IDAT expects
+    const compressed = new Uint8Array(await new Response(new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer());
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 16; // bit depth; color type 0 (grayscale), deflate, no filter method or interlace variants
+
+    const bytes = concatBytes([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        ...pngMetadataChunks(metadata),
+        pngChunk('IDAT', compressed),
+        pngChunk('IEND', new Uint8Array(0))
+    ]);
+    return new Blob([bytes], { type: 'image/png' });
+}
+
+const TIFF_ASCII = 2;
+const TIFF_SHORT = 3;
+const TIFF_LONG = 4;
+const TIFF_RATIONAL = 5;
+const TIFF_TYPE_SIZES = { [TIFF_ASCII]: 1, [TIFF_SHORT]: 2, [TIFF_LONG]: 4, [TIFF_RATIONAL]: 8 };
+
+/**
+ * Uncompressed 16-bit grayscale TIFF (little endian, one strip) of raw pixel values.
+ * ImageDescription holds the metadata as "keyword: value" lines in UTF-8.
+ * @param {{ pixels: Uint16Array, width: number, height: number }} image
+ * @param {{ text?: [string, string][], pixelSpacing?: number }} [metadata]
+ * @returns {Blob}
+ */
+export function encodeGray16Tiff({ pixels, width, height }, { text = [], pixelSpacing = 0 } = {}) {
+    const ascii = (value) => [...new TextEncoder().encode(value), 0];
+    // Pixels per centimeter when calibrated, otherwise the customary 72 per inch
+    const resolution = pixelSpacing > 0 ? [Math.round(10000 / pixelSpacing), 1000] : [72, 1];
+
+    // [tag, type, values], in ascending tag order; rationals are numerator, denominator pairs
+    const entries = [
+        [256, TIFF_LONG, [width]],
+        [257, TIFF_LONG, [height]],
+        [258, TIFF_SHORT, [16]],
+        [259, TIFF_SHORT, [1]],
+        [262, TIFF_SHORT, [1]],
+        ...(text.length ? [[270, TIFF_ASCII, ascii(describe(text))]] : []),
+        [273, TIFF_LONG, [0]],
+        [277, TIFF_SHORT, [1]],
+        [278, TIFF_LONG, [height]],
+        [279, TIFF_LONG, [pixels.length * 2]],
+        [282, TIFF_RATIONAL, resolution],
+        [283, TIFF_RATIONAL, resolution],
+        [296, TIFF_SHORT, [pixelSpacing > 0 ? 3 : 2]],
+        [305, TIFF_ASCII, ascii(SOFTWARE)]
+    ];
+
+    // Header, IFD, then the values too long to fit into their entry, then the pixels
+    let offset = 8 + 2 + entries.length * 12 + 4;
+    const valueOffsets = entries.map(([, type, values]) => {
+        const size = values.length * TIFF_TYPE_SIZES[type] / (type === TIFF_RATIONAL ? 2 : 1);
+        if (size <= 4) return null;
+
+        const valueOffset = offset;
+        offset += size + (size % 2);
+        return valueOffset;
+    });
+    const pixelOffset = offset;
+    entries.find(([tag]) => tag === 273)[2][0] = pixelOffset;
+
+    const buffer = new ArrayBuffer(pixelOffset + pixels.length * 2);
+    const view = new DataView(buffer);
+    view.setUint16(0, 0x4949);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, 8, true);
+    view.setUint16(8, entries.length, true);
+
+    entries.forEach(([tag, type, values], i) => {
+        const entryOffset = 10 + i * 12;
+        view.setUint16(entryOffset, tag, true);
+        view.setUint16(entryOffset + 2, type, true);
+        view.setUint32(entryOffset + 4, type === TIFF_RATIONAL ? values.length / 2 : values.length, true);
+
+        if (valueOffsets[i] !== null) view.setUint32(entryOffset + 8, valueOffsets[i], true);
+
+        let valueOffset = valueOffsets[i] ?? entryOffset + 8;
+        for (const value of values) {
+            if (type === TIFF_ASCII) view.setUint8(valueOffset, value);
+            else if (type === TIFF_SHORT) view.setUint16(valueOffset, value, true);
+            else view.setUint32(valueOffset, value, true);
+            valueOffset += type === TIFF_RATIONAL ? 4 : TIFF_TYPE_SIZES[type];
+        }
+    });
+    view.setUint32(10 + entries.length * 12, 0, true);
+
+    for (let i = 0; i < pixels.length; i++) view.setUint16(pixelOffset + i * 2, pixels[i], true);
+    return new Blob([buffer], { type: 'image/tiff' });
+}
+
+/**
+ * JPEG of a canvas, with the metadata as "keyword: value" lines in a UTF-8 comment (COM) segment.
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} quality 0-1
+ * @param {{ text?: [string, string][] }} [metadata]
+ * @returns {Promise<Blob>}
+ */
+export async function encodeJpeg(canvas, quality, { text = [] } = {}) {
+    const jpeg = await canvasBytes(canvas, 'image/jpeg', quality);
+
+    // A segment length counts its two length bytes and is at most 65535
+    const comment = new TextEncoder().encode(describe([['Software', SOFTWARE], ...text])).subarray(0, 65533);
+    const segment = concatBytes([[0xFF, 0xFE, (comment.length + 2) >> 8, (comment.length + 2) & 0xFF], comment]);
+
+    // JFIF requires its APP0 segment right after the start-of-image marker, so the comment follows that segment
+    const hasApp0 = jpeg[2] === 0xFF && jpeg[3] === 0xE0;
+    const offset = hasApp0 ? 4 + ((jpeg[4] << 8) | jpeg[5]) : 2;
+    return new Blob([concatBytes([jpeg.subarray(0, offset), segment, jpeg.subarray(offset)])], { type: 'image/jpeg' });
+}
+
+/**
+ * Puts a canvas on the clipboard as PNG. The PNG is passed as a promise, so that browsers
+ * which require a user gesture still count the click that started the copy.
+ * @returns {Promise<void>}
+ */
+export function copyImage(canvas) {
+    const png = new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    return navigator.clipboard.write([new ClipboardItem({ 'image/png': png })]);
+}
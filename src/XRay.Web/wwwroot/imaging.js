@@ -0,0 +1,247 @@
+// Rendering of raw 16-bit images shared by the viewer components, the printable report (report.js) and the study library:
+// histogram-based window presets, the window lookup table and annotations drawn in image units.
+
+// Window presets as lower/upper fractions of the pixel value distribution:
+// raw detector values carry no absolute scale, so the presets follow each image's histogram.
+// 'auto' matches the fixed 0.5-99.5 percentile stretch of XRayFileReader.GetPngBuffer.
+export const WINDOW_PRESETS = {
+    'auto': [0.005, 0.995],
+    'bone': [0.45, 0.998],
+    'soft-tissue': [0.02, 0.6]
+};
+
+export function computeHistogram(pixels) {
+    const histogram = new Uint32Array(65536);
+    for (let i = 0; i < pixels.length; i++) histogram[pixels[i]]++;
+    return histogram;
+}
+
+// Same index rule as XRayFileReader.Percentile: sorted[floor(frac * (count - 1))]
+export function histogramPercentile(histogram, count, frac) {
+    let remaining = Math.floor(frac * (count - 1));
+    for (let value = 0; value < histogram.length; value++) {
+        if (remaining < histogram[value]) return value;
+        remaining -= histogram[value];
+    }
+    return histogram.length - 1;
+}
+
+// Raw value range [lo, hi] selected by a WINDOW_PRESETS entry
+export function presetRange(histogram, count, preset) {
+    const [lowerFrac, upperFrac] = WINDOW_PRESETS[preset];
+    return [histogramPercentile(histogram, count, lowerFrac), histogramPercentile(histogram, count, upperFrac)];
+}
+
+// Maps every 16-bit value to an opaque gray RGBA pixel (little-endian ABGR) for the given window.
+export function createWindowLut(center, width) {
+    const lut = new Uint32Array(65536);
+    const lo = center - width / 2;
+    const scale = 255 / width;
+    for (let value = 0; value < lut.length; value++) {
+        const gray = Math.min(255, Math.max(0, Math.trunc((value - lo) * scale)));
+        lut[value] = 0xFF000000 | (gray << 16) | (gray << 8) | gray;
+    }
+    return lut;
+}
+
+export function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+// Annotations are drawn in image units (like marks on the film), so they scale with the image
+// and look the same on screen, in print and in exports.
+export function annotationStyle(width, height) {
+    const size = Math.min(width, height);
+    return { lineWidth: Math.max(2, size / 400), fontSize: Math.max(12, Math.round(size / 40)) };
+}
+
+// Number of points of each annotation type; freehand lines have any number from two
+const ANNOTATION_POINTS = { arrow: 2, circle: 2, text: 1, freehand: null };
+
+/** Whether a value (e.g. read from a sidecar file) is an annotation drawAnnotations() can draw. */
+export function isValidAnnotation(annotation) {
+    if (!annotation || typeof annotation !== 'object' || !Object.hasOwn(ANNOTATION_POINTS, annotation.type)) return false;
+    if (typeof annotation.color !== 'string' || (annotation.type === 'text' && typeof annotation.text !== 'string')) return false;
+
+    const { points } = annotation;
+    const count = ANNOTATION_POINTS[annotation.type];
+    if (!Array.isArray(points) || (count === null ? points.length < 2 : points.length !== count)) return false;
+    return points.every((point) => Number.isFinite(point?.x) && Number.isFinite(point?.y));
+}
+
+/** End of the shaft and head triangle (tip first) of an arrow drawn with the given line width. */
+export function arrowGeometry(tail, head, lineWidth) {
+    const angle = Math.atan2(head.y - tail.y, head.x - tail.x);
+    const headLength = lineWidth * 6;
+    const corner = (offset) => ({
+        x: head.x - headLength * Math.cos(angle + offset),
+        y: head.y - headLength * Math.sin(angle + offset)
+    });
+    return {
+        shaftEnd: { x: head.x - Math.cos(angle) * headLength * 0.8, y: head.y - Math.sin(angle) * headLength * 0.8 },
+        head: [head, corner(-Math.PI / 7), corner(Math.PI / 7)]
+    };
+}
+
+/** Frame { x, y, width, height } drawn around a selected arrow, circle or freehand annotation. */
+export function selectionFrame(annotation, lineWidth) {
+    const p = annotation.points;
+    const radius = annotation.type === 'circle' ? distance(p[0], p[1]) : 0;
+    const xs = annotation.type === 'circle' ? [p[0].x - radius, p[0].x + radius] : p.map((point) => point.x);
+    const ys = annotation.type === 'circle' ? [p[0].y - radius, p[0].y + radius] : p.map((point) => point.y);
+    const margin = lineWidth * 3;
+    return {
+        x: Math.min(...xs) - margin,
+        y: Math.min(...ys) - margin,
+        width: Math.max(...xs) - Math.min(...xs) + margin * 2,
+        height: Math.max(...ys) - Math.min(...ys) + margin * 2
+    };
+}
+
+/**
+ * Draws annotations into an image-sized canvas, for the magnifier, printing and export; the viewer shows them as SVG.
+ * Text is kept upright for the given rotation and flip.
+ */
+export function drawAnnotations(ctx, annotations, { width, height, rotation = 0, flipped = false, selectedId = null }) {
+    const { lineWidth, fontSize } = annotationStyle(width, height);
+
+    ctx.save();
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = lineWidth;
+
+    for (const annotation of annotations) {
+        const p = annotation.points;
+        const selected = annotation.id === selectedId;
+        ctx.strokeStyle = ctx.fillStyle = annotation.color;
+
+        switch (annotation.type) {
+            case 'arrow': {
+                const { shaftEnd, head } = arrowGeometry(p[0], p[1], lineWidth);
+
+                ctx.beginPath();
+                ctx.moveTo(p[0].x, p[0].y);
+                ctx.lineTo(shaftEnd.x, shaftEnd.y);
+                ctx.stroke();
+
+                ctx.beginPath();
+                head.forEach((point, i) => i ? ctx.lineTo(point.x, point.y) : ctx.moveTo(point.x, point.y));
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+            case 'circle':
+                ctx.beginPath();
+                ctx.arc(p[0].x, p[0].y, distance(p[0], p[1]), 0, Math.PI * 2);
+                ctx.stroke();
+                break;
+            case 'freehand':
+                ctx.beginPath();
+                p.forEach((point, i) => i ? ctx.lineTo(point.x, point.y) : ctx.moveTo(point.x, point.y));
+                ctx.stroke();
+                break;
+            case 'text':
+                ctx.save();
+                ctx.translate(p[0].x, p[0].y);
+                if (flipped) ctx.scale(-1, 1);
+                ctx.rotate(-rotation * Math.PI / 180);
+                ctx.font = `600 ${fontSize}px 'IBM Plex Sans', 'Segoe UI', sans-serif`;
+                ctx.textBaseline = 'top';
+                ctx.lineWidth = fontSize / 6;
+                ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+                ctx.strokeText(annotation.text, 0, 0);
+                ctx.fillText(annotation.text, 0, 0);
+                if (selected) {
+                    ctx.lineWidth = lineWidth / 2;
+                    ctx.setLineDash([lineWidth * 2, lineWidth * 2]);
+                    ctx.strokeStyle = annotation.color;
+                    ctx.strokeRect(-lineWidth, -lineWidth, ctx.measureText(annotation.text).width + lineWidth * 2, fontSize * 1.2 + lineWidth * 2);
+                }
+                ctx.restore();
+                continue;
+        }
+
+        if (selected) {
+            const frame = selectionFrame(annotation, lineWidth);
+
+            ctx.save();
+            ctx.lineWidth = lineWidth / 2;
+            ctx.setLineDash([lineWidth * 2, lineWidth * 2]);
+            ctx.strokeRect(frame.x, frame.y, frame.width, frame.height);
+            ctx.restore();
+        }
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Draws 16-bit pixels at natural size through a window { center, width }, with annotations burned in.
+ * @returns {HTMLCanvasElement}
+ */
+export function renderImage(pixels, width, height, window, annotations = []) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const lut = createWindowLut(window.center, window.width);
+    const imageData = new ImageData(width, height);
+    const out = new Uint32Array(imageData.data.buffer);
+    for (let i = 0; i < out.length; i++) out[i] = lut[pixels[i]];
+
+    const ctx = canvas.getContext('2d');
+    ctx.putImageData(imageData, 0, 0);
+    drawAnnotations(ctx, annotations, { width, height });
+    return canvas;
+}
+
+// Draws a downscaled copy of 16-bit pixels with the same auto window as <metadata-image>
+export function renderThumbnail(canvas, pixels, width, height, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+
+    const [lo, hi] = presetRange(computeHistogram(pixels), pixels.length, 'auto');
+    const lut = createWindowLut((lo + hi) / 2, Math.max(1, hi - lo));
+
+    const imageData = new ImageData(canvas.width, canvas.height);
+    const out = new Uint32Array(imageData.data.buffer);
+    for (let y = 0; y < canvas.height; y++) {
+        const srcY = Math.min(height - 1, Math.floor(y / scale));
+        for (let x = 0; x < canvas.width; x++) {
+            out[y * canvas.width + x] = lut[pixels[srcY * width + Math.min(width - 1, Math.floor(x / scale))]];
+        }
+    }
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+}
+
+/**
+ * Copy of the { x, y, width, height } part of a canvas.
+ * @returns {HTMLCanvasElement}
+ */
+export function cropCanvas(source, region) {
+    const canvas = document.createElement('canvas');
+    canvas.width = region.width;
+    canvas.height = region.height;
+    canvas.getContext('2d').drawImage(source, region.x, region.y, region.width, region.height, 0, 0, region.width, region.height);
+    return canvas;
+}
+
+/**
+ * Copy of a canvas turned the way the viewer shows it: mirrored first when flipped,
+ * then rotated clockwise by a multiple of 90 degrees.
+ * @returns {HTMLCanvasElement}
+ */
+export function orientCanvas(source, { rotation = 0, flipped = false }) {
+    const quarterTurn = rotation % 180 !== 0;
+    const canvas = document.createElement('canvas');
+    canvas.width = quarterTurn ? source.height : source.width;
+    canvas.height = quarterTurn ? source.width : source.height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(rotation * Math.PI / 180);
+    if (flipped) ctx.scale(-1, 1);
+    ctx.drawImage(source, -source.width / 2, -source.height / 2);
+    return canvas;
+}
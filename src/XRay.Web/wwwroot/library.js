@@ -0,0 +1,118 @@
+// Local library of opened files, kept in IndexedDB so that they can be found and opened again on a later visit.
+//
+// Each file is a record of the 'studies' store: { id, fileName, profileName, metadata, rawMetadata, dateFields,
+// width, height, thumbnail (PNG blob), hasFile, storedAt }, keyed by the SHA-256 of its bytes, so that a file opened again (from
+// another folder or disc) replaces its record. The bytes themselves, when kept, are in the 'files' store as
+// { id, bytes }, which listing the library does not read.
+
+const DB_NAME = 'x-ray-viewer';
+const DB_VERSION = 1;
+const STUDIES = 'studies';
+const FILES = 'files';
+
+/** What is kept of opened files: nothing, their header data and a thumbnail, or the whole files. */
+export const libraryModes = ['off', 'metadata', 'files'];
+
+let database = null;
+
+function openDatabase() {
+    if (!database) {
+        database = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STUDIES, { keyPath: 'id' });
+                request.result.createObjectStore(FILES, { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab with a newer version of the viewer is upgrading the database
+                db.onversionchange = () => {
+                    db.close();
+                    database = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+        // Try again with the next call, e.g. once storage is no longer blocked
+        database.catch(() => { database = null; });
+    }
+    return database;
+}
+
+// Runs fn with the object stores of a new transaction; resolves once the transaction has completed,
+// with the result of the request fn returns, if any
+async function transact(storeNames, mode, fn) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const request = fn(...storeNames.map((name) => transaction.objectStore(name)));
+
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new DOMException('The transaction was aborted.', 'AbortError'));
+    });
+}
+
+async function fileId(bytes) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return [...digest].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Adds an opened file to the library, or updates its record.
+ * Bytes kept before stay when the file is stored again without them.
+ * @param {{ fileName: string, profileName: string | null, metadata: object, rawMetadata: object, dateFields: string[],
+ *           width: number, height: number, thumbnail: Blob | null }} study
+ * @param {Uint8Array} bytes - the .stl file
+ * @param {{ keepFile?: boolean }} [options]
+ * @returns {Promise<string>} the record's id
+ */
+export async function storeStudy(study, bytes, { keepFile = false } = {}) {
+    const id = await fileId(bytes);
+
+    await transact([STUDIES, FILES], 'readwrite', (studies, files) => {
+        studies.get(id).onsuccess = (event) => {
+            const hasFile = keepFile || Boolean(event.target.result?.hasFile);
+            studies.put({ ...study, id, hasFile, storedAt: Date.now() });
+        };
+        if (keepFile) files.put({ id, bytes });
+    });
+    return id;
+}
+
+/**
+ * All records of the library, without the files' bytes.
+ * @returns {Promise<object[]>}
+ */
+export function listStudies() {
+    return transact([STUDIES], 'readonly', (studies) => studies.getAll());
+}
+
+/**
+ * The kept bytes of a file, or null when only its header data is in the library.
+ * @returns {Promise<Uint8Array | null>}
+ */
+export async function readStudyFile(id) {
+    const file = await transact([FILES], 'readonly', (files) => files.get(id));
+    return file?.bytes ?? null;
+}
+
+/** Removes records and their files. */
+export function deleteStudies(ids) {
+    return transact([STUDIES, FILES], 'readwrite', (studies, files) => {
+        for (const id of ids) {
+            studies.delete(id);
+            files.delete(id);
+        }
+    });
+}
+
+/** Removes everything from the library. */
+export function clearLibrary() {
+    return transact([STUDIES, FILES], 'readwrite', (studies, files) => {
+        studies.clear();
+        files.clear();
+    });
+}
@@ -1,162 +1,2260 @@
-import { dotnet } from './_framework/dotnet.js'
-
-const { setModuleImports, getAssemblyExports, getConfig, runMain } = await dotnet.create();
-
-const config = getConfig();
-const exports = await getAssemblyExports(config.mainAssemblyName);
-
-const allTranslations = {
-    en: {
-        "generic-table.heading.field-name": "Field",
-        "generic-table.heading.field-value": "Value",
-        "generic-table.content.no-data": "No Data",
-
-        "equipment-table.caption": "Equipment",
-        "equipment-table.field.tube-config": "Tube Configuration",
-
-        "visit-table.caption": "Appointment",
-        "visit-table.field.institution": "Institution",
-        "visit-table.field.exposure-date": "Capture Date",
-        "visit-table.field.care-type": "Care Type",
-        "visit-table.field.projection": "Projection",
-        "visit-table.field.radiologist": "Radiologist",
-
-        "patient-table.caption": "Patient",
-        "patient-table.field.patient-name": "Full Name",
-        "patient-table.field.patient-address": "Address",
-        "patient-table.field.patient-birth-date": "Birth Date",
-        "patient-table.field.patient-sex": "Sex",
-
-        "file-selector.only-one-file-allowed": "Please select only one file.",
-        "file-selector.only-stl-files-allowed": "Only proprietary stl format is supported.",
-
-        "loading.message": "Loading",
-        "loading.note": "It may take up to one minute to load the file"
-    },
-    ru: {
-        "generic-table.heading.field-name": "Поле",
-        "generic-table.heading.field-value": "Значение",
-        "generic-table.content.no-data": "Нет данных",
-
-        "equipment-table.caption": "Оборудование",
-        "equipment-table.field.tube-config": "Параметры трубки",
-
-        "visit-table.caption": "Визит",
-        "visit-table.field.institution": "Учреждение",
-        "visit-table.field.exposure-date": "Дата cнимка",
-        "visit-table.field.care-type": "Условия оказания помощи",
-        "visit-table.field.projection": "Проекция",
-        "visit-table.field.radiologist": "Рентгенолог",
-
-        "patient-table.caption": "Пациент",
-        "patient-table.field.patient-name": "ФИО",
-        "patient-table.field.patient-address": "Адрес",
-        "patient-table.field.patient-birth-date": "Дата рождения",
-        "patient-table.field.patient-sex": "Пол",
-
-        "file-selector.only-one-file-allowed": "Можно выбрать только один файл.",
-        "file-selector.only-stl-files-allowed": "Поддерживаются только нестандартные .stl файлы.",
-
-        "loading.message": "Загрузка",
-        "loading.note": "Загрузка файла может занять до одной минуты"
-    }
-};
-
-const translation = navigator.language.startsWith("ru")
-    ? allTranslations.ru
-    : allTranslations.en;
-
-function t(key) {
-    return translation[key] || key;
-}
-
-const equipmentTableMetadata = {
-    caption: t("equipment-table.caption"),
-    fields: [
-        { id: "TubeConfig", name: t("equipment-table.field.tube-config") }
-    ]
-};
-
-const appointmentTableMetadata = {
-    caption: t("visit-table.caption"),
-    fields: [
-        { id: "Institution", name: t("visit-table.field.institution") },
-        { id: "ExposureDate", name: t("visit-table.field.exposure-date") },
-        { id: "CareType", name: t("visit-table.field.care-type") },
-        { id: "Projection", name: t("visit-table.field.projection") },
-        { id: "Radiologist", name: t("visit-table.field.radiologist") }
-    ]
-}
-
-const patientTableMetadata = {
-    caption: t("patient-table.caption"),
-    fields: [
-        { id: "PatientName", name: t("patient-table.field.patient-name") },
-        { id: "PatientAddress", name: t("patient-table.field.patient-address") },
-        { id: "BirthDate", name: t("patient-table.field.patient-birth-date") },
-        { id: "Sex", name: t("patient-table.field.patient-sex") }
-    ]
-}
-
-const metadataContainer = document.getElementById("metadata-tables-container");
-function updateMetadata(metadata) {
-    const html = [];
-
-    function createMetadataTable(tableMetadata) {
-        html.push(`<metadata-table caption=\"${tableMetadata.caption}\" no-data-label=\"${t("generic-table.content.no-data")}\" field-label=\"${t("generic-table.heading.field-name")}\" value-label=\"${t("generic-table.heading.field-value")}\">`);
-        for (const field of tableMetadata.fields) {
-            const value = metadata[field.id] || "";
-            value && html.push(`<metadata-row name=\"${field.name}\">${value}</metadata-row>`);
-        }
-        html.push(`</metadata-table>`);
-    }
-
-    createMetadataTable(appointmentTableMetadata);
-    createMetadataTable(patientTableMetadata);
-    createMetadataTable(equipmentTableMetadata);
-
-    metadataContainer.innerHTML = html.join("");
-}
-
-updateMetadata({});
-
-const loadingOverlay = document.getElementById('loading-overlay');
-loadingOverlay.removeAttribute('visible');
-loadingOverlay.setAttribute('message', t('loading.message'));
-loadingOverlay.setAttribute('note', t('loading.note'));
-
-const stlRegex = /.+\.stl$/i;
-document.getElementById('file-input').addEventListener('change', function (event) {
-    const files = event.target.files;
-
-    if (files.length > 1) {
-        event.target.value = '';
-        alert(t("file-selector.only-one-file-allowed"));
-        return;
-    }
-
-    const file = files[0];
-
-    if (!stlRegex.test(file.name)) {
-        event.target.value = '';
-        alert(t("file-selector.only-stl-files-allowed"));
-        return;
-    }
-
-    loadingOverlay.setAttribute('visible', 'true');
-
-    setTimeout(function () {
-        file.arrayBuffer()
-            .then(function (arrayBuffer) {
-                const bytes = new Uint8Array(arrayBuffer);
-                exports.XRayFileReaderWrapper.Open(bytes);
-
-                updateMetadata(JSON.parse(exports.XRayFileReaderWrapper.GetMetadata()));
-
-                document.getElementById('x-ray-image').setAttribute('src', exports.XRayFileReaderWrapper.GetImageSrc());
-            })
-            .finally(function () { loadingOverlay.removeAttribute('visible'); });
-    }, 100); // Ensure loading overlay is rendered before processing the file)
-});
-
-await runMain();
\ No newline at end of file
+import { createSecondaryCapture } from './dicom.js'
+import { DecoderClient } from './decoder.js'
+import { formatDate, i18n, language, languages, preferredLanguage, setLanguage, t, tPlural } from './i18n.js'
+import { copyImage, encodeGray16Png, encodeGray16Tiff, encodeJpeg, encodePng, imageExtensions, imageFormats, orientPixels } from './image-export.js'
+import { computeHistogram, isValidAnnotation, presetRange, renderImage, renderThumbnail } from './imaging.js'
+import { clearLibrary, deleteStudies, libraryModes, listStudies, readStudyFile, storeStudy } from './library.js'
+import { ageAtExposure, derivedFields, findDateProblems, formatAge, normalizeMetadata, parseRawDate, sortableDate } from './normalization.js'
+import { fieldEncodings, findProfileProblems, headerSize, normalizeProfile, profileLayout } from './profiles.js'
+import { createReportPdf, orientationMarkers, printReportPages, renderReportPages, reportLayouts } from './report.js'
+
+// XRayFileReaderWrapper runs in a worker, so that decoding never blocks the page
+const decoder = new DecoderClient();
+decoder.start();
+
+// Texts are in the language chosen with the selector in the page header (see i18n.js), or else the browser's
+const languageStorageKey = 'x-ray-viewer.language';
+const storedLanguage = localStorage.getItem(languageStorageKey);
+
+// Without its catalog (e.g. a language first chosen while offline), the texts stay in English
+await setLanguage(Object.hasOwn(languages, storedLanguage) ? storedLanguage : preferredLanguage())
+    .catch(() => setLanguage('en'))
+    .catch(() => { });
+
+// Sets texts of the page now, and again whenever the language changes
+function translated(apply) {
+    apply();
+    i18n.addEventListener('languagechange', apply);
+}
+
+const equipmentTableMetadata = {
+    key: "equipment",
+    caption: "equipment-table.caption",
+    fields: [
+        { id: "TubeVoltage", name: "equipment-table.field.tube-voltage" },
+        { id: "TubeCurrent", name: "equipment-table.field.tube-current" },
+        { id: "TubeConfig", name: "equipment-table.field.tube-config" }
+    ]
+};
+
+const appointmentTableMetadata = {
+    key: "visit",
+    caption: "visit-table.caption",
+    fields: [
+        { id: "Institution", name: "visit-table.field.institution" },
+        { id: "ExposureDate", name: "visit-table.field.exposure-date" },
+        { id: "CareType", name: "visit-table.field.care-type" },
+        { id: "Projection", name: "visit-table.field.projection" },
+        { id: "Radiologist", name: "visit-table.field.radiologist" }
+    ]
+}
+
+const patientTableMetadata = {
+    key: "patient",
+    caption: "patient-table.caption",
+    fields: [
+        { id: "PatientName", name: "patient-table.field.patient-name" },
+        { id: "PatientAddress", name: "patient-table.field.patient-address" },
+        { id: "BirthDate", name: "patient-table.field.patient-birth-date" },
+        { id: "Age", name: "patient-table.field.patient-age" },
+        { id: "Sex", name: "patient-table.field.patient-sex" }
+    ]
+}
+
+// Tables of the standard header layout, in display order, with their captions and field names in the current language
+function defaultMetadataTables() {
+    return [appointmentTableMetadata, patientTableMetadata, equipmentTableMetadata].map((table) => ({
+        key: table.key,
+        caption: t(table.caption),
+        fields: table.fields.map((field) => ({ id: field.id, name: t(field.name) }))
+    }));
+}
+
+// Tables shown for the active entry, built from its header profile
+let metadataTables = defaultMetadataTables();
+
+const metadataContainer = document.getElementById("metadata-tables-container");
+
+// Fields no table names (the standard layout's Unknown1, FileID and Date), shown with all fields
+const otherFieldNames = {
+    Unknown1: "other-table.field.unknown1",
+    FileID: "other-table.field.file-id",
+    Date: "other-table.field.date"
+};
+
+// Tables of an entry with all fields of its layout: those of metadataTables, then the ones they leave out
+function allFieldTables(entry) {
+    const tables = metadataTables.map((table) => ({ ...table, fields: [...table.fields] }));
+    const tableFieldIds = new Set(tables.flatMap((table) => table.fields.map((field) => field.id)));
+    const otherFields = entry.fieldLayout.filter((field) => !tableFieldIds.has(field.id))
+        .map((field) => ({ id: field.id, name: otherFieldNames[field.id] ? t(otherFieldNames[field.id]) : field.id }));
+    if (!otherFields.length) return tables;
+
+    const otherTable = tables.find((table) => table.key === "other");
+    if (otherTable) otherTable.fields.push(...otherFields);
+    else tables.push({ key: "other", caption: t("profiles.table.other"), fields: otherFields });
+    return tables;
+}
+
+// Fills the tables with the header data of an entry (null: empty tables). With compareEntry,
+// the tables get a second value column headed by columnLabels[1].
+function updateMetadata(entry, compareEntry = null, columnLabels = []) {
+    const metadata = entry ? displayedMetadata(entry) : {};
+    const compareMetadata = compareEntry && displayedMetadata(compareEntry);
+    const problems = entry ? findDateProblems(entry.rawMetadata, entry.dateFields) : {};
+    const tables = entry && allFieldsShown() ? allFieldTables(entry) : metadataTables;
+
+    // Values are set as text, so that header data never becomes markup
+    function createMetadataTable(tableMetadata) {
+        const table = document.createElement("metadata-table");
+        table.setAttribute("caption", tableMetadata.caption);
+        table.setAttribute("no-data-label", t("generic-table.content.no-data"));
+        table.setAttribute("field-label", t("generic-table.heading.field-name"));
+        table.setAttribute("value-label", compareMetadata ? columnLabels[0] : t("generic-table.heading.field-value"));
+        if (compareMetadata) table.setAttribute("compare-label", columnLabels[1]);
+
+        for (const field of tableMetadata.fields) {
+            const value = metadata[field.id] || "";
+            const compareValue = compareMetadata?.[field.id] || "";
+            // An empty row only stands for a field that is empty in the file, not for one shown in another way
+            const empty = !value && !compareValue;
+            if (empty && !(entry && allFieldsShown() && !storedValue(entry, field.id))) continue;
+
+            const row = document.createElement("metadata-row");
+            row.setAttribute("name", field.name);
+            row.textContent = value;
+            if (value) row.setAttribute("hint", fieldHint(entry, field.id, value, problems[field.id]));
+            if (value && problems[field.id]) row.setAttribute("flagged", "");
+            if (compareMetadata) row.setAttribute("compare-value", compareValue);
+            table.append(row);
+        }
+        return table;
+    }
+
+    metadataContainer.replaceChildren(...tables.map(createMetadataTable));
+}
+
+// The header strings a field is shown from, as stored
+function storedValue(entry, id) {
+    return (derivedFields[id] || [id]).map((source) => (entry.rawMetadata[source] || '').trim()).filter(Boolean).join(' · ');
+}
+
+// Hover text of a table row: what is wrong with the value, and the value as stored next to the one shown
+function fieldHint(entry, id, value, problem) {
+    const lines = problem ? [t(`normalization.problem.${problem}`)] : [];
+
+    // The stored value would give away what anonymizing hides
+    if (!deidentification.enabled || !identifyingFieldIds.includes(id)) {
+        const stored = storedValue(entry, id);
+        if (stored && stored !== value) {
+            lines.push(t('normalization.stored').replace('{value}', stored), t('normalization.shown').replace('{value}', value));
+        }
+    }
+    return lines.join('\n');
+}
+
+updateMetadata(null);
+
+// Above the tables: empty fields and the ones no table names can be shown, and the header data copied or exported
+const allFieldsStorageKey = 'x-ray-viewer.all-fields';
+const allFieldsInput = document.getElementById('all-fields');
+const copyFieldsButton = document.getElementById('copy-fields');
+const exportFieldsSelect = document.getElementById('export-fields');
+allFieldsInput.checked = localStorage.getItem(allFieldsStorageKey) === 'true';
+
+for (const format of ['', 'json', 'csv']) exportFieldsSelect.add(new Option('', format));
+
+translated(function () {
+    allFieldsInput.closest('label').querySelector('span').textContent = t('fields.all');
+    copyFieldsButton.textContent = t('fields.copy-all');
+    for (const option of exportFieldsSelect.options) {
+        option.text = t(option.value ? `fields.export.${option.value}` : 'fields.export');
+    }
+});
+
+function allFieldsShown() {
+    return allFieldsInput.checked;
+}
+
+function copyText(text) {
+    navigator.clipboard.writeText(text)
+        .then(function () { notifications.show(t('fields.copied')); })
+        .catch(function () { notifications.show(t('fields.copy-failed'), { type: 'error' }); });
+}
+
+// Every field of the layout and every derived one, as shown (the tube configuration too, which the tables
+// replace with voltage and current) and as stored; while anonymizing, the identifying fields are left out
+// and the birth date is only there as shown (age or year)
+function exportedFields(entry) {
+    const metadata = displayedMetadata(entry);
+    const withheld = (id) => deidentification.enabled && [...identifyingFieldIds, 'Age'].includes(id);
+
+    return allFieldTables(entry).flatMap((table) => table.fields)
+        .filter((field) => !withheld(field.id) || metadata[field.id])
+        .map((field) => ({
+            id: field.id,
+            name: field.name,
+            value: metadata[field.id] || (withheld(field.id) ? '' : entry.metadata[field.id] || ''),
+            stored: withheld(field.id) ? '' : storedValue(entry, field.id)
+        }));
+}
+
+function csvLine(values) {
+    return values.map((value) => /[",\r\n]/.test(value) ? `"${value.replaceAll('"', '""')}"` : value).join(',');
+}
+
+allFieldsInput.addEventListener('change', function () {
+    localStorage.setItem(allFieldsStorageKey, allFieldsInput.checked);
+    updateDisplayedMetadata();
+});
+
+metadataContainer.addEventListener('copy-value', function (event) {
+    copyText(event.detail.value);
+});
+
+// The tables as shown (the first file's values when comparing), tab-separated for spreadsheets
+copyFieldsButton.addEventListener('click', function () {
+    const text = [...metadataContainer.querySelectorAll('metadata-table')].map((table) => [
+        table.getAttribute('caption'),
+        ...[...table.querySelectorAll('metadata-row')].map((row) => `${row.name}\t${row.value}`)
+    ].join('\n')).join('\n\n');
+    copyText(text);
+});
+
+// Acts as a menu: picking a format exports the fields of the active entry and resets the selection
+exportFieldsSelect.addEventListener('change', function () {
+    const format = exportFieldsSelect.value;
+    exportFieldsSelect.value = '';
+    if (!activeEntry || !format) return;
+
+    const fields = exportedFields(activeEntry);
+    const blob = format === 'json'
+        ? new Blob([JSON.stringify(fields, null, 2)], { type: 'application/json' })
+        // With a byte order mark, spreadsheets read the file as UTF-8
+        : new Blob(['\ufeff', ...[['id', 'name', 'value', 'stored'], ...fields.map(Object.values)].map((line) => `${csvLine(line)}\r\n`)],
+            { type: 'text/csv' });
+    downloadBlob(blob, exportFileName(activeEntry, `fields.${format}`, deidentification.enabled));
+});
+
+// Header correction: the stored strings of the active file are edited in place of the tables and written to a new
+// .stl file (see XRayFileReader.GetEditedCopy). The file shown stays as it was opened.
+const editToggle = document.getElementById('edit-toggle');
+const headerEditor = document.getElementById('header-editor');
+// Entry whose header is being edited
+let editedEntry = null;
+
+translated(function () { editToggle.textContent = t('edit.toggle'); });
+
+// The fields of the entry's layout, in the order of the tables
+function editableFields(entry) {
+    const layout = new Map(entry.fieldLayout.map((field) => [field.id, field]));
+    return allFieldTables(entry).flatMap((table) => table.fields)
+        .filter((field) => layout.has(field.id))
+        .map((field) => ({ ...layout.get(field.id), name: field.name, value: entry.rawMetadata[field.id] ?? '' }));
+}
+
+function closeHeaderEditor() {
+    editedEntry = null;
+    headerEditor.hidden = true;
+    metadataContainer.hidden = false;
+}
+
+// The form shows the stored values, which anonymizing hides
+function updateEditControls() {
+    if (editedEntry && (editedEntry !== activeEntry || deidentification.enabled)) closeHeaderEditor();
+    editToggle.disabled = !activeEntry || deidentification.enabled;
+    editToggle.setAttribute('aria-pressed', !!editedEntry);
+}
+
+editToggle.addEventListener('click', function () {
+    if (editedEntry) {
+        closeHeaderEditor();
+    } else if (activeEntry) {
+        editedEntry = activeEntry;
+        metadataContainer.hidden = true;
+        headerEditor.edit(editableFields(activeEntry));
+    }
+    updateEditControls();
+});
+
+headerEditor.addEventListener('cancel', function () {
+    closeHeaderEditor();
+    updateEditControls();
+});
+
+headerEditor.addEventListener('save', function (event) {
+    const entry = editedEntry;
+    closeHeaderEditor();
+    updateEditControls();
+
+    decoder.call('GetEditedCopy', entry.handle, JSON.stringify(event.detail.values))
+        .then(function (bytes) {
+            downloadBlob(new Blob([bytes], { type: 'application/octet-stream' }), `${fileLabel(entry).replace(/\.stl$/i, '')}-corrected.stl`);
+        })
+        .catch(function () { notifications.show(t('edit.failed'), { type: 'error' }); });
+});
+
+// Measurement calibration (mm per pixel) is remembered per device and tube configuration,
+// since the header carries no pixel spacing.
+const pixelSpacingStorageKey = 'x-ray-viewer.pixel-spacing';
+let calibrationKey = null;
+
+function getCalibrationKey(metadata) {
+    return `${metadata.Unknown1 || ''}|${metadata.TubeConfig || ''}`;
+}
+
+function loadPixelSpacings() {
+    try {
+        return JSON.parse(localStorage.getItem(pixelSpacingStorageKey)) || {};
+    } catch {
+        return {};
+    }
+}
+
+const notifications = document.getElementById('notifications');
+
+function storePixelSpacing(key, pixelSpacing) {
+    const pixelSpacings = loadPixelSpacings();
+    pixelSpacings[key] = pixelSpacing;
+    localStorage.setItem(pixelSpacingStorageKey, JSON.stringify(pixelSpacings));
+}
+
+const xRayImage = document.getElementById('x-ray-image');
+xRayImage.addEventListener('calibrate', function (event) {
+    if (calibrationKey !== null) storePixelSpacing(calibrationKey, event.detail.pixelSpacing);
+});
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// Annotations are kept per FileID in local storage, so they reappear when the same file is opened again,
+// and can be saved to / loaded from a sidecar JSON file.
+const annotationsStorageKeyPrefix = 'x-ray-viewer.annotations.';
+let currentFileId = null;
+
+// Entries that cannot be drawn (e.g. stored by another version of the viewer) are left out
+function loadStoredAnnotations(fileId) {
+    try {
+        const annotations = JSON.parse(localStorage.getItem(annotationsStorageKeyPrefix + fileId));
+        return Array.isArray(annotations) ? annotations.filter(isValidAnnotation) : [];
+    } catch {
+        return [];
+    }
+}
+
+function storeAnnotations(fileId, annotations) {
+    if (annotations.length) localStorage.setItem(annotationsStorageKeyPrefix + fileId, JSON.stringify(annotations));
+    else localStorage.removeItem(annotationsStorageKeyPrefix + fileId);
+}
+
+xRayImage.addEventListener('annotations-change', function (event) {
+    if (currentFileId) storeAnnotations(currentFileId, event.detail.annotations);
+});
+
+const saveAnnotationsButton = document.getElementById('save-annotations');
+const loadAnnotationsButton = document.getElementById('load-annotations');
+const annotationsInput = document.getElementById('annotations-input');
+translated(function () {
+    saveAnnotationsButton.textContent = t('annotations.save');
+    loadAnnotationsButton.textContent = t('annotations.load');
+});
+
+saveAnnotationsButton.addEventListener('click', function () {
+    const sidecar = { fileId: currentFileId, annotations: xRayImage.annotations };
+    downloadBlob(
+        new Blob([JSON.stringify(sidecar, null, 2)], { type: 'application/json' }),
+        `${currentFileId || 'x-ray'}.annotations.json`);
+});
+
+loadAnnotationsButton.addEventListener('click', function () { annotationsInput.click(); });
+
+annotationsInput.addEventListener('change', function (event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    file.text()
+        .then(function (text) {
+            const sidecar = JSON.parse(text);
+            if (!Array.isArray(sidecar?.annotations)) throw new Error('Missing annotations array');
+            if (!sidecar.annotations.every(isValidAnnotation)) throw new Error('Invalid annotation');
+            return sidecar;
+        })
+        .then(function (sidecar) {
+            const confirmed = sidecar.fileId && currentFileId && sidecar.fileId !== currentFileId
+                ? notifications.confirm(t('annotations.file-id-mismatch'), {
+                    confirmLabel: t('annotations.apply'),
+                    cancelLabel: t('notification.cancel')
+                })
+                : Promise.resolve(true);
+
+            return confirmed.then(function (apply) {
+                if (!apply) return;
+
+                xRayImage.annotations = sidecar.annotations;
+                if (currentFileId) storeAnnotations(currentFileId, xRayImage.annotations);
+            });
+        })
+        .catch(function () { notifications.show(t('annotations.invalid-file'), { type: 'error' }); });
+});
+
+// Header data is shown normalized (see normalization.js); with the English texts, names can be shown in Latin letters
+const latinNamesStorageKey = 'x-ray-viewer.latin-names';
+const latinNamesInput = document.getElementById('latin-names');
+latinNamesInput.checked = localStorage.getItem(latinNamesStorageKey) === 'true';
+
+translated(function () {
+    latinNamesInput.closest('label').querySelector('span').textContent = t('normalization.latin-names');
+    latinNamesInput.closest('label').hidden = language() !== 'en';
+});
+
+function latinNamesShown() {
+    return latinNamesInput.checked && language() === 'en';
+}
+
+latinNamesInput.addEventListener('change', function () {
+    localStorage.setItem(latinNamesStorageKey, latinNamesInput.checked);
+    updateDisplayedMetadata();
+});
+
+// De-identification for sharing: hides the patient's name, address and birth date (optionally shown
+// as age at exposure or birth year) on screen, and strips them from exports.
+const deidentificationStorageKey = 'x-ray-viewer.deidentification';
+// XRayFileReader.IdentifyingFields
+const identifyingFieldIds = ['PatientName', 'PatientAddress', 'BirthDate'];
+const deidentification = loadDeidentificationSettings();
+
+function loadDeidentificationSettings() {
+    try {
+        return { enabled: false, birthDate: 'hidden', ...JSON.parse(localStorage.getItem(deidentificationStorageKey)) };
+    } catch {
+        return { enabled: false, birthDate: 'hidden' };
+    }
+}
+
+// The age at exposure is derived from the birth date, so it goes with it
+function deidentifyMetadata(fields, rawMetadata) {
+    const { PatientName, PatientAddress, BirthDate, Age, ...metadata } = fields;
+
+    if (deidentification.birthDate === 'age') {
+        const age = ageAtExposure(rawMetadata);
+        if (age !== null) metadata.BirthDate = formatAge(age);
+    } else if (deidentification.birthDate === 'year') {
+        const birth = parseRawDate(rawMetadata.BirthDate);
+        if (birth) metadata.BirthDate = String(birth.year);
+    }
+
+    return metadata;
+}
+
+// Metadata as shown in the tables, the study strip, the report and image exports
+function displayedMetadata(entry) {
+    const metadata = normalizeMetadata(entry.metadata, entry.rawMetadata, { latinNames: latinNamesShown() });
+    return deidentification.enabled ? deidentifyMetadata(metadata, entry.rawMetadata) : metadata;
+}
+
+function exportFileName(entry, extension, deidentified) {
+    return `${entry.metadata.FileID || 'x-ray'}${deidentified ? '-anonymized' : ''}.${extension}`;
+}
+
+// DICOM Secondary Capture for the PACS, with the current window as default
+function exportDicom(entry, deidentified) {
+    const image = deidentified
+        ? {
+            ...entry,
+            metadata: deidentifyMetadata(entry.metadata, entry.rawMetadata),
+            rawMetadata: { ...entry.rawMetadata, BirthDate: '' },
+            deidentified: true,
+            patientAge: deidentification.birthDate === 'age' ? ageAtExposure(entry.rawMetadata) ?? undefined : undefined
+        }
+        : entry;
+
+    return createSecondaryCapture({ ...image, window: xRayImage.window });
+}
+
+const exportDicomButton = document.getElementById('export-dicom');
+translated(function () { exportDicomButton.textContent = t('dicom.export'); });
+exportDicomButton.addEventListener('click', function () {
+    if (!activeEntry) return;
+
+    const entry = activeEntry;
+    exportDicom(entry, deidentification.enabled)
+        .then(function (blob) { downloadBlob(blob, exportFileName(entry, 'dcm', deidentification.enabled)); })
+        .catch(function () { notifications.show(t('dicom.export-failed'), { type: 'error' }); });
+});
+
+const deidentifyInput = document.getElementById('deidentify');
+const birthDateModeSelect = document.getElementById('birth-date-mode');
+const exportDeidentifiedSelect = document.getElementById('export-deidentified');
+
+deidentifyInput.checked = deidentification.enabled;
+for (const mode of ['hidden', 'age', 'year']) birthDateModeSelect.add(new Option('', mode));
+birthDateModeSelect.value = deidentification.birthDate;
+birthDateModeSelect.hidden = !deidentification.enabled;
+
+for (const format of ['', 'png', 'dicom', 'stl']) exportDeidentifiedSelect.add(new Option('', format));
+
+translated(function () {
+    deidentifyInput.closest('label').querySelector('span').textContent = t('deidentify.toggle');
+    for (const option of birthDateModeSelect.options) option.text = t(`deidentify.birth-date.${option.value}`);
+    for (const option of exportDeidentifiedSelect.options) {
+        option.text = t(option.value ? `deidentify.export.${option.value}` : 'deidentify.export');
+    }
+});
+
+function deidentificationChanged() {
+    localStorage.setItem(deidentificationStorageKey, JSON.stringify(deidentification));
+    birthDateModeSelect.hidden = !deidentification.enabled;
+
+    updateDisplayedMetadata();
+}
+
+deidentifyInput.addEventListener('change', function () {
+    deidentification.enabled = deidentifyInput.checked;
+    deidentificationChanged();
+});
+
+birthDateModeSelect.addEventListener('change', function () {
+    deidentification.birthDate = birthDateModeSelect.value;
+    deidentificationChanged();
+});
+
+// Acts as a menu: picking a format exports the active entry and resets the selection
+exportDeidentifiedSelect.addEventListener('change', function () {
+    const format = exportDeidentifiedSelect.value;
+    exportDeidentifiedSelect.value = '';
+    if (!activeEntry || !format) return;
+
+    const entry = activeEntry;
+    let exported;
+    if (format === 'png') {
+        // The PNG carries no header data; annotations and the current window are burned in
+        exported = xRayImage.toBlob().then((blob) => [blob, exportFileName(entry, 'png', true)]);
+    } else if (format === 'dicom') {
+        exported = exportDicom(entry, true).then((blob) => [blob, exportFileName(entry, 'dcm', true)]);
+    } else {
+        exported = decoder.call('GetDeidentifiedCopy', entry.handle).then((bytes) => [
+            new Blob([bytes], { type: 'application/octet-stream' }),
+            exportFileName(entry, 'stl', true)
+        ]);
+    }
+
+    exported
+        .then(function ([blob, fileName]) { downloadBlob(blob, fileName); })
+        .catch(function () { notifications.show(t('deidentify.export-failed'), { type: 'error' }); });
+});
+
+// Image export (see image-export.js): turned as displayed, optionally cropped to the view, with the header data
+// (de-identified while anonymizing) embedded. The download button of the image opens it.
+const imageExportStorageKey = 'x-ray-viewer.image-export';
+const imageExport = loadImageExportSettings();
+
+function loadImageExportSettings() {
+    const defaults = { format: 'png', quality: 0.92, crop: false };
+    try {
+        const settings = { ...defaults, ...JSON.parse(localStorage.getItem(imageExportStorageKey)) };
+        return imageFormats.includes(settings.format) ? settings : defaults;
+    } catch {
+        return defaults;
+    }
+}
+
+const exportToggle = document.getElementById('export-toggle');
+const exportControls = document.getElementById('export-controls');
+const exportFormatSelect = document.getElementById('export-format');
+const exportQualityInput = document.getElementById('export-quality');
+const exportQualityValue = document.getElementById('export-quality-value');
+const exportCropInput = document.getElementById('export-crop');
+const exportRawNote = document.getElementById('export-raw-note');
+const exportDownloadButton = document.getElementById('export-download');
+const exportCopyButton = document.getElementById('export-copy');
+const exportFileNameLabel = document.getElementById('export-file-name');
+
+for (const format of imageFormats) exportFormatSelect.add(new Option('', format));
+
+translated(function () {
+    exportToggle.textContent = t('export.toggle');
+    for (const name of ['format', 'quality', 'crop']) {
+        exportControls.querySelector(`.export-${name}`).textContent = t(`export.${name}`);
+    }
+    exportRawNote.textContent = t('export.raw-note');
+    exportDownloadButton.textContent = t('export.download');
+    exportCopyButton.textContent = t('export.copy');
+    for (const option of exportFormatSelect.options) option.text = t(`export.format.${option.value}`);
+});
+
+// "<PatientName>_<yyyyMMdd>_<Projection>", without characters that file systems reject
+function imageFileName(entry, extension) {
+    const metadata = displayedMetadata(entry);
+    const parts = [metadata.PatientName, sortableDate(entry.rawMetadata.ExposureDate), metadata.Projection]
+        .map((part) => (part || '').replace(/[\\/:*?"<>|\s]+/g, '_').replace(/^_+|_+$/g, ''))
+        .filter(Boolean);
+    return parts.length ? `${parts.join('_')}.${extension}` : exportFileName(entry, extension, deidentification.enabled);
+}
+
+// Header fields as text chunks; images as displayed also note their window
+function imageMetadata(entry, displayed) {
+    const text = Object.entries(displayedMetadata(entry))
+        .filter(([, value]) => value)
+        .map(([id, value]) => [id, String(value)]);
+    if (displayed) {
+        const { center, width } = xRayImage.window;
+        text.push(['WindowCenter', String(Math.round(center))], ['WindowWidth', String(Math.round(width))]);
+    }
+    return { text, pixelSpacing: xRayImage.pixelSpacing };
+}
+
+function updateExportControls() {
+    exportToggle.setAttribute('aria-pressed', !exportControls.hidden);
+    exportFormatSelect.value = imageExport.format;
+    exportQualityInput.value = imageExport.quality;
+    exportQualityValue.textContent = `${Math.round(imageExport.quality * 100)}%`;
+    exportQualityInput.closest('label').hidden = imageExport.format !== 'jpeg';
+    exportQualityValue.hidden = imageExport.format !== 'jpeg';
+    exportCropInput.checked = imageExport.crop;
+    exportRawNote.hidden = imageExport.format !== 'png16' && imageExport.format !== 'tiff';
+    exportFileNameLabel.textContent = activeEntry ? imageFileName(activeEntry, imageExtensions[imageExport.format]) : '';
+}
+
+function changeImageExport(changes) {
+    Object.assign(imageExport, changes);
+    localStorage.setItem(imageExportStorageKey, JSON.stringify(imageExport));
+    updateExportControls();
+}
+
+function exportImage(entry) {
+    const region = imageExport.crop ? xRayImage.visibleRegion() : null;
+    const fileName = imageFileName(entry, imageExtensions[imageExport.format]);
+
+    let exported;
+    if (imageExport.format === 'png') {
+        exported = encodePng(xRayImage.renderView({ region }), imageMetadata(entry, true));
+    } else if (imageExport.format === 'jpeg') {
+        exported = encodeJpeg(xRayImage.renderView({ region }), imageExport.quality, imageMetadata(entry, true));
+    } else {
+        const { rotation, flipped } = xRayImage.view;
+        const image = orientPixels(entry.pixels, entry.width, entry.height, { region, rotation, flipped });
+        exported = imageExport.format === 'tiff'
+            ? Promise.resolve(encodeGray16Tiff(image, imageMetadata(entry, false)))
+            : encodeGray16Png(image, imageMetadata(entry, false));
+    }
+    return exported.then((blob) => [blob, fileName]);
+}
+
+exportToggle.addEventListener('click', function () {
+    exportControls.hidden = !exportControls.hidden;
+    updateExportControls();
+});
+
+xRayImage.addEventListener('download-request', function (event) {
+    event.preventDefault();
+    exportControls.hidden = false;
+    updateExportControls();
+    exportDownloadButton.focus();
+});
+
+exportFormatSelect.addEventListener('change', function () { changeImageExport({ format: exportFormatSelect.value }); });
+exportQualityInput.addEventListener('input', function () { changeImageExport({ quality: Number(exportQualityInput.value) }); });
+exportCropInput.addEventListener('change', function () { changeImageExport({ crop: exportCropInput.checked }); });
+
+exportDownloadButton.addEventListener('click', function () {
+    if (!activeEntry) return;
+
+    exportImage(activeEntry)
+        .then(function ([blob, fileName]) { downloadBlob(blob, fileName); })
+        .catch(function () { notifications.show(t('export.failed'), { type: 'error' }); });
+});
+
+exportCopyButton.addEventListener('click', function () {
+    if (!activeEntry) return;
+
+    copyImage(xRayImage.renderView({ region: imageExport.crop ? xRayImage.visibleRegion() : null }))
+        .then(function () { notifications.show(t('export.copied')); })
+        .catch(function () { notifications.show(t('export.copy-failed'), { type: 'error' }); });
+});
+
+const loadingOverlay = document.getElementById('loading-overlay');
+loadingOverlay.removeAttribute('visible');
+translated(function () {
+    loadingOverlay.setAttribute('message', t('loading.message'));
+    loadingOverlay.setAttribute('cancel-label', t('loading.cancel'));
+});
+
+// Open files of the current study: { handle, fileName, profileName, fieldLayout, dateFields, metadata, rawMetadata,
+// plausibility, width, height, pixels }, sorted by patient, exposure date and file ID.
+let study = [];
+let activeEntry = null;
+
+const studyStrip = document.getElementById('study-strip');
+
+function compareEntries(a, b) {
+    return (a.metadata.PatientName || '').localeCompare(b.metadata.PatientName || '')
+        || sortableDate(a.rawMetadata.ExposureDate).localeCompare(sortableDate(b.rawMetadata.ExposureDate))
+        || (a.metadata.FileID || '').localeCompare(b.metadata.FileID || '')
+        || a.fileName.localeCompare(b.fileName);
+}
+
+function closeStudy() {
+    for (const entry of study) decoder.close(entry.handle);
+    study = [];
+    activeEntry = null;
+    reportFindingsInput.value = '';
+}
+
+async function decodeFile(fileName, bytes, profile) {
+    const handle = await decoder.open(bytes);
+
+    try {
+        if (profile) await decoder.setFieldLayout(handle, JSON.stringify(profileLayout(profile)));
+
+        // A file the usual layout cannot describe, e.g. a raw import, is read with the first saved preset that fits it
+        let decodeOptions = defaultDecodeOptions;
+        let plausibility = await checkPlausibility(handle, decodeOptions);
+        for (const preset of decodePresets) {
+            if (plausibility.isDecodable) break;
+
+            const presetPlausibility = await checkPlausibility(handle, preset.options);
+            if (presetPlausibility.isDecodable) {
+                decodeOptions = preset.options;
+                plausibility = presetPlausibility;
+            }
+        }
+        if (!plausibility.isDecodable) {
+            const fatal = plausibility.findings.filter((finding) => finding.isFatal).map((finding) => finding.check);
+            throw new Error(`The header does not describe any image data (${fatal.join(', ')}).`);
+        }
+
+        const optionsJson = JSON.stringify(decodeOptions);
+        const [width, height] = await decoder.call('GetImageSize', handle, optionsJson);
+        const pixelBytes = await decoder.call('GetPixelData', handle, optionsJson);
+
+        const entry = {
+            handle,
+            fileName,
+            profileName: profile?.name ?? null,
+            plausibility,
+            decodeOptions: { ...decodeOptions },
+            width,
+            height,
+            pixels: new Uint16Array(pixelBytes.buffer, pixelBytes.byteOffset, pixelBytes.length / 2)
+        };
+        await readMetadata(entry);
+        return entry;
+    } catch (error) {
+        decoder.close(handle);
+        throw error;
+    }
+}
+
+// Scores a file as read with the given decode options (XRayDecodeOptions):
+// { findings: [{ check, score, isFatal, passed }], score, isDecodable, isPlausible }
+async function checkPlausibility(handle, options) {
+    return JSON.parse(await decoder.call('CheckPlausibility', handle, JSON.stringify(options)));
+}
+
+// Reads the header fields of an entry with the layout its file is read with
+async function readMetadata(entry) {
+    entry.fieldLayout = JSON.parse(await decoder.call('GetFieldLayout', entry.handle));
+    entry.dateFields = entry.fieldLayout.filter((field) => field.isDate).map((field) => field.id);
+    entry.metadata = JSON.parse(await decoder.call('GetMetadata', entry.handle));
+    entry.rawMetadata = JSON.parse(await decoder.call('GetRawMetadata', entry.handle));
+    localizeDates(entry);
+}
+
+// Dates are shown in the format of the current language; invalid ones as they are stored
+function localizeDates(record) {
+    for (const id of record.dateFields) {
+        const date = parseRawDate(record.rawMetadata[id]);
+        if (date) record.metadata[id] = formatDate(date);
+    }
+}
+
+function updateStudyStrip() {
+    const groups = [];
+    for (const entry of study) {
+        // One group per patient and exposure date; the study is already sorted that way
+        const caption = [displayedMetadata(entry).PatientName, entry.metadata.ExposureDate].filter(Boolean).join(' · ');
+        let group = groups[groups.length - 1];
+        if (!group || group.caption !== caption) groups.push(group = { caption, items: [] });
+
+        group.items.push({
+            id: String(entry.handle),
+            label: entry.metadata.Projection || entry.fileName,
+            detail: entry.metadata.FileID || '',
+            title: entry.fileName,
+            pixels: entry.pixels,
+            width: entry.width,
+            height: entry.height
+        });
+    }
+
+    studyStrip.setGroups(groups);
+    studyStrip.hidden = study.length < 2;
+    compareToggle.disabled = study.length < 2;
+}
+
+// Re-renders everything that shows header data, after it or the way it is displayed changed
+function updateDisplayedMetadata() {
+    updateStudyStrip();
+    if (comparison.enabled) updateComparison();
+    else updateMetadata(activeEntry);
+    updateHeaderInspector();
+    updateExportControls();
+    updateEditControls();
+    scheduleReportPreview();
+    if (!libraryControls.hidden) updateLibraryList();
+}
+
+function showEntry(entry) {
+    activeEntry = entry;
+    studyStrip.selected = String(entry.handle);
+
+    const metadata = entry.metadata;
+    metadataTables = profileTables(findProfile(entry.profileName));
+    updateMetadata(entry);
+    updateProfileControls();
+
+    calibrationKey = getCalibrationKey(metadata);
+    xRayImage.pixelSpacing = loadPixelSpacings()[calibrationKey] || 0;
+
+    xRayImage.setPixelData(entry.pixels, entry.width, entry.height);
+
+    currentFileId = metadata.FileID || null;
+    xRayImage.annotations = currentFileId ? loadStoredAnnotations(currentFileId) : [];
+    saveAnnotationsButton.disabled = false;
+    loadAnnotationsButton.disabled = false;
+    exportDicomButton.disabled = false;
+    exportToggle.disabled = false;
+    exportDeidentifiedSelect.disabled = false;
+    copyFieldsButton.disabled = false;
+    exportFieldsSelect.disabled = false;
+    inspectToggle.disabled = false;
+    decodeToggle.disabled = false;
+    histogramToggle.disabled = false;
+    reportToggle.disabled = false;
+
+    if (comparison.enabled) updateComparison();
+    updateHeaderInspector();
+    updateDecodeControls();
+    updateHistogram();
+    updateReport();
+    updateExportControls();
+    updateEditControls();
+}
+
+// Returns whether there was an entry to show
+function showAdjacentEntry(offset) {
+    const index = study.indexOf(activeEntry);
+    const next = study[index + offset];
+    if (index < 0 || !next) return false;
+
+    showEntry(next);
+    return true;
+}
+
+studyStrip.addEventListener('select', function (event) {
+    const entry = study.find((x) => String(x.handle) === event.detail.id);
+    if (entry && entry !== activeEntry) showEntry(entry);
+});
+
+// Comparison of the active entry with a second entry of the study: side by side in two panes
+// whose views can be linked, or blended into the main pane as an overlay or a difference image.
+const comparison = { enabled: false, entry: null, mode: 'side-by-side', opacity: 0.5, linkView: true, linkWindow: true };
+
+const compareImage = document.getElementById('compare-image');
+const compareToggle = document.getElementById('compare-toggle');
+const compareControls = document.getElementById('compare-controls');
+const compareEntrySelect = document.getElementById('compare-entry');
+const compareModeSelect = document.getElementById('compare-mode');
+const compareOpacityInput = document.getElementById('compare-opacity');
+const compareLinkViewInput = document.getElementById('compare-link-view');
+const compareLinkWindowInput = document.getElementById('compare-link-window');
+
+// Entry currently loaded into the second pane
+let compareImageEntry = null;
+// Set while one pane follows the other, so that the change does not bounce back
+let syncingPanes = false;
+
+for (const mode of ['side-by-side', 'overlay', 'difference']) compareModeSelect.add(new Option('', mode));
+
+translated(function () {
+    compareToggle.textContent = t('compare.toggle');
+    compareControls.querySelector('.compare-with').textContent = t('compare.with');
+    compareControls.querySelector('.compare-opacity').textContent = t('compare.opacity');
+    compareControls.querySelector('.compare-link-view').textContent = t('compare.link-view');
+    compareControls.querySelector('.compare-link-window').textContent = t('compare.link-window');
+    for (const option of compareModeSelect.options) option.text = t(`compare.mode.${option.value}`);
+});
+
+function fileLabel(entry) {
+    return entry.fileName.split('/').pop();
+}
+
+// Prefers another exposure of the same patient, the one right before (older) first
+function pickCompareEntry(entry) {
+    const index = study.indexOf(entry);
+    const others = study.filter((x) => x !== entry);
+    const samePatient = others.filter((x) => x.metadata.PatientName === entry.metadata.PatientName);
+    const candidates = samePatient.length ? samePatient : others;
+
+    return candidates.filter((x) => study.indexOf(x) < index).pop() || candidates[0] || null;
+}
+
+function syncPane(source, target) {
+    if (compareImage.hidden || syncingPanes) return;
+
+    syncingPanes = true;
+    try {
+        if (comparison.linkView) target.setView(source.view);
+        if (comparison.linkWindow) target.setWindow(source.window.center, source.window.width);
+    } finally {
+        syncingPanes = false;
+    }
+}
+
+function updateComparison() {
+    if (study.length < 2) comparison.enabled = false;
+    if (comparison.enabled && (!study.includes(comparison.entry) || comparison.entry === activeEntry)) {
+        comparison.entry = activeEntry && pickCompareEntry(activeEntry);
+    }
+
+    const { entry, mode } = comparison;
+    const active = comparison.enabled && !!activeEntry && !!entry;
+    const sideBySide = active && mode === 'side-by-side';
+
+    compareToggle.setAttribute('aria-pressed', comparison.enabled);
+    compareControls.hidden = !comparison.enabled;
+    compareOpacityInput.closest('label').hidden = mode !== 'overlay';
+    document.body.classList.toggle('comparing', sideBySide);
+
+    compareEntrySelect.replaceChildren(...study.filter((x) => x !== activeEntry).map((x) =>
+        new Option([fileLabel(x), x.metadata.ExposureDate, x.metadata.Projection].filter(Boolean).join(' · '), x.handle)));
+    compareEntrySelect.value = entry ? String(entry.handle) : '';
+
+    if (active) updateMetadata(activeEntry, entry, [fileLabel(activeEntry), fileLabel(entry)]);
+    else updateMetadata(activeEntry);
+
+    const blended = active && !sideBySide;
+    xRayImage.setComparePixelData(blended ? entry.pixels : null, entry?.width, entry?.height);
+    xRayImage.compareMode = blended ? mode : null;
+    xRayImage.compareOpacity = comparison.opacity;
+
+    compareImage.hidden = !sideBySide;
+    if (!sideBySide) {
+        compareImageEntry = null;
+        compareImage.setPixelData(null);
+        return;
+    }
+
+    if (compareImageEntry !== entry) {
+        compareImageEntry = entry;
+        // Loading resets the pane's view and window, which must not be copied to the main pane
+        syncingPanes = true;
+        try {
+            compareImage.pixelSpacing = loadPixelSpacings()[getCalibrationKey(entry.metadata)] || 0;
+            compareImage.setPixelData(entry.pixels, entry.width, entry.height);
+            compareImage.annotations = entry.metadata.FileID ? loadStoredAnnotations(entry.metadata.FileID) : [];
+        } finally {
+            syncingPanes = false;
+        }
+    }
+    syncPane(xRayImage, compareImage);
+}
+
+for (const [source, target] of [[xRayImage, compareImage], [compareImage, xRayImage]]) {
+    source.addEventListener('view-change', function () {
+        if (comparison.linkView) syncPane(source, target);
+    });
+    source.addEventListener('window-change', function () {
+        if (comparison.linkWindow) syncPane(source, target);
+    });
+}
+
+compareImage.addEventListener('calibrate', function (event) {
+    if (compareImageEntry) storePixelSpacing(getCalibrationKey(compareImageEntry.metadata), event.detail.pixelSpacing);
+});
+
+compareImage.addEventListener('annotations-change', function (event) {
+    const fileId = compareImageEntry?.metadata.FileID;
+    if (fileId) storeAnnotations(fileId, event.detail.annotations);
+});
+
+compareToggle.addEventListener('click', function () {
+    comparison.enabled = !comparison.enabled;
+    updateComparison();
+});
+
+compareEntrySelect.addEventListener('change', function () {
+    comparison.entry = study.find((x) => String(x.handle) === compareEntrySelect.value) || null;
+    updateComparison();
+});
+
+compareModeSelect.addEventListener('change', function () {
+    comparison.mode = compareModeSelect.value;
+    updateComparison();
+});
+
+compareOpacityInput.addEventListener('input', function () {
+    comparison.opacity = Number(compareOpacityInput.value);
+    xRayImage.compareOpacity = comparison.opacity;
+});
+
+compareLinkViewInput.addEventListener('change', function () {
+    comparison.linkView = compareLinkViewInput.checked;
+    syncPane(xRayImage, compareImage);
+});
+
+compareLinkWindowInput.addEventListener('change', function () {
+    comparison.linkWindow = compareLinkWindowInput.checked;
+    syncPane(xRayImage, compareImage);
+});
+
+// Raw header view for working out the layout of unknown scanner variants
+const headerInspector = document.getElementById('header-inspector');
+const inspectToggle = document.getElementById('inspect-toggle');
+
+translated(function () {
+    inspectToggle.textContent = t('inspector.toggle');
+    headerInspector.setAttribute('compare-label', t('inspector.compare'));
+    headerInspector.setAttribute('changes-only-label', t('inspector.changes-only'));
+});
+
+async function loadHeader(entry) {
+    entry.header ??= await decoder.call('GetHeader', entry.handle);
+}
+
+// Identifying fields are blanked while anonymizing, as in the de-identified .stl export
+function displayedHeader(entry) {
+    if (!deidentification.enabled) return entry.header;
+
+    const header = entry.header.slice();
+    for (const field of entry.fieldLayout.filter((x) => identifyingFieldIds.includes(x.id))) {
+        header.fill(0, field.offset, field.offset + field.length);
+    }
+    return header;
+}
+
+// Shows the active entry's header, compared with the rest of the study
+function updateHeaderInspector() {
+    inspectToggle.setAttribute('aria-pressed', !headerInspector.hidden);
+    if (headerInspector.hidden || !activeEntry) return;
+
+    const entry = activeEntry;
+    const entries = [entry, ...study.filter((x) => x !== entry)];
+    Promise.all(entries.map(loadHeader))
+        .then(function () {
+            if (entry !== activeEntry || headerInspector.hidden) return;
+            headerInspector.setHeaders(entries.map((x) => ({ label: fileLabel(x), bytes: displayedHeader(x) })), entry.fieldLayout);
+        })
+        .catch(function () { notifications.show(t('inspector.failed'), { type: 'error' }); });
+}
+
+inspectToggle.addEventListener('click', function () {
+    headerInspector.hidden = !headerInspector.hidden;
+    updateHeaderInspector();
+});
+
+// Raw value distribution of the active image; its markers show and drag the window of the main pane
+const histogram = document.getElementById('histogram');
+const histogramToggle = document.getElementById('histogram-toggle');
+
+translated(function () {
+    histogramToggle.textContent = t('histogram.toggle');
+    histogram.setAttribute('scale-label', t('histogram.log-scale'));
+    histogram.setAttribute('roi-label', t('histogram.roi-only'));
+});
+
+function lastRegionMeasurement() {
+    return xRayImage.measurements.filter((m) => m.type === 'rect' || m.type === 'ellipse').pop() || null;
+}
+
+function updateHistogramClip() {
+    const { center, width } = xRayImage.window;
+    histogram.setClip(center - width / 2, center + width / 2);
+}
+
+function updateHistogram() {
+    histogramToggle.setAttribute('aria-pressed', !histogram.hidden);
+    if (histogram.hidden) return;
+
+    histogram.setPixelData(activeEntry?.pixels, activeEntry?.width, activeEntry?.height);
+    histogram.roi = lastRegionMeasurement();
+    updateHistogramClip();
+}
+
+histogramToggle.addEventListener('click', function () {
+    histogram.hidden = !histogram.hidden;
+    updateHistogram();
+});
+
+histogram.addEventListener('clip-change', function (event) {
+    const { lo, hi } = event.detail;
+    xRayImage.setWindow((lo + hi) / 2, hi - lo);
+});
+
+xRayImage.addEventListener('window-change', function () {
+    if (!histogram.hidden) updateHistogramClip();
+});
+
+xRayImage.addEventListener('measurements-change', function () {
+    if (!histogram.hidden) histogram.roi = lastRegionMeasurement();
+});
+
+// Printable report of the active image, or of the whole study with 2 or 4 images to a page (see report.js).
+// The print button of the image opens it as well. Its findings stay until the study is closed.
+const reportToggle = document.getElementById('report-toggle');
+const reportControls = document.getElementById('report-controls');
+const reportLayoutSelect = document.getElementById('report-layout');
+const reportFindingsInput = document.getElementById('report-findings');
+const reportPrintButton = document.getElementById('report-print');
+const reportPdfButton = document.getElementById('report-pdf');
+const reportPreview = document.getElementById('report-preview');
+let reportPreviewTimer = 0;
+
+for (const layout of reportLayouts) reportLayoutSelect.add(new Option('', layout));
+
+translated(function () {
+    reportToggle.textContent = t('report.toggle');
+    for (const name of ['layout', 'findings']) {
+        reportControls.querySelector(`.report-${name}`).textContent = t(`report.${name}`);
+    }
+    reportPrintButton.textContent = t('report.print');
+    reportPdfButton.textContent = t('report.pdf');
+    for (const option of reportLayoutSelect.options) option.text = t(`report.layout.${option.value}`);
+});
+
+function reportCaption(entry) {
+    const metadata = displayedMetadata(entry);
+    return [metadata.PatientName, metadata.ExposureDate, metadata.Projection].filter(Boolean).join(' · ');
+}
+
+// The active image as displayed; the other ones of the study with the auto window and their stored annotations
+function reportImage(entry) {
+    if (entry === activeEntry) {
+        return {
+            canvas: xRayImage.renderView(),
+            caption: reportCaption(entry),
+            markers: orientationMarkers(entry.metadata.Projection, entry.decodeOptions, xRayImage.view)
+        };
+    }
+
+    const [lo, hi] = presetRange(computeHistogram(entry.pixels), entry.pixels.length, 'auto');
+    const annotations = entry.metadata.FileID ? loadStoredAnnotations(entry.metadata.FileID) : [];
+    return {
+        canvas: renderImage(entry.pixels, entry.width, entry.height, { center: (lo + hi) / 2, width: Math.max(1, hi - lo) }, annotations),
+        caption: reportCaption(entry),
+        markers: orientationMarkers(entry.metadata.Projection, entry.decodeOptions, {})
+    };
+}
+
+// The institution heads the page, so it is left out of the tables
+function reportTables(entry) {
+    const metadata = displayedMetadata(entry);
+    return metadataTables.map((table) => ({
+        caption: table.caption,
+        rows: table.fields.filter((field) => field.id !== 'Institution' && metadata[field.id]).map((field) => [field.name, metadata[field.id]])
+    }));
+}
+
+function renderReport() {
+    const layout = reportLayoutSelect.value;
+    const entries = layout.startsWith('study-') ? study : [activeEntry];
+
+    return renderReportPages({
+        layout,
+        title: t('report.title'),
+        institution: displayedMetadata(activeEntry).Institution || '',
+        tables: reportTables(activeEntry),
+        images: entries.map(reportImage),
+        findingsLabel: t('report.findings'),
+        findings: reportFindingsInput.value,
+        pageLabel: (page, count) => t('report.page').replace('{page}', page).replace('{count}', count)
+    });
+}
+
+function updateReport() {
+    reportToggle.setAttribute('aria-pressed', !reportControls.hidden);
+    clearTimeout(reportPreviewTimer);
+    if (reportControls.hidden || !activeEntry) return;
+
+    // Study layouts need a study
+    for (const option of reportLayoutSelect.options) {
+        option.disabled = option.value.startsWith('study-') && study.length < 2;
+    }
+    if (reportLayoutSelect.selectedOptions[0].disabled) reportLayoutSelect.value = reportLayouts[0];
+
+    reportPreview.replaceChildren(...renderReport());
+}
+
+// Re-rendering every page is too slow to follow typing or window dragging as it happens
+function scheduleReportPreview() {
+    if (reportControls.hidden) return;
+
+    clearTimeout(reportPreviewTimer);
+    reportPreviewTimer = setTimeout(updateReport, 300);
+}
+
+// Also the title of the print window, which browsers suggest as the name when printing to a file
+function reportName() {
+    return exportFileName(activeEntry, 'pdf', deidentification.enabled).replace(/\.pdf$/, '-report');
+}
+
+reportToggle.addEventListener('click', function () {
+    reportControls.hidden = !reportControls.hidden;
+    updateReport();
+});
+
+xRayImage.addEventListener('print-request', function (event) {
+    event.preventDefault();
+    if (reportControls.hidden) {
+        reportControls.hidden = false;
+        updateReport();
+    }
+    reportFindingsInput.focus();
+});
+
+reportLayoutSelect.addEventListener('change', updateReport);
+reportFindingsInput.addEventListener('input', scheduleReportPreview);
+for (const type of ['window-change', 'view-change', 'annotations-change']) {
+    xRayImage.addEventListener(type, scheduleReportPreview);
+}
+
+reportPrintButton.addEventListener('click', function () {
+    if (!activeEntry) return;
+
+    if (!printReportPages(renderReport(), reportName())) {
+        notifications.show(t('report.popup-blocked'), { type: 'error' });
+    }
+});
+
+reportPdfButton.addEventListener('click', function () {
+    if (!activeEntry) return;
+
+    const fileName = `${reportName()}.pdf`;
+    createReportPdf(renderReport())
+        .then(function (blob) { downloadBlob(blob, fileName); })
+        .catch(function () { notifications.show(t('report.failed'), { type: 'error' }); });
+});
+
+// Header profiles (see profiles.js), chosen per file; the last choice also applies to the files opened next
+const profilesStorageKey = 'x-ray-viewer.profiles';
+const profileChoiceStorageKey = 'x-ray-viewer.profile';
+let profiles = loadProfiles();
+// Name of the profile open in the editor, null for a new one
+let editedProfileName = null;
+
+const profileSelect = document.getElementById('profile-select');
+const profileMenu = document.getElementById('profile-menu');
+const profileInput = document.getElementById('profile-input');
+const profileEditor = document.getElementById('profile-editor');
+
+translated(function () {
+    profileSelect.closest('label').querySelector('span').textContent = t('profiles.profile');
+    profileEditor.setAttribute('name-label', t('profiles.editor.name'));
+    profileEditor.setAttribute('add-label', t('profiles.editor.add-field'));
+    profileEditor.setAttribute('save-label', t('profiles.editor.save'));
+    profileEditor.setAttribute('cancel-label', t('notification.cancel'));
+});
+
+function loadProfiles() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(profilesStorageKey) || '[]');
+        return stored.map(normalizeProfile).filter((profile) => !findProfileProblems(profile).length);
+    } catch {
+        return [];
+    }
+}
+
+function storeProfiles() {
+    localStorage.setItem(profilesStorageKey, JSON.stringify(profiles));
+}
+
+function findProfile(name) {
+    return profiles.find((profile) => profile.name === name) || null;
+}
+
+// Profile for the files opened next
+function chosenProfile() {
+    return findProfile(localStorage.getItem(profileChoiceStorageKey));
+}
+
+// Puts the fields of a profile into the table they name, or the one they have in the standard layout
+function profileTables(profile) {
+    const standardTables = defaultMetadataTables();
+    if (!profile) return standardTables;
+
+    const tables = new Map(standardTables.map((table) => [table.key, { ...table, fields: [] }]));
+    for (const field of profile.fields) {
+        const standardTable = standardTables.find((table) => table.fields.some((x) => x.id === field.id));
+        const key = field.table || standardTable?.key || 'other';
+
+        if (!tables.has(key)) tables.set(key, { key, caption: key === 'other' ? t('profiles.table.other') : key, fields: [] });
+        tables.get(key).fields.push({
+            id: field.id,
+            name: field.label || standardTable?.fields.find((x) => x.id === field.id).name || field.id
+        });
+    }
+
+    // Derived fields follow the first field they are derived from, when the profile has them all
+    for (const [id, sources] of Object.entries(derivedFields)) {
+        if (!sources.every((source) => profile.fields.some((field) => field.id === source))) continue;
+
+        const table = [...tables.values()].find((x) => x.fields.some((field) => field.id === sources[0]));
+        const standardTable = standardTables.find((x) => x.fields.some((field) => field.id === id));
+        table.fields.push({ id, name: standardTable.fields.find((x) => x.id === id).name });
+    }
+
+    return [...tables.values()].filter((table) => table.fields.length);
+}
+
+function updateProfileControls() {
+    const selected = activeEntry ? activeEntry.profileName : chosenProfile()?.name;
+
+    profileSelect.replaceChildren(new Option(t('profiles.default'), ''), ...profiles.map((profile) => new Option(profile.name, profile.name)));
+    profileSelect.value = selected ?? '';
+
+    profileMenu.replaceChildren(new Option(t('profiles.menu'), ''),
+        ...['new', 'edit', 'import', 'export', 'delete'].map((action) => new Option(t(`profiles.${action}`), action)));
+    for (const action of ['edit', 'export', 'delete']) {
+        profileMenu.querySelector(`option[value="${action}"]`).disabled = !selected;
+    }
+}
+
+updateProfileControls();
+
+// Reads the header of an entry again with another profile (null for the standard layout)
+async function applyProfile(entry, profile) {
+    await decoder.setFieldLayout(entry.handle, profile ? JSON.stringify(profileLayout(profile)) : '');
+
+    entry.profileName = profile?.name ?? null;
+    await readMetadata(entry);
+}
+
+function applyProfileTo(entries, profile) {
+    return Promise.all(entries.map((entry) => applyProfile(entry, profile)))
+        .catch(function () { notifications.show(t('profiles.apply-failed'), { type: 'error' }); })
+        .finally(function () {
+            metadataTables = profileTables(findProfile(activeEntry?.profileName));
+            updateDisplayedMetadata();
+            updateProfileControls();
+        });
+}
+
+// A new profile starts as a copy of the selected one, or of the standard layout as the active file is read with it
+function draftProfile() {
+    const selected = findProfile(profileSelect.value);
+    if (selected) return { ...structuredClone(selected), name: '' };
+    if (!activeEntry) return { name: '', fields: [] };
+
+    const standardTables = defaultMetadataTables();
+    return {
+        name: '',
+        fields: activeEntry.fieldLayout.map(({ id, offset, length, encoding, isDate }) => ({
+            id,
+            label: '',
+            table: standardTables.find((table) => table.fields.some((x) => x.id === id))?.key || '',
+            offset,
+            length,
+            encoding: fieldEncodings.includes(encoding) ? encoding : fieldEncodings[0],
+            type: isDate ? 'date' : 'text'
+        }))
+    };
+}
+
+// Replaces the profile (and its previous version when renamed) and reads the files using it, and the active one, again
+function saveProfile(profile, previousName) {
+    profiles = profiles.filter((x) => x.name !== profile.name && x.name !== previousName);
+    profiles.push(profile);
+    profiles.sort((a, b) => a.name.localeCompare(b.name));
+    storeProfiles();
+    localStorage.setItem(profileChoiceStorageKey, profile.name);
+
+    applyProfileTo(study.filter((entry) => entry === activeEntry || [profile.name, previousName].includes(entry.profileName)), profile);
+}
+
+profileSelect.addEventListener('change', function () {
+    const profile = findProfile(profileSelect.value);
+    localStorage.setItem(profileChoiceStorageKey, profile?.name ?? '');
+
+    if (activeEntry) applyProfileTo([activeEntry], profile);
+    else updateProfileControls();
+});
+
+// Acts as a menu: picking an action runs it and resets the selection
+profileMenu.addEventListener('change', function () {
+    const action = profileMenu.value;
+    const profile = findProfile(profileSelect.value);
+    profileMenu.value = '';
+
+    if (action === 'new') {
+        editedProfileName = null;
+        profileEditor.edit(draftProfile());
+    } else if (action === 'edit' && profile) {
+        editedProfileName = profile.name;
+        profileEditor.edit(profile);
+    } else if (action === 'import') {
+        profileInput.click();
+    } else if (action === 'export' && profile) {
+        const json = JSON.stringify(profile, null, 2);
+        downloadBlob(new Blob([json], { type: 'application/json' }), `${profile.name.replace(/[\\/:*?"<>|]/g, '_')}.json`);
+    } else if (action === 'delete' && profile) {
+        notifications.confirm(t('profiles.delete-confirm'), { confirmLabel: t('profiles.delete-action'), cancelLabel: t('notification.cancel') })
+            .then(function (confirmed) {
+                if (!confirmed) return;
+
+                profiles = profiles.filter((x) => x !== profile);
+                storeProfiles();
+                if (localStorage.getItem(profileChoiceStorageKey) === profile.name) localStorage.setItem(profileChoiceStorageKey, '');
+
+                applyProfileTo(study.filter((entry) => entry.profileName === profile.name), null);
+            });
+    }
+});
+
+// Imported profiles open in the editor, to be reviewed and saved
+profileInput.addEventListener('change', function () {
+    const file = profileInput.files[0];
+    profileInput.value = '';
+    if (!file) return;
+
+    file.text()
+        .then(function (text) {
+            editedProfileName = null;
+            profileEditor.edit(normalizeProfile(JSON.parse(text)));
+        })
+        .catch(function () { notifications.show(t('profiles.invalid-file'), { type: 'error' }); });
+});
+
+profileEditor.addEventListener('save', function (event) {
+    const { profile } = event.detail;
+    const previousName = editedProfileName;
+
+    if (profile.name === previousName || !findProfile(profile.name)) {
+        saveProfile(profile, previousName);
+        return;
+    }
+
+    notifications.confirm(t('profiles.overwrite-confirm'), { confirmLabel: t('profiles.replace'), cancelLabel: t('notification.cancel') })
+        .then(function (confirmed) {
+            if (confirmed) saveProfile(profile, previousName);
+            else profileEditor.edit(profile);
+        });
+});
+
+// Manual overrides of the decoding pipeline (XRayDecodeOptions), for files whose seam or stored layout is
+// guessed wrong. They apply to the active file, which is decoded again as they change; files that the usual layout
+// cannot describe open with the first saved preset that fits them (see decodeFile).
+const defaultDecodeOptions = {
+    seamColumn: null,
+    transpose: true,
+    flipHorizontal: true,
+    storedRows: null,
+    storedColumns: null,
+    headerSize: null,
+    bigEndian: false
+};
+const decodePresetsStorageKey = 'x-ray-viewer.decode-presets';
+let decodePresets = loadDecodePresets();
+
+const decodeToggle = document.getElementById('decode-toggle');
+const decodeControls = document.getElementById('decode-controls');
+const decodeUnrollInput = document.getElementById('decode-unroll');
+const decodeSeamAutoInput = document.getElementById('decode-seam-auto');
+const decodeSeamRangeInput = document.getElementById('decode-seam-range');
+const decodeSeamInput = document.getElementById('decode-seam');
+const decodeDetectedSeam = document.getElementById('decode-detected-seam');
+const decodeTransposeInput = document.getElementById('decode-transpose');
+const decodeFlipInput = document.getElementById('decode-flip');
+const decodeStoredRowsInput = document.getElementById('decode-stored-rows');
+const decodeStoredColumnsInput = document.getElementById('decode-stored-columns');
+const decodeHeaderSizeInput = document.getElementById('decode-header-size');
+const decodeByteOrderSelect = document.getElementById('decode-byte-order');
+const decodeResetButton = document.getElementById('decode-reset');
+const decodePresetSelect = document.getElementById('decode-preset');
+const decodeDeletePresetButton = document.getElementById('decode-delete-preset');
+const decodePresetNameInput = document.getElementById('decode-preset-name');
+const decodeSavePresetButton = document.getElementById('decode-save-preset');
+
+for (const order of ['little-endian', 'big-endian']) decodeByteOrderSelect.add(new Option('', order));
+
+translated(function () {
+    decodeToggle.textContent = t('decode.toggle');
+    for (const name of ['unroll', 'seam-auto', 'seam', 'transpose', 'flip', 'stored-rows', 'stored-columns', 'header-size', 'byte-order', 'preset']) {
+        decodeControls.querySelector(`.decode-${name}`).textContent = t(`decode.${name}`);
+    }
+    decodeSeamInput.setAttribute('aria-label', t('decode.seam'));
+    decodeResetButton.textContent = t('decode.reset');
+    decodeDeletePresetButton.textContent = t('decode.delete-preset');
+    decodeSavePresetButton.textContent = t('decode.save-preset');
+    decodePresetNameInput.placeholder = t('decode.preset-name');
+    for (const option of decodeByteOrderSelect.options) option.text = t(`decode.byte-order.${option.value}`);
+});
+
+// Keeps the known options of a stored or parsed value, with the defaults for the rest
+function normalizeDecodeOptions(value) {
+    const options = { ...defaultDecodeOptions };
+    for (const key of Object.keys(options)) {
+        const given = value?.[key];
+        if (typeof options[key] === 'boolean' ? typeof given === 'boolean' : Number.isInteger(given) && given >= 0) {
+            options[key] = given;
+        }
+    }
+    return options;
+}
+
+function sameDecodeOptions(a, b) {
+    return Object.keys(defaultDecodeOptions).every((key) => a[key] === b[key]);
+}
+
+function loadDecodePresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(decodePresetsStorageKey) || '[]');
+        return stored
+            .filter((preset) => typeof preset?.name === 'string' && preset.name)
+            .map((preset) => ({ name: preset.name, options: normalizeDecodeOptions(preset.options) }));
+    } catch {
+        return [];
+    }
+}
+
+function storeDecodePresets() {
+    localStorage.setItem(decodePresetsStorageKey, JSON.stringify(decodePresets));
+}
+
+// Stored layout and automatically detected seam of an entry, for its raw layout options
+async function loadDecodeLayout(entry) {
+    const layoutJson = JSON.stringify({ ...entry.decodeOptions, seamColumn: null, transpose: true });
+    if (entry.decodeLayout?.json === layoutJson) return entry.decodeLayout;
+
+    const [storedRows, storedColumns] = await decoder.call('GetImageSize', entry.handle, layoutJson);
+    const detectedSeam = await decoder.call('DetectSeamColumn', entry.handle, layoutJson);
+    return entry.decodeLayout = { json: layoutJson, storedRows, storedColumns, detectedSeam };
+}
+
+function updateDecodeControls() {
+    decodeToggle.setAttribute('aria-pressed', !decodeControls.hidden);
+    if (decodeControls.hidden || !activeEntry) return;
+
+    const entry = activeEntry;
+    const options = entry.decodeOptions;
+    const unrolled = options.seamColumn !== 0;
+
+    decodeUnrollInput.checked = unrolled;
+    decodeSeamAutoInput.checked = options.seamColumn === null;
+    decodeSeamAutoInput.disabled = !unrolled;
+    decodeSeamRangeInput.disabled = !unrolled;
+    decodeSeamInput.disabled = !unrolled;
+    decodeTransposeInput.checked = options.transpose;
+    decodeFlipInput.checked = options.flipHorizontal;
+    decodeByteOrderSelect.value = options.bigEndian ? 'big-endian' : 'little-endian';
+    for (const [input, key] of [[decodeStoredRowsInput, 'storedRows'], [decodeStoredColumnsInput, 'storedColumns'], [decodeHeaderSizeInput, 'headerSize']]) {
+        input.value = options[key] ?? '';
+        input.removeAttribute('aria-invalid');
+    }
+    decodeHeaderSizeInput.placeholder = headerSize;
+
+    const preset = decodePresets.find((x) => sameDecodeOptions(x.options, options));
+    decodePresetSelect.replaceChildren(new Option(t('decode.preset.none'), ''), ...decodePresets.map((x) => new Option(x.name, x.name)));
+    decodePresetSelect.value = preset?.name ?? '';
+    decodeDeletePresetButton.disabled = !preset;
+
+    loadDecodeLayout(entry)
+        .then(function (layout) {
+            if (entry !== activeEntry) return;
+
+            const seamColumn = options.seamColumn ?? layout.detectedSeam;
+            decodeSeamRangeInput.max = Math.max(0, layout.storedColumns - 1);
+            decodeSeamInput.max = decodeSeamRangeInput.max;
+            decodeSeamRangeInput.value = seamColumn;
+            decodeSeamInput.value = seamColumn;
+            decodeDetectedSeam.textContent = t('decode.detected-seam').replace('{column}', layout.detectedSeam);
+            decodeStoredRowsInput.placeholder = layout.storedRows;
+            decodeStoredColumnsInput.placeholder = layout.storedColumns;
+        })
+        .catch(function () {
+            if (entry !== activeEntry) return;
+
+            decodeDetectedSeam.textContent = '';
+            decodeStoredRowsInput.placeholder = '';
+            decodeStoredColumnsInput.placeholder = '';
+        });
+}
+
+// Shows an entry that was decoded again, keeping the view and window when the image size did not change
+function showRedecodedEntry(entry, previousWidth, previousHeight) {
+    updateStudyStrip();
+
+    if (entry === activeEntry) {
+        const { view, window } = xRayImage;
+        xRayImage.setPixelData(entry.pixels, entry.width, entry.height);
+        if (entry.width === previousWidth && entry.height === previousHeight) {
+            xRayImage.setView(view);
+            xRayImage.setWindow(window.center, window.width);
+        }
+        updateHistogram();
+    }
+
+    if (comparison.enabled) {
+        compareImageEntry = null;
+        updateComparison();
+    }
+    scheduleReportPreview();
+}
+
+// Decodes an entry again with its options; changes made meanwhile are picked up by one more pass
+async function redecodeEntry(entry) {
+    if (entry.redecoding) {
+        entry.redecodeStale = true;
+        return;
+    }
+
+    entry.redecoding = true;
+    try {
+        do {
+            entry.redecodeStale = false;
+            const optionsJson = JSON.stringify(entry.decodeOptions);
+            try {
+                const plausibility = await checkPlausibility(entry.handle, entry.decodeOptions);
+                const [width, height] = await decoder.call('GetImageSize', entry.handle, optionsJson);
+                const pixelBytes = await decoder.call('GetPixelData', entry.handle, optionsJson);
+                if (entry.redecodeStale || !study.includes(entry)) continue;
+
+                const { width: previousWidth, height: previousHeight } = entry;
+                entry.plausibility = plausibility;
+                entry.width = width;
+                entry.height = height;
+                entry.pixels = new Uint16Array(pixelBytes.buffer, pixelBytes.byteOffset, pixelBytes.length / 2);
+                showRedecodedEntry(entry, previousWidth, previousHeight);
+            } catch (error) {
+                if (error.name === 'AbortError' || entry.redecodeStale || !study.includes(entry)) continue;
+                notifications.show(t('decode.failed'), { type: 'error' });
+            }
+        } while (entry.redecodeStale);
+    } finally {
+        entry.redecoding = false;
+    }
+}
+
+function changeDecodeOptions(changes) {
+    const entry = activeEntry;
+    if (!entry) return;
+
+    entry.decodeOptions = { ...entry.decodeOptions, ...changes };
+    updateDecodeControls();
+    redecodeEntry(entry);
+}
+
+// Reads an override from a number input: null when empty, undefined (and marked invalid) when out of range
+function readDecodeNumber(input) {
+    if (input.value === '') return null;
+
+    const value = Number(input.value);
+    const valid = Number.isInteger(value) && value >= Number(input.min) && (input.max === '' || value <= Number(input.max));
+    if (valid) input.removeAttribute('aria-invalid');
+    else input.setAttribute('aria-invalid', 'true');
+    return valid ? value : undefined;
+}
+
+decodeToggle.addEventListener('click', function () {
+    decodeControls.hidden = !decodeControls.hidden;
+    updateDecodeControls();
+});
+
+decodeUnrollInput.addEventListener('change', function () {
+    changeDecodeOptions({ seamColumn: decodeUnrollInput.checked ? null : 0 });
+});
+
+decodeSeamAutoInput.addEventListener('change', function () {
+    changeDecodeOptions({ seamColumn: decodeSeamAutoInput.checked ? null : Number(decodeSeamInput.value) });
+});
+
+// Dragging the slider re-renders as it moves
+decodeSeamRangeInput.addEventListener('input', function () {
+    decodeSeamInput.value = decodeSeamRangeInput.value;
+    changeDecodeOptions({ seamColumn: Number(decodeSeamRangeInput.value) });
+});
+
+decodeSeamInput.addEventListener('change', function () {
+    const seamColumn = readDecodeNumber(decodeSeamInput);
+    if (seamColumn !== undefined) changeDecodeOptions({ seamColumn });
+});
+
+decodeTransposeInput.addEventListener('change', function () {
+    changeDecodeOptions({ transpose: decodeTransposeInput.checked });
+});
+
+decodeFlipInput.addEventListener('change', function () {
+    changeDecodeOptions({ flipHorizontal: decodeFlipInput.checked });
+});
+
+for (const [input, key] of [[decodeStoredRowsInput, 'storedRows'], [decodeStoredColumnsInput, 'storedColumns'], [decodeHeaderSizeInput, 'headerSize']]) {
+    input.addEventListener('change', function () {
+        const value = readDecodeNumber(input);
+        // A manual seam may not fit the new layout
+        if (value !== undefined) changeDecodeOptions({ [key]: value, seamColumn: activeEntry?.decodeOptions.seamColumn === 0 ? 0 : null });
+    });
+}
+
+decodeByteOrderSelect.addEventListener('change', function () {
+    changeDecodeOptions({ bigEndian: decodeByteOrderSelect.value === 'big-endian' });
+});
+
+decodeResetButton.addEventListener('click', function () {
+    changeDecodeOptions(defaultDecodeOptions);
+});
+
+decodePresetSelect.addEventListener('change', function () {
+    const preset = decodePresets.find((x) => x.name === decodePresetSelect.value);
+    changeDecodeOptions(preset ? preset.options : defaultDecodeOptions);
+});
+
+decodeSavePresetButton.addEventListener('click', function () {
+    const name = decodePresetNameInput.value.trim();
+    if (!name) decodePresetNameInput.setAttribute('aria-invalid', 'true');
+    if (!name || !activeEntry) return;
+
+    decodePresets = decodePresets.filter((x) => x.name !== name);
+    decodePresets.push({ name, options: { ...activeEntry.decodeOptions } });
+    decodePresets.sort((a, b) => a.name.localeCompare(b.name));
+    storeDecodePresets();
+
+    decodePresetNameInput.value = '';
+    decodePresetNameInput.removeAttribute('aria-invalid');
+    updateDecodeControls();
+});
+
+decodeDeletePresetButton.addEventListener('click', function () {
+    decodePresets = decodePresets.filter((x) => x.name !== decodePresetSelect.value);
+    storeDecodePresets();
+    updateDecodeControls();
+});
+
+// Keyboard shortcuts, listed by the help overlay ("?"). Letters also match by their physical key (event.code),
+// so that they work with a Cyrillic keyboard layout too. run() returns whether the shortcut did anything; keys
+// that did nothing keep their usual effect, e.g. the arrow keys scroll the page without another image to go to.
+const shortcutHelp = document.getElementById('shortcut-help');
+const shortcutHelpButton = document.getElementById('shortcut-help-toggle');
+
+function imageShortcut(apply) {
+    return function () {
+        if (!xRayImage.classList.contains('image-loaded')) return false;
+        apply();
+        return true;
+    };
+}
+
+const shortcuts = [
+    { keys: ['r'], code: 'KeyR', label: 'shortcuts.rotate', run: imageShortcut(() => xRayImage.rotate()) },
+    { keys: ['f'], code: 'KeyF', label: 'shortcuts.flip', run: imageShortcut(() => xRayImage.flip()) },
+    { keys: ['+', '='], label: 'shortcuts.zoom-in', run: imageShortcut(() => xRayImage.zoomBy(1.25)) },
+    { keys: ['-'], label: 'shortcuts.zoom-out', run: imageShortcut(() => xRayImage.zoomBy(0.8)) },
+    { keys: ['0'], label: 'shortcuts.reset', run: imageShortcut(() => xRayImage.resetView()) },
+    { keys: ['ArrowLeft', 'ArrowUp'], label: 'shortcuts.previous', run: () => study.length > 1 && showAdjacentEntry(-1) },
+    { keys: ['ArrowRight', 'ArrowDown'], label: 'shortcuts.next', run: () => study.length > 1 && showAdjacentEntry(1) },
+    { keys: ['o'], code: 'KeyO', label: 'shortcuts.open', run: () => { document.getElementById('file-input').click(); return true; } },
+    { keys: ['p'], code: 'KeyP', label: 'shortcuts.print', run: imageShortcut(() => xRayImage.print()) },
+    { keys: ['?'], label: 'shortcuts.help', run: () => { shortcutHelp.show(); return true; } }
+];
+
+shortcutHelp.setShortcuts(shortcuts.map(({ keys, label }) => ({ keys, label })));
+
+translated(function () {
+    shortcutHelpButton.title = t('shortcuts.title');
+    shortcutHelpButton.setAttribute('aria-label', t('shortcuts.title'));
+});
+
+shortcutHelpButton.addEventListener('click', function () { shortcutHelp.show(); });
+
+document.addEventListener('keydown', function (event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey || !shortcutHelp.hidden) return;
+    // Typing, also in the inputs of the components' shadow DOM
+    if (event.composedPath()[0].closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    const shortcut = shortcuts.find((x) => x.keys.includes(key))
+        ?? shortcuts.find((x) => x.code && x.code === event.code && !event.shiftKey);
+    if (shortcut?.run()) event.preventDefault();
+});
+
+const stlRegex = /.+\.stl$/i;
+
+// Stages reported while GetPixelData decodes a file, in order
+const decodeStages = ['read', 'seam-detection', 'unroll'];
+
+// The openFiles() call in progress: { index, count, decoded }; cleared or replaced when it is cancelled.
+// It stays current until the files are shown, i.e. also while the user is asked about implausible ones.
+let loadingJob = null;
+
+decoder.addEventListener('progress', function (event) {
+    const { stage, fraction } = event.detail;
+    if (!loadingJob) return;
+
+    loadingOverlay.setAttribute('note', t(`loading.stage.${stage}`));
+
+    const stageIndex = decodeStages.indexOf(stage);
+    if (stageIndex < 0) return;
+    loadingOverlay.progress = (loadingJob.index + (stageIndex + fraction) / decodeStages.length) / loadingJob.count;
+});
+
+function hideLoadingOverlay() {
+    loadingOverlay.removeAttribute('visible');
+    loadingOverlay.progress = null;
+}
+
+function cancelLoading() {
+    if (!loadingJob) return;
+
+    // Decoding is over while the user is asked about implausible files, and the worker holds their handles
+    if (!loadingJob.decoded) decoder.cancel();
+    loadingJob = null;
+    hideLoadingOverlay();
+}
+
+loadingOverlay.addEventListener('cancel', cancelLoading);
+
+const errorPanel = document.getElementById('error-panel');
+
+// Names the checks an implausible file failed, e.g. "IMG1.STL (pixel data looks like noise)"
+function describeImplausibleEntry(entry) {
+    const failedChecks = entry.plausibility.findings
+        .filter((finding) => !finding.passed)
+        .map((finding) => t(`plausibility.check.${finding.check}`));
+
+    return `${entry.fileName} (${failedChecks.join(', ')})`;
+}
+
+// Opens one or more .stl files (e.g. a whole disc) as a study, replacing the current one
+async function openFiles(files) {
+    const stlFiles = [...files].filter((file) => stlRegex.test(file.name));
+
+    if (!stlFiles.length) {
+        notifications.show(t("file-selector.only-stl-files-allowed"), { type: 'error' });
+        return;
+    }
+
+    cancelLoading();
+    errorPanel.close();
+    const job = loadingJob = { index: 0, count: stlFiles.length };
+    const profile = chosenProfile();
+
+    // Decoding runs in the worker, so the current study stays usable beneath a non-modal overlay
+    loadingOverlay.toggleAttribute('floating', study.length > 0);
+    loadingOverlay.setAttribute('note', '');
+    loadingOverlay.progress = 0;
+    loadingOverlay.setAttribute('visible', 'true');
+
+    const entries = [];
+    // Entry → bytes of its file, for the library
+    const fileBytes = new Map();
+    const failures = [];
+    const fileIds = new Set();
+    for (const [index, file] of stlFiles.entries()) {
+        job.index = index;
+        loadingOverlay.setAttribute('message', job.count > 1
+            ? t('loading.file-counter').replace('{index}', index + 1).replace('{count}', job.count)
+            : t('loading.message'));
+
+        const fileName = file.webkitRelativePath || file.name;
+        let bytes;
+        let entry;
+        try {
+            bytes = new Uint8Array(await file.arrayBuffer());
+            if (job !== loadingJob) break;
+            entry = await decodeFile(fileName, bytes, profile);
+        } catch (error) {
+            if (job !== loadingJob) break;
+            failures.push({ title: fileName, message: t('file-error.unreadable'), detail: error.message });
+            continue;
+        }
+
+        const fileId = entry.metadata.FileID;
+
+        // The same exposure can be present twice, e.g. copied into several folders of a disc
+        if (fileId && fileIds.has(fileId)) {
+            decoder.close(entry.handle);
+            continue;
+        }
+
+        fileId && fileIds.add(fileId);
+        entries.push(entry);
+        fileBytes.set(entry, bytes);
+    }
+
+    // Cancelled, or superseded by another openFiles() call
+    if (job !== loadingJob) {
+        for (const entry of entries) decoder.close(entry.handle);
+        return;
+    }
+
+    job.decoded = true;
+    hideLoadingOverlay();
+
+    // The overlay said what was loading; screen readers also hear how it went
+    loadingOverlay.announce([
+        entries.length ? tPlural('loading.done', entries.length).replace('{count}', entries.length) : '',
+        failures.length ? tPlural('loading.failed', failures.length).replace('{count}', failures.length) : ''
+    ].filter(Boolean).join(' '));
+
+    if (failures.length) errorPanel.show(t('file-error.heading'), failures);
+
+    // Files of unknown scanners decode without errors, but into noise
+    const implausible = entries.filter((entry) => !entry.plausibility.isPlausible);
+    if (implausible.length) {
+        const showAnyway = await notifications.confirm(
+            `${t('plausibility.warning')} ${implausible.map(describeImplausibleEntry).join('; ')}`,
+            { confirmLabel: t('plausibility.show-anyway'), cancelLabel: t('plausibility.skip') });
+
+        if (!showAnyway) {
+            for (const entry of implausible) {
+                decoder.close(entry.handle);
+                entries.splice(entries.indexOf(entry), 1);
+            }
+        }
+
+        // Superseded by files opened while the user was asked
+        if (job !== loadingJob) {
+            for (const entry of entries) decoder.close(entry.handle);
+            return;
+        }
+    }
+
+    loadingJob = null;
+    if (!entries.length) return;
+
+    storeInLibrary(entries, fileBytes);
+
+    closeStudy();
+    study = entries.sort(compareEntries);
+    updateStudyStrip();
+    showEntry(study[0]);
+}
+
+// Local study library (see library.js): opened files are kept, whole or as their header data and a thumbnail,
+// as chosen, so that they can be found and opened again on a later visit.
+const libraryModeStorageKey = 'x-ray-viewer.library';
+let libraryMode = loadLibraryMode();
+// Records of the library as last read
+let libraryStudies = [];
+
+function loadLibraryMode() {
+    const mode = localStorage.getItem(libraryModeStorageKey);
+    return libraryModes.includes(mode) ? mode : 'off';
+}
+
+const libraryToggle = document.getElementById('library-toggle');
+const libraryControls = document.getElementById('library-controls');
+const libraryModeSelect = document.getElementById('library-mode');
+const studyLibrary = document.getElementById('study-library');
+
+for (const mode of libraryModes) libraryModeSelect.add(new Option('', mode));
+libraryModeSelect.value = libraryMode;
+
+translated(function () {
+    libraryToggle.textContent = t('library.toggle');
+    libraryControls.querySelector('.library-mode').textContent = t('library.mode');
+    for (const option of libraryModeSelect.options) option.text = t(`library.mode.${option.value}`);
+
+    for (const name of ['search', 'group', 'clear', 'open', 'open-all', 'delete', 'metadata-only', 'empty', 'no-matches']) {
+        studyLibrary.setAttribute(`${name}-label`, t(`library.${name}`));
+    }
+    studyLibrary.setAttribute('patient-name-label', t('patient-table.field.patient-name'));
+    studyLibrary.setAttribute('exposure-date-label', t('visit-table.field.exposure-date'));
+    studyLibrary.setAttribute('institution-label', t('visit-table.field.institution'));
+    studyLibrary.setAttribute('projection-label', t('visit-table.field.projection'));
+});
+
+// Names are hidden while anonymizing, as everywhere else; files are still grouped by patient with the stored name,
+// which is not shown, so that "Open all" never opens several patients' files as one study
+function updateLibraryList() {
+    studyLibrary.setItems(libraryStudies.map(function (record) {
+        const metadata = displayedMetadata(record);
+        return {
+            id: record.id,
+            patientName: metadata.PatientName || '',
+            patientKey: (record.rawMetadata.PatientName || '').trim().toLocaleLowerCase(),
+            exposureDate: metadata.ExposureDate || '',
+            exposureDateKey: sortableDate(record.rawMetadata.ExposureDate),
+            institution: metadata.Institution || '',
+            projection: metadata.Projection || '',
+            fileName: record.fileName,
+            thumbnail: record.thumbnail,
+            hasFile: record.hasFile
+        };
+    }));
+}
+
+function loadLibrary() {
+    return listStudies()
+        .then(function (records) {
+            libraryStudies = records;
+            for (const record of libraryStudies) localizeDates(record);
+            updateLibraryList();
+        })
+        .catch(function () { notifications.show(t('library.unavailable'), { type: 'error' }); });
+}
+
+function showLibrary(visible) {
+    libraryControls.hidden = !visible;
+    libraryToggle.setAttribute('aria-pressed', visible);
+    if (visible) loadLibrary();
+}
+
+// Adds opened entries to the library, unless it is off; fileBytes maps each entry to the bytes of its file
+function storeInLibrary(entries, fileBytes) {
+    if (libraryMode === 'off') return;
+
+    const keepFile = libraryMode === 'files';
+    Promise.all(entries.map(function (entry) {
+        const canvas = document.createElement('canvas');
+        renderThumbnail(canvas, entry.pixels, entry.width, entry.height, 96);
+
+        return new Promise((resolve) => canvas.toBlob(resolve, 'image/png')).then((thumbnail) => storeStudy({
+            fileName: entry.fileName,
+            profileName: entry.profileName,
+            metadata: entry.metadata,
+            rawMetadata: entry.rawMetadata,
+            dateFields: entry.dateFields,
+            width: entry.width,
+            height: entry.height,
+            thumbnail
+        }, fileBytes.get(entry), { keepFile }));
+    }))
+        .then(function () { if (!libraryControls.hidden) loadLibrary(); })
+        // E.g. out of storage space
+        .catch(function () { notifications.show(t('library.store-failed'), { type: 'error' }); });
+}
+
+libraryToggle.addEventListener('click', function () {
+    showLibrary(libraryControls.hidden);
+});
+
+libraryModeSelect.addEventListener('change', function () {
+    libraryMode = libraryModeSelect.value;
+    localStorage.setItem(libraryModeStorageKey, libraryMode);
+    // Kept files should survive the browser running short of space
+    if (libraryMode === 'files') navigator.storage?.persist?.();
+});
+
+// The stored bytes are opened like any other file, as a study of their own
+studyLibrary.addEventListener('open', function (event) {
+    const records = libraryStudies.filter((record) => event.detail.ids.includes(record.id));
+
+    Promise.all(records.map((record) => readStudyFile(record.id)
+        .then((bytes) => bytes && new File([bytes], record.fileName))))
+        .then(function (files) {
+            files = files.filter(Boolean);
+            if (!files.length) throw new Error('The library keeps no files of these entries.');
+            openFiles(files);
+        })
+        .catch(function () { notifications.show(t('library.open-failed'), { type: 'error' }); });
+});
+
+studyLibrary.addEventListener('delete', function (event) {
+    deleteStudies(event.detail.ids)
+        .then(loadLibrary)
+        .catch(function () { notifications.show(t('library.delete-failed'), { type: 'error' }); });
+});
+
+studyLibrary.addEventListener('clear', function () {
+    notifications.confirm(t('library.clear-confirm'), { confirmLabel: t('library.clear'), cancelLabel: t('notification.cancel') })
+        .then(function (confirmed) {
+            if (confirmed) return clearLibrary().then(loadLibrary);
+        })
+        .catch(function () { notifications.show(t('library.delete-failed'), { type: 'error' }); });
+});
+
+// With the library in use, a visit starts from it rather than from an empty page
+if (libraryMode !== 'off') {
+    listStudies()
+        .then(function (records) {
+            if (records.length && !study.length) showLibrary(true);
+        })
+        .catch(function () { });
+}
+
+document.getElementById('file-input').addEventListener('change', function (event) {
+    const files = [...event.target.files];
+    event.target.value = '';
+    openFiles(files);
+});
+
+const folderInput = document.getElementById('folder-input');
+const openFolderButton = document.getElementById('open-folder');
+translated(function () { openFolderButton.textContent = t('file-selector.open-folder'); });
+openFolderButton.addEventListener('click', function () { folderInput.click(); });
+folderInput.addEventListener('change', function (event) {
+    const files = [...event.target.files];
+    event.target.value = '';
+    openFiles(files);
+});
+
+// Resolves a dropped file or directory entry to a flat list of files
+async function readEntryFiles(entry) {
+    if (entry.isFile) {
+        return new Promise((resolve) => entry.file((file) => resolve([file]), () => resolve([])));
+    }
+
+    const reader = entry.createReader();
+    const children = [];
+    // readEntries() returns directory contents in batches until an empty one
+    const readBatch = () => new Promise((resolve) => reader.readEntries(resolve, () => resolve([])))
+        .then((batch) => {
+            if (!batch.length) return;
+            children.push(...batch);
+            return readBatch();
+        });
+
+    return readBatch()
+        .then(() => Promise.all(children.map(readEntryFiles)))
+        .then((lists) => lists.flat());
+}
+
+function getDroppedFiles(dataTransfer) {
+    const entries = [...dataTransfer.items]
+        .filter((item) => item.kind === 'file')
+        .map((item) => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+
+    if (!entries.length) return Promise.resolve([...dataTransfer.files]);
+    return Promise.all(entries.map(readEntryFiles)).then((lists) => lists.flat());
+}
+
+const dropZone = document.getElementById('drop-zone');
+translated(function () { dropZone.textContent = t('file-selector.drop-files'); });
+
+function isFileDrag(event) {
+    return [...event.dataTransfer.types].includes('Files');
+}
+
+// dragenter/dragleave fire for every child element, so count them to know when the pointer leaves the page
+let dragDepth = 0;
+
+document.addEventListener('dragenter', function (event) {
+    if (!isFileDrag(event)) return;
+    dragDepth++;
+    dropZone.hidden = false;
+});
+
+document.addEventListener('dragleave', function (event) {
+    if (!isFileDrag(event)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (!dragDepth) dropZone.hidden = true;
+});
+
+document.addEventListener('dragover', function (event) {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+});
+
+document.addEventListener('drop', function (event) {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth = 0;
+    dropZone.hidden = true;
+
+    getDroppedFiles(event.dataTransfer)
+        .then(openFiles)
+        .catch(function () { notifications.show(t('file-selector.drop-failed'), { type: 'error' }); });
+});
+
+document.addEventListener('paste', function (event) {
+    const files = [...(event.clipboardData?.files || [])];
+    if (!files.length) return;
+
+    event.preventDefault();
+    openFiles(files);
+});
+
+// Files opened with the installed app (file_handlers in manifest.webmanifest), e.g. by double-clicking an .stl
+if ('launchQueue' in window) {
+    window.launchQueue.setConsumer(function (launchParams) {
+        if (!launchParams.files?.length) return;
+
+        Promise.all(launchParams.files.map((handle) => handle.getFile()))
+            .then(openFiles)
+            .catch(function () { notifications.show(t('file-selector.launch-failed'), { type: 'error' }); });
+    });
+}
+
+// Offline use (see service-worker.js). The worker only caches what is loaded while it is active,
+// so the files this page and the decoder loaded before are handed to it once the runtime is up.
+const offlineReadyStorageKey = 'x-ray-viewer.offline-ready';
+const offlineStatus = document.getElementById('offline-status');
+
+function updateOfflineStatus() {
+    const ready = localStorage.getItem(offlineReadyStorageKey) === 'true';
+    offlineStatus.hidden = !ready && navigator.onLine;
+    offlineStatus.textContent = navigator.onLine ? t('offline.ready') : t('offline.offline');
+}
+
+window.addEventListener('online', updateOfflineStatus);
+window.addEventListener('offline', updateOfflineStatus);
+updateOfflineStatus();
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', function (event) {
+        if (event.data.type === 'cached') {
+            if (localStorage.getItem(offlineReadyStorageKey) !== 'true') {
+                localStorage.setItem(offlineReadyStorageKey, 'true');
+                notifications.show(t('offline.ready-notice'));
+            }
+            updateOfflineStatus();
+        } else if (event.data.type === 'update-available') {
+            notifications.show(t('offline.update-available'), {
+                timeout: 0,
+                actions: [{ label: t('offline.reload'), value: 'reload' }]
+            }).then(function (value) {
+                if (value === 'reload') event.source.postMessage({ type: 'apply-update' });
+            });
+        } else if (event.data.type === 'updated') {
+            location.reload();
+        }
+    });
+
+    navigator.serviceWorker.register(import.meta.resolve('./service-worker.js'))
+        .then(() => navigator.serviceWorker.ready)
+        .then(function (registration) {
+            registration.active.postMessage({ type: 'check-update' });
+
+            return decoder.resourceUrls().then(function (workerUrls) {
+                const pageUrls = performance.getEntriesByType('resource').map((entry) => entry.name);
+                registration.active.postMessage({ type: 'cache', urls: [...pageUrls, ...workerUrls] });
+            });
+        })
+        // Without a service worker (e.g. served over plain HTTP) the viewer simply needs the network
+        .catch(function () { });
+}
+
+// Language selector; the choice is remembered, and everything that shows text follows it right away
+const languageSelect = document.getElementById('language-select');
+
+for (const [code, name] of Object.entries(languages)) languageSelect.add(new Option(name, code));
+languageSelect.value = language();
+translated(function () { languageSelect.setAttribute('aria-label', t('language.select')); });
+
+languageSelect.addEventListener('change', function () {
+    const selected = languageSelect.value;
+    setLanguage(selected)
+        .then(function () { localStorage.setItem(languageStorageKey, selected); })
+        .catch(function () {
+            languageSelect.value = language();
+            notifications.show(t('language.failed'), { type: 'error' });
+        });
+});
+
+// Texts built from header data and the viewer's state, rather than set once by translated()
+i18n.addEventListener('languagechange', function () {
+    for (const record of [...study, ...libraryStudies]) localizeDates(record);
+    metadataTables = profileTables(findProfile(activeEntry?.profileName));
+    updateDisplayedMetadata();
+    updateProfileControls();
+    updateOfflineStatus();
+    updateDecodeControls();
+});
@@ -0,0 +1,171 @@
+// Header data as it is meant rather than as it is stored: sex codes ("муж" / "жен") become words of the current
+// language, names in capitals get their usual capitalization (and, optionally, Latin letters), the tube configuration
+// ("75kV; 40mA") is split into voltage and current, and the age at exposure is derived from the two dates.
+// Dates that cannot be right (in the future, or an exposure before birth) are reported by findDateProblems().
+
+import { language, t, tPlural } from './i18n.js'
+
+/** Fields that normalizeMetadata() adds, each with the stored fields it is derived from. */
+export const derivedFields = {
+    Age: ['BirthDate', 'ExposureDate'],
+    TubeVoltage: ['TubeConfig'],
+    TubeCurrent: ['TubeConfig']
+};
+
+// ICAO Doc 9303 transliteration of Russian, with the letters of Belarusian and Ukrainian
+const LATIN_LETTERS = {
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'ґ': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'є': 'ie', 'ж': 'zh', 'з': 'z',
+    'и': 'i', 'і': 'i', 'ї': 'i', 'й': 'i', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r',
+    'с': 's', 'т': 't', 'у': 'u', 'ў': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch',
+    'ъ': 'ie', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'iu', 'я': 'ia', "'": '', '’': '', 'ʼ': ''
+};
+
+const NAME_FIELDS = ['PatientName', 'Radiologist'];
+
+/**
+ * "ddMMyyyy" → { day, month, year }
+ * @returns {{ day: number, month: number, year: number } | null} null when it is not a date of the calendar
+ */
+export function parseRawDate(raw) {
+    const match = /^(\d{2})(\d{2})(\d{4})$/.exec((raw || '').trim());
+    if (!match) return null;
+
+    const [, day, month, year] = match.map(Number);
+    const date = new Date(0);
+    date.setUTCFullYear(year, month - 1, day);
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? { day, month, year } : null;
+}
+
+/** "ddMMyyyy" → "yyyyMMdd" (also the DICOM DA format), which sorts chronologically; '' when it is not a date. */
+export function sortableDate(raw) {
+    const date = parseRawDate(raw);
+    return date ? `${date.year}${String(date.month).padStart(2, '0')}${String(date.day).padStart(2, '0')}` : '';
+}
+
+function compareDates(a, b) {
+    return a.year - b.year || a.month - b.month || a.day - b.day;
+}
+
+/** Age in whole years on the exposure date, or null when a date is missing or the exposure precedes the birth. */
+export function ageAtExposure(rawMetadata) {
+    const birth = parseRawDate(rawMetadata.BirthDate);
+    const exposure = parseRawDate(rawMetadata.ExposureDate);
+    if (!birth || !exposure) return null;
+
+    const hadBirthday = exposure.month > birth.month || (exposure.month === birth.month && exposure.day >= birth.day);
+    const age = exposure.year - birth.year - (hadBirthday ? 0 : 1);
+    return age >= 0 ? age : null;
+}
+
+/** "34 years", in the current language. */
+export function formatAge(age) {
+    return tPlural('normalization.age', age).replace('{age}', age);
+}
+
+/**
+ * Sex code of the header ("муж", "жен", "М", "F", …).
+ * @returns {'male' | 'female' | null}
+ */
+export function parseSex(raw) {
+    const value = (raw || '').trim().toLowerCase();
+    // Russian, Belarusian and Ukrainian words and their first letters, or English ones
+    if (/^(м|ч|m)/.test(value)) return 'male';
+    if (/^(ж|f|w)/.test(value)) return 'female';
+    return null;
+}
+
+/**
+ * "75kV; 40mA" → { kV: 75, mA: 40 }; either is null when the text does not give it.
+ * @returns {{ kV: number | null, mA: number | null } | null} null when it gives neither
+ */
+export function parseTubeConfig(raw) {
+    const number = (pattern) => {
+        const match = pattern.exec(raw || '');
+        return match ? Number(match[1].replace(',', '.')) : null;
+    };
+    // mAs (the exposure) is not the current
+    const kV = number(/(\d+(?:[.,]\d+)?)\s*(?:kv|кв)/i);
+    const mA = number(/(\d+(?:[.,]\d+)?)\s*(?:ma|ма)(?![sс])/i);
+    return kV === null && mA === null ? null : { kV, mA };
+}
+
+/** "ИВАНОВ ИВАН-ПЁТР" → "Иванов Иван-Пётр"; text with lowercase letters is kept as written. */
+export function capitalizeName(text) {
+    if (text !== text.toUpperCase()) return text;
+    return text.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+/** Cyrillic letters → Latin ones, keeping capitals: "Иванов Пётр" → "Ivanov Petr". */
+export function transliterate(text) {
+    return [...text].map((character) => {
+        const lower = character.toLowerCase();
+        const latin = LATIN_LETTERS[lower];
+        if (latin === undefined) return character;
+        return character === lower ? latin : latin.charAt(0).toUpperCase() + latin.slice(1);
+    }).join('');
+}
+
+function formatQuantity(key, value) {
+    return t(key).replace('{value}', value.toLocaleString(language()));
+}
+
+/**
+ * Header fields for display, with the fields of `derivedFields` added where they can be derived.
+ * The tube configuration is left out once both its values are known.
+ * @param {Record<string, string>} metadata - formatted header fields, dates already localized
+ * @param {Record<string, string>} rawMetadata - the header strings as stored
+ * @param {{ latinNames?: boolean }} [options] - latinNames transliterates the patient's and radiologist's names
+ * @returns {Record<string, string>}
+ */
+export function normalizeMetadata(metadata, rawMetadata, { latinNames = false } = {}) {
+    const result = { ...metadata };
+
+    for (const id of NAME_FIELDS) {
+        if (!result[id]) continue;
+        const name = capitalizeName(result[id].trim());
+        result[id] = latinNames ? transliterate(name) : name;
+    }
+
+    const sex = parseSex(rawMetadata.Sex);
+    if (sex) result.Sex = t(`normalization.sex.${sex}`);
+
+    const age = ageAtExposure(rawMetadata);
+    if (age !== null) result.Age = formatAge(age);
+
+    const tube = parseTubeConfig(rawMetadata.TubeConfig);
+    if (tube) {
+        if (tube.kV !== null) result.TubeVoltage = formatQuantity('normalization.kv', tube.kV);
+        if (tube.mA !== null) result.TubeCurrent = formatQuantity('normalization.ma', tube.mA);
+        if (tube.kV !== null && tube.mA !== null) delete result.TubeConfig;
+    }
+
+    return result;
+}
+
+/**
+ * Date fields whose value cannot be right: 'invalid-date' (not a date of the calendar), 'future-date', or
+ * 'before-birth' for an exposure date before the birth date.
+ * @param {Record<string, string>} rawMetadata
+ * @param {string[]} dateFields - ids of the date fields of the file's layout
+ * @param {Date} [today]
+ * @returns {Record<string, string>} field id → problem
+ */
+export function findDateProblems(rawMetadata, dateFields, today = new Date()) {
+    const problems = {};
+    const now = { day: today.getDate(), month: today.getMonth() + 1, year: today.getFullYear() };
+
+    for (const id of dateFields) {
+        const raw = (rawMetadata[id] || '').trim();
+        if (!raw) continue;
+
+        const date = parseRawDate(raw);
+        if (!date) problems[id] = 'invalid-date';
+        else if (compareDates(date, now) > 0) problems[id] = 'future-date';
+    }
+
+    const birth = parseRawDate(rawMetadata.BirthDate);
+    const exposure = parseRawDate(rawMetadata.ExposureDate);
+    if (birth && exposure && compareDates(exposure, birth) < 0) problems.ExposureDate ??= 'before-birth';
+
+    return problems;
+}
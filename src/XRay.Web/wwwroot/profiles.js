@@ -0,0 +1,129 @@
+// Header profiles: user-defined layouts of the .stl header for scanners that shift the offsets.
+//
+// A profile is stored and exported as JSON:
+//   { name, fields: [{ id, label, table, offset, length, encoding, type }] }
+// id is a field id known to the library (e.g. "PatientName") or any other name for a custom field,
+// table is "visit", "patient", "equipment" or a caption of its own, type is "text" or "date".
+//
+// findValueProblem() checks a value against a field of a layout before it is written to the header.
+
+import { parseRawDate } from './normalization.js'
+
+// Bytes 0-3 hold the image size, the pixel data starts at byte 1337
+export const metadataStart = 4;
+export const headerSize = 1337;
+
+// Date fields are always "ddMMyyyy" in ASCII
+export const dateLength = 8;
+
+// WHATWG labels understood by both the browser's TextDecoder and .NET
+export const fieldEncodings = ['windows-1251', 'ibm866', 'koi8-r', 'utf-8', 'us-ascii'];
+export const fieldTypes = ['text', 'date'];
+
+const idPattern = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+/**
+ * Brings a parsed profile (e.g. from an imported file) to the stored shape, filling in defaults.
+ * @throws {TypeError} when the value is not shaped like a profile at all
+ */
+export function normalizeProfile(value) {
+    if (!value || typeof value !== 'object' || !Array.isArray(value.fields)) {
+        throw new TypeError('A profile needs a list of fields.');
+    }
+
+    return {
+        name: String(value.name ?? '').trim(),
+        fields: value.fields.map((field) => ({
+            id: String(field?.id ?? '').trim(),
+            label: String(field?.label ?? '').trim(),
+            table: String(field?.table ?? '').trim(),
+            offset: Number(field?.offset),
+            length: field?.type === 'date' ? dateLength : Number(field?.length),
+            encoding: field?.encoding ?? fieldEncodings[0],
+            type: field?.type ?? 'text'
+        }))
+    };
+}
+
+/**
+ * Lists what is wrong with a profile: { field, property } where field is the index of the field,
+ * or null for the profile itself. An empty list means the profile can be used.
+ */
+export function findProfileProblems(profile) {
+    const problems = [];
+
+    if (!profile.name) problems.push({ field: null, property: 'name' });
+    if (!profile.fields.length) problems.push({ field: null, property: 'fields' });
+
+    const ids = new Set();
+    profile.fields.forEach((field, index) => {
+        if (!idPattern.test(field.id) || field.id === 'Custom' || ids.has(field.id)) {
+            problems.push({ field: index, property: 'id' });
+        }
+        ids.add(field.id);
+
+        if (!Number.isInteger(field.offset) || field.offset < metadataStart || field.offset >= headerSize) {
+            problems.push({ field: index, property: 'offset' });
+        }
+
+        const length = field.type === 'date' ? dateLength : field.length;
+        if (!Number.isInteger(length) || length < 1 || field.offset + length > headerSize) {
+            problems.push({ field: index, property: 'length' });
+        }
+
+        if (!fieldEncodings.includes(field.encoding)) problems.push({ field: index, property: 'encoding' });
+        if (!fieldTypes.includes(field.type)) problems.push({ field: index, property: 'type' });
+    });
+
+    return problems;
+}
+
+// Field layout in the format of XRayFileReaderWrapper.SetFieldLayout
+export function profileLayout(profile) {
+    return profile.fields.map(({ id, offset, length, encoding, type }) => ({
+        id,
+        offset,
+        length: type === 'date' ? dateLength : length,
+        encoding: type === 'date' ? 'us-ascii' : encoding,
+        isDate: type === 'date'
+    }));
+}
+
+// Characters of the single-byte encodings, from the browser's decoder
+const encodingCharacters = new Map();
+
+function characters(encoding) {
+    if (!encodingCharacters.has(encoding)) {
+        const text = new TextDecoder(encoding).decode(Uint8Array.from({ length: 256 }, (_, i) => i));
+        encodingCharacters.set(encoding, new Set(text));
+    }
+    return encodingCharacters.get(encoding);
+}
+
+/**
+ * Number of bytes a header string takes in one of `fieldEncodings`.
+ * @returns {number | null} null when the encoding cannot store it (a zero character would end it)
+ */
+export function encodedLength(text, encoding) {
+    if (text.includes('\0')) return null;
+    if (encoding === 'utf-8') return text.isWellFormed() ? new TextEncoder().encode(text).length : null;
+    // For the browser, "us-ascii" is a label of windows-1252
+    if (encoding === 'us-ascii') return /^[\x00-\x7f]*$/.test(text) ? text.length : null;
+
+    const known = characters(encoding);
+    return [...text].every((character) => known.has(character)) ? text.length : null;
+}
+
+/**
+ * What keeps a value from being written to a field of a layout (see profileLayout): 'date' when a date field
+ * does not get "ddMMyyyy" (or nothing), 'encoding' for characters its encoding lacks, 'length' when it does not fit.
+ * @param {{ length: number, encoding: string, isDate: boolean }} field
+ * @returns {'date' | 'encoding' | 'length' | null}
+ */
+export function findValueProblem(field, value) {
+    if (field.isDate && value && !(/^\d{8}$/.test(value) && parseRawDate(value))) return 'date';
+
+    const length = encodedLength(value, field.isDate ? 'us-ascii' : field.encoding);
+    if (length === null) return 'encoding';
+    return length > field.length ? 'length' : null;
+}
@@ -0,0 +1,415 @@
+// Printable reports, rendered as A4 pages onto canvases, so that print and PDF look the same:
+//   single   institution and patient header, the image as displayed, free-text findings
+//   film     each image alone on a black page, like a film print, with a one-line caption
+//   study-2  header and two images of the study per page (study-4: four), findings on the last page
+// The PDF is written here without a library: one JPEG per page.
+
+export const reportLayouts = ['single', 'film', 'study-2', 'study-4'];
+
+// A4 at 150 dpi, 15 mm margins
+const PAGE_WIDTH = 1240;
+const PAGE_HEIGHT = 1754;
+const MARGIN = 90;
+
+// A4 in PDF points
+const PDF_PAGE_WIDTH = 595.28;
+const PDF_PAGE_HEIGHT = 841.89;
+
+const IMAGES_PER_PAGE = { 'single': 1, 'study-2': 2, 'study-4': 4 };
+const GRID_COLUMNS = { 'single': 1, 'study-2': 2, 'study-4': 2 };
+
+const FONT_FAMILY = "'IBM Plex Sans', 'Segoe UI', sans-serif";
+const TEXT_COLOR = '#1a1a1a';
+const MUTED_COLOR = '#666';
+
+// The header holds no orientation, only the projection as the operator typed it. Decoded with the default options,
+// images of the supported scanners come out head up, and frontal ones with the patient's right on the viewer's left,
+// as radiographs are conventionally hung. Which side a lateral one faces is not known, so it only gets head and feet.
+const FRONTAL_PROJECTION = /^(?:a\.?p|p\.?a)\b|^(?:прям|прам|фронт|frontal)/i;
+const LATERAL_PROJECTION = /^(?:lat|бок|бак|біч|profile|проф)/i;
+
+// Edges in the order top, right, bottom, left; mirroring swaps right and left
+function mirrorEdges([top, right, bottom, left]) {
+    return [top, left, bottom, right];
+}
+
+/**
+ * Direction letters at the edges of an image as it is shown.
+ * @param {string} projection - the Projection header field
+ * @param {{ transpose?: boolean, flipHorizontal?: boolean }} decodeOptions - the options the image was decoded with
+ * @param {{ rotation?: number, flipped?: boolean }} view - rotation and flip of the view (see orientCanvas in imaging.js)
+ * @returns {{ top: string, right: string, bottom: string, left: string } | null} null when the projection does not
+ *   tell the orientation; lateral projections have no letters at the sides
+ */
+export function orientationMarkers(projection, { transpose = true, flipHorizontal = true }, { rotation = 0, flipped = false }) {
+    const text = (projection || '').trim();
+    let markers;
+    if (FRONTAL_PROJECTION.test(text)) markers = ['H', 'L', 'F', 'R'];
+    else if (LATERAL_PROJECTION.test(text)) markers = ['H', '', 'F', ''];
+    else return null;
+
+    // Without the transpose, the image is the default one mirrored about its rising diagonal
+    if (!transpose) markers = [markers[1], markers[0], markers[3], markers[2]];
+    if (!flipHorizontal) markers = mirrorEdges(markers);
+    if (flipped) markers = mirrorEdges(markers);
+
+    // Turning clockwise brings the left edge to the top
+    const steps = Math.round(rotation / 90) % 4;
+    const [top, right, bottom, left] = markers.map((_, i) => markers[(i - steps + 4) % 4]);
+    return { top, right, bottom, left };
+}
+
+function createPage(background) {
+    const canvas = document.createElement('canvas');
+    canvas.width = PAGE_WIDTH;
+    canvas.height = PAGE_HEIGHT;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, PAGE_WIDTH, PAGE_HEIGHT);
+    ctx.textBaseline = 'top';
+    return { canvas, ctx };
+}
+
+function setFont(ctx, size, weight = 400) {
+    ctx.font = `${weight} ${size}px ${FONT_FAMILY}`;
+}
+
+// Cuts text to fit the width, ending it with an ellipsis
+function fitText(ctx, text, width) {
+    if (ctx.measureText(text).width <= width) return text;
+
+    let end = text.length;
+    while (end > 0 && ctx.measureText(text.slice(0, end) + '…').width > width) end--;
+    return text.slice(0, end) + '…';
+}
+
+// Breaks text into lines of the given width at spaces, or anywhere within words that are too long
+function wrapText(ctx, text, width) {
+    const lines = [];
+    for (const paragraph of text.split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (ctx.measureText(candidate).width <= width) {
+                line = candidate;
+                continue;
+            }
+
+            if (line) lines.push(line);
+            line = word;
+            while (ctx.measureText(line).width > width && line.length > 1) {
+                let end = line.length - 1;
+                while (end > 1 && ctx.measureText(line.slice(0, end)).width > width) end--;
+                lines.push(line.slice(0, end));
+                line = line.slice(end);
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+// Institution, title and the metadata tables side by side; returns the y below them
+function drawHeader(ctx, report, y) {
+    const width = PAGE_WIDTH - MARGIN * 2;
+
+    ctx.fillStyle = TEXT_COLOR;
+    setFont(ctx, 40, 600);
+    ctx.fillText(fitText(ctx, report.institution || report.title, width), MARGIN, y);
+    y += 52;
+    if (report.institution) {
+        setFont(ctx, 26);
+        ctx.fillStyle = MUTED_COLOR;
+        ctx.fillText(fitText(ctx, report.title, width), MARGIN, y);
+        y += 38;
+    }
+
+    ctx.strokeStyle = TEXT_COLOR;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(MARGIN, y);
+    ctx.lineTo(PAGE_WIDTH - MARGIN, y);
+    ctx.stroke();
+    y += 20;
+
+    const tables = report.tables.filter((table) => table.rows.length);
+    if (!tables.length) return y;
+
+    const gap = 30;
+    const columnWidth = (width - gap * (tables.length - 1)) / tables.length;
+    let bottom = y;
+    tables.forEach((table, i) => {
+        const x = MARGIN + i * (columnWidth + gap);
+        let rowY = y;
+
+        ctx.fillStyle = TEXT_COLOR;
+        setFont(ctx, 22, 600);
+        ctx.fillText(fitText(ctx, table.caption, columnWidth), x, rowY);
+        rowY += 32;
+
+        for (const [name, value] of table.rows) {
+            setFont(ctx, 18);
+            ctx.fillStyle = MUTED_COLOR;
+            ctx.fillText(fitText(ctx, name, columnWidth), x, rowY);
+            rowY += 22;
+            setFont(ctx, 20);
+            ctx.fillStyle = TEXT_COLOR;
+            ctx.fillText(fitText(ctx, value, columnWidth), x, rowY);
+            rowY += 32;
+        }
+        bottom = Math.max(bottom, rowY);
+    });
+    return bottom + 10;
+}
+
+function drawMarkers(ctx, markers, x, y, width, height, color) {
+    const size = Math.round(Math.max(18, Math.min(40, Math.min(width, height) / 16)));
+    const inset = size * 0.4;
+
+    ctx.save();
+    setFont(ctx, size, 600);
+    ctx.lineWidth = size / 6;
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillStyle = color;
+    const positions = [
+        [markers.top, x + width / 2, y + inset, 'center', 'top'],
+        [markers.right, x + width - inset, y + height / 2, 'right', 'middle'],
+        [markers.bottom, x + width / 2, y + height - inset, 'center', 'bottom'],
+        [markers.left, x + inset, y + height / 2, 'left', 'middle']
+    ];
+    for (const [text, textX, textY, align, baseline] of positions) {
+        ctx.textAlign = align;
+        ctx.textBaseline = baseline;
+        ctx.strokeText(text, textX, textY);
+        ctx.fillText(text, textX, textY);
+    }
+    ctx.restore();
+}
+
+// Fits an image with its orientation markers, if known, into the box, centered; returns the drawn rectangle
+function drawImage(ctx, image, box, markerColor) {
+    const { canvas } = image;
+    const scale = Math.min(box.width / canvas.width, box.height / canvas.height);
+    const width = canvas.width * scale;
+    const height = canvas.height * scale;
+    const x = box.x + (box.width - width) / 2;
+    const y = box.y + (box.height - height) / 2;
+
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(canvas, x, y, width, height);
+    if (image.markers) drawMarkers(ctx, image.markers, x, y, width, height, markerColor);
+    return { x, y, width, height };
+}
+
+// Images in a grid of cells, each captioned below
+function drawImageGrid(ctx, images, columns, rows, box) {
+    const gap = 24;
+    const captionHeight = 34;
+    const cellWidth = (box.width - gap * (columns - 1)) / columns;
+    const cellHeight = (box.height - gap * (rows - 1)) / rows;
+
+    images.forEach((image, i) => {
+        const x = box.x + (i % columns) * (cellWidth + gap);
+        const y = box.y + Math.floor(i / columns) * (cellHeight + gap);
+        const drawn = drawImage(ctx, image, { x, y, width: cellWidth, height: cellHeight - captionHeight }, '#fff');
+
+        ctx.fillStyle = TEXT_COLOR;
+        setFont(ctx, 20);
+        ctx.textAlign = 'center';
+        ctx.fillText(fitText(ctx, image.caption, cellWidth), x + cellWidth / 2, drawn.y + drawn.height + 8);
+        ctx.textAlign = 'left';
+    });
+}
+
+// Findings box ending at `bottom`
+function drawFindings(ctx, report, top, bottom) {
+    const width = PAGE_WIDTH - MARGIN * 2;
+
+    ctx.fillStyle = TEXT_COLOR;
+    setFont(ctx, 22, 600);
+    ctx.fillText(report.findingsLabel, MARGIN, top);
+
+    const boxTop = top + 32;
+    ctx.strokeStyle = '#999';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(MARGIN, boxTop, width, bottom - boxTop);
+
+    setFont(ctx, 20);
+    const lineHeight = 28;
+    const maxLines = Math.floor((bottom - boxTop - 24) / lineHeight);
+    const lines = wrapText(ctx, report.findings, width - 24);
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = fitText(ctx, lines[maxLines - 1] + '…', width - 24);
+    }
+    lines.forEach((line, i) => ctx.fillText(line, MARGIN + 12, boxTop + 12 + i * lineHeight));
+}
+
+function drawPageLabel(ctx, label, color) {
+    ctx.fillStyle = color;
+    setFont(ctx, 18);
+    ctx.textAlign = 'right';
+    ctx.fillText(label, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - MARGIN + 20);
+    ctx.textAlign = 'left';
+}
+
+function renderReportPage(report, images, index, count) {
+    const { canvas, ctx } = createPage('#fff');
+    const columns = GRID_COLUMNS[report.layout];
+    const rows = Math.ceil(IMAGES_PER_PAGE[report.layout] / columns);
+
+    const top = drawHeader(ctx, report, MARGIN) + 10;
+    let bottom = PAGE_HEIGHT - MARGIN;
+    if (index === count - 1) {
+        const findingsTop = bottom - (report.layout === 'single' ? 360 : 280);
+        drawFindings(ctx, report, findingsTop, bottom);
+        bottom = findingsTop - 24;
+    }
+
+    drawImageGrid(ctx, images, columns, rows, { x: MARGIN, y: top, width: PAGE_WIDTH - MARGIN * 2, height: bottom - top });
+    drawPageLabel(ctx, report.pageLabel(index + 1, count), MUTED_COLOR);
+    return canvas;
+}
+
+function renderFilmPage(report, image, index, count) {
+    const { canvas, ctx } = createPage('#000');
+    const inset = 40;
+    const captionHeight = 50;
+
+    drawImage(ctx, image, { x: inset, y: inset, width: PAGE_WIDTH - inset * 2, height: PAGE_HEIGHT - inset * 2 - captionHeight }, '#fff');
+
+    ctx.fillStyle = '#ddd';
+    setFont(ctx, 22);
+    const label = report.pageLabel(index + 1, count);
+    const labelWidth = ctx.measureText(label).width + 30;
+    ctx.fillText(fitText(ctx, [report.institution, image.caption].filter(Boolean).join(' · '), PAGE_WIDTH - inset * 2 - labelWidth),
+        inset, PAGE_HEIGHT - inset - 28);
+    ctx.textAlign = 'right';
+    ctx.fillText(label, PAGE_WIDTH - inset, PAGE_HEIGHT - inset - 28);
+    ctx.textAlign = 'left';
+    return canvas;
+}
+
+/**
+ * Renders the pages of a report.
+ * @param {object} report
+ * @param {string} report.layout one of reportLayouts
+ * @param {string} report.title
+ * @param {string} report.institution
+ * @param {{ caption: string, rows: [string, string][] }[]} report.tables header data, as in the metadata tables
+ * @param {{ canvas: HTMLCanvasElement, caption: string, markers?: object }[]} report.images images as displayed,
+ *   with orientationMarkers() for them where the orientation is known
+ * @param {string} report.findingsLabel
+ * @param {string} report.findings
+ * @param {(page: number, count: number) => string} report.pageLabel
+ * @returns {HTMLCanvasElement[]}
+ */
+export function renderReportPages(report) {
+    if (report.layout === 'film') {
+        return report.images.map((image, i) => renderFilmPage(report, image, i, report.images.length));
+    }
+
+    const perPage = IMAGES_PER_PAGE[report.layout];
+    const groups = [];
+    for (let i = 0; i < report.images.length; i += perPage) groups.push(report.images.slice(i, i + perPage));
+    if (!groups.length) groups.push([]);
+
+    return groups.map((images, i) => renderReportPage(report, images, i, groups.length));
+}
+
+/**
+ * Opens the pages in a new window and prints them, one per A4 sheet.
+ * @returns {boolean} false when the browser blocked the window
+ */
+export function printReportPages(pages, title) {
+    const win = window.open('', '_blank');
+    if (!win) return false;
+
+    const doc = win.document;
+    doc.title = title;
+    const style = doc.createElement('style');
+    style.textContent = '@page { size: A4; margin: 0; } body { margin: 0; } '
+        + 'img { display: block; width: 100%; height: 100vh; object-fit: contain; break-after: page; } img:last-child { break-after: auto; }';
+    doc.head.append(style);
+
+    const loaded = pages.map((page) => new Promise((resolve) => {
+        const img = doc.createElement('img');
+        img.onload = img.onerror = resolve;
+        img.src = page.toDataURL('image/png');
+        doc.body.append(img);
+    }));
+
+    Promise.all(loaded).then(() => {
+        win.focus();
+        win.print();
+        win.onafterprint = () => win.close();
+    });
+    return true;
+}
+
+function toJpeg(canvas) {
+    return new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.92))
+        .then((blob) => blob.arrayBuffer())
+        .then((buffer) => new Uint8Array(buffer));
+}
+
+/**
+ * A PDF document with each page as a full-page A4 image.
+ * @param {HTMLCanvasElement[]} pages
+ * @returns {Promise<Blob>}
+ */
+export async function createReportPdf(pages) {
+    const jpegs = await Promise.all(pages.map(toJpeg));
+    const encoder = new TextEncoder();
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+
+    function write(data) {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        parts.push(bytes);
+        length += bytes.length;
+    }
+
+    function writeObject(number, dictionary, stream = null) {
+        offsets[number] = length;
+        write(`${number} 0 obj\n${dictionary}\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    }
+
+    // The comment with bytes above 127 marks the file as binary
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+
+    // 1: catalog, 2: page tree, then page, content stream and image for each page
+    const pageObject = (i) => 3 + i * 3;
+    writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    writeObject(2, `<< /Type /Pages /Kids [${pages.map((_, i) => `${pageObject(i)} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+
+    pages.forEach((page, i) => {
+        const number = pageObject(i);
+        const content = encoder.encode(`q ${PDF_PAGE_WIDTH} 0 0 ${PDF_PAGE_HEIGHT} 0 0 cm /Page Do Q`);
+        writeObject(number, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] `
+            + `/Resources << /XObject << /Page ${number + 2} 0 R >> >> /Contents ${number + 1} 0 R >>`);
+        writeObject(number + 1, `<< /Length ${content.length} >>`, content);
+        writeObject(number + 2, `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} `
+            + `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegs[i].length} >>`, jpegs[i]);
+    });
+
+    // Cross-reference entries are exactly 20 bytes each
+    const objectCount = pageObject(pages.length);
+    const xref = length;
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`
+        + offsets.slice(1).map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join(''));
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    return new Blob(parts, { type: 'application/pdf' });
+}
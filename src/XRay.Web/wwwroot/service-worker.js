@@ -0,0 +1,174 @@
+// Service worker that keeps the viewer working offline (registered by main.js).
+//
+// The page (index.html) and everything it loads are served from the cache first. File names carry fingerprints,
+// so a cached copy of one of them never goes stale; a new version of the viewer is a new index.html.
+// The translation catalogs (i18n/*.json) keep their names, so they come from the network first, and from the cache
+// only offline.
+//
+// Messages from the page:  { type: 'cache', urls }    keep what the page and its workers loaded before this worker
+//                                                      controlled them; answered with { type: 'cached' }
+//                          { type: 'check-update' }    fetch index.html and, when it changed, the files it refers to;
+//                                                      answered with { type: 'update-available' } in that case
+//                          { type: 'apply-update' }    make the fetched version current and drop the old files;
+//                                                      answered with { type: 'updated' }, then the page reloads
+
+const CACHE_NAME = 'x-ray-viewer';
+const shellUrl = self.registration.scope;
+const pendingShellUrl = `${shellUrl}?pending-update`;
+
+function isShellRequest(url) {
+    const path = url.href.split(/[?#]/)[0];
+    return path === shellUrl || path === `${shellUrl}index.html`;
+}
+
+function isCatalogRequest(url) {
+    return url.href.startsWith(`${shellUrl}i18n/`) && url.pathname.endsWith('.json');
+}
+
+// Same-origin URLs that index.html refers to: the modules in its import map, stylesheets, icons and the manifest
+function shellAssets(html) {
+    const urls = new Set();
+    const importMap = html.match(/<script type="importmap">([\s\S]*?)<\/script>/);
+    if (importMap) {
+        try {
+            const { imports = {}, scopes = {} } = JSON.parse(importMap[1]);
+            for (const url of [...Object.values(imports), ...Object.values(scopes).flatMap(Object.values)]) urls.add(url);
+        } catch {
+            // An unreadable import map leaves the modules to be cached as they are loaded
+        }
+    }
+    for (const [, url] of html.matchAll(/<(?:link|script)\b[^>]*?\b(?:href|src)="([^"]+)"/g)) urls.add(url);
+
+    return [...urls]
+        .map((url) => new URL(url, shellUrl))
+        .filter((url) => url.origin === self.location.origin)
+        .map((url) => url.href);
+}
+
+// With refresh, a cached copy is replaced: index.html may refer to files that keep their name (e.g. style.css)
+async function cacheUrl(cache, url, { refresh = false } = {}) {
+    if (!refresh && await cache.match(url)) return;
+
+    try {
+        const response = await fetch(url, { cache: refresh ? 'no-cache' : 'default' });
+        if (response.status === 200) await cache.put(url, response);
+    } catch {
+        // Offline or gone; it is cached the next time it loads
+    }
+}
+
+async function fetchAndCache(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Partial (range) responses cannot be cached
+    if (response.status === 200 && response.type === 'basic') await cache.put(request, response.clone());
+    return response;
+}
+
+async function fetchCatalog(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.status === 200) await cache.put(request.url, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request.url);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Catalogs of the languages used so far
+async function cachedCatalogs(cache) {
+    return (await cache.keys()).map((request) => request.url).filter((url) => isCatalogRequest(new URL(url)));
+}
+
+async function serveShell(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(shellUrl);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.status === 200) await cache.put(shellUrl, response.clone());
+    return response;
+}
+
+async function checkForUpdate() {
+    const cache = await caches.open(CACHE_NAME);
+    const current = await cache.match(shellUrl);
+    if (!current) return false;
+
+    let response;
+    try {
+        response = await fetch(shellUrl, { cache: 'no-cache' });
+    } catch {
+        return false;
+    }
+    if (!response.ok) return false;
+
+    const html = await response.text();
+    if (html === await current.text()) {
+        await cache.delete(pendingShellUrl);
+        return false;
+    }
+
+    const urls = [...shellAssets(html), ...await cachedCatalogs(cache)];
+    await Promise.all(urls.map((url) => cacheUrl(cache, url, { refresh: true })));
+    await cache.put(pendingShellUrl, new Response(html, { headers: response.headers }));
+    return true;
+}
+
+async function applyUpdate() {
+    const cache = await caches.open(CACHE_NAME);
+    const pending = await cache.match(pendingShellUrl);
+    if (!pending) return;
+
+    const html = await pending.text();
+    await cache.put(shellUrl, new Response(html, { headers: pending.headers }));
+    await cache.delete(pendingShellUrl);
+
+    // The new version's runtime files are cached again as the reloaded page loads them
+    const keep = new Set([shellUrl, ...shellAssets(html), ...await cachedCatalogs(cache)]);
+    for (const request of await cache.keys()) {
+        if (!keep.has(request.url)) await cache.delete(request);
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then((cache) => cacheUrl(cache, shellUrl)));
+    // Cached files are fingerprinted, so a new worker can take over pages of the previous version right away
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate' && isShellRequest(url)) event.respondWith(serveShell(request));
+    else if (isCatalogRequest(url)) event.respondWith(fetchCatalog(request));
+    else if (url.href.startsWith(shellUrl)) event.respondWith(fetchAndCache(request));
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    const reply = (type) => event.source?.postMessage({ type });
+
+    if (message.type === 'cache') {
+        const urls = message.urls.filter((url) => url.startsWith(shellUrl) && !isShellRequest(new URL(url)));
+        event.waitUntil(caches.open(CACHE_NAME)
+            .then((cache) => Promise.all([shellUrl, ...urls].map((url) => cacheUrl(cache, url))))
+            .then(() => reply('cached')));
+    } else if (message.type === 'check-update') {
+        event.waitUntil(checkForUpdate().then((available) => available && reply('update-available')));
+    } else if (message.type === 'apply-update') {
+        event.waitUntil(applyUpdate().then(() => reply('updated')));
+    }
+});
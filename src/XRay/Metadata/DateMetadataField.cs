@@ -1,25 +1,38 @@
-﻿using System.Globalization;
-using System.Text;
-
-namespace XRay.Metadata;
-
-public sealed class DateMetadataField(MetadataFieldId id, int offset)
-    : MetadataField(id, offset, DateFieldLength, Encoding.ASCII)
-{
-    private const int DateFieldLength = 8;
-
-    public override string FormatValue(string raw)
-    {
-        if (raw.Length == DateFieldLength && DateTime.TryParseExact(raw, "ddMMyyyy", null, DateTimeStyles.AssumeLocal, out var date))
-        {
-            if (date.TimeOfDay == TimeSpan.Zero)
-            {
-                return date.ToShortDateString();
-            }
-
-            return date.ToString();
-        }
-
-        return raw;
-    }
-}
+﻿using System.Globalization;
+using System.Text;
+
+namespace XRay.Metadata;
+
+public sealed class DateMetadataField(MetadataFieldId id, int offset, string? name = null)
+    : MetadataField(id, offset, DateFieldLength, Encoding.ASCII, name)
+{
+    private const int DateFieldLength = 8;
+
+    public override string FormatValue(string raw, IFormatProvider? formatProvider = null)
+    {
+        if (raw.Length == DateFieldLength && DateTime.TryParseExact(raw, "ddMMyyyy", CultureInfo.InvariantCulture, DateTimeStyles.AssumeLocal, out var date))
+        {
+            if (date.TimeOfDay == TimeSpan.Zero)
+            {
+                return date.ToString("d", formatProvider);
+            }
+
+            return date.ToString(formatProvider);
+        }
+
+        return raw;
+    }
+
+    /// <summary>
+    /// Dates are stored as "ddMMyyyy"; an empty value clears the field.
+    /// </summary>
+    public override byte[] EncodeValue(string value)
+    {
+        ArgumentNullException.ThrowIfNull(value);
+
+        if (value.Length != 0 && !DateTime.TryParseExact(value, "ddMMyyyy", CultureInfo.InvariantCulture, DateTimeStyles.None, out _))
+            throw new ArgumentException($"\"{value}\" is not a date in the form ddMMyyyy.", nameof(value));
+
+        return base.EncodeValue(value);
+    }
+}
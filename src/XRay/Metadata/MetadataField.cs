@@ -1,16 +1,54 @@
-﻿using System.Text;
-
-namespace XRay.Metadata;
-
-public class MetadataField(MetadataFieldId id, int offset, int maxLength, Encoding? encoding = null)
-{
-    public MetadataFieldId Id { get; } = id;
-
-    public int Offset { get; } = offset;
-
-    public int MaxLength { get; } = maxLength;
-
-    public Encoding Encoding { get; } = encoding ?? Encoding.GetEncoding(1251);
-
-    public virtual string FormatValue(string raw) => raw.Trim();
-}
+﻿using System.Text;
+
+namespace XRay.Metadata;
+
+public class MetadataField(MetadataFieldId id, int offset, int maxLength, Encoding? encoding = null, string? name = null)
+{
+    public MetadataFieldId Id { get; } = id;
+
+    /// <summary>
+    /// Identifies a <see cref="MetadataFieldId.Custom"/> field, e.g. one defined in a user profile.
+    /// </summary>
+    public string? Name { get; } = name;
+
+    public int Offset { get; } = offset;
+
+    public int MaxLength { get; } = maxLength;
+
+    public Encoding Encoding { get; } = encoding ?? Encoding.GetEncoding(1251);
+
+    /// <summary>
+    /// Returns the value for display; formatProvider (by default the current culture) applies to dates.
+    /// </summary>
+    public virtual string FormatValue(string raw, IFormatProvider? formatProvider = null) => raw.Trim();
+
+    /// <summary>
+    /// Returns the bytes the value is stored as, without the terminating zero.
+    /// </summary>
+    /// <exception cref="ArgumentException">The encoding cannot store the value, or it takes more than <see cref="MaxLength"/> bytes.</exception>
+    public virtual byte[] EncodeValue(string value)
+    {
+        ArgumentNullException.ThrowIfNull(value);
+
+        // A zero byte ends the string
+        if (value.Contains('\0'))
+            throw new ArgumentException("The value contains a zero character.", nameof(value));
+
+        var strictEncoding = Encoding.GetEncoding(Encoding.CodePage, EncoderFallback.ExceptionFallback, DecoderFallback.ReplacementFallback);
+
+        byte[] bytes;
+        try
+        {
+            bytes = strictEncoding.GetBytes(value);
+        }
+        catch (EncoderFallbackException e)
+        {
+            throw new ArgumentException($"The value contains characters that {Encoding.WebName} cannot store.", nameof(value), e);
+        }
+
+        if (bytes.Length > MaxLength)
+            throw new ArgumentException($"The value takes {bytes.Length} bytes, but the field holds {MaxLength}.", nameof(value));
+
+        return bytes;
+    }
+}
@@ -1,18 +1,21 @@
-﻿namespace XRay.Metadata;
-
-public enum MetadataFieldId
-{
-    TubeConfig,
-    Institution,
-    Unknown1,
-    PatientName,
-    CareType,
-    PatientAddress,
-    BirthDate,
-    ExposureDate,
-    Projection,
-    Radiologist,
-    Sex,
-    FileID,
-    Date
-}
+﻿namespace XRay.Metadata;
+
+public enum MetadataFieldId
+{
+    TubeConfig,
+    Institution,
+    Unknown1,
+    PatientName,
+    CareType,
+    PatientAddress,
+    BirthDate,
+    ExposureDate,
+    Projection,
+    Radiologist,
+    Sex,
+    FileID,
+    Date,
+
+    /// <summary>A field unknown to the library, told apart by <see cref="MetadataField.Name"/>.</summary>
+    Custom
+}
@@ -0,0 +1,22 @@
+﻿namespace XRay.Validation;
+
+/// <summary>
+/// Heuristics of <see cref="XRayFileReader.CheckPlausibility"/>, each scoring one aspect of the file.
+/// </summary>
+public enum PlausibilityCheckId
+{
+    /// <summary>Header image height is in a sane range and the logical width matches the stored pixel rows.</summary>
+    HeaderDimensions,
+
+    /// <summary>File size is the header plus a whole number of stored pixel rows.</summary>
+    FileSize,
+
+    /// <summary>Header string fields hold printable CP1251 text.</summary>
+    TextFields,
+
+    /// <summary>Header dates parse as "ddMMyyyy" within a plausible range of years.</summary>
+    Dates,
+
+    /// <summary>Pixel data is smooth like an image rather than noise or a constant fill.</summary>
+    PixelStatistics
+}
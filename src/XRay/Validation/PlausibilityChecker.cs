@@ -0,0 +1,181 @@
+﻿using System.Buffers.Binary;
+using System.Globalization;
+using System.Runtime.InteropServices;
+using XRay.Metadata;
+
+namespace XRay.Validation;
+
+/// <summary>
+/// Scores a file against what is known about the format (see <see cref="XRayFileReader"/>) without decoding the image.
+/// The stored layout is read like the decoder reads it, including the layout overrides of the decode options.
+/// </summary>
+internal sealed class PlausibilityChecker(Stream stream, IReadOnlyList<MetadataField> metadataFields, XRayDecodeOptions options)
+{
+    private const int MinImageSide = 256;
+    private const int MaxImageSide = 8192;
+    private const int MinYear = 1900;
+
+    // Pixel statistics are estimated from whole stored rows, about this many pixels in total
+    private const int PixelSampleSize = 1 << 20;
+
+    public PlausibilityReport Check()
+    {
+        byte[] header = new byte[XRayFileReader.HeaderSize];
+        stream.Seek(0, SeekOrigin.Begin);
+        stream.ReadExactly(header);
+
+        int logicalWidth = BitConverter.ToUInt16(header);
+        int storedCols = options.StoredColumns ?? BitConverter.ToUInt16(header.AsSpan(2));
+        int dataOffset = options.HeaderSize ?? XRayFileReader.HeaderSize;
+        long dataBytes = Math.Max(0, stream.Length - dataOffset);
+        long storedRows = storedCols == 0 ? 0 : options.StoredRows ?? dataBytes / (storedCols * 2);
+
+        List<PlausibilityFinding> findings =
+        [
+            CheckHeaderDimensions(logicalWidth, storedCols, storedRows),
+            CheckFileSize(storedCols, storedRows, dataBytes),
+            CheckTextFields(header),
+            CheckDates(header)
+        ];
+
+        // Too few rows or columns leave no neighbouring pixels to compare (a single column divides by zero);
+        // the header dimension finding already rejects such layouts. Pixel data the file does not hold is not sampled.
+        if (storedCols >= MinImageSide && storedRows >= MinImageSide && !findings.Any(x => x.IsFatal))
+            findings.Add(CheckPixelStatistics(storedCols, (int)storedRows, dataOffset));
+
+        return new PlausibilityReport(findings);
+    }
+
+    private static PlausibilityFinding CheckHeaderDimensions(int logicalWidth, int storedCols, long storedRows)
+    {
+        if (storedCols == 0)
+            return new PlausibilityFinding(PlausibilityCheckId.HeaderDimensions, 0, IsFatal: true);
+
+        if (storedCols is < MinImageSide or > MaxImageSide || storedRows is < MinImageSide or > MaxImageSide)
+            return new PlausibilityFinding(PlausibilityCheckId.HeaderDimensions, 0);
+
+        // The logical width is informational only, but stays close to the stored row count in real files
+        double score = logicalWidth == 0
+            ? PlausibilityReport.PlausibleScore
+            : Ramp(Math.Abs(logicalWidth - storedRows) / (double)storedRows, 0.5, 0.1);
+
+        return new PlausibilityFinding(PlausibilityCheckId.HeaderDimensions, score);
+    }
+
+    private static PlausibilityFinding CheckFileSize(int storedCols, long storedRows, long dataBytes)
+    {
+        if (storedCols == 0)
+            return new PlausibilityFinding(PlausibilityCheckId.FileSize, 0);
+
+        // An overridden row count may ask for more pixel data than the file holds
+        long pixelBytes = storedRows * storedCols * 2;
+        if (storedRows == 0 || pixelBytes > dataBytes)
+            return new PlausibilityFinding(PlausibilityCheckId.FileSize, 0, IsFatal: true);
+
+        // Trailing bytes are ignored by the decoder, but a mismatch hints at a different layout
+        return new PlausibilityFinding(PlausibilityCheckId.FileSize, pixelBytes == dataBytes ? 1 : 0.75);
+    }
+
+    private PlausibilityFinding CheckTextFields(byte[] header)
+    {
+        int total = 0;
+        int printable = 0;
+
+        foreach (var field in metadataFields.Where(x => x is not DateMetadataField))
+        {
+            for (int i = field.Offset; i < field.Offset + field.MaxLength && header[i] != 0; i++)
+            {
+                total++;
+                if (IsPrintableCp1251(header[i]))
+                    printable++;
+            }
+        }
+
+        double score = total == 0 ? 1 : Ramp((double)printable / total, 0.8, 0.98);
+        return new PlausibilityFinding(PlausibilityCheckId.TextFields, score);
+    }
+
+    private PlausibilityFinding CheckDates(byte[] header)
+    {
+        var reader = new MetadataFieldReader(header);
+        int maxYear = DateTime.Today.Year + 1;
+        int filled = 0;
+        int valid = 0;
+
+        foreach (var field in metadataFields.OfType<DateMetadataField>())
+        {
+            string raw = reader.Read(field).RawValue;
+
+            // De-identified files have blank dates
+            if (raw.Length == 0)
+                continue;
+
+            filled++;
+            if (DateTime.TryParseExact(raw, "ddMMyyyy", CultureInfo.InvariantCulture, DateTimeStyles.None, out var date)
+                && date.Year >= MinYear && date.Year <= maxYear)
+            {
+                valid++;
+            }
+        }
+
+        double score = filled == 0 ? 1 : (double)valid / filled;
+        return new PlausibilityFinding(PlausibilityCheckId.Dates, score);
+    }
+
+    /// <summary>
+    /// Compares the mean difference of neighbouring pixels with the standard deviation: about 1.13 for noise,
+    /// far below that for an X-ray image, where neighbouring pixels are strongly correlated.
+    /// </summary>
+    private PlausibilityFinding CheckPixelStatistics(int storedCols, int storedRows, int dataOffset)
+    {
+        int rowStep = Math.Max(1, (int)((long)storedRows * storedCols / PixelSampleSize));
+        ushort[] row = new ushort[storedCols];
+        Span<byte> rowBytes = MemoryMarshal.AsBytes(row.AsSpan());
+
+        long count = 0;
+        double sum = 0;
+        double sumOfSquares = 0;
+        double differenceSum = 0;
+
+        for (int r = 0; r < storedRows; r += rowStep)
+        {
+            stream.Seek(dataOffset + (long)r * rowBytes.Length, SeekOrigin.Begin);
+            stream.ReadExactly(rowBytes);
+            if (options.BigEndian == BitConverter.IsLittleEndian)
+                BinaryPrimitives.ReverseEndianness(row, row);
+
+            for (int c = 0; c < storedCols; c++)
+            {
+                sum += row[c];
+                sumOfSquares += (double)row[c] * row[c];
+                if (c > 0)
+                    differenceSum += Math.Abs(row[c] - row[c - 1]);
+            }
+
+            count += storedCols;
+        }
+
+        double mean = sum / count;
+        double deviation = Math.Sqrt(Math.Max(0, sumOfSquares / count - mean * mean));
+
+        // A constant fill is not an image either
+        if (deviation < 1)
+            return new PlausibilityFinding(PlausibilityCheckId.PixelStatistics, 0);
+
+        double meanDifference = differenceSum / (count - count / storedCols);
+        double score = Ramp(meanDifference / deviation, 0.9, 0.4);
+        return new PlausibilityFinding(PlausibilityCheckId.PixelStatistics, score);
+    }
+
+    /// <summary>Latin letters, digits and punctuation, Cyrillic letters (incl. Ё/ё) and "№".</summary>
+    private static bool IsPrintableCp1251(byte value)
+    {
+        return value is >= 0x20 and <= 0x7E or >= 0xC0 or 0xA8 or 0xB8 or 0xB9;
+    }
+
+    /// <summary>Maps <paramref name="value"/> linearly to 0 at <paramref name="zeroAt"/> and 1 at <paramref name="oneAt"/>, clamped.</summary>
+    private static double Ramp(double value, double zeroAt, double oneAt)
+    {
+        return Math.Clamp((value - zeroAt) / (oneAt - zeroAt), 0, 1);
+    }
+}
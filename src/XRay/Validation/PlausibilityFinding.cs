@@ -0,0 +1,12 @@
+﻿namespace XRay.Validation;
+
+/// <summary>
+/// Result of one plausibility check.
+/// </summary>
+/// <param name="Score">From 0 (certainly wrong) to 1 (as expected).</param>
+/// <param name="IsFatal">The image cannot be decoded at all, e.g. the header declares a height of zero.</param>
+public sealed record PlausibilityFinding(PlausibilityCheckId Check, double Score, bool IsFatal = false)
+{
+    /// <summary>The check does not count against the file: not fatal, and scoring at least <see cref="PlausibilityReport.PlausibleScore"/>.</summary>
+    public bool Passed => !IsFatal && Score >= PlausibilityReport.PlausibleScore;
+}
@@ -0,0 +1,17 @@
+﻿namespace XRay.Validation;
+
+/// <summary>
+/// Tells how likely a file is to come from a supported scanner. Files scoring below <see cref="PlausibleScore"/>
+/// decode without errors, but usually into noise.
+/// </summary>
+public sealed record PlausibilityReport(IReadOnlyList<PlausibilityFinding> Findings)
+{
+    public const double PlausibleScore = 0.5;
+
+    /// <summary>Score of the weakest finding.</summary>
+    public double Score => Findings.Count == 0 ? 1 : Findings.Min(x => x.Score);
+
+    public bool IsDecodable => !Findings.Any(x => x.IsFatal);
+
+    public bool IsPlausible => IsDecodable && Score >= PlausibleScore;
+}
@@ -0,0 +1,52 @@
+﻿namespace XRay;
+
+/// <summary>
+/// Overrides for the decoding pipeline of <see cref="XRayFileReader"/>, for files where its guesses go wrong,
+/// and the contrast stretch of its PNG output. Unset values keep the automatic behaviour.
+/// </summary>
+public sealed record XRayDecodeOptions
+{
+    public static XRayDecodeOptions Default { get; } = new();
+
+    /// <summary>
+    /// Stored column at which the image is unrolled: null detects the seam, 0 disables unrolling.
+    /// </summary>
+    public int? SeamColumn { get; init; }
+
+    /// <summary>
+    /// Whether stored rows become image columns (the pixel data is stored columns-first).
+    /// </summary>
+    public bool Transpose { get; init; } = true;
+
+    public bool FlipHorizontal { get; init; } = true;
+
+    /// <summary>
+    /// Number of stored rows (the image width when transposed) instead of deriving it from the file size.
+    /// </summary>
+    public int? StoredRows { get; init; }
+
+    /// <summary>
+    /// Number of stored columns (the image height when transposed) instead of reading it from header bytes 2-3.
+    /// </summary>
+    public int? StoredColumns { get; init; }
+
+    /// <summary>
+    /// Offset of the pixel data instead of the usual 1337 bytes.
+    /// </summary>
+    public int? HeaderSize { get; init; }
+
+    /// <summary>
+    /// Reads the 16-bit pixels as big-endian.
+    /// </summary>
+    public bool BigEndian { get; init; }
+
+    /// <summary>
+    /// Fraction of pixels clipped to black by the contrast stretch of <see cref="XRayFileReader.GetPngBuffer"/>.
+    /// </summary>
+    public double LowerPercentile { get; init; } = 0.005;
+
+    /// <summary>
+    /// Fraction of pixels below the value stretched to white by <see cref="XRayFileReader.GetPngBuffer"/>.
+    /// </summary>
+    public double UpperPercentile { get; init; } = 0.995;
+}
@@ -0,0 +1,6 @@
+﻿namespace XRay;
+
+/// <summary>
+/// Progress of a decoding stage; <see cref="Fraction"/> runs from 0 to 1 within each stage.
+/// </summary>
+public readonly record struct XRayDecodeProgress(XRayDecodeStage Stage, double Fraction);
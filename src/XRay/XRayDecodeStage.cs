@@ -0,0 +1,13 @@
+﻿namespace XRay;
+
+/// <summary>
+/// Stages of <see cref="XRayFileReader.GetPixelData"/> and <see cref="XRayFileReader.GetPngBuffer"/>, in pipeline order.
+/// </summary>
+public enum XRayDecodeStage
+{
+    Read,
+    SeamDetection,
+    Unroll,
+    PercentileSort,
+    Encode
+}
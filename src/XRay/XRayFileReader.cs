@@ -1,272 +1,541 @@
-﻿using SkiaSharp;
-using System.Runtime.InteropServices;
-using XRay.Metadata;
-
-namespace XRay;
-
-/// <summary>
-/// Converts proprietary.STL X-ray files to PNG,
-/// and extracts metadata strings from the header (CP1251 encoded).<br/>
-/// <br/>
-/// Format details (reverse-engineered):<br/>
-///   - Bytes 0-1  : uint16 LE — logical image width  (e.g. 1495, informational only)<br/>
-///   - Bytes 2-3  : uint16 LE — image height in pixels (e.g. 1455) == StoredCols<br/>
-///   - Bytes 4-1336: header metadata — null-terminated CP1251 strings at known offsets<br/>
-///   - Bytes 1337+: 16-bit little-endian pixel data, stored columns-first (transposed)<br/>
-///                  StoredRows = (fileSize - 1337) / (StoredCols * 2)<br/>
-///<br/>
-/// Known header string fields:<br/>
-///   Offset  14 (0x00E) : Exposure        e.g. "75kV; 40mA"<br/>
-///   Offset  44 (0x02C) : Institution     e.g. "ГУЗ ГГП №1"<br/>
-///   Offset  94 (0x05E) : DeviceModel     e.g. "PP210"<br/>
-///   Offset 114 (0x072) : PatientName     e.g. "ИВАНОВ ИВАН ИВАНОВИЧ"<br/>
-///   Offset 194 (0x0C2) : VisitType       e.g. "АМБУЛАТОРНО"<br/>
-///   Offset 214 (0x0D6) : Address         e.g. "ЗАЙЦЕВА 11/11"<br/>
-///   Offset 264 (0x108) : BirthDate       e.g. "29111970"<br/>
-///   Offset 272 (0x110) : ExposureDate    e.g. "20022026"<br/>
-///   Offset 280 (0x118) : Projection      e.g. "ПЕРЕДНЕЗАДНЯЯ"<br/>
-///   Offset 300 (0x12C) : Radiologist     e.g. "ПЕТРОВА И Н"<br/>
-///   Offset 350 (0x15E) : Gender          e.g. "жен" / "муж"<br/>
-///   Offset 483 (0x1E3) : FileID          e.g. "00152440"<br/>
-///   Offset 513 (0x201) : Date            e.g. "23022026"<br/>
-/// <br/>
-/// Image pipeline:<br/>
-///   1. Read StoredCols (= header height) and derive StoredRows from file size<br/>
-///   2. Read raw 16-bit pixels  [StoredRows x StoredCols]<br/>
-///   3. Auto-detect column-roll seam and unroll<br/>
-///   4. Percentile contrast stretch<br/>
-///   5. Transpose + flip horizontally → final image [StoredRows wide x StoredCols tall]<br/>
-///      with L / R marker in the bottom-right corner<br/>
-/// </summary>
-/// <remarks>
-/// <b>This class is not thread-safe</b>. The caller should create a new instance for each file, and dispose it when done to release resources.<br/>
-/// </remarks>
-public sealed class XRayFileReader : IDisposable
-{
-    private const int HeaderSize = 1337;
-
-    private static readonly MetadataField[] s_defaultMetadataFields =
-    [
-        new MetadataField(MetadataFieldId.TubeConfig,       014, 40 - 14),
-        new MetadataField(MetadataFieldId.Institution,      044, 94 - 44),
-        new MetadataField(MetadataFieldId.Unknown1,         094, 114 - 94),
-        new MetadataField(MetadataFieldId.PatientName,      114, 194 - 114),
-        new MetadataField(MetadataFieldId.CareType,         194, 214 - 194),
-        new MetadataField(MetadataFieldId.PatientAddress,   214, 264 - 214),
-        new DateMetadataField(MetadataFieldId.BirthDate,    264),
-        new DateMetadataField(MetadataFieldId.ExposureDate, 272),
-        new MetadataField(MetadataFieldId.Projection,       280, 300 - 280),
-        new MetadataField(MetadataFieldId.Radiologist,      300, 350 - 300),
-        new MetadataField(MetadataFieldId.Sex,              350, 483 - 350),
-        new MetadataField(MetadataFieldId.FileID,           483, 513 - 483),
-        new DateMetadataField(MetadataFieldId.Date,         513)
-    ];
-
-    private bool _disposed;
-    private readonly Stream _stream;
-    private readonly bool _ownsStream;
-
-    public XRayFileReader(Stream stream, bool ownsStream = true)
-    {
-        ArgumentNullException.ThrowIfNull(stream);
-
-        if (!stream.CanRead || !stream.CanSeek)
-            throw new ArgumentException("Stream must be readable and seekable.", nameof(stream));
-
-        if (stream.Length < HeaderSize + 4)
-            throw new ArgumentException("Stream is too small to contain a valid header.", nameof(stream));
-
-        _stream = stream;
-        _ownsStream = ownsStream;
-    }
-
-    public XRayFileReader(string filePath)
-    {
-        ArgumentNullException.ThrowIfNull(filePath);
-
-        if (!filePath.EndsWith(".stl", StringComparison.OrdinalIgnoreCase))
-            throw new ArgumentException("Unsupported file format. Only .stl files are supported.", nameof(filePath));
-
-        if (!File.Exists(filePath))
-            throw new FileNotFoundException("The specified file was not found.", filePath);
-
-        _stream = new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.Read, bufferSize: 81920, useAsync: false);
-        _ownsStream = true;
-    }
-
-    public MetadataFieldValue[] ExtractMetadata(MetadataField[]? metadataFields = null)
-    {
-        ObjectDisposedException.ThrowIf(_disposed, this);
-
-        // Only read the header slice needed for metadata.
-        Span<byte> header = stackalloc byte[HeaderSize];
-        _stream.Seek(0, SeekOrigin.Begin);
-        _stream.ReadExactly(header);
-
-        var metadataReader = new MetadataFieldReader(header.ToArray());
-        return [.. (metadataFields ?? s_defaultMetadataFields).Select(metadataReader.Read)];
-    }
-
-    public byte[] GetPngBuffer()
-    {
-        ObjectDisposedException.ThrowIf(_disposed, this);
-
-        _stream.Seek(0, SeekOrigin.Begin);
-        return ConvertBytes(_stream);
-    }
-
-    /// <summary>
-    /// Core conversion logic. Reads from a seekable stream and returns PNG bytes.
-    /// This method is WASM-friendly — no file I/O, no platform-native dependencies.
-    /// </summary>
-    private static byte[] ConvertBytes(Stream stream)
-    {
-        long fileLength = stream.Length;
-
-        if (fileLength < HeaderSize + 4)
-            throw new InvalidDataException("File is too small to contain a valid header.");
-
-        // --- 1. Read dimensions from header ---
-        //   Bytes 0-1: logical width  (informational only; actual stored rows may differ)
-        //   Bytes 2-3: image height   (= StoredCols, the column count in stored layout)
-        Span<byte> header = stackalloc byte[4];
-        stream.ReadExactly(header);
-
-        int logicalWidth = BitConverter.ToUInt16(header);
-        int storedCols = BitConverter.ToUInt16(header[2..]);
-
-        long dataBytes = fileLength - HeaderSize;
-        int storedRows = (int)(dataBytes / (storedCols * 2)); // == image width after transpose
-        int imageWidth = storedRows;
-        int imageHeight = storedCols;
-
-        Console.WriteLine($"Header  — logical width: {logicalWidth}, height: {storedCols}");
-        Console.WriteLine($"Derived — stored layout: {storedRows} rows x {storedCols} cols");
-        Console.WriteLine($"Output  — image size:    {imageWidth} x {imageHeight} px");
-
-        long expectedBytes = HeaderSize + (long)storedRows * storedCols * 2;
-        if (fileLength < expectedBytes)
-            throw new InvalidDataException(
-                $"File too small. Expected at least {expectedBytes} bytes, got {fileLength}.");
-
-        // --- 2. Read raw 16-bit pixels (little-endian) ---
-        //   Skip the remainder of the header (we've only read 4 bytes so far).
-        stream.Seek(HeaderSize, SeekOrigin.Begin);
-
-        int pixelCount = storedRows * storedCols;
-        ushort[] raw = new ushort[pixelCount];
-        Span<byte> rawBytes = MemoryMarshal.AsBytes(raw.AsSpan());
-        stream.ReadExactly(rawBytes);
-
-        // --- 3. Auto-detect and fix the column roll ---
-        int seamCol = FindRollSeam(raw, storedRows, storedCols);
-        Console.WriteLine($"Detected roll seam at column {seamCol} (of {storedCols}).");
-
-        if (seamCol > 0)
-            raw = RollColumns(raw, storedRows, storedCols, seamCol);
-
-        // --- 4. Stretch contrast using 0.5th-99.5th percentile ---
-        (ushort lo, ushort hi) = Percentile(raw, 0.005f, 0.995f);
-        float scale = hi > lo ? 255f / (hi - lo) : 1f;
-
-        // --- 5. Build 8-bit grayscale pixel buffer ---
-        //    Transpose (columns-first -> rows-first) and flip horizontally.
-        byte[] pixels = new byte[imageWidth * imageHeight];
-
-        for (int y = 0; y < imageHeight; y++)
-        {
-            for (int x = 0; x < imageWidth; x++)
-            {
-                int srcX = imageWidth - 1 - x;
-                ushort val = raw[srcX * storedCols + y];
-                int stretched = (int)((val - lo) * scale);
-                pixels[y * imageWidth + x] = (byte)Math.Clamp(stretched, 0, 255);
-            }
-        }
-
-        // --- 6. Encode to PNG using SkiaSharp ---
-        var imageInfo = new SKImageInfo(imageWidth, imageHeight, SKColorType.Gray8, SKAlphaType.Opaque);
-
-        using var bitmap = new SKBitmap(imageInfo);
-        Marshal.Copy(pixels, 0, bitmap.GetPixels(), pixels.Length);
-
-        using SKImage image = SKImage.FromBitmap(bitmap);
-        using SKData data = image.Encode(SKEncodedImageFormat.Png, quality: 100);
-
-        return data.ToArray();
-    }
-
-    /// <summary>
-    /// Finds the column index C such that the boundary between column C and C+1
-    /// has the largest average absolute difference in pixel values across all rows.
-    /// The outer 5% of columns on each side are excluded to avoid confusing the
-    /// natural black background border with the seam.
-    /// </summary>
-    private static int FindRollSeam(ushort[] raw, int rows, int cols)
-    {
-        int margin = cols / 20;
-        int bestCol = 0;
-        double bestDiff = -1;
-
-        for (int c = margin; c < cols - margin - 1; c++)
-        {
-            double sum = 0;
-            for (int r = 0; r < rows; r++)
-            {
-                int a = raw[r * cols + c];
-                int b = raw[r * cols + c + 1];
-                sum += Math.Abs(a - b);
-            }
-            double avg = sum / rows;
-
-            if (avg > bestDiff)
-            {
-                bestDiff = avg;
-                bestCol = c + 1;
-            }
-        }
-
-        return bestCol;
-    }
-
-    /// <summary>
-    /// Rotates the column axis of the raw buffer left by <paramref name="seamCol"/> columns.
-    /// </summary>
-    private static ushort[] RollColumns(ushort[] raw, int rows, int cols, int seamCol)
-    {
-        ushort[] result = new ushort[raw.Length];
-        int rightLen = cols - seamCol;
-
-        for (int r = 0; r < rows; r++)
-        {
-            int srcBase = r * cols;
-            int dstBase = r * cols;
-
-            Array.Copy(raw, srcBase + seamCol, result, dstBase, rightLen);
-            Array.Copy(raw, srcBase, result, dstBase + rightLen, seamCol);
-        }
-
-        return result;
-    }
-
-    /// <summary>Returns the pixel values at the given lower and upper percentiles.</summary>
-    private static (ushort lo, ushort hi) Percentile(ushort[] data, float lowerFrac, float upperFrac)
-    {
-        ushort[] sorted = (ushort[])data.Clone();
-        Array.Sort(sorted);
-        int loIdx = (int)(lowerFrac * (sorted.Length - 1));
-        int hiIdx = (int)(upperFrac * (sorted.Length - 1));
-        return (sorted[loIdx], sorted[hiIdx]);
-    }
-
-    public void Dispose()
-    {
-        if (_disposed)
-            return;
-
-        if (_ownsStream)
-            _stream.Dispose();
-
-        _disposed = true;
-    }
-}
+﻿using SkiaSharp;
+using System.Buffers.Binary;
+using System.Runtime.InteropServices;
+using XRay.Metadata;
+using XRay.Validation;
+
+namespace XRay;
+
+/// <summary>
+/// Converts proprietary.STL X-ray files to PNG,
+/// and extracts metadata strings from the header (CP1251 encoded).<br/>
+/// <br/>
+/// Format details (reverse-engineered):<br/>
+///   - Bytes 0-1  : uint16 LE — logical image width  (e.g. 1495, informational only)<br/>
+///   - Bytes 2-3  : uint16 LE — image height in pixels (e.g. 1455) == StoredCols<br/>
+///   - Bytes 4-1336: header metadata — null-terminated CP1251 strings at known offsets<br/>
+///   - Bytes 1337+: 16-bit little-endian pixel data, stored columns-first (transposed)<br/>
+///                  StoredRows = (fileSize - 1337) / (StoredCols * 2)<br/>
+///<br/>
+/// Known header string fields:<br/>
+///   Offset  14 (0x00E) : Exposure        e.g. "75kV; 40mA"<br/>
+///   Offset  44 (0x02C) : Institution     e.g. "ГУЗ ГГП №1"<br/>
+///   Offset  94 (0x05E) : DeviceModel     e.g. "PP210"<br/>
+///   Offset 114 (0x072) : PatientName     e.g. "ИВАНОВ ИВАН ИВАНОВИЧ"<br/>
+///   Offset 194 (0x0C2) : VisitType       e.g. "АМБУЛАТОРНО"<br/>
+///   Offset 214 (0x0D6) : Address         e.g. "ЗАЙЦЕВА 11/11"<br/>
+///   Offset 264 (0x108) : BirthDate       e.g. "29111970"<br/>
+///   Offset 272 (0x110) : ExposureDate    e.g. "20022026"<br/>
+///   Offset 280 (0x118) : Projection      e.g. "ПЕРЕДНЕЗАДНЯЯ"<br/>
+///   Offset 300 (0x12C) : Radiologist     e.g. "ПЕТРОВА И Н"<br/>
+///   Offset 350 (0x15E) : Gender          e.g. "жен" / "муж"<br/>
+///   Offset 483 (0x1E3) : FileID          e.g. "00152440"<br/>
+///   Offset 513 (0x201) : Date            e.g. "23022026"<br/>
+/// <br/>
+/// Image pipeline:<br/>
+///   1. Read StoredCols (= header height) and derive StoredRows from file size<br/>
+///   2. Read raw 16-bit pixels  [StoredRows x StoredCols]<br/>
+///   3. Auto-detect column-roll seam and unroll<br/>
+///   4. Transpose + flip horizontally → final image [StoredRows wide x StoredCols tall]<br/>
+///      (exposed as 16-bit data by <see cref="GetPixelData"/>)<br/>
+///   5. Percentile contrast stretch and PNG encoding (<see cref="GetPngBuffer"/> only)<br/>
+/// Each step can be overridden with <see cref="XRayDecodeOptions"/> when a file does not follow the usual layout.<br/>
+/// </summary>
+/// <remarks>
+/// <b>This class is not thread-safe</b>. The caller should create a new instance for each file, and dispose it when done to release resources.<br/>
+/// </remarks>
+public sealed class XRayFileReader : IDisposable
+{
+    internal const int HeaderSize = 1337;
+    private const int ReadChunkSize = 1 << 20;
+
+    private static readonly MetadataField[] s_defaultMetadataFields =
+    [
+        new MetadataField(MetadataFieldId.TubeConfig,       014, 40 - 14),
+        new MetadataField(MetadataFieldId.Institution,      044, 94 - 44),
+        new MetadataField(MetadataFieldId.Unknown1,         094, 114 - 94),
+        new MetadataField(MetadataFieldId.PatientName,      114, 194 - 114),
+        new MetadataField(MetadataFieldId.CareType,         194, 214 - 194),
+        new MetadataField(MetadataFieldId.PatientAddress,   214, 264 - 214),
+        new DateMetadataField(MetadataFieldId.BirthDate,    264),
+        new DateMetadataField(MetadataFieldId.ExposureDate, 272),
+        new MetadataField(MetadataFieldId.Projection,       280, 300 - 280),
+        new MetadataField(MetadataFieldId.Radiologist,      300, 350 - 300),
+        new MetadataField(MetadataFieldId.Sex,              350, 483 - 350),
+        new MetadataField(MetadataFieldId.FileID,           483, 513 - 483),
+        new DateMetadataField(MetadataFieldId.Date,         513)
+    ];
+
+    /// <summary>
+    /// Header fields that identify the patient and are blanked by <see cref="GetDeidentifiedCopy"/> by default.
+    /// </summary>
+    public static IReadOnlySet<MetadataFieldId> IdentifyingFields { get; } = new HashSet<MetadataFieldId>
+    {
+        MetadataFieldId.PatientName,
+        MetadataFieldId.PatientAddress,
+        MetadataFieldId.BirthDate
+    };
+
+    private bool _disposed;
+    private readonly Stream _stream;
+    private readonly bool _ownsStream;
+    private IReadOnlyList<MetadataField> _metadataFields = s_defaultMetadataFields;
+
+    public XRayFileReader(Stream stream, bool ownsStream = true)
+    {
+        ArgumentNullException.ThrowIfNull(stream);
+
+        if (!stream.CanRead || !stream.CanSeek)
+            throw new ArgumentException("Stream must be readable and seekable.", nameof(stream));
+
+        if (stream.Length < HeaderSize + 4)
+            throw new ArgumentException("Stream is too small to contain a valid header.", nameof(stream));
+
+        _stream = stream;
+        _ownsStream = ownsStream;
+    }
+
+    public XRayFileReader(string filePath)
+    {
+        ArgumentNullException.ThrowIfNull(filePath);
+
+        if (!filePath.EndsWith(".stl", StringComparison.OrdinalIgnoreCase))
+            throw new ArgumentException("Unsupported file format. Only .stl files are supported.", nameof(filePath));
+
+        if (!File.Exists(filePath))
+            throw new FileNotFoundException("The specified file was not found.", filePath);
+
+        _stream = new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.Read, bufferSize: 81920, useAsync: false);
+        _ownsStream = true;
+    }
+
+    /// <summary>
+    /// The header layout of the scanners the format was reverse-engineered from.
+    /// </summary>
+    public static IReadOnlyList<MetadataField> DefaultMetadataFields => s_defaultMetadataFields;
+
+    /// <summary>
+    /// Header fields read by <see cref="ExtractMetadata"/> by default and blanked by <see cref="GetDeidentifiedCopy"/>.
+    /// Replace them for scanners that shift the offsets.
+    /// </summary>
+    /// <exception cref="ArgumentException">A field lies outside bytes 4-1336, or two fields share an id.</exception>
+    public IReadOnlyList<MetadataField> MetadataFields
+    {
+        get => _metadataFields;
+        set
+        {
+            ArgumentNullException.ThrowIfNull(value);
+
+            var keys = new HashSet<string>();
+            foreach (var field in value)
+            {
+                string key = field.Name ?? field.Id.ToString();
+
+                // Bytes 0-3 hold the image size
+                if (field.Offset < 4 || field.MaxLength <= 0 || field.Offset + field.MaxLength > HeaderSize)
+                    throw new ArgumentException($"Field {key} lies outside the metadata part of the header.", nameof(value));
+
+                if (!keys.Add(key))
+                    throw new ArgumentException($"Field {key} is defined more than once.", nameof(value));
+            }
+
+            _metadataFields = value;
+        }
+    }
+
+    /// <summary>
+    /// Reads the header fields, with dates formatted for formatProvider (by default the current culture).
+    /// </summary>
+    public MetadataFieldValue[] ExtractMetadata(MetadataField[]? metadataFields = null, IFormatProvider? formatProvider = null)
+    {
+        ObjectDisposedException.ThrowIf(_disposed, this);
+
+        // Only read the header slice needed for metadata.
+        var metadataReader = new MetadataFieldReader(ReadHeader(), formatProvider);
+        return [.. (metadataFields ?? _metadataFields).Select(metadataReader.Read)];
+    }
+
+    /// <summary>
+    /// Returns the raw header (everything before the pixel data), including the undocumented bytes.
+    /// </summary>
+    public byte[] ReadHeader()
+    {
+        ObjectDisposedException.ThrowIf(_disposed, this);
+
+        byte[] header = new byte[HeaderSize];
+        _stream.Seek(0, SeekOrigin.Begin);
+        _stream.ReadExactly(header);
+        return header;
+    }
+
+    /// <summary>
+    /// Returns the image size in display orientation, derived from the header and the file size
+    /// without decoding the pixel data.
+    /// </summary>
+    public (int Width, int Height) GetImageSize(XRayDecodeOptions? options = null)
+    {
+        ObjectDisposedException.ThrowIf(_disposed, this);
+
+        options ??= XRayDecodeOptions.Default;
+
+        _stream.Seek(0, SeekOrigin.Begin);
+        (int storedRows, int storedCols, _) = ReadDimensions(_stream, options);
+        return options.Transpose ? (storedRows, storedCols) : (storedCols, storedRows);
+    }
+
+    /// <summary>
+    /// Returns the unrolled 16-bit pixel data in display orientation, before any contrast stretch.
+    /// </summary>
+    /// <param name="progress">Receives the read, seam detection and unroll stages. Reported synchronously, on the calling thread.</param>
+    public XRayPixelData GetPixelData(XRayDecodeOptions? options = null, IProgress<XRayDecodeProgress>? progress = null)
+    {
+        ObjectDisposedException.ThrowIf(_disposed, this);
+
+        _stream.Seek(0, SeekOrigin.Begin);
+        return ReadPixels(_stream, options ?? XRayDecodeOptions.Default, progress);
+    }
+
+    /// <param name="progress">Receives every stage of the pipeline. Reported synchronously, on the calling thread.</param>
+    public byte[] GetPngBuffer(XRayDecodeOptions? options = null, IProgress<XRayDecodeProgress>? progress = null)
+    {
+        ObjectDisposedException.ThrowIf(_disposed, this);
+
+        options ??= XRayDecodeOptions.Default;
+
+        if (options.LowerPercentile < 0 || options.LowerPercentile >= options.UpperPercentile || options.UpperPercentile > 1)
+            throw new ArgumentOutOfRangeException(nameof(options), "Percentiles must satisfy 0 <= lower < upper <= 1.");
+
+        _stream.Seek(0, SeekOrigin.Begin);
+        return EncodePng(ReadPixels(_stream, options, progress), options, progress);
+    }
+
+    /// <summary>
+    /// Returns the stored column at which the image would be unrolled automatically, ignoring
+    /// <see cref="XRayDecodeOptions.SeamColumn"/>. 0 means no seam was found.
+    /// </summary>
+    /// <param name="progress">Receives the read and seam detection stages. Reported synchronously, on the calling thread.</param>
+    public int DetectSeamColumn(XRayDecodeOptions? options = null, IProgress<XRayDecodeProgress>? progress = null)
+    {
+        ObjectDisposedException.ThrowIf(_disposed, this);
+
+        _stream.Seek(0, SeekOrigin.Begin);
+        (ushort[] raw, int storedRows, int storedCols) = ReadRawPixels(_stream, options ?? XRayDecodeOptions.Default, progress);
+        return FindRollSeam(raw, storedRows, storedCols, progress);
+    }
+
+    /// <summary>
+    /// Scores how likely the file is to come from a supported scanner, from the header layout, the header text
+    /// and sampled pixel statistics, without decoding the image. Files of unknown scanners usually decode into noise.
+    /// </summary>
+    /// <param name="options">Only the stored layout overrides (rows, columns, header size, byte order) are used.</param>
+    public PlausibilityReport CheckPlausibility(XRayDecodeOptions? options = null)
+    {
+        ObjectDisposedException.ThrowIf(_disposed, this);
+
+        return new PlausibilityChecker(_stream, _metadataFields, options ?? XRayDecodeOptions.Default).Check();
+    }
+
+    /// <summary>
+    /// Returns a copy of the whole file with the byte ranges of the given header fields zero-filled,
+    /// so they read back as empty strings. Pixel data and all other bytes are unchanged.
+    /// </summary>
+    public byte[] GetDeidentifiedCopy(IReadOnlySet<MetadataFieldId>? fieldIds = null)
+    {
+        ObjectDisposedException.ThrowIf(_disposed, this);
+
+        fieldIds ??= IdentifyingFields;
+
+        byte[] file = ReadFile();
+
+        foreach (var field in _metadataFields.Where(x => fieldIds.Contains(x.Id)))
+        {
+            Array.Clear(file, field.Offset, field.MaxLength);
+        }
+
+        return file;
+    }
+
+    /// <summary>
+    /// Returns a copy of the whole file with header fields set to new values, keyed like the fields of
+    /// <see cref="MetadataFields"/>: by <see cref="MetadataField.Name"/>, or by id for the library's fields.
+    /// The byte range of each field holds the value and is zero-filled after it. Pixel data and all other bytes are unchanged.
+    /// </summary>
+    /// <exception cref="ArgumentException">A key names no field, or a value cannot be stored in its field (see <see cref="MetadataField.EncodeValue"/>).</exception>
+    public byte[] GetEditedCopy(IReadOnlyDictionary<string, string> values)
+    {
+        ObjectDisposedException.ThrowIf(_disposed, this);
+        ArgumentNullException.ThrowIfNull(values);
+
+        var fields = _metadataFields.ToDictionary(x => x.Name ?? x.Id.ToString());
+        byte[] file = ReadFile();
+
+        foreach ((string key, string value) in values)
+        {
+            if (!fields.TryGetValue(key, out var field))
+                throw new ArgumentException($"The header has no field {key}.", nameof(values));
+
+            byte[] bytes = field.EncodeValue(value);
+            Array.Clear(file, field.Offset, field.MaxLength);
+            bytes.CopyTo(file, field.Offset);
+        }
+
+        return file;
+    }
+
+    private byte[] ReadFile()
+    {
+        byte[] file = new byte[_stream.Length];
+        _stream.Seek(0, SeekOrigin.Begin);
+        _stream.ReadExactly(file);
+        return file;
+    }
+
+    /// <summary>
+    /// Reads the stored layout from the header: bytes 0-1 hold the logical width (informational only,
+    /// actual stored rows may differ), bytes 2-3 hold the image height (= StoredCols).
+    /// Values set in <paramref name="options"/> take precedence.
+    /// </summary>
+    private static (int StoredRows, int StoredCols, int DataOffset) ReadDimensions(Stream stream, XRayDecodeOptions options)
+    {
+        long fileLength = stream.Length;
+
+        if (fileLength < HeaderSize + 4)
+            throw new InvalidDataException("File is too small to contain a valid header.");
+
+        Span<byte> header = stackalloc byte[4];
+        stream.ReadExactly(header);
+
+        int logicalWidth = BitConverter.ToUInt16(header);
+        int storedCols = options.StoredColumns ?? BitConverter.ToUInt16(header[2..]);
+        int dataOffset = options.HeaderSize ?? HeaderSize;
+
+        if (storedCols <= 0)
+            throw new InvalidDataException("Header declares an image height of zero.");
+
+        if (dataOffset < 0 || dataOffset >= fileLength)
+            throw new InvalidDataException($"Header size {dataOffset} is outside the file of {fileLength} bytes.");
+
+        long dataBytes = fileLength - dataOffset;
+        int storedRows = options.StoredRows ?? (int)(dataBytes / (storedCols * 2L)); // == image width after transpose
+
+        if (storedRows <= 0)
+            throw new InvalidDataException("The pixel data does not fill a single stored row.");
+
+        Console.WriteLine($"Header  — logical width: {logicalWidth}, height: {storedCols}");
+        Console.WriteLine($"Derived — stored layout: {storedRows} rows x {storedCols} cols");
+
+        return (storedRows, storedCols, dataOffset);
+    }
+
+    /// <summary>
+    /// Reads the raw 16-bit pixels in stored layout [StoredRows x StoredCols], before unrolling.
+    /// </summary>
+    private static (ushort[] Raw, int StoredRows, int StoredCols) ReadRawPixels(
+        Stream stream, XRayDecodeOptions options, IProgress<XRayDecodeProgress>? progress)
+    {
+        long fileLength = stream.Length;
+
+        // --- 1. Read dimensions from header ---
+        (int storedRows, int storedCols, int dataOffset) = ReadDimensions(stream, options);
+
+        long expectedBytes = dataOffset + (long)storedRows * storedCols * 2;
+        if (fileLength < expectedBytes)
+            throw new InvalidDataException(
+                $"File too small. Expected at least {expectedBytes} bytes, got {fileLength}.");
+
+        // --- 2. Read raw 16-bit pixels (little-endian unless overridden) ---
+        //   Skip the remainder of the header (we've only read 4 bytes so far).
+        stream.Seek(dataOffset, SeekOrigin.Begin);
+
+        ushort[] raw = new ushort[storedRows * storedCols];
+        Span<byte> rawBytes = MemoryMarshal.AsBytes(raw.AsSpan());
+
+        for (int offset = 0; offset < rawBytes.Length; offset += ReadChunkSize)
+        {
+            stream.ReadExactly(rawBytes.Slice(offset, Math.Min(ReadChunkSize, rawBytes.Length - offset)));
+            ReportProgress(progress, XRayDecodeStage.Read, Math.Min(offset + ReadChunkSize, rawBytes.Length), rawBytes.Length);
+        }
+
+        if (options.BigEndian == BitConverter.IsLittleEndian)
+            BinaryPrimitives.ReverseEndianness(raw, raw);
+
+        return (raw, storedRows, storedCols);
+    }
+
+    /// <summary>
+    /// Core decoding logic. Reads from a seekable stream and returns the unrolled 16-bit image
+    /// in display orientation. This method is WASM-friendly — no file I/O, no platform-native dependencies.
+    /// </summary>
+    private static XRayPixelData ReadPixels(Stream stream, XRayDecodeOptions options, IProgress<XRayDecodeProgress>? progress)
+    {
+        (ushort[] raw, int storedRows, int storedCols) = ReadRawPixels(stream, options, progress);
+
+        int imageWidth = options.Transpose ? storedRows : storedCols;
+        int imageHeight = options.Transpose ? storedCols : storedRows;
+
+        Console.WriteLine($"Output  — image size:    {imageWidth} x {imageHeight} px");
+
+        // --- 3. Auto-detect (or take the given) column roll and fix it ---
+        int seamCol;
+        if (options.SeamColumn is int requestedSeam)
+        {
+            if (requestedSeam < 0 || requestedSeam >= storedCols)
+                throw new ArgumentOutOfRangeException(nameof(options), requestedSeam,
+                    $"Seam column must be between 0 and {storedCols - 1}.");
+
+            seamCol = requestedSeam;
+            Console.WriteLine($"Using roll seam at column {seamCol} (of {storedCols}).");
+        }
+        else
+        {
+            seamCol = FindRollSeam(raw, storedRows, storedCols, progress);
+            Console.WriteLine($"Detected roll seam at column {seamCol} (of {storedCols}).");
+        }
+
+        if (seamCol > 0)
+            raw = RollColumns(raw, storedRows, storedCols, seamCol);
+
+        // --- 4. Transpose (columns-first -> rows-first) and flip horizontally, as configured ---
+        ushort[] pixels = new ushort[raw.Length];
+
+        for (int y = 0; y < imageHeight; y++)
+        {
+            for (int x = 0; x < imageWidth; x++)
+            {
+                int srcX = options.FlipHorizontal ? imageWidth - 1 - x : x;
+                pixels[y * imageWidth + x] = options.Transpose
+                    ? raw[srcX * storedCols + y]
+                    : raw[y * storedCols + srcX];
+            }
+
+            ReportProgress(progress, XRayDecodeStage.Unroll, y + 1, imageHeight);
+        }
+
+        return new XRayPixelData(imageWidth, imageHeight, pixels);
+    }
+
+    /// <summary>
+    /// Applies a percentile contrast stretch (0.5th-99.5th unless overridden) and encodes the result as an 8-bit grayscale PNG.
+    /// </summary>
+    private static byte[] EncodePng(XRayPixelData image, XRayDecodeOptions options, IProgress<XRayDecodeProgress>? progress)
+    {
+        // --- 5. Stretch contrast using the lower-upper percentile ---
+        ReportProgress(progress, XRayDecodeStage.PercentileSort, 0, 1);
+        (ushort lo, ushort hi) = Percentile(image.Pixels, options.LowerPercentile, options.UpperPercentile);
+        ReportProgress(progress, XRayDecodeStage.PercentileSort, 1, 1);
+        float scale = hi > lo ? 255f / (hi - lo) : 1f;
+
+        // --- 6. Build 8-bit grayscale pixel buffer ---
+        byte[] pixels = new byte[image.Pixels.Length];
+
+        for (int i = 0; i < pixels.Length; i++)
+        {
+            int stretched = (int)((image.Pixels[i] - lo) * scale);
+            pixels[i] = (byte)Math.Clamp(stretched, 0, 255);
+        }
+
+        // --- 7. Encode to PNG using SkiaSharp ---
+        ReportProgress(progress, XRayDecodeStage.Encode, 0, 1);
+        var imageInfo = new SKImageInfo(image.Width, image.Height, SKColorType.Gray8, SKAlphaType.Opaque);
+
+        using var bitmap = new SKBitmap(imageInfo);
+        Marshal.Copy(pixels, 0, bitmap.GetPixels(), pixels.Length);
+
+        using SKImage skImage = SKImage.FromBitmap(bitmap);
+        using SKData data = skImage.Encode(SKEncodedImageFormat.Png, quality: 100);
+
+        ReportProgress(progress, XRayDecodeStage.Encode, 1, 1);
+        return data.ToArray();
+    }
+
+    /// <summary>
+    /// Finds the column index C such that the boundary between column C and C+1
+    /// has the largest average absolute difference in pixel values across all rows.
+    /// The outer 5% of columns on each side are excluded to avoid confusing the
+    /// natural black background border with the seam.
+    /// </summary>
+    private static int FindRollSeam(ushort[] raw, int rows, int cols, IProgress<XRayDecodeProgress>? progress)
+    {
+        int margin = cols / 20;
+        int bestCol = 0;
+        double bestDiff = -1;
+
+        for (int c = margin; c < cols - margin - 1; c++)
+        {
+            double sum = 0;
+            for (int r = 0; r < rows; r++)
+            {
+                int a = raw[r * cols + c];
+                int b = raw[r * cols + c + 1];
+                sum += Math.Abs(a - b);
+            }
+            double avg = sum / rows;
+
+            if (avg > bestDiff)
+            {
+                bestDiff = avg;
+                bestCol = c + 1;
+            }
+
+            ReportProgress(progress, XRayDecodeStage.SeamDetection, c - margin + 1, cols - 2 * margin - 1);
+        }
+
+        return bestCol;
+    }
+
+    /// <summary>
+    /// Rotates the column axis of the raw buffer left by <paramref name="seamCol"/> columns.
+    /// </summary>
+    private static ushort[] RollColumns(ushort[] raw, int rows, int cols, int seamCol)
+    {
+        ushort[] result = new ushort[raw.Length];
+        int rightLen = cols - seamCol;
+
+        for (int r = 0; r < rows; r++)
+        {
+            int srcBase = r * cols;
+            int dstBase = r * cols;
+
+            Array.Copy(raw, srcBase + seamCol, result, dstBase, rightLen);
+            Array.Copy(raw, srcBase, result, dstBase + rightLen, seamCol);
+        }
+
+        return result;
+    }
+
+    /// <summary>
+    /// Reports <paramref name="done"/> of <paramref name="total"/> steps of a stage, throttled to about
+    /// a hundred reports per stage; the last step is always reported.
+    /// </summary>
+    private static void ReportProgress(IProgress<XRayDecodeProgress>? progress, XRayDecodeStage stage, long done, long total)
+    {
+        if (progress is null || total <= 0)
+            return;
+
+        long step = Math.Max(1, total / 100);
+
+        if (done == total || done % step == 0)
+            progress.Report(new XRayDecodeProgress(stage, (double)done / total));
+    }
+
+    /// <summary>Returns the pixel values at the given lower and upper percentiles.</summary>
+    private static (ushort lo, ushort hi) Percentile(ushort[] data, double lowerFrac, double upperFrac)
+    {
+        ushort[] sorted = (ushort[])data.Clone();
+        Array.Sort(sorted);
+        int loIdx = (int)(lowerFrac * (sorted.Length - 1));
+        int hiIdx = (int)(upperFrac * (sorted.Length - 1));
+        return (sorted[loIdx], sorted[hiIdx]);
+    }
+
+    public void Dispose()
+    {
+        if (_disposed)
+            return;
+
+        if (_ownsStream)
+            _stream.Dispose();
+
+        _disposed = true;
+    }
+}
@@ -0,0 +1,6 @@
+﻿namespace XRay;
+
+/// <summary>
+/// Decoded 16-bit grayscale image in display orientation, stored row-major as <see cref="Width"/> x <see cref="Height"/> pixels.
+/// </summary>
+public sealed record XRayPixelData(int Width, int Height, ushort[] Pixels);